@@ -0,0 +1,88 @@
+/**
+ * Service worker - precaches the app shell so the dashboard opens with no signal.
+ * Forecast and hotspot data are cached separately in IndexedDB by
+ * src/modules/offlineCache.js; API requests pass straight through here.
+ */
+
+const CACHE_NAME = 'birding-weather-shell-v1';
+
+// Built asset names are hashed, so the rest of the shell is read from index.html
+const SHELL_URLS = ['./', './index.html', './favicon.svg'];
+
+// Leaflet is loaded from a CDN and needed to draw the map
+const CDN_HOSTS = ['unpkg.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isShell = url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname);
+    if (!isShell) return;
+
+    // Pages: network first so deploys show up, cached shell when offline.
+    // Assets: cache first - their names change whenever their content does.
+    event.respondWith(request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request));
+});
+
+// Alert notifications (src/modules/notifications.js) bring the dashboard forward
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(client => 'focus' in client);
+            return open ? open.focus() : self.clients.openWindow('./');
+        })
+    );
+});
+
+async function precacheShell() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(SHELL_URLS);
+
+    const response = await cache.match('./index.html');
+    const html = await response.text();
+    const assetUrls = [...html.matchAll(/<(?:script|link)[^>]+(?:src|href)="([^"]+)"/g)]
+        .map(match => new URL(match[1], self.location.href))
+        .filter(url => url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname))
+        .map(url => url.href);
+
+    await cache.addAll([...new Set(assetUrls)]);
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put('./index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match('./index.html')) || Response.error();
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -105,6 +105,109 @@ export async function fetchHotspotObservations(locId, days = 7) {
     return { data, error: null };
 }
 
+/**
+ * Fetch the most recent checklists submitted at a hotspot
+ * @param {string} locId - eBird location ID
+ * @param {number} maxResults - Number of checklists to return (max 200)
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+export async function fetchHotspotChecklists(locId, maxResults = 200) {
+    const apiKey = store.get('ebirdApiKey');
+
+    if (!apiKey) {
+        return {
+            data: null,
+            error: new Error('eBird API key not configured')
+        };
+    }
+
+    const params = new URLSearchParams({
+        maxResults: Math.min(maxResults, 200)
+    });
+
+    const url = `${EBIRD_API_BASE}/product/lists/${locId}?${params.toString()}`;
+
+    const { data, error } = await fetchWithErrorHandling(url, {
+        headers: {
+            'X-eBirdApiToken': apiKey
+        }
+    });
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    // Transform to our format
+    const checklists = data.map(c => ({
+        checklistId: c.subId,
+        // obsDt is e.g. "10 May 2026"; obsTime is missing for incidental lists
+        date: c.obsTime ? `${c.obsDt} ${c.obsTime}` : c.obsDt,
+        speciesCount: c.numSpecies,
+        observer: c.userDisplayName
+    }));
+
+    return { data: checklists, error: null };
+}
+
+/**
+ * Fetch recent notable (rare or unusual) observations around a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} options
+ * @param {number} options.days - Number of days back to search (max 30)
+ * @param {number} options.radiusKm - Search radius in kilometers (max 50)
+ * @returns {Promise<{data: Array|null, error: Error|null}>}
+ */
+export async function fetchNotableObservations(lat, lon, { days = 7, radiusKm = DEFAULTS.HOTSPOT_RADIUS_KM } = {}) {
+    const apiKey = store.get('ebirdApiKey');
+
+    if (!apiKey) {
+        return {
+            data: null,
+            error: new Error('eBird API key not configured')
+        };
+    }
+
+    const params = new URLSearchParams({
+        lat: lat.toFixed(4),
+        lng: lon.toFixed(4),
+        back: Math.min(days, 30),
+        dist: Math.min(radiusKm, 50),
+        detail: 'simple'
+    });
+
+    const url = `${EBIRD_API_BASE}/data/obs/geo/recent/notable?${params.toString()}`;
+
+    const { data, error } = await fetchWithErrorHandling(url, {
+        headers: {
+            'X-eBirdApiToken': apiKey
+        }
+    });
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    // Transform to our format
+    const observations = data.map(o => ({
+        speciesCode: o.speciesCode,
+        commonName: o.comName,
+        scientificName: o.sciName,
+        // eBird omits howMany when the observer recorded only presence ("X")
+        count: o.howMany ?? null,
+        date: o.obsDt,
+        locId: o.locId,
+        locationName: o.locName,
+        lat: o.lat,
+        lon: o.lng,
+        reviewed: Boolean(o.obsReviewed),
+        valid: Boolean(o.obsValid),
+        checklistId: o.subId
+    }));
+
+    return { data: observations, error: null };
+}
+
 /**
  * Check if eBird API key is valid
  * @param {string} apiKey - API key to test
@@ -0,0 +1,66 @@
+/**
+ * JSON fixture weather provider, for tests and demos
+ * Serves a canned hourly series instead of calling a weather API. Fixture hours
+ * give either an absolute `time` or an `offsetHours` from the current hour, so
+ * the bundled demo (a cold front passing overnight) always lines up with today.
+ */
+
+import { buildWeatherData } from './weatherData.js';
+import demoFixture from '../data/weatherFixture.json';
+
+const HOURLY_FIELDS = [
+    'temperature', 'humidity', 'precipitation', 'precipProbability', 'weatherCode',
+    'pressure', 'visibility', 'windSpeed', 'windDirection', 'windGusts',
+    'cloudCover', 'windSpeed850', 'windDirection850'
+];
+
+/**
+ * Create a fetch function that serves a fixture
+ * @param {object} fixture - { hourly: [{ time | offsetHours, temperature, ... }] } in
+ *   the metric units of HourlyWeather (weatherData.js); missing fields become null
+ * @returns {function(number, number, object=): Promise<{data: object|null, error: Error|null}>}
+ */
+export function createFixtureProvider(fixture) {
+    return async (lat, lon, options = {}) => {
+        const data = transformFixture(fixture, options.now);
+        if (!data) {
+            return { data: null, error: new Error('Weather fixture has no hourly data') };
+        }
+        return { data, error: null };
+    };
+}
+
+/**
+ * Serve the bundled demo fixture
+ */
+export const fetchFixtureForecast = createFixtureProvider(demoFixture);
+
+/**
+ * Convert a fixture into WeatherData
+ * @param {object} fixture - Fixture object
+ * @param {Date} now - Reference time for `offsetHours`
+ * @returns {object|null}
+ */
+export function transformFixture(fixture, now = new Date()) {
+    if (!Array.isArray(fixture?.hourly)) {
+        return null;
+    }
+
+    const currentHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours());
+
+    const hourlyWeather = fixture.hourly
+        .map(entry => {
+            const hour = {
+                time: entry.time !== undefined
+                    ? new Date(entry.time)
+                    : new Date(currentHour.getTime() + (entry.offsetHours || 0) * 3600000)
+            };
+            HOURLY_FIELDS.forEach(field => {
+                hour[field] = entry[field] ?? null;
+            });
+            return hour;
+        })
+        .sort((a, b) => a.time - b.time);
+
+    return buildWeatherData(hourlyWeather, { source: 'fixture', units: fixture.units || {}, now });
+}
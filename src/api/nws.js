@@ -0,0 +1,158 @@
+/**
+ * National Weather Service gridpoint client
+ * Free API, no key required, United States only
+ * https://www.weather.gov/documentation/services-web-api
+ */
+
+import { fetchWithErrorHandling, ApiError } from './client.js';
+import { buildWeatherData } from './weatherData.js';
+import { NWS_API_BASE } from '../config/constants.js';
+
+const NWS_HEADERS = { 'Accept': 'application/geo+json' };
+
+const HOUR_MS = 3600000;
+
+/**
+ * Fetch the hourly gridpoint forecast from the NWS
+ * Two requests: /points resolves the forecast office grid, then the raw gridpoint data.
+ * The gridpoint has no surface pressure or winds aloft, so those fields are null.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<{data: object|null, error: Error|null}>} data follows the WeatherData shape in weatherData.js
+ */
+export async function fetchNwsForecast(lat, lon) {
+    const pointUrl = `${NWS_API_BASE}/points/${lat.toFixed(4)},${lon.toFixed(4)}`;
+    const { data: point, error: pointError } = await fetchWithErrorHandling(pointUrl, { headers: NWS_HEADERS });
+
+    if (pointError) {
+        return {
+            data: null,
+            error: pointError.status === 404
+                ? new ApiError('The National Weather Service only covers the United States - choose another weather provider in settings', 404)
+                : pointError
+        };
+    }
+
+    const gridUrl = point?.properties?.forecastGridData;
+    if (!gridUrl) {
+        return { data: null, error: new Error('NWS did not return a forecast grid for this location') };
+    }
+
+    const { data: grid, error } = await fetchWithErrorHandling(gridUrl, { headers: NWS_HEADERS });
+    if (error) {
+        return { data: null, error };
+    }
+
+    const transformed = transformGridpointData(grid);
+    if (!transformed) {
+        return {
+            data: null,
+            error: new Error('Received unexpected weather data format from the NWS')
+        };
+    }
+    return { data: transformed, error: null };
+}
+
+/**
+ * Transform an NWS gridpoint response into application format
+ * Each gridpoint layer is a list of values over ISO 8601 intervals
+ * ("2026-05-10T12:00:00+00:00/PT3H"); these are expanded to hourly values.
+ * @param {object} grid - Response from /gridpoints/{office}/{x},{y}
+ * @param {Date} now - Reference time
+ * @returns {object|null} WeatherData, or null if the response has no temperature layer
+ */
+export function transformGridpointData(grid, now = new Date()) {
+    const props = grid?.properties;
+    if (!props?.temperature?.values?.length) {
+        return null;
+    }
+
+    const temperature = expandLayer(props.temperature);
+    const humidity = expandLayer(props.relativeHumidity);
+    // Precipitation is an amount over the whole interval, so spread it across the hours
+    const precipitation = expandLayer(props.quantitativePrecipitation, { perHour: true });
+    const precipProbability = expandLayer(props.probabilityOfPrecipitation);
+    const visibility = expandLayer(props.visibility);
+    const windSpeed = expandLayer(props.windSpeed);
+    const windDirection = expandLayer(props.windDirection);
+    const windGusts = expandLayer(props.windGust);
+    const skyCover = expandLayer(props.skyCover);
+
+    const times = [...temperature.keys()].sort((a, b) => a - b);
+    const hourlyWeather = times.map(ms => {
+        const temp = temperature.get(ms);
+        const precip = precipitation.get(ms) ?? 0;
+        const cloudCover = skyCover.get(ms) ?? null;
+
+        return {
+            time: new Date(ms),
+            temperature: temp,
+            humidity: humidity.get(ms) ?? null,
+            precipitation: precip,
+            precipProbability: precipProbability.get(ms) ?? null,
+            weatherCode: deriveWeatherCode(cloudCover, precip, temp),
+            pressure: null,
+            visibility: visibility.get(ms) ?? null,
+            windSpeed: windSpeed.get(ms) ?? 0,
+            windDirection: windDirection.get(ms) ?? 0,
+            windGusts: windGusts.get(ms) ?? null,
+            cloudCover,
+            windSpeed850: null,
+            windDirection850: null
+        };
+    });
+
+    return buildWeatherData(hourlyWeather, { source: 'nws', units: { temperature: '°C', windSpeed: 'km/h' }, now });
+}
+
+// Helper functions
+
+/**
+ * Expand a gridpoint layer to a Map of hour start (ms) -> value in app units
+ */
+function expandLayer(layer, { perHour = false } = {}) {
+    const hours = new Map();
+    if (!layer?.values) return hours;
+
+    layer.values.forEach(({ validTime, value }) => {
+        if (value === null || value === undefined) return;
+
+        const [start, duration] = validTime.split('/');
+        const startMs = Date.parse(start);
+        const count = Math.max(1, parseDurationHours(duration));
+        const converted = toAppUnits(value, layer.uom);
+
+        for (let i = 0; i < count; i++) {
+            hours.set(startMs + i * HOUR_MS, perHour ? converted / count : converted);
+        }
+    });
+
+    return hours;
+}
+
+function parseDurationHours(duration) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?)?/.exec(duration || '');
+    if (!match) return 1;
+    return Number(match[1] || 0) * 24 + Number(match[2] || 0);
+}
+
+function toAppUnits(value, uom = '') {
+    if (uom.endsWith('degF')) return (value - 32) * 5 / 9;
+    if (uom.endsWith('m_s-1')) return value * 3.6;
+    if (uom.endsWith(':kn')) return value * 1.852;
+    return value;
+}
+
+/**
+ * The gridpoint has no WMO weather code, so approximate one from sky cover and precipitation
+ */
+function deriveWeatherCode(cloudCover, precipitation, temperature) {
+    if (precipitation >= 0.1) {
+        if (temperature <= 0) return 71;
+        return precipitation >= 2.5 ? 63 : 61;
+    }
+    if (cloudCover === null || cloudCover < 20) return 0;
+    if (cloudCover < 50) return 1;
+    if (cloudCover < 85) return 2;
+    return 3;
+}
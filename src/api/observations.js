@@ -0,0 +1,181 @@
+/**
+ * Observation clients - measured conditions to override the model's current hour
+ * METAR reports come from the Aviation Weather Center data API (worldwide airports).
+ * Personal weather stations are read from a user-supplied URL returning the
+ * station JSON format below.
+ *
+ * Station JSON format (metric units; every field except `time` is optional):
+ *   {
+ *     "station": "Backyard marsh",       // display name
+ *     "time": "2026-05-10T09:25:00Z",    // ISO 8601 observation time
+ *     "temperature": 14.2,               // °C
+ *     "humidity": 88,                    // %
+ *     "windSpeed": 12,                   // km/h
+ *     "windDirection": 225,              // degrees the wind blows from
+ *     "windGusts": 20,                   // km/h
+ *     "visibility": 800,                 // m
+ *     "precipitation": 0.2,              // mm in the last hour
+ *     "lat": 40.71, "lon": -74.01        // station position, to show its distance
+ *   }
+ */
+
+import { fetchWithErrorHandling } from './client.js';
+import { AVIATION_WEATHER_BASE } from '../config/constants.js';
+
+// Half-width of the box searched for METAR stations (~55 km north-south)
+const METAR_SEARCH_DEGREES = 0.5;
+
+const KNOTS_TO_KMH = 1.852;
+const STATUTE_MILE_M = 1609.34;
+
+export const OBSERVATION_FIELDS = [
+    'temperature', 'humidity', 'windSpeed', 'windDirection', 'windGusts', 'visibility', 'precipitation'
+];
+
+/**
+ * Fetch recent METAR reports around a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<{data: Array|null, error: Error|null}>} Observations with station lat/lon
+ */
+export async function fetchMetarObservations(lat, lon) {
+    const bbox = [
+        lat - METAR_SEARCH_DEGREES,
+        lon - METAR_SEARCH_DEGREES,
+        lat + METAR_SEARCH_DEGREES,
+        lon + METAR_SEARCH_DEGREES
+    ].map(v => v.toFixed(2)).join(',');
+
+    const params = new URLSearchParams({ bbox, format: 'json' });
+    const { data, error } = await fetchWithErrorHandling(`${AVIATION_WEATHER_BASE}/metar?${params.toString()}`);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: (Array.isArray(data) ? data : []).map(transformMetar), error: null };
+}
+
+/**
+ * Fetch the latest reading from a personal weather station URL
+ * @param {string} url - Endpoint returning the station JSON format
+ * @returns {Promise<{data: object|null, error: Error|null}>}
+ */
+export async function fetchStationObservation(url) {
+    const { data, error } = await fetchWithErrorHandling(url);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const observation = transformStation(data);
+    if (!observation) {
+        return {
+            data: null,
+            error: new Error('Weather station response is missing an observation time')
+        };
+    }
+    return { data: observation, error: null };
+}
+
+/**
+ * Convert an Aviation Weather Center METAR record into an observation
+ * @param {object} metar - One record from /api/data/metar?format=json
+ * @returns {object} { source, station, time, lat, lon, values, raw }
+ */
+export function transformMetar(metar) {
+    const values = {
+        temperature: numberOrNull(metar.temp),
+        humidity: relativeHumidity(metar.temp, metar.dewp),
+        windSpeed: knotsToKmh(metar.wspd),
+        // Variable winds have no single direction
+        windDirection: typeof metar.wdir === 'number' ? metar.wdir : null,
+        windGusts: knotsToKmh(metar.wgst),
+        visibility: parseVisibility(metar.visib),
+        weatherCode: metarWeatherCode(metar.wxString, metar.clouds)
+    };
+
+    return {
+        source: 'METAR',
+        station: metar.icaoId,
+        stationName: metar.name || metar.icaoId,
+        time: metar.obsTime ? new Date(metar.obsTime * 1000) : new Date(metar.reportTime),
+        lat: metar.lat,
+        lon: metar.lon,
+        values,
+        raw: metar.rawOb || null
+    };
+}
+
+/**
+ * Convert a station JSON reading into an observation
+ * @param {object} reading - Station JSON (see format above)
+ * @returns {object|null} null when the reading has no valid time
+ */
+export function transformStation(reading) {
+    const time = reading?.time ? new Date(reading.time) : null;
+    if (!time || Number.isNaN(time.getTime())) {
+        return null;
+    }
+
+    const values = {};
+    OBSERVATION_FIELDS.forEach(field => {
+        values[field] = numberOrNull(reading[field]);
+    });
+
+    return {
+        source: 'PWS',
+        station: reading.station || 'Personal weather station',
+        stationName: reading.station || 'Personal weather station',
+        time,
+        lat: numberOrNull(reading.lat),
+        lon: numberOrNull(reading.lon),
+        values,
+        raw: null
+    };
+}
+
+// Helper functions
+
+function numberOrNull(value) {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || Number.isNaN(number) ? null : number;
+}
+
+function knotsToKmh(knots) {
+    const value = numberOrNull(knots);
+    return value === null ? null : value * KNOTS_TO_KMH;
+}
+
+function parseVisibility(visib) {
+    if (visib === null || visib === undefined) return null;
+    // "10+" means unlimited; report as 10 statute miles
+    const miles = parseFloat(String(visib).replace('+', ''));
+    return Number.isNaN(miles) ? null : Math.round(miles * STATUTE_MILE_M);
+}
+
+function relativeHumidity(temp, dewpoint) {
+    if (numberOrNull(temp) === null || numberOrNull(dewpoint) === null) return null;
+    // Magnus approximation
+    const gamma = t => (17.625 * t) / (243.04 + t);
+    return Math.round(100 * Math.exp(gamma(dewpoint) - gamma(temp)));
+}
+
+/**
+ * Map METAR present weather and cloud groups to a WMO weather code
+ */
+function metarWeatherCode(wxString = '', clouds = []) {
+    const wx = wxString || '';
+    if (/TS/.test(wx)) return 95;
+    if (/SN|SG/.test(wx)) return 71;
+    if (/\+RA/.test(wx)) return 65;
+    if (/RA/.test(wx)) return /SH/.test(wx) ? 80 : 61;
+    if (/DZ/.test(wx)) return 51;
+    if (/FG/.test(wx)) return 45;
+
+    const covers = (clouds || []).map(c => c.cover);
+    if (covers.includes('OVC') || covers.includes('VV')) return 3;
+    if (covers.includes('BKN')) return 2;
+    if (covers.includes('SCT') || covers.includes('FEW')) return 1;
+    return 0;
+}
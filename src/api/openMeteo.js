@@ -5,6 +5,7 @@
  */
 
 import { fetchWithErrorHandling } from './client.js';
+import { buildWeatherData } from './weatherData.js';
 import { OPEN_METEO_BASE, WEATHER_PARAMS, DEFAULTS } from '../config/constants.js';
 
 /**
@@ -12,9 +13,9 @@ import { OPEN_METEO_BASE, WEATHER_PARAMS, DEFAULTS } from '../config/constants.j
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {object} options - Optional settings
- * @returns {Promise<{data: object|null, error: Error|null}>}
+ * @returns {Promise<{data: object|null, error: Error|null}>} data follows the WeatherData shape in weatherData.js
  */
-export async function fetchWeatherForecast(lat, lon, options = {}) {
+export async function fetchOpenMeteoForecast(lat, lon, options = {}) {
     const {
         forecastDays = DEFAULTS.FORECAST_DAYS,
         pastDays = DEFAULTS.PAST_DAYS
@@ -57,76 +58,34 @@ function transformWeatherData(apiData) {
         return null;
     }
 
-    // Find current hour index
-    const now = new Date();
-    const currentHourIndex = findCurrentHourIndex(hourly.time, now);
+    return buildWeatherData(toHourlyWeather(hourly), { source: 'open-meteo', units: hourly_units });
+}
 
-    // Build hourly forecast array
-    const hourlyForecast = hourly.time.map((time, i) => ({
+/**
+ * Convert Open-Meteo's column-per-variable `hourly` block into HourlyWeather entries
+ * Variables the endpoint didn't return (the archive has no visibility or
+ * precipitation probability) become null.
+ * @param {object} hourly - `hourly` from a forecast or archive response
+ * @returns {HourlyWeather[]}
+ */
+export function toHourlyWeather(hourly) {
+    return hourly.time.map((time, i) => ({
         time: new Date(time),
         temperature: hourly.temperature_2m[i],
         humidity: hourly.relative_humidity_2m[i],
         precipitation: hourly.precipitation[i],
-        precipProbability: hourly.precipitation_probability[i],
+        precipProbability: hourly.precipitation_probability?.[i] ?? null,
         weatherCode: hourly.weather_code[i],
         pressure: hourly.surface_pressure[i],
-        visibility: hourly.visibility[i],
+        visibility: hourly.visibility?.[i] ?? null,
         windSpeed: hourly.wind_speed_10m[i],
         windDirection: hourly.wind_direction_10m[i],
-        windGusts: hourly.wind_gusts_10m[i]
+        windGusts: hourly.wind_gusts_10m?.[i] ?? null,
+        cloudCover: hourly.cloud_cover?.[i] ?? null,
+        // Winds aloft (~1,500 m), where nocturnal migrants fly
+        windSpeed850: hourly.wind_speed_850hPa?.[i] ?? null,
+        windDirection850: hourly.wind_direction_850hPa?.[i] ?? null
     }));
-
-    // Current weather (closest hour)
-    const current = currentHourIndex >= 0 ? hourlyForecast[currentHourIndex] : hourlyForecast[0];
-
-    // Pressure history (past hours for trend analysis)
-    const pressureHistory = hourlyForecast
-        .filter((h, i) => i <= currentHourIndex)
-        .slice(-12) // Last 12 hours
-        .map(h => ({
-            time: h.time,
-            pressure: h.pressure
-        }));
-
-    // Temperature history for front detection
-    const tempHistory = hourlyForecast
-        .filter((h, i) => i <= currentHourIndex)
-        .slice(-12)
-        .map(h => ({
-            time: h.time,
-            temp: h.temperature
-        }));
-
-    // Precipitation in last 6 hours
-    const precipLast6h = hourlyForecast
-        .filter((h, i) => i <= currentHourIndex)
-        .slice(-6)
-        .reduce((sum, h) => sum + (h.precipitation || 0), 0);
-
-    return {
-        current,
-        hourlyForecast: hourlyForecast.filter((h, i) => i >= currentHourIndex).slice(0, 48),
-        pressureHistory,
-        tempHistory,
-        precipLast6h,
-        units: hourly_units,
-        fetchedAt: new Date()
-    };
-}
-
-/**
- * Find the index of the current hour in the time array
- */
-function findCurrentHourIndex(times, now) {
-    const nowHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours());
-
-    for (let i = 0; i < times.length; i++) {
-        const time = new Date(times[i]);
-        if (time >= nowHour) {
-            return i;
-        }
-    }
-    return times.length - 1;
 }
 
 // Description helpers for weather codes are centralized in src/config/weatherCodes.js
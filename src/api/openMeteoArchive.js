@@ -0,0 +1,80 @@
+/**
+ * Open-Meteo historical weather (reanalysis) client
+ * Free API, no key required
+ * https://open-meteo.com/en/docs/historical-weather-api
+ *
+ * Resolves to the same WeatherData shape as the forecast providers, with `now`
+ * as the "current" hour, so past conditions run through the normal scoring
+ * pipeline. createFixtureProvider() in fixtureWeather.js has the same
+ * signature and stands in for it in tests.
+ */
+
+import { fetchWithErrorHandling } from './client.js';
+import { buildWeatherData } from './weatherData.js';
+import { toHourlyWeather } from './openMeteo.js';
+import { OPEN_METEO_ARCHIVE_BASE, ARCHIVE_WEATHER_PARAMS } from '../config/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch archived weather around a past moment
+ * Covers the day before (for pressure and rain history) through two days after
+ * (for the hourly timeline), never past today.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} options
+ * @param {Date} options.now - The past moment to treat as the current hour
+ * @returns {Promise<{data: object|null, error: Error|null}>} data follows the WeatherData shape in weatherData.js
+ */
+export async function fetchOpenMeteoArchive(lat, lon, { now } = {}) {
+    if (!(now instanceof Date) || Number.isNaN(now.getTime())) {
+        return { data: null, error: new Error('A past date is required for archived weather') };
+    }
+
+    const today = new Date();
+    const end = new Date(Math.min(now.getTime() + 2 * DAY_MS, today.getTime()));
+
+    const params = new URLSearchParams({
+        latitude: lat.toFixed(4),
+        longitude: lon.toFixed(4),
+        hourly: ARCHIVE_WEATHER_PARAMS,
+        start_date: toDateParam(new Date(now.getTime() - DAY_MS)),
+        end_date: toDateParam(end),
+        timezone: 'auto'
+    });
+
+    const { data, error } = await fetchWithErrorHandling(`${OPEN_METEO_ARCHIVE_BASE}?${params.toString()}`);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    if (!data?.hourly?.time) {
+        return { data: null, error: new Error('Received unexpected weather data format from the Open-Meteo archive') };
+    }
+
+    // The archive lags a few days behind; its most recent hours come back empty
+    const hourly = toHourlyWeather(data.hourly).filter(h => Number.isFinite(h.temperature));
+    const transformed = buildWeatherData(hourly, { source: 'open-meteo-archive', units: data.hourly_units, now });
+
+    // Without the requested hour, buildWeatherData() falls back to the last one it has
+    // (often the evening before); don't pass that off as the replay moment
+    if (!transformed || !isSameHour(transformed.current.time, now)) {
+        return { data: null, error: new Error('No archived weather for that date yet') };
+    }
+    return { data: transformed, error: null };
+}
+
+// Helper functions
+
+function isSameHour(time, now) {
+    const hour = new Date(time);
+    return hour.getFullYear() === now.getFullYear() && hour.getMonth() === now.getMonth() &&
+        hour.getDate() === now.getDate() && hour.getHours() === now.getHours();
+}
+
+function toDateParam(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
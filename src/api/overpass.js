@@ -0,0 +1,115 @@
+/**
+ * OpenStreetMap land-use extract via the Overpass API
+ * Free API, no key required
+ * https://wiki.openstreetmap.org/wiki/Overpass_API
+ */
+
+import { fetchWithErrorHandling } from './client.js';
+import { OVERPASS_API_BASE } from '../config/constants.js';
+
+// OSM tags that tell us something about bird habitat
+const HABITAT_TAGS = {
+    natural: {
+        beach: 'coastal', bay: 'coastal', strait: 'coastal',
+        wetland: 'wetland', water: 'wetland',
+        grassland: 'grassland', heath: 'grassland', scrub: 'grassland',
+        wood: 'woodland',
+        ridge: 'ridge', cliff: 'ridge', peak: 'ridge', arete: 'ridge'
+    },
+    landuse: {
+        reservoir: 'wetland', basin: 'wetland',
+        meadow: 'grassland', farmland: 'grassland',
+        forest: 'woodland',
+        cemetery: 'urban'
+    },
+    leisure: {
+        park: 'urban'
+    }
+};
+
+// Features this close to a hotspot pin are fetched; anything further is another site's habitat
+const AROUND_RADIUS_M = 300;
+
+// Peaks are points; treat them as covering the ground within ~500 m
+const POINT_HALF_SIZE_DEG = 0.0045;
+
+/**
+ * Fetch the habitat-relevant OSM features at each hotspot
+ * Only the ground around the pins is queried: features within AROUND_RADIUS_M
+ * of a pin plus the areas containing it (a large park or forest whose edge is
+ * further away), so a dense metro area stays a small response.
+ * @param {Array<{lat: number, lon: number}>} points - Hotspot locations
+ * @returns {Promise<{data: Array|null, error: Error|null}>} Features as { habitat, name, bounds, isPoint }
+ */
+export async function fetchLanduseFeatures(points) {
+    const keys = Object.keys(HABITAT_TAGS).join('|');
+    const values = [...new Set(Object.values(HABITAT_TAGS).flatMap(Object.keys))].join('|');
+    // Key and value regexes together; a stray pairing (e.g. leisure=wood) is dropped by getHabitatFromTags()
+    const filter = `[~"^(${keys})$"~"^(${values})$"]`;
+
+    const statements = (points || []).map(({ lat, lon }) => {
+        const at = `${lat.toFixed(5)},${lon.toFixed(5)}`;
+        return `nwr(around:${AROUND_RADIUS_M},${at})${filter};is_in(${at})->.a;wr(pivot.a)${filter};`;
+    });
+    if (statements.length === 0) {
+        return { data: [], error: null };
+    }
+    // Nodes need their coordinates; ways and relations only their tags and bounding box
+    const query = `[out:json][timeout:25];(${statements.join('')})->.f;node.f;out qt;wr.f;out tags bb qt;`;
+
+    const { data, error } = await fetchWithErrorHandling(OVERPASS_API_BASE, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ data: query }).toString()
+    });
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: transformOverpassElements(data?.elements || []), error: null };
+}
+
+/**
+ * Convert Overpass elements into habitat features with bounding boxes
+ * @param {Array} elements - Overpass `elements` (ways/relations with `bounds`, nodes with lat/lon)
+ * @returns {Array<{habitat: string, name: string|null, bounds: {minLat, minLon, maxLat, maxLon}, isPoint: boolean}>}
+ *   `isPoint` marks nodes (peaks, cliffs) whose bounds are a box around the point
+ */
+export function transformOverpassElements(elements) {
+    return elements
+        .map(el => {
+            const habitat = getHabitatFromTags(el.tags || {});
+            const bounds = el.bounds
+                ? { minLat: el.bounds.minlat, minLon: el.bounds.minlon, maxLat: el.bounds.maxlat, maxLon: el.bounds.maxlon }
+                : pointBounds(el.lat, el.lon);
+            if (!habitat || !bounds) return null;
+            return {
+                id: el.id ? `${el.type}/${el.id}` : null,
+                habitat,
+                name: el.tags?.name || null,
+                bounds,
+                isPoint: !el.bounds
+            };
+        })
+        .filter(Boolean);
+}
+
+// Helper functions
+
+function getHabitatFromTags(tags) {
+    for (const [key, values] of Object.entries(HABITAT_TAGS)) {
+        if (values[tags[key]]) return values[tags[key]];
+    }
+    return null;
+}
+
+function pointBounds(lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    return {
+        minLat: lat - POINT_HALF_SIZE_DEG,
+        minLon: lon - POINT_HALF_SIZE_DEG,
+        maxLat: lat + POINT_HALF_SIZE_DEG,
+        maxLon: lon + POINT_HALF_SIZE_DEG
+    };
+}
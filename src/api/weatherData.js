@@ -0,0 +1,107 @@
+/**
+ * Normalized weather data shape shared by every weather provider
+ * Providers convert their own responses into HourlyWeather entries (metric units,
+ * past hours included) and hand them to buildWeatherData().
+ */
+
+/**
+ * One hour of weather, in the units Open-Meteo uses. Fields a provider
+ * can't supply are null.
+ * @typedef {object} HourlyWeather
+ * @property {Date} time - Start of the hour
+ * @property {number} temperature - °C
+ * @property {number} humidity - Relative humidity, %
+ * @property {number} precipitation - mm in the hour
+ * @property {number|null} precipProbability - %
+ * @property {number} weatherCode - WMO weather code (see config/weatherCodes.js)
+ * @property {number|null} pressure - Surface pressure, hPa
+ * @property {number|null} visibility - m
+ * @property {number} windSpeed - 10 m wind, km/h
+ * @property {number} windDirection - Degrees the wind blows from
+ * @property {number|null} windGusts - km/h
+ * @property {number|null} cloudCover - %
+ * @property {number|null} windSpeed850 - 850 hPa wind, km/h
+ * @property {number|null} windDirection850 - 850 hPa wind direction, degrees
+ */
+
+/**
+ * What every provider's fetchForecast() resolves to
+ * @typedef {object} WeatherData
+ * @property {HourlyWeather} current - The current hour
+ * @property {HourlyWeather[]} hourlyForecast - Up to 48 hours starting at the current hour
+ * @property {HourlyWeather[]} recentHours - Up to 24 hours before the current hour, oldest first
+ * @property {Array<{time: Date, pressure: number}>} pressureHistory - Last 12 hours up to now
+ * @property {Array<{time: Date, temp: number}>} tempHistory - Last 12 hours up to now
+ * @property {Array<{time: Date, precipitation: number}>} precipHistory - Last 6 hours up to now
+ * @property {number} precipLast6h - mm over the last 6 hours
+ * @property {object} units - Provider-reported units, for reference
+ * @property {string} source - Provider id
+ * @property {Date} fetchedAt
+ */
+
+const FORECAST_HOURS = 48;
+const TREND_HISTORY_HOURS = 12;
+const PRECIP_HISTORY_HOURS = 6;
+const RECENT_HOURS = 24;
+
+/**
+ * Build the normalized weather data from a provider's hourly series
+ * @param {HourlyWeather[]} hourly - Hours in time order, including past hours
+ * @param {object} options
+ * @param {string} options.source - Provider id
+ * @param {object} options.units - Provider-reported units
+ * @param {Date} options.now - Reference time
+ * @returns {WeatherData|null} null when there are no hours
+ */
+export function buildWeatherData(hourly, { source, units = {}, now = new Date() } = {}) {
+    if (!hourly || hourly.length === 0) {
+        return null;
+    }
+
+    const currentHourIndex = findCurrentHourIndex(hourly.map(h => h.time), now);
+    const pastHours = hourly.filter((h, i) => i <= currentHourIndex);
+
+    // Providers without a reading for some hours (e.g. NWS has no pressure) leave them out of the trends
+    const pressureHistory = pastHours
+        .filter(h => Number.isFinite(h.pressure))
+        .slice(-TREND_HISTORY_HOURS)
+        .map(h => ({ time: h.time, pressure: h.pressure }));
+
+    const tempHistory = pastHours
+        .slice(-TREND_HISTORY_HOURS)
+        .map(h => ({ time: h.time, temp: h.temperature }));
+
+    const precipHistory = pastHours
+        .slice(-PRECIP_HISTORY_HOURS)
+        .map(h => ({ time: h.time, precipitation: h.precipitation }));
+
+    const precipLast6h = precipHistory.reduce((sum, h) => sum + (h.precipitation || 0), 0);
+
+    return {
+        current: hourly[Math.max(currentHourIndex, 0)],
+        hourlyForecast: hourly.filter((h, i) => i >= currentHourIndex).slice(0, FORECAST_HOURS),
+        recentHours: pastHours.slice(0, -1).slice(-RECENT_HOURS),
+        pressureHistory,
+        tempHistory,
+        precipHistory,
+        precipLast6h,
+        units,
+        source,
+        fetchedAt: new Date()
+    };
+}
+
+/**
+ * Find the index of the current hour in the time array
+ */
+function findCurrentHourIndex(times, now) {
+    const nowHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours());
+
+    for (let i = 0; i < times.length; i++) {
+        const time = new Date(times[i]);
+        if (time >= nowHour) {
+            return i;
+        }
+    }
+    return times.length - 1;
+}
@@ -0,0 +1,49 @@
+/**
+ * Weather provider registry
+ * Every provider implements fetchForecast(lat, lon, options) and resolves to
+ * { data, error } where data follows the WeatherData shape in weatherData.js.
+ * The rest of the app calls fetchWeatherForecast() and never a provider directly.
+ */
+
+import store from '../state/store.js';
+import { fetchOpenMeteoForecast } from './openMeteo.js';
+import { fetchNwsForecast } from './nws.js';
+import { fetchFixtureForecast } from './fixtureWeather.js';
+
+export const DEFAULT_WEATHER_PROVIDER = 'open-meteo';
+
+export const WEATHER_PROVIDERS = {
+    'open-meteo': {
+        label: 'Open-Meteo (worldwide)',
+        fetchForecast: fetchOpenMeteoForecast
+    },
+    nws: {
+        label: 'National Weather Service (US only)',
+        fetchForecast: fetchNwsForecast
+    },
+    fixture: {
+        label: 'Demo data (offline fixture)',
+        fetchForecast: fetchFixtureForecast
+    }
+};
+
+/**
+ * Look up a provider, falling back to the default for unknown ids
+ * @param {string} id - Provider id
+ * @returns {{label: string, fetchForecast: Function}}
+ */
+export function getWeatherProvider(id) {
+    return WEATHER_PROVIDERS[id] || WEATHER_PROVIDERS[DEFAULT_WEATHER_PROVIDER];
+}
+
+/**
+ * Fetch a forecast from the selected provider
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} options - Passed to the provider; options.provider overrides the user's choice
+ * @returns {Promise<{data: object|null, error: Error|null}>}
+ */
+export async function fetchWeatherForecast(lat, lon, options = {}) {
+    const { provider = store.get('weatherProvider'), ...providerOptions } = options;
+    return getWeatherProvider(provider).fetchForecast(lat, lon, providerOptions);
+}
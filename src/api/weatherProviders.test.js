@@ -0,0 +1,76 @@
+import { transformFixture, createFixtureProvider } from './fixtureWeather.js';
+import { transformGridpointData } from './nws.js';
+import { getWeatherProvider, fetchWeatherForecast, DEFAULT_WEATHER_PROVIDER, WEATHER_PROVIDERS } from './weatherProviders.js';
+import demoFixture from '../data/weatherFixture.json';
+
+const NOW = new Date(2026, 4, 10, 9, 30);
+
+function expectWeatherDataShape(data) {
+  expect(data).toEqual(expect.objectContaining({
+    current: expect.any(Object),
+    hourlyForecast: expect.any(Array),
+    pressureHistory: expect.any(Array),
+    tempHistory: expect.any(Array),
+    precipHistory: expect.any(Array),
+    precipLast6h: expect.any(Number)
+  }));
+  expect(data.current.time).toBeInstanceOf(Date);
+  expect(data.hourlyForecast[0]).toBe(data.current);
+}
+
+describe('weather providers', () => {
+  test('fixture provider lines offset hours up with the current hour', () => {
+    const data = transformFixture(demoFixture, NOW);
+
+    expectWeatherDataShape(data);
+    expect(data.source).toBe('fixture');
+    expect(data.current.time).toEqual(new Date(2026, 4, 10, 9));
+    expect(data.hourlyForecast).toHaveLength(48);
+    expect(data.pressureHistory).toHaveLength(12);
+  });
+
+  test('fixture provider accepts absolute times and fills missing fields with null', async () => {
+    const fetchFixture = createFixtureProvider({
+      hourly: [
+        { time: '2026-05-10T10:00:00', temperature: 15, windSpeed: 10, windDirection: 90 },
+        { time: '2026-05-10T09:00:00', temperature: 14, windSpeed: 8, windDirection: 80 }
+      ]
+    });
+    const { data, error } = await fetchFixture(40, -75, { now: NOW });
+
+    expect(error).toBeNull();
+    expect(data.current.temperature).toBe(14);
+    expect(data.current.windDirection850).toBeNull();
+  });
+
+  test('NWS gridpoint intervals expand to hourly values in app units', () => {
+    const start = new Date(2026, 4, 10, 6).toISOString();
+    const grid = {
+      properties: {
+        temperature: { uom: 'wmoUnit:degC', values: [{ validTime: `${start}/PT6H`, value: 12 }] },
+        windSpeed: { uom: 'wmoUnit:km_h-1', values: [{ validTime: `${start}/PT6H`, value: 20 }] },
+        windDirection: { uom: 'wmoUnit:degree_(angle)', values: [{ validTime: `${start}/PT6H`, value: 315 }] },
+        quantitativePrecipitation: { uom: 'wmoUnit:mm', values: [{ validTime: `${start}/PT6H`, value: 3 }] },
+        skyCover: { uom: 'wmoUnit:percent', values: [{ validTime: `${start}/PT6H`, value: 100 }] }
+      }
+    };
+    const data = transformGridpointData(grid, NOW);
+
+    expectWeatherDataShape(data);
+    expect(data.hourlyForecast).toHaveLength(3);
+    expect(data.current.windDirection).toBe(315);
+    // 3 mm over 6 hours is 0.5 mm each hour - light rain
+    expect(data.current.precipitation).toBe(0.5);
+    expect(data.current.weatherCode).toBe(61);
+    // No pressure from NWS, so no pressure history
+    expect(data.current.pressure).toBeNull();
+    expect(data.pressureHistory).toEqual([]);
+  });
+
+  test('unknown provider ids fall back to the default', async () => {
+    expect(getWeatherProvider('nope')).toBe(WEATHER_PROVIDERS[DEFAULT_WEATHER_PROVIDER]);
+
+    const { data } = await fetchWeatherForecast(40, -75, { provider: 'fixture', now: NOW });
+    expect(data.source).toBe('fixture');
+  });
+});
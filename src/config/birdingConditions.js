@@ -1,53 +1,74 @@
 /**
  * Birding-specific weather condition scoring and thresholds
  * Based on birding literature and field experience
+ * Weights and band edges come from scoringConfig.js so users can tune them.
  */
 
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+// Onshore sector (NE to S) used when a coast's orientation is unknown
+const DEFAULT_ONSHORE_SECTOR = { min: 45, max: 180 };
+
+// Wind direction that drives raptor migration along ridges, by season:
+// NW behind fall cold fronts, SSW ahead of spring warm fronts
+const HAWK_SEASON_WIND = { fall: 315, spring: 200 };
+
+// Below this the wind direction doesn't count for or against a target species
+const TARGET_CALM_MPH = 3;
+
 /**
  * Hawk Watch Scoring
- * Ideal conditions: NW winds 10-25 mph, clear visibility
+ * Ideal conditions: NW winds 10-25 mph, clear visibility (eastern ridge in fall)
+ * A profile adapts the ideal wind to the site's ridge or shoreline bearing,
+ * season, and lift type.
  * @param {number} windDir - Wind direction in degrees (0-360)
  * @param {number} windSpeed - Wind speed in mph
  * @param {number} visibility - Visibility in meters
+ * @param {object|null} profile - { bearing, season: 'spring'|'fall', lift: 'ridge'|'thermal' }
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score (0-100) and rating
  */
-export function scoreHawkWatch(windDir, windSpeed, visibility) {
-    let score = 50; // baseline
+export function scoreHawkWatch(
+    windDir, windSpeed, visibility, profile = null, config = DEFAULT_SCORING_CONFIG.hawkWatchScore
+) {
+    let score = config.baseline;
 
-    // Wind direction scoring (NW winds ideal for eastern ridges)
-    // W (270) through NE (45) are favorable
-    const favorableDir = isWindInRange(windDir, 250, 70);
-    const idealDir = isWindInRange(windDir, 290, 360) || isWindInRange(windDir, 0, 45);
+    const sectors = getHawkWindSectors(profile);
+    const favorableDir = isWindInRange(windDir, sectors.favorable.min, sectors.favorable.max);
+    const idealDir = isWindInRange(windDir, sectors.ideal.min, sectors.ideal.max);
 
     if (idealDir) {
-        score += 20;
+        score += config.idealDirectionPoints;
     } else if (favorableDir) {
-        score += 10;
+        score += config.favorableDirectionPoints;
     } else {
-        score -= 15; // SE-SW winds not great for hawk watching
+        score += config.unfavorableDirectionPoints; // e.g. SE-SW winds at an eastern fall ridge
     }
 
-    // Wind speed scoring (10-25 mph ideal)
-    if (windSpeed >= 10 && windSpeed <= 25) {
-        score += 20;
-    } else if (windSpeed >= 5 && windSpeed < 10) {
-        score += 10;
-    } else if (windSpeed > 25 && windSpeed <= 35) {
-        score += 5;
-    } else if (windSpeed > 35) {
-        score -= 20; // too windy, birds may not fly
-    } else if (windSpeed < 5) {
-        score -= 10; // too calm, less lift
+    // Ridge lift wants 10-25 mph by default; thermal sites want light winds that
+    // let birds soar, since strong winds shear thermals apart
+    const speed = getHawkSpeedBands(profile, config);
+    if (windSpeed >= speed.idealMin && windSpeed <= speed.idealMax) {
+        score += config.idealSpeedPoints;
+    } else if (windSpeed >= speed.lightMin && windSpeed < speed.idealMin) {
+        score += config.lightWindPoints;
+    } else if (windSpeed > speed.idealMax && windSpeed <= speed.strongMax) {
+        score += config.strongWindPoints;
+    } else if (windSpeed > speed.strongMax) {
+        score += config.tooWindyPoints; // too windy, birds may not fly
+    } else if (windSpeed < speed.lightMin) {
+        score += config.tooCalmPoints; // too calm, less lift
     }
 
     // Visibility scoring (need good visibility to spot birds)
-    const visibilityMiles = visibility / 1609.34;
-    if (visibilityMiles > 10) {
-        score += 10;
-    } else if (visibilityMiles >= 5) {
-        score += 5;
-    } else if (visibilityMiles < 2) {
-        score -= 20;
+    const visibilityMiles = toVisibilityMiles(visibility);
+    const visibilityBands = getVisibilityBands(config);
+    if (visibilityMiles > visibilityBands.clear) {
+        score += config.clearVisibilityPoints;
+    } else if (visibilityMiles >= visibilityBands.goodMin) {
+        score += config.goodVisibilityPoints;
+    } else if (visibilityMiles < visibilityBands.poor) {
+        score += config.poorVisibilityPoints;
     }
 
     score = Math.max(0, Math.min(100, score));
@@ -55,7 +76,7 @@ export function scoreHawkWatch(windDir, windSpeed, visibility) {
     return {
         score,
         rating: getScoreRating(score),
-        details: getHawkWatchDetails(windDir, windSpeed, visibilityMiles)
+        details: getHawkWatchDetails(windDir, windSpeed, visibilityMiles, sectors, profile, config, speed)
     };
 }
 
@@ -65,46 +86,44 @@ export function scoreHawkWatch(windDir, windSpeed, visibility) {
  * @param {number} windDir - Wind direction in degrees
  * @param {number} windSpeed - Wind speed in mph
  * @param {number} precipitation - Recent precipitation in mm
- * @param {string} coastOrientation - 'east', 'west', 'gulf' - determines onshore direction
+ * @param {{min: number, max: number}} onshoreSector - Wind directions blowing in from the water
+ *   (from the shoreline dataset); defaults to an east-facing coast
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score and rating
  */
-export function scoreSeabirding(windDir, windSpeed, precipitation, coastOrientation = 'east') {
-    let score = 40;
-
-    // Determine onshore wind range based on coast
-    const onshoreRanges = {
-        east: { min: 45, max: 180 },    // NE to S winds push birds to East Coast
-        west: { min: 225, max: 360 },   // SW to N winds push birds to West Coast
-        gulf: { min: 135, max: 270 }    // SE to W winds push birds to Gulf Coast
-    };
+export function scoreSeabirding(
+    windDir, windSpeed, precipitation, onshoreSector = DEFAULT_ONSHORE_SECTOR,
+    config = DEFAULT_SCORING_CONFIG.seabirdScore
+) {
+    let score = config.baseline;
 
-    const range = onshoreRanges[coastOrientation] || onshoreRanges.east;
-    const isOnshore = isWindInRange(windDir, range.min, range.max);
+    const isOnshore = isWindInRange(windDir, onshoreSector.min, onshoreSector.max);
 
     if (isOnshore) {
-        score += 25;
+        score += config.onshorePoints;
     } else {
-        score -= 10; // offshore winds push birds away
+        score += config.offshorePoints; // offshore winds push birds away
     }
 
     // Wind speed (stronger = more birds pushed in)
-    if (windSpeed >= 25) {
-        score += 25; // storm-driven birds
-    } else if (windSpeed >= 20) {
-        score += 20;
-    } else if (windSpeed >= 15) {
-        score += 15;
-    } else if (windSpeed >= 10) {
-        score += 5;
+    const speed = getSeabirdSpeedBands(config);
+    if (windSpeed >= config.galeSpeed) {
+        score += config.galePoints; // storm-driven birds
+    } else if (windSpeed >= speed.strongMin) {
+        score += config.strongWindPoints;
+    } else if (windSpeed >= speed.freshMin) {
+        score += config.freshWindPoints;
+    } else if (windSpeed >= config.calmSpeed) {
+        score += config.moderateWindPoints;
     } else {
-        score -= 10; // calm conditions = birds stay offshore
+        score += config.calmPoints; // calm conditions = birds stay offshore
     }
 
     // Recent precipitation bonus (storms push pelagics closer)
-    if (precipitation > 5) {
-        score += 10;
+    if (precipitation > config.heavyRainAmount) {
+        score += config.heavyRainPoints;
     } else if (precipitation > 0) {
-        score += 5;
+        score += config.lightRainPoints;
     }
 
     score = Math.max(0, Math.min(100, score));
@@ -112,7 +131,77 @@ export function scoreSeabirding(windDir, windSpeed, precipitation, coastOrientat
     return {
         score,
         rating: getScoreRating(score),
-        details: getSeabirdDetails(windDir, windSpeed, isOnshore)
+        details: getSeabirdDetails(windSpeed, isOnshore, config, speed)
+    };
+}
+
+/**
+ * Lakewatch Scoring (Great Lakes and other large lakes)
+ * Ideal: Strong onshore winds just after a cold front pushes jaegers, loons,
+ * and other waterbirds along the shore
+ * @param {number} windDir - Wind direction in degrees
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number} visibility - Visibility in meters
+ * @param {object} frontPassage - Result of detectFrontPassage()
+ * @param {{min: number, max: number}} onshoreSector - Wind directions blowing in off the lake
+ * @param {object} config - Weights from scoringConfig.js
+ * @returns {object} Score and rating
+ */
+export function scoreLakewatch(
+    windDir, windSpeed, visibility, frontPassage, onshoreSector, config = DEFAULT_SCORING_CONFIG.lakewatchScore
+) {
+    let score = config.baseline;
+    const details = [];
+
+    const isOnshore = isWindInRange(windDir, onshoreSector.min, onshoreSector.max);
+
+    if (isOnshore) {
+        score += config.onshorePoints;
+        details.push('Onshore winds pushing birds to the shore');
+    } else {
+        score += config.offshorePoints;
+        details.push('Unfavorable offshore winds');
+    }
+
+    // Strong onshore winds concentrate birds along the shoreline;
+    // strong offshore winds just carry them out over the lake
+    if (windSpeed >= config.galeSpeed) {
+        score += isOnshore ? config.onshoreGalePoints : config.offshoreStrongPoints;
+        if (isOnshore) details.push('Gale-force winds - prime for jaegers');
+    } else if (windSpeed >= config.strongSpeed) {
+        score += isOnshore ? config.onshoreStrongPoints : config.offshoreStrongPoints;
+        if (isOnshore) details.push(`Strong wind (${windSpeed} mph)`);
+    } else if (windSpeed >= config.strongSpeed - config.moderateWindSpan) {
+        score += config.moderateWindPoints;
+    } else {
+        score += config.lightWindPoints;
+        details.push('Winds too light to move birds');
+    }
+
+    // The day after a cold front is the classic lakewatch setup
+    if (frontPassage?.detected && frontPassage.type === 'post-cold') {
+        score += config.postColdFrontPoints;
+        details.push('Cold front just passed');
+    } else if (frontPassage?.detected && frontPassage.type === 'cold') {
+        score += config.coldFrontPoints;
+        details.push('Cold front approaching');
+    }
+
+    const visibilityMiles = toVisibilityMiles(visibility);
+    if (visibilityMiles > config.clearVisibility) {
+        score += config.clearVisibilityPoints;
+        details.push('Good visibility over the lake');
+    } else if (visibilityMiles < config.poorVisibility) {
+        score += config.poorVisibilityPoints;
+        details.push('Poor visibility over the lake');
+    }
+
+    score = Math.max(0, Math.min(100, score));
+
+    return {
+        score,
+        rating: getScoreRating(score),
+        details
     };
 }
 
@@ -121,47 +210,51 @@ export function scoreSeabirding(windDir, windSpeed, precipitation, coastOrientat
  * Factors that affect whether migrants are arriving/present
  * @param {number} windDir - Wind direction in degrees
  * @param {string} pressureTrend - 'rising', 'falling', 'steady', etc.
- * @param {string} season - 'spring', 'fall', or 'winter'
+ * @param {string} season - 'spring', 'fall', 'summer', or 'winter'
+ * @param {{min: number, max: number}|null} tailwindSector - Favorable winds for this season and
+ *   hemisphere (from getMigrationSeason()); defaults to Northern Hemisphere tailwinds
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object|null} Score and rating, or null if not migration season
  */
-export function scoreSongbirdMigration(windDir, pressureTrend, season) {
+export function scoreSongbirdMigration(
+    windDir, pressureTrend, season, tailwindSector = null, config = DEFAULT_SCORING_CONFIG.songbirdMigrationScore
+) {
     // Return null if not in migration season
     if (season !== 'spring' && season !== 'fall') {
         return null;
     }
 
-    let score = 40;
+    let score = config.baseline;
     const details = [];
 
-    // Wind direction (seasonal) - 20 pts max
-    const favorableDir = season === 'spring'
-        ? isWindInRange(windDir, 135, 270)  // S/SW winds in spring
-        : isWindInRange(windDir, 270, 45);   // NW/N winds in fall
+    // Wind direction (seasonal) - 20 pts max by default
+    const tailwind = getMigrationTailwind(season, tailwindSector);
+    const favorableDir = isWindInRange(windDir, tailwind.min, tailwind.max);
 
     if (favorableDir) {
-        score += 20;
+        score += config.tailwindPoints;
         details.push('Favorable winds for migration');
     } else {
-        score -= 5;
+        score += config.headwindPoints;
         details.push('Headwinds slowing migration');
     }
 
     // Pressure trend - 20 pts max
     // Rising-fast = post-front = birds concentrated (best!)
     if (pressureTrend === 'rising-fast') {
-        score += 20;
+        score += config.postFrontPoints;
         details.push('Post-front - migrants concentrated');
     } else if (pressureTrend === 'rising') {
-        score += 15;
+        score += config.risingPoints;
         details.push('Rising pressure - birds moving');
     } else if (pressureTrend === 'falling') {
-        score += 5;
+        score += config.fallingPoints;
         details.push('Pre-front conditions');
     } else if (pressureTrend === 'falling-fast') {
-        score -= 5;
+        score += config.stormPoints;
         details.push('Storm approaching - birds grounded');
     } else {
-        score += 10;
+        score += config.steadyPoints;
         details.push('Steady conditions');
     }
 
@@ -174,6 +267,72 @@ export function scoreSongbirdMigration(windDir, pressureTrend, season) {
     };
 }
 
+/**
+ * Nocturnal Migration Score (one night hour)
+ * Songbirds migrate at night on winds aloft: tailwinds at 850 hPa, clear to
+ * partly cloudy skies, and no rain put the most birds in the air
+ * @param {number} windDir850 - 850 hPa wind direction in degrees
+ * @param {number} windSpeed850 - 850 hPa wind speed in mph
+ * @param {number} cloudCover - Cloud cover (%)
+ * @param {number} precipitation - Precipitation this hour (mm)
+ * @param {{min: number, max: number}} tailwindSector - Favorable winds for the season
+ * @param {object} config - Weights from scoringConfig.js
+ * @returns {object} Score and rating
+ */
+export function scoreNocturnalMigration(
+    windDir850, windSpeed850, cloudCover, precipitation, tailwindSector,
+    config = DEFAULT_SCORING_CONFIG.nocturnalMigration
+) {
+    let score = config.baseline;
+    const details = [];
+
+    if (isWindInRange(windDir850, tailwindSector.min, tailwindSector.max)) {
+        if (windSpeed850 >= config.tailwindSpeedMin && windSpeed850 <= config.tailwindSpeedMax) {
+            score += config.tailwindPoints;
+            details.push('Tailwinds aloft');
+        } else if (windSpeed850 > config.tailwindSpeedMax) {
+            score += config.offBandTailwindPoints;
+            details.push('Strong tailwinds aloft');
+        } else {
+            score += config.offBandTailwindPoints;
+            details.push('Light tailwinds aloft');
+        }
+    } else if (windSpeed850 < config.lightWindSpeed) {
+        score += config.lightWindPoints;
+        details.push('Light winds aloft');
+    } else {
+        score += config.headwindPoints;
+        details.push('Headwinds aloft');
+    }
+
+    if (cloudCover !== null && cloudCover !== undefined) {
+        if (cloudCover <= config.clearSkyCover) {
+            score += config.clearSkyPoints;
+            details.push('Clear to partly cloudy');
+        } else if (cloudCover > config.overcastCover) {
+            score += config.overcastPoints;
+            details.push('Overcast');
+        }
+    }
+
+    // Rain grounds migrants
+    if (precipitation > config.heavyRainAmount) {
+        score += config.heavyRainPoints;
+        details.push('Heavy rain grounding migrants');
+    } else if (precipitation > 0.1) {
+        score += config.rainPoints;
+        details.push('Rain grounding migrants');
+    }
+
+    score = Math.max(0, Math.min(100, score));
+
+    return {
+        score,
+        rating: getScoreRating(score),
+        details
+    };
+}
+
 /**
  * Songbird Activity Score (Year-round)
  * Factors that affect whether birds are visible/active
@@ -181,10 +340,13 @@ export function scoreSongbirdMigration(windDir, pressureTrend, season) {
  * @param {number} weatherCode - WMO weather code
  * @param {number} windSpeed - Wind speed in mph
  * @param {number} hour - Hour of day (0-23)
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score and rating
  */
-export function scoreSongbirdActivity(temp, weatherCode, windSpeed, hour = 7) {
-    let score = 40;
+export function scoreSongbirdActivity(
+    temp, weatherCode, windSpeed, hour = 7, config = DEFAULT_SCORING_CONFIG.songbirdActivityScore
+) {
+    let score = config.baseline;
     const details = [];
 
     // Time of day - songbirds most active at dawn and dusk
@@ -193,64 +355,66 @@ export function scoreSongbirdActivity(temp, weatherCode, windSpeed, hour = 7) {
     const isMidday = hour >= 12 && hour < 15;
 
     if (isDawn) {
-        score += 15;
+        score += config.dawnPoints;
         details.push('Dawn chorus - peak activity');
     } else if (isDusk) {
-        score += 10;
+        score += config.duskPoints;
         details.push('Evening activity');
     } else if (isMidday) {
-        score -= 10;
+        score += config.middayPoints;
         details.push('Midday lull');
     }
 
-    // Weather conditions - 25 pts max
+    // Weather conditions - 25 pts max by default
     if (weatherCode <= 2) {
-        score += 25;
+        score += config.clearSkyPoints;
         details.push('Clear skies - birds active');
     } else if (weatherCode === 3) {
-        score += 20;
+        score += config.overcastPoints;
         details.push('Overcast - extended activity');
     } else if (weatherCode >= 45 && weatherCode < 50) {
-        score += 10;
+        score += config.fogPoints;
         details.push('Foggy - check sheltered areas');
     } else if (weatherCode >= 50 && weatherCode < 80) {
-        score -= 5;
+        score += config.lightPrecipPoints;
         details.push('Light precip - reduced activity');
     } else if (weatherCode >= 80) {
-        score -= 15;
+        score += config.heavyPrecipPoints;
         details.push('Heavy precip - birds sheltering');
     }
 
-    // Temperature - 15 pts max
-    if (temp >= 50 && temp <= 75) {
-        score += 15;
+    // Temperature - 15 pts max by default
+    if (temp >= config.idealTempMin && temp <= config.idealTempMax) {
+        score += config.idealTempPoints;
         details.push('Ideal temps for activity');
-    } else if (temp >= 40 && temp < 50) {
-        score += 10;
+    } else if (temp >= config.idealTempMin - config.coolTempSpan && temp < config.idealTempMin) {
+        score += config.coolPoints;
         details.push('Cool - morning activity best');
-    } else if (temp < 40) {
-        score += 5;
+    } else if (temp < config.idealTempMin) {
+        score += config.coldPoints;
         details.push('Cold - check feeders');
-    } else if (temp > 85) {
-        score -= 10;
+    } else if (temp > config.idealTempMax + config.warmTempSpan) {
+        score += config.hotPoints;
         details.push('Hot - early morning only');
-    } else if (temp > 75) {
-        score += 5;
+    } else if (temp > config.idealTempMax) {
+        score += config.warmPoints;
         details.push('Warm - avoid midday');
     }
 
-    // Wind speed - 15 pts max
-    if (windSpeed < 8) {
-        score += 15;
+    // Wind speed - 15 pts max by default; the light and breezy bands sit between calm and very windy
+    const lightMax = Math.min(config.calmSpeed + config.lightWindSpan, config.windySpeed);
+    const breezyMin = Math.max(config.windySpeed - config.breezyWindSpan, lightMax);
+    if (windSpeed < config.calmSpeed) {
+        score += config.calmPoints;
         details.push('Calm winds - easy spotting');
-    } else if (windSpeed < 15) {
-        score += 10;
+    } else if (windSpeed < lightMax) {
+        score += config.lightWindPoints;
         details.push('Light winds - good conditions');
-    } else if (windSpeed > 25) {
-        score -= 15;
+    } else if (windSpeed > config.windySpeed) {
+        score += config.windyPoints;
         details.push('Very windy - birds hunkered down');
-    } else if (windSpeed > 18) {
-        score -= 5;
+    } else if (windSpeed > breezyMin) {
+        score += config.breezyPoints;
         details.push('Breezy - check sheltered spots');
     }
 
@@ -270,46 +434,51 @@ export function scoreSongbirdActivity(temp, weatherCode, windSpeed, hour = 7) {
  * @param {number} windSpeed - Wind speed in mph
  * @param {number} precipLast6h - Precipitation in last 6 hours (mm)
  * @param {number} visibility - Visibility in meters
+ * @param {{min: number, max: number}} onshoreSector - Wind directions blowing in from the water
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score and rating
  */
-export function scoreShorebirds(windDir, windSpeed, precipLast6h, visibility) {
-    let score = 40;
+export function scoreShorebirds(
+    windDir, windSpeed, precipLast6h, visibility, onshoreSector = DEFAULT_ONSHORE_SECTOR,
+    config = DEFAULT_SCORING_CONFIG.shorebirdScore
+) {
+    let score = config.baseline;
     const details = [];
 
-    // Onshore winds (NE through S)
-    if (isWindInRange(windDir, 45, 180)) {
-        score += 25;
+    // Onshore winds
+    if (isWindInRange(windDir, onshoreSector.min, onshoreSector.max)) {
+        score += config.onshorePoints;
         details.push('Onshore winds');
     } else {
-        score -= 5;
+        score += config.offshorePoints;
         details.push('Offshore winds');
     }
 
     // Recent rain exposes mudflats
-    if (precipLast6h > 2) {
-        score += 15;
+    if (precipLast6h > config.rainAmount) {
+        score += config.rainPoints;
         details.push('Recent rain - exposed mudflats');
     } else if (precipLast6h > 0) {
-        score += 10;
+        score += config.lightRainPoints;
         details.push('Light recent rain');
     }
 
     // Visibility for spotting
-    const visibilityMiles = visibility / 1609.34;
-    if (visibilityMiles > 8) {
-        score += 15;
+    const visibilityMiles = toVisibilityMiles(visibility);
+    if (visibilityMiles > config.clearVisibility) {
+        score += config.clearVisibilityPoints;
         details.push('Good visibility');
-    } else if (visibilityMiles < 2) {
-        score -= 10;
+    } else if (visibilityMiles < config.poorVisibility) {
+        score += config.poorVisibilityPoints;
         details.push('Poor visibility');
     }
 
     // Light winds best for feeding
-    if (windSpeed < 15) {
-        score += 10;
+    if (windSpeed < config.calmSpeed) {
+        score += config.calmPoints;
         details.push('Calm conditions for feeding');
-    } else if (windSpeed > 25) {
-        score -= 10;
+    } else if (windSpeed > config.windySpeed) {
+        score += config.windyPoints;
         details.push('Too windy');
     }
 
@@ -329,48 +498,51 @@ export function scoreShorebirds(windDir, windSpeed, precipLast6h, visibility) {
  * @param {number} windSpeed - Wind speed in mph
  * @param {number} visibility - Visibility in meters
  * @param {string} pressureTrend - Pressure trend
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score and rating
  */
-export function scoreWaterfowl(temp, windSpeed, visibility, pressureTrend) {
-    let score = 40;
+export function scoreWaterfowl(
+    temp, windSpeed, visibility, pressureTrend, config = DEFAULT_SCORING_CONFIG.waterfowlScore
+) {
+    let score = config.baseline;
     const details = [];
 
     // Cold temps push birds south
-    if (temp < 35) {
-        score += 25;
+    if (temp < config.coldTemp) {
+        score += config.coldPoints;
         details.push('Prime waterfowl weather');
-    } else if (temp < 50) {
-        score += 20;
+    } else if (temp < Math.min(config.coldTemp + config.coolTempSpan, config.warmTemp)) {
+        score += config.coolPoints;
         details.push('Cold temps moving ducks');
-    } else if (temp > 60) {
-        score -= 10;
+    } else if (temp > config.warmTemp) {
+        score += config.warmPoints;
         details.push('Too warm for waterfowl activity');
     }
 
     // Moderate winds
-    if (windSpeed >= 10 && windSpeed <= 20) {
-        score += 15;
+    if (windSpeed >= config.flightSpeedMin && windSpeed <= config.flightSpeedMax) {
+        score += config.flightSpeedPoints;
         details.push('Good flight conditions');
-    } else if (windSpeed > 30) {
-        score -= 10;
+    } else if (windSpeed > config.flightSpeedMax + config.windyWindSpan) {
+        score += config.windyPoints;
         details.push('Winds too strong');
-    } else if (windSpeed < 5) {
-        score += 5;
+    } else if (windSpeed < config.flightSpeedMin - config.calmWindSpan) {
+        score += config.calmPoints;
         details.push('Calm - birds rafting');
     }
 
     // Visibility
-    const visibilityMiles = visibility / 1609.34;
-    if (visibilityMiles > 8) {
-        score += 15;
+    const visibilityMiles = toVisibilityMiles(visibility);
+    if (visibilityMiles > config.clearVisibility) {
+        score += config.clearVisibilityPoints;
         details.push('Clear skies');
-    } else if (visibilityMiles < 2) {
-        score -= 5;
+    } else if (visibilityMiles < config.poorVisibility) {
+        score += config.poorVisibilityPoints;
     }
 
     // Falling pressure (approaching storm)
     if (pressureTrend === 'falling' || pressureTrend === 'falling-fast') {
-        score += 10;
+        score += config.fallingPressurePoints;
         details.push('Storm pushing birds');
     }
 
@@ -391,10 +563,13 @@ export function scoreWaterfowl(temp, windSpeed, visibility, pressureTrend) {
  * @param {number} weatherCode - WMO weather code
  * @param {number} humidity - Relative humidity percentage
  * @param {number} hour - Hour of day (0-23)
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score and rating
  */
-export function scoreOwling(windSpeed, temp, weatherCode, humidity, hour = 21) {
-    let score = 45;
+export function scoreOwling(
+    windSpeed, temp, weatherCode, humidity, hour = 21, config = DEFAULT_SCORING_CONFIG.owlingScore
+) {
+    let score = config.baseline;
     const details = [];
 
     // Time of day - critical for owling
@@ -403,56 +578,56 @@ export function scoreOwling(windSpeed, temp, weatherCode, humidity, hour = 21) {
     const isDaytime = hour >= 10 && hour < 18;
 
     if (isNight) {
-        score += 30;
+        score += config.nightPoints;
         details.push('Prime owling hours');
     } else if (isTwilight) {
-        score += 10;
+        score += config.twilightPoints;
         details.push('Twilight - some owl activity');
     } else if (isDaytime) {
-        score -= 40;
+        score += config.daytimePoints;
         details.push('Daytime - owls roosting');
     }
 
     // Calm winds essential
-    if (windSpeed < 8) {
-        score += 20;
+    if (windSpeed < config.calmSpeed) {
+        score += config.calmPoints;
         details.push('Calm winds - owls active');
-    } else if (windSpeed > 15) {
-        score -= 20;
+    } else if (windSpeed > config.windySpeed) {
+        score += config.windyPoints;
         details.push('Too windy for owling');
     } else {
-        score += 5;
+        score += config.breezePoints;
     }
 
-    // Cool temps (40-50°F ideal)
-    if (temp >= 35 && temp <= 55) {
-        score += 15;
+    // Cool temps (35-55°F ideal by default)
+    if (temp >= config.idealTempMin && temp <= config.idealTempMax) {
+        score += config.idealTempPoints;
         details.push('Ideal temps for owling');
-    } else if (temp < 25) {
-        score -= 10;
+    } else if (temp < config.idealTempMin - config.coldTempSpan) {
+        score += config.coldPoints;
         details.push('Very cold - reduced activity');
-    } else if (temp > 65) {
-        score -= 5;
+    } else if (temp > config.idealTempMax + config.hotTempSpan) {
+        score += config.hotPoints;
     }
 
     // Clear or partly cloudy (weather codes 0-2)
     if (weatherCode <= 1) {
-        score += 20;
+        score += config.clearSkyPoints;
         details.push('Clear skies');
     } else if (weatherCode <= 3) {
-        score += 10;
+        score += config.partlyCloudyPoints;
         details.push('Partly cloudy');
     } else if (weatherCode >= 50) {
-        score -= 15;
+        score += config.precipPoints;
         details.push('Precipitation - owls less active');
     }
 
     // Low humidity (sound carries better)
-    if (humidity < 70) {
-        score += 10;
+    if (humidity < config.lowHumidity) {
+        score += config.lowHumidityPoints;
         details.push('Low humidity - good acoustics');
-    } else if (humidity > 90) {
-        score -= 5;
+    } else if (humidity > config.highHumidity) {
+        score += config.highHumidityPoints;
         details.push('High humidity');
     }
 
@@ -465,10 +640,100 @@ export function scoreOwling(windSpeed, temp, weatherCode, humidity, hour = 21) {
     };
 }
 
+/**
+ * Fixed point weights for target species scoring
+ * Not in scoringConfig.js: each profile already sets its own sectors, speed
+ * bands, months, hours, and habitats, so these only weigh a match against a miss.
+ */
+export const TARGET_SCORE_POINTS = {
+    baseline: 50,
+    anyDirection: 10,
+    favorableDirection: 20,
+    unfavorableDirection: -15,
+    idealSpeed: 20,
+    acceptableSpeed: 5,
+    outsideSpeed: -20,
+    outOfSeason: -30,
+    outsideHours: -25,
+    habitatNearby: 10,
+    noHabitatNearby: -15
+};
+
+/**
+ * Target Species Scoring
+ * Scores one species profile (format in modules/targets.js) from wind
+ * direction and speed, season, time of day, and nearby habitat, using
+ * TARGET_SCORE_POINTS.
+ * @param {object} profile - Normalized target profile
+ * @param {number} windDir - Wind direction in degrees
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number} month - Month (1-12)
+ * @param {number} hour - Hour of day (0-23)
+ * @param {boolean|null} habitatNearby - One of the profile's habitats is nearby (null if unknown)
+ * @returns {object} Score and rating
+ */
+export function scoreTargetSpecies(profile, windDir, windSpeed, month, hour, habitatNearby = null) {
+    const points = TARGET_SCORE_POINTS;
+    let score = points.baseline;
+    const details = [];
+
+    // Wind direction - only matters once there's some wind
+    if (profile.windSectors.length === 0) {
+        score += points.anyDirection;
+    } else if (windSpeed < TARGET_CALM_MPH) {
+        details.push('Calm - wind direction not a factor');
+    } else if (profile.windSectors.some(s => isWindInRange(windDir, s.min, s.max))) {
+        score += points.favorableDirection;
+        details.push(`Favorable ${compassPoint(windDir)} wind`);
+    } else {
+        score += points.unfavorableDirection;
+        details.push(`${compassPoint(windDir)} wind not favorable`);
+    }
+
+    // Wind speed bands
+    const [idealMin, idealMax] = profile.windSpeedMph.ideal;
+    const [okMin, okMax] = profile.windSpeedMph.acceptable;
+    if (windSpeed >= idealMin && windSpeed <= idealMax) {
+        score += points.idealSpeed;
+        details.push(`Ideal wind speed (${Math.round(windSpeed)} mph)`);
+    } else if (windSpeed >= okMin && windSpeed <= okMax) {
+        score += points.acceptableSpeed;
+    } else {
+        score += points.outsideSpeed;
+        details.push(windSpeed > okMax ? 'Too windy' : 'Not enough wind');
+    }
+
+    if (profile.months.length > 0 && !profile.months.includes(month)) {
+        score += points.outOfSeason;
+        details.push('Out of season');
+    }
+
+    if (profile.hours && !isHourInRange(hour, profile.hours.start, profile.hours.end)) {
+        score += points.outsideHours;
+        details.push('Outside its active hours');
+    }
+
+    if (habitatNearby === true) {
+        score += points.habitatNearby;
+        details.push('Suitable habitat nearby');
+    } else if (habitatNearby === false) {
+        score += points.noHabitatNearby;
+        details.push('No suitable habitat nearby');
+    }
+
+    score = Math.max(0, Math.min(100, score));
+
+    return {
+        score,
+        rating: getScoreRating(score),
+        details
+    };
+}
+
 /**
  * Fallout Risk Assessment
  * High risk when migrants forced down by weather
- * @param {number} visibility - Visibility in meters
+ * @param {number|null} visibility - Visibility in meters (null when unknown)
  * @param {number} humidity - Relative humidity percentage
  * @param {number} precipLast6h - Precipitation in last 6 hours (mm)
  * @param {string} pressureTrend - 'rising', 'falling', 'steady', 'falling-fast'
@@ -477,13 +742,15 @@ export function scoreOwling(windSpeed, temp, weatherCode, humidity, hour = 21) {
 export function assessFalloutRisk(visibility, humidity, precipLast6h, pressureTrend) {
     let riskScore = 0;
 
-    // Low visibility forces migrants down
-    if (visibility < 2000) {
-        riskScore += 4;
-    } else if (visibility < 5000) {
-        riskScore += 3;
-    } else if (visibility < 8000) {
-        riskScore += 1;
+    // Low visibility forces migrants down (skipped when unknown)
+    if (Number.isFinite(visibility)) {
+        if (visibility < 2000) {
+            riskScore += 4;
+        } else if (visibility < 5000) {
+            riskScore += 3;
+        } else if (visibility < 8000) {
+            riskScore += 1;
+        }
     }
 
     // High humidity often indicates fog/low clouds
@@ -523,7 +790,9 @@ export function assessFalloutRisk(visibility, humidity, precipLast6h, pressureTr
  * @returns {object} Trend info
  */
 export function analyzePressureTrend(pressureHistory) {
-    if (!pressureHistory || pressureHistory.length < 2) {
+    // Skip hours without a reading (some providers have no pressure at all)
+    pressureHistory = (pressureHistory || []).filter(h => Number.isFinite(h.pressure));
+    if (pressureHistory.length < 2) {
         return { trend: 'unknown', change: 0, description: 'Insufficient data' };
     }
 
@@ -622,9 +891,52 @@ export function detectFrontPassage(pressureHistory, tempHistory) {
     return { detected: false };
 }
 
-// Helper functions
+/**
+ * Wind sectors each score treats as favourable at a location
+ * Mirrors the direction checks inside the scorers, so the wind rose can show
+ * when the forecast wind swings into them.
+ * @param {object} location - Scoring context: { isCoastal, coastInfo, isLakeShore, lakeInfo, hawkProfile, season,
+ *   tailwindSector }
+ * @returns {Array<{scoreKey: string, label: string, min: number, max: number}>} Sectors run clockwise from min to max
+ */
+export function getFavorableWindSectors(location = {}) {
+    const { isCoastal, coastInfo, isLakeShore, lakeInfo, hawkProfile = null, season, tailwindSector } = location;
+    const sectors = [];
 
-function isWindInRange(dir, min, max) {
+    const hawk = getHawkWindSectors(hawkProfile);
+    sectors.push({ scoreKey: 'hawkWatchScore', label: `Ideal ${hawk.label} wind`, ...hawk.ideal });
+
+    if (isCoastal) {
+        const onshore = coastInfo?.onshoreSector ?? DEFAULT_ONSHORE_SECTOR;
+        sectors.push({ scoreKey: 'seabirdScore', label: 'Onshore wind', ...onshore });
+        sectors.push({ scoreKey: 'shorebirdScore', label: 'Onshore wind', ...onshore });
+    }
+
+    if (isLakeShore && lakeInfo?.onshoreSector) {
+        sectors.push({ scoreKey: 'lakewatchScore', label: 'Onshore wind off the lake', ...lakeInfo.onshoreSector });
+    }
+
+    if (season === 'spring' || season === 'fall') {
+        const tailwind = getMigrationTailwind(season, tailwindSector);
+        sectors.push({
+            scoreKey: 'songbirdMigrationScore',
+            label: `${capitalizeSeason(season)} tailwind`,
+            min: tailwind.min,
+            max: tailwind.max
+        });
+    }
+
+    return sectors;
+}
+
+/**
+ * Whether a wind direction falls in a sector, which may wrap through north
+ * @param {number} dir - Wind direction in degrees
+ * @param {number} min - Sector start (clockwise)
+ * @param {number} max - Sector end
+ * @returns {boolean}
+ */
+export function isWindInRange(dir, min, max) {
     if (min <= max) {
         return dir >= min && dir <= max;
     }
@@ -632,6 +944,33 @@ function isWindInRange(dir, min, max) {
     return dir >= min || dir <= max;
 }
 
+// Helper functions
+
+// Hemisphere-aware sector from getMigrationSeason(), else Northern Hemisphere defaults
+function getMigrationTailwind(season, tailwindSector) {
+    if (tailwindSector) return tailwindSector;
+    return season === 'spring'
+        ? { min: 135, max: 270 }  // S/SW winds in spring
+        : { min: 270, max: 45 };  // NW/N winds in fall
+}
+
+function capitalizeSeason(season) {
+    return season.charAt(0).toUpperCase() + season.slice(1);
+}
+
+function isHourInRange(hour, start, end) {
+    if (start <= end) {
+        return hour >= start && hour < end;
+    }
+    // Handle wrap past midnight (e.g., 19-5)
+    return hour >= start || hour < end;
+}
+
+// Unknown visibility (null) becomes NaN, so neither the bonus nor the penalty applies
+function toVisibilityMiles(visibility) {
+    return Number.isFinite(visibility) ? visibility / 1609.34 : NaN;
+}
+
 function getScoreRating(score) {
     if (score >= 80) return 'Excellent';
     if (score >= 65) return 'Good';
@@ -640,35 +979,87 @@ function getScoreRating(score) {
     return 'Unfavorable';
 }
 
-function getHawkWatchDetails(windDir, windSpeed, visibilityMiles) {
+function getHawkWatchDetails(windDir, windSpeed, visibilityMiles, sectors, profile, config, speed) {
     const details = [];
-
-    if (isWindInRange(windDir, 290, 360) || isWindInRange(windDir, 0, 45)) {
-        details.push('Ideal NW-NE wind direction');
-    } else if (isWindInRange(windDir, 250, 70)) {
+    const isThermal = profile?.lift === 'thermal';
+
+    if (isWindInRange(windDir, sectors.ideal.min, sectors.ideal.max)) {
+        if (!profile) {
+            details.push('Ideal NW-NE wind direction');
+        } else if (isThermal) {
+            details.push(`Ideal ${sectors.label} tailwind for ${profile.season} migration`);
+        } else {
+            details.push(`Ideal ${sectors.label} wind - updrafts along the ridge`);
+        }
+    } else if (isWindInRange(windDir, sectors.favorable.min, sectors.favorable.max)) {
         details.push('Favorable wind direction');
     } else {
         details.push('Wind direction not optimal');
     }
 
-    if (windSpeed >= 10 && windSpeed <= 25) {
-        details.push(`Good wind speed (${windSpeed} mph)`);
-    } else if (windSpeed > 35) {
-        details.push('Winds may be too strong');
-    } else if (windSpeed < 5) {
+    if (windSpeed >= speed.idealMin && windSpeed <= speed.idealMax) {
+        details.push(isThermal
+            ? `Light winds good for thermal soaring (${windSpeed} mph)`
+            : `Good wind speed (${windSpeed} mph)`);
+    } else if (windSpeed > speed.strongMax) {
+        details.push(isThermal ? 'Winds too strong for thermals' : 'Winds may be too strong');
+    } else if (windSpeed < speed.lightMin) {
         details.push('Winds too light for good lift');
     }
 
-    if (visibilityMiles > 10) {
+    const visibilityBands = getVisibilityBands(config);
+    if (visibilityMiles > visibilityBands.clear) {
         details.push('Excellent visibility');
-    } else if (visibilityMiles < 2) {
+    } else if (visibilityMiles < visibilityBands.poor) {
         details.push('Poor visibility');
     }
 
     return details;
 }
 
-function getSeabirdDetails(windDir, windSpeed, isOnshore) {
+/**
+ * Ideal and favorable wind sectors for a hawk watch
+ * Ridge sites want wind blowing square onto the ridge (whichever side the
+ * season's migration winds come from); thermal sites want a seasonal tailwind.
+ */
+function getHawkWindSectors(profile) {
+    if (!profile) {
+        // Eastern ridges in fall: NW through NE ideal, W through ENE favorable
+        return { ideal: { min: 290, max: 45 }, favorable: { min: 250, max: 70 }, label: 'NW-NE' };
+    }
+
+    const seasonal = HAWK_SEASON_WIND[profile.season] ?? HAWK_SEASON_WIND.fall;
+    let center = seasonal;
+
+    if (profile.lift !== 'thermal') {
+        const sideA = normalizeDegrees(profile.bearing + 90);
+        const sideB = normalizeDegrees(profile.bearing - 90);
+        center = angleBetween(sideA, seasonal) <= angleBetween(sideB, seasonal) ? sideA : sideB;
+    }
+
+    const ideal = { min: normalizeDegrees(center - 45), max: normalizeDegrees(center + 45) };
+    return {
+        ideal,
+        favorable: { min: normalizeDegrees(center - 80), max: normalizeDegrees(center + 80) },
+        label: `${compassPoint(ideal.min)}-${compassPoint(ideal.max)}`
+    };
+}
+
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+function angleBetween(a, b) {
+    const diff = Math.abs(normalizeDegrees(a) - normalizeDegrees(b));
+    return Math.min(diff, 360 - diff);
+}
+
+function compassPoint(degrees) {
+    const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    return points[Math.round(normalizeDegrees(degrees) / 45) % 8];
+}
+
+function getSeabirdDetails(windSpeed, isOnshore, config, speed) {
     const details = [];
 
     if (isOnshore) {
@@ -677,17 +1068,50 @@ function getSeabirdDetails(windDir, windSpeed, isOnshore) {
         details.push('Offshore winds - birds staying out');
     }
 
-    if (windSpeed >= 25) {
+    if (windSpeed >= config.galeSpeed) {
         details.push('Storm-force winds excellent for pelagics');
-    } else if (windSpeed >= 15) {
+    } else if (windSpeed >= speed.freshMin) {
         details.push('Good wind speed for seabirding');
-    } else if (windSpeed < 10) {
+    } else if (windSpeed < config.calmSpeed) {
         details.push('Light winds - birds likely offshore');
     }
 
     return details;
 }
 
+// Strong and fresh bands hang below the storm edge but never reach under calm
+function getSeabirdSpeedBands(config) {
+    const strongMin = Math.max(config.galeSpeed - config.strongWindSpan, config.calmSpeed);
+    return { strongMin, freshMin: Math.max(strongMin - config.freshWindSpan, config.calmSpeed) };
+}
+
+// Ridge sites also lose points below the light band; at thermal sites any wind under ideal is light
+function getHawkSpeedBands(profile, config) {
+    if (profile?.lift === 'thermal') {
+        return {
+            idealMin: config.thermalSpeedMin,
+            idealMax: config.thermalSpeedMax,
+            lightMin: -Infinity,
+            strongMax: config.thermalSpeedMax + config.thermalStrongSpan
+        };
+    }
+    return {
+        idealMin: config.ridgeSpeedMin,
+        idealMax: config.ridgeSpeedMax,
+        lightMin: config.ridgeSpeedMin - config.ridgeLightSpan,
+        strongMax: config.ridgeSpeedMax + config.ridgeStrongSpan
+    };
+}
+
+// The good band hangs below the clear edge but never reaches under poor
+function getVisibilityBands(config) {
+    return {
+        clear: config.clearVisibility,
+        goodMin: Math.max(config.clearVisibility - config.goodVisibilitySpan, config.poorVisibility),
+        poor: config.poorVisibility
+    };
+}
+
 /**
  * Grassland Birds Scoring (Inland alternative to Seabird)
  * Ideal: Moderate wind 8-15mph, clear skies, 50-75°F, dawn/dusk
@@ -697,10 +1121,13 @@ function getSeabirdDetails(windDir, windSpeed, isOnshore) {
  * @param {number} temp - Temperature in Fahrenheit
  * @param {number} humidity - Relative humidity percentage
  * @param {number} hour - Hour of day (0-23)
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score and rating
  */
-export function scoreGrasslandBirds(windSpeed, visibility, temp, humidity, hour = 7) {
-    let score = 40;
+export function scoreGrasslandBirds(
+    windSpeed, visibility, temp, humidity, hour = 7, config = DEFAULT_SCORING_CONFIG.grasslandScore
+) {
+    let score = config.baseline;
     const details = [];
 
     // Time of day - grassland birds active at dawn/dusk
@@ -709,65 +1136,67 @@ export function scoreGrasslandBirds(windSpeed, visibility, temp, humidity, hour
     const isMidday = hour >= 11 && hour < 15;
 
     if (isDawn) {
-        score += 20;
+        score += config.dawnPoints;
         details.push('Dawn - peak grassland activity');
     } else if (isDusk) {
-        score += 15;
+        score += config.duskPoints;
         details.push('Dusk - good for harriers, short-eared owls');
     } else if (isMidday) {
-        score -= 10;
+        score += config.middayPoints;
         details.push('Midday - reduced activity');
     }
 
     // Wind speed - moderate wind ideal (birds perch on exposed stems)
-    if (windSpeed >= 8 && windSpeed <= 15) {
-        score += 20;
+    if (windSpeed >= config.idealSpeedMin && windSpeed <= config.idealSpeedMax) {
+        score += config.idealSpeedPoints;
         details.push('Ideal wind for grassland birds');
-    } else if (windSpeed < 8) {
-        score += 10;
+    } else if (windSpeed < config.idealSpeedMin) {
+        score += config.calmPoints;
         details.push('Calm - birds may be less visible');
-    } else if (windSpeed > 20) {
-        score -= 15;
+    } else if (windSpeed > config.windySpeed) {
+        score += config.windyPoints;
         details.push('Too windy - birds hunkered down');
     } else {
-        score += 5;
+        score += config.breezyPoints;
         details.push('Moderate wind');
     }
 
     // Visibility - need good visibility for open habitat
-    const visibilityMiles = visibility / 1609.34;
-    if (visibilityMiles > 10) {
-        score += 15;
+    const visibilityMiles = toVisibilityMiles(visibility);
+    const visibilityBands = getVisibilityBands(config);
+    if (visibilityMiles > visibilityBands.clear) {
+        score += config.clearVisibilityPoints;
         details.push('Excellent visibility');
-    } else if (visibilityMiles >= 5) {
-        score += 10;
+    } else if (visibilityMiles >= visibilityBands.goodMin) {
+        score += config.goodVisibilityPoints;
         details.push('Good visibility');
-    } else if (visibilityMiles < 2) {
-        score -= 15;
+    } else if (visibilityMiles < visibilityBands.poor) {
+        score += config.poorVisibilityPoints;
         details.push('Poor visibility - difficult scanning');
     }
 
-    // Temperature - moderate temps best
-    if (temp >= 50 && temp <= 75) {
-        score += 15;
+    // Temperature - moderate temps best; cold starts no higher than the cool band's bottom
+    const coolMin = config.idealTempMin - config.coolTempSpan;
+    if (temp >= config.idealTempMin && temp <= config.idealTempMax) {
+        score += config.idealTempPoints;
         details.push('Ideal temps for activity');
-    } else if (temp >= 40 && temp < 50) {
-        score += 10;
+    } else if (temp >= coolMin && temp < config.idealTempMin) {
+        score += config.coolPoints;
         details.push('Cool - check for longspurs');
-    } else if (temp < 35) {
-        score += 5;
+    } else if (temp < Math.min(config.idealTempMin - config.coldTempSpan, coolMin)) {
+        score += config.coldPoints;
         details.push('Cold - look for winter sparrows');
-    } else if (temp > 85) {
-        score -= 10;
+    } else if (temp > config.idealTempMax + config.hotTempSpan) {
+        score += config.hotPoints;
         details.push('Hot - early morning only');
     }
 
     // Humidity - lower humidity better for open grasslands
-    if (humidity < 60) {
-        score += 5;
+    if (humidity < config.lowHumidity) {
+        score += config.lowHumidityPoints;
         details.push('Low humidity - clear conditions');
-    } else if (humidity > 85) {
-        score -= 5;
+    } else if (humidity > config.highHumidity) {
+        score += config.highHumidityPoints;
         details.push('High humidity - possible fog');
     }
 
@@ -789,10 +1218,13 @@ export function scoreGrasslandBirds(windSpeed, visibility, temp, humidity, hour
  * @param {number} temp - Temperature in Fahrenheit
  * @param {number} humidity - Relative humidity percentage
  * @param {number} hour - Hour of day (0-23)
+ * @param {object} config - Weights from scoringConfig.js
  * @returns {object} Score and rating
  */
-export function scoreWoodlandBirds(windSpeed, weatherCode, temp, humidity, hour = 7) {
-    let score = 40;
+export function scoreWoodlandBirds(
+    windSpeed, weatherCode, temp, humidity, hour = 7, config = DEFAULT_SCORING_CONFIG.woodlandScore
+) {
+    let score = config.baseline;
     const details = [];
 
     // Time of day - woodland birds most active early morning
@@ -801,73 +1233,74 @@ export function scoreWoodlandBirds(windSpeed, weatherCode, temp, humidity, hour
     const isMidday = hour >= 12 && hour < 15;
 
     if (isDawn) {
-        score += 25;
+        score += config.dawnPoints;
         details.push('Dawn chorus - peak woodland activity');
     } else if (isMorning) {
-        score += 15;
+        score += config.morningPoints;
         details.push('Morning - good foraging activity');
     } else if (isMidday) {
-        score -= 10;
+        score += config.middayPoints;
         details.push('Midday lull - check water sources');
     }
 
     // Wind - calm is critical for woodland birding
-    if (windSpeed < 8) {
-        score += 20;
+    if (windSpeed < config.calmSpeed) {
+        score += config.calmPoints;
         details.push('Calm - excellent for hearing calls');
-    } else if (windSpeed < 12) {
-        score += 10;
+    } else if (windSpeed < Math.min(config.calmSpeed + config.lightWindSpan, config.windySpeed)) {
+        score += config.lightWindPoints;
         details.push('Light wind - good conditions');
-    } else if (windSpeed > 18) {
-        score -= 20;
+    } else if (windSpeed > config.windySpeed) {
+        score += config.windyPoints;
         details.push('Windy - difficult to hear/spot birds');
     } else {
-        score -= 5;
+        score += config.breezyPoints;
         details.push('Breezy - some noise interference');
     }
 
     // Weather conditions - overcast can extend activity
     if (weatherCode <= 2) {
-        score += 15;
+        score += config.clearSkyPoints;
         details.push('Clear skies - active feeding');
     } else if (weatherCode === 3) {
-        score += 20;
+        score += config.overcastPoints;
         details.push('Overcast - extended activity period');
     } else if (weatherCode >= 45 && weatherCode < 50) {
-        score += 5;
+        score += config.fogPoints;
         details.push('Foggy - birds stay lower');
     } else if (weatherCode >= 50 && weatherCode < 70) {
-        score -= 5;
+        score += config.lightPrecipPoints;
         details.push('Light precip - some shelter-seeking');
     } else if (weatherCode >= 70) {
-        score -= 15;
+        score += config.heavyPrecipPoints;
         details.push('Heavy precip - birds sheltering');
     }
 
-    // Temperature - mild temps best for activity
-    if (temp >= 55 && temp <= 75) {
-        score += 15;
+    // Temperature - mild temps best for activity; cold starts no higher than the cool band's bottom
+    const coolMin = config.idealTempMin - config.coolTempSpan;
+    if (temp >= config.idealTempMin && temp <= config.idealTempMax) {
+        score += config.idealTempPoints;
         details.push('Ideal temps for woodland birds');
-    } else if (temp >= 45 && temp < 55) {
-        score += 10;
+    } else if (temp >= coolMin && temp < config.idealTempMin) {
+        score += config.coolPoints;
         details.push('Cool - insect activity reduced');
-    } else if (temp < 40) {
-        score += 5;
+    } else if (temp < Math.min(config.idealTempMin - config.coldTempSpan, coolMin)) {
+        score += config.coldPoints;
         details.push('Cold - check feeders, mixed flocks');
-    } else if (temp > 80) {
-        score -= 10;
+    } else if (temp > config.idealTempMax + config.hotTempSpan) {
+        score += config.hotPoints;
         details.push('Hot - seek shaded areas');
     }
 
     // Humidity - higher humidity often means more insects
-    if (humidity >= 60 && humidity <= 80) {
-        score += 10;
+    if (humidity >= config.idealHumidityMin && humidity <= config.idealHumidityMax) {
+        score += config.idealHumidityPoints;
         details.push('Good humidity - insects active');
-    } else if (humidity > 90) {
-        score -= 5;
+    } else if (humidity > config.idealHumidityMax + config.humidHumiditySpan) {
+        score += config.humidPoints;
         details.push('Very humid - possible rain');
-    } else if (humidity < 40) {
-        score -= 5;
+    } else if (humidity < config.idealHumidityMin - config.dryHumiditySpan) {
+        score += config.dryPoints;
         details.push('Dry - reduced insect activity');
     }
 
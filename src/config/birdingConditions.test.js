@@ -1,6 +1,7 @@
 import {
   scoreHawkWatch,
   scoreSongbirdActivity,
+  scoreLakewatch,
   analyzePressureTrend
 } from './birdingConditions.js';
 
@@ -24,5 +25,29 @@ describe('birdingConditions scoring', () => {
     const trend = analyzePressureTrend(history);
     expect(trend.trend === 'rising' || trend.trend === 'rising-fast').toBe(true);
   });
-});
 
+  test('scoreLakewatch rewards strong onshore winds after a cold front', () => {
+    const eastShore = { min: 23, max: 158 }; // lake lies to the east
+    const postFront = { detected: true, type: 'post-cold' };
+    const lakewatch = scoreLakewatch(60, 25, 16093.4, postFront, eastShore);
+    const offshore = scoreLakewatch(270, 25, 16093.4, postFront, eastShore);
+    expect(lakewatch.rating).toBe('Excellent');
+    expect(offshore.score).toBeLessThan(lakewatch.score - 30);
+  });
+
+  test('scoreHawkWatch follows a ridge profile instead of assuming NW winds', () => {
+    // North-south ridge watched in spring: westerly winds hit it square-on
+    const profile = { bearing: 0, season: 'spring', lift: 'ridge' };
+    const westerly = scoreHawkWatch(270, 15, 16093.4 * 10, profile);
+    const northerly = scoreHawkWatch(0, 15, 16093.4 * 10, profile);
+    expect(westerly.score).toBeGreaterThan(northerly.score);
+    expect(westerly.details[0]).toContain('updrafts along the ridge');
+  });
+
+  test('scoreHawkWatch thermal profile prefers light winds', () => {
+    const profile = { bearing: 0, season: 'fall', lift: 'thermal' };
+    const light = scoreHawkWatch(315, 8, 16093.4 * 10, profile);
+    const strong = scoreHawkWatch(315, 30, 16093.4 * 10, profile);
+    expect(light.score).toBeGreaterThan(strong.score);
+  });
+});
@@ -4,7 +4,11 @@
 
 // API endpoints
 export const OPEN_METEO_BASE = 'https://api.open-meteo.com/v1/forecast';
+export const OPEN_METEO_ARCHIVE_BASE = 'https://archive-api.open-meteo.com/v1/archive';
 export const EBIRD_API_BASE = 'https://api.ebird.org/v2';
+export const NWS_API_BASE = 'https://api.weather.gov';
+export const AVIATION_WEATHER_BASE = 'https://aviationweather.gov/api/data';
+export const OVERPASS_API_BASE = 'https://overpass-api.de/api/interpreter';
 
 // Weather parameters to fetch from Open-Meteo
 export const WEATHER_PARAMS = [
@@ -17,7 +21,23 @@ export const WEATHER_PARAMS = [
     'visibility',
     'wind_speed_10m',
     'wind_direction_10m',
-    'wind_gusts_10m'
+    'wind_gusts_10m',
+    'cloud_cover',
+    'wind_speed_850hPa',
+    'wind_direction_850hPa'
+].join(',');
+
+// Reanalysis variables from the Open-Meteo archive (no visibility, precipitation probability, or winds aloft)
+export const ARCHIVE_WEATHER_PARAMS = [
+    'temperature_2m',
+    'relative_humidity_2m',
+    'precipitation',
+    'weather_code',
+    'surface_pressure',
+    'wind_speed_10m',
+    'wind_direction_10m',
+    'wind_gusts_10m',
+    'cloud_cover'
 ].join(',');
 
 // Refresh intervals
@@ -25,6 +45,9 @@ export const REFRESH_INTERVAL_SECONDS = 30 * 60; // 30 minutes
 
 // Thresholds
 export const STALE_THRESHOLD_MINUTES = 45;
+export const COASTAL_DISTANCE_KM = 80; // ~50 miles from the nearest ocean shoreline
+export const LAKE_SHORE_DISTANCE_KM = 25; // lake effects stay close to the shore
+export const LANDUSE_CACHE_DAYS = 7; // land use barely changes; spare the Overpass servers
 
 // localStorage keys
 export const STORAGE_KEYS = {
@@ -34,9 +57,28 @@ export const STORAGE_KEYS = {
     SPEED_UNIT: 'birdingWeather_speedUnit',
     PRESSURE_UNIT: 'birdingWeather_pressureUnit',
     MAP_TILE_MODE: 'birdingWeather_mapTileMode',
+    WEATHER_PROVIDER: 'birdingWeather_weatherProvider',
+    OBSERVATION_SOURCE: 'birdingWeather_observationSource',
+    PWS_URL: 'birdingWeather_pwsUrl',
     LAST_LOCATION: 'birdingWeather_lastLocation',
     RECENT_LOCATIONS: 'birdingWeather_recentLocations',
-    SAVED_LOCATIONS: 'birdingWeather_savedLocations'
+    SAVED_LOCATIONS: 'birdingWeather_savedLocations',
+    PLANNER_SCORE_KEY: 'birdingWeather_plannerScoreKey',
+    PLANNER_THRESHOLD: 'birdingWeather_plannerThreshold',
+    RARITY_DAYS_BACK: 'birdingWeather_rarityDaysBack',
+    RARITY_RADIUS_KM: 'birdingWeather_rarityRadiusKm',
+    HOTSPOT_RANK_MODE: 'birdingWeather_hotspotRankMode',
+    HOTSPOT_HABITAT_FILTER: 'birdingWeather_hotspotHabitatFilter',
+    HOTSPOT_HABITAT_OVERRIDES: 'birdingWeather_hotspotHabitatOverrides',
+    HOTSPOT_RADIUS_KM: 'birdingWeather_hotspotRadiusKm',
+    ACTIVE_TARGETS: 'birdingWeather_activeTargets',
+    CUSTOM_TARGETS: 'birdingWeather_customTargets',
+    SCORING_OVERRIDES: 'birdingWeather_scoringOverrides',
+    ALERT_RULES: 'birdingWeather_alertRules',
+    ALERT_HISTORY: 'birdingWeather_alertHistory',
+    ALERT_SENT_KEYS: 'birdingWeather_alertSentKeys',
+    ALERT_QUEUE: 'birdingWeather_alertQueue',
+    ALERT_QUIET_HOURS: 'birdingWeather_alertQuietHours'
 };
 
 // Location history limits
@@ -48,10 +90,28 @@ export const DEFAULTS = {
     SPEED_UNIT: 'mph',
     PRESSURE_UNIT: 'inHg',
     HOTSPOT_RADIUS_KM: 25,
+    MIN_HOTSPOT_RADIUS_KM: 1,
+    MAX_HOTSPOT_RADIUS_KM: 50, // eBird's limit
     FORECAST_DAYS: 3,
     PAST_DAYS: 1
 };
 
+// Display names for birding score store keys
+export const SCORE_DISPLAY_NAMES = {
+    hawkWatchScore: 'Hawk Watch',
+    seabirdScore: 'Seabird/Coastal',
+    lakewatchScore: 'Lakewatch',
+    grasslandScore: 'Grassland Birds',
+    songbirdMigrationScore: 'Songbird Migration',
+    songbirdActivityScore: 'Songbird Activity',
+    shorebirdScore: 'Shorebirds',
+    woodlandScore: 'Woodland Birds',
+    waterfowlScore: 'Waterfowl',
+    owlingScore: 'Owling',
+    nocturnalMigration: 'Nocturnal Migration',
+    falloutRisk: 'Fallout Risk'
+};
+
 // Weather code descriptions (WMO codes)
 export const WEATHER_CODES = {
     0: 'Clear sky',
@@ -0,0 +1,377 @@
+/**
+ * Tunable scoring weights and thresholds
+ * Each scorer in birdingConditions.js reads its baseline, point awards, and
+ * band edges from here. The defaults reproduce the built-in scoring; users
+ * override individual values per score (stored as `scoringOverrides`).
+ *
+ * Export/import format:
+ *   { "version": 1, "overrides": { "hawkWatchScore": { "baseline": 55 }, ... } }
+ */
+
+export const SCORING_CONFIG_VERSION = 1;
+
+// Allowed range for each kind of value
+export const FIELD_RANGES = {
+    baseline: { min: 0, max: 100, unit: '' },
+    points: { min: -50, max: 50, unit: 'pts' },
+    mph: { min: 0, max: 60, unit: 'mph' },
+    degF: { min: -20, max: 110, unit: '°F' },
+    degFSpan: { min: 0, max: 40, unit: '°F' },
+    mi: { min: 0, max: 30, unit: 'mi' },
+    percent: { min: 0, max: 100, unit: '%' },
+    mm: { min: 0, max: 50, unit: 'mm' }
+};
+
+/**
+ * Editable values per score, in display order
+ * `atLeast` names an earlier field this edge can't drop below, so a band's upper
+ * edge never sits under its lower one. Bands between two edges (light wind,
+ * cool temperatures, good visibility) are widths measured from the nearest
+ * edge, so they move with it instead of becoming unreachable.
+ */
+export const SCORING_FIELDS = {
+    hawkWatchScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 50 },
+        { key: 'idealDirectionPoints', label: 'Ideal wind direction', type: 'points', value: 20 },
+        { key: 'favorableDirectionPoints', label: 'Favorable wind direction', type: 'points', value: 10 },
+        { key: 'unfavorableDirectionPoints', label: 'Unfavorable wind direction', type: 'points', value: -15 },
+        { key: 'ridgeSpeedMin', label: 'Ridge lift: ideal wind from', type: 'mph', value: 10 },
+        { key: 'ridgeSpeedMax', label: 'Ridge lift: ideal wind to', type: 'mph', value: 25, atLeast: 'ridgeSpeedMin' },
+        { key: 'ridgeLightSpan', label: 'Ridge lift: light wind band below ideal', type: 'mph', value: 5 },
+        { key: 'ridgeStrongSpan', label: 'Ridge lift: strong wind band above ideal', type: 'mph', value: 10 },
+        { key: 'thermalSpeedMin', label: 'Thermals: ideal wind from', type: 'mph', value: 5 },
+        {
+            key: 'thermalSpeedMax', label: 'Thermals: ideal wind to', type: 'mph', value: 15,
+            atLeast: 'thermalSpeedMin'
+        },
+        { key: 'thermalStrongSpan', label: 'Thermals: strong wind band above ideal', type: 'mph', value: 10 },
+        { key: 'idealSpeedPoints', label: 'Ideal wind speed', type: 'points', value: 20 },
+        { key: 'lightWindPoints', label: 'Light wind', type: 'points', value: 10 },
+        { key: 'strongWindPoints', label: 'Strong wind', type: 'points', value: 5 },
+        { key: 'tooWindyPoints', label: 'Too windy', type: 'points', value: -20 },
+        { key: 'tooCalmPoints', label: 'Ridge lift: too calm', type: 'points', value: -10 },
+        { key: 'poorVisibility', label: 'Poor visibility below', type: 'mi', value: 2 },
+        { key: 'clearVisibility', label: 'Clear visibility above', type: 'mi', value: 10, atLeast: 'poorVisibility' },
+        { key: 'goodVisibilitySpan', label: 'Good visibility band below clear', type: 'mi', value: 5 },
+        { key: 'clearVisibilityPoints', label: 'Clear visibility', type: 'points', value: 10 },
+        { key: 'goodVisibilityPoints', label: 'Good visibility', type: 'points', value: 5 },
+        { key: 'poorVisibilityPoints', label: 'Poor visibility', type: 'points', value: -20 }
+    ],
+    seabirdScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'onshorePoints', label: 'Onshore wind', type: 'points', value: 25 },
+        { key: 'offshorePoints', label: 'Offshore wind', type: 'points', value: -10 },
+        { key: 'calmSpeed', label: 'Calm below', type: 'mph', value: 10 },
+        { key: 'calmPoints', label: 'Calm wind', type: 'points', value: -10 },
+        { key: 'galeSpeed', label: 'Storm wind from', type: 'mph', value: 25, atLeast: 'calmSpeed' },
+        { key: 'galePoints', label: 'Storm wind', type: 'points', value: 25 },
+        { key: 'strongWindSpan', label: 'Strong wind band below storm', type: 'mph', value: 5 },
+        { key: 'strongWindPoints', label: 'Strong wind', type: 'points', value: 20 },
+        { key: 'freshWindSpan', label: 'Fresh wind band below strong', type: 'mph', value: 5 },
+        { key: 'freshWindPoints', label: 'Fresh wind', type: 'points', value: 15 },
+        { key: 'moderateWindPoints', label: 'Moderate wind', type: 'points', value: 5 },
+        { key: 'heavyRainAmount', label: 'Heavy recent rain over', type: 'mm', value: 5 },
+        { key: 'heavyRainPoints', label: 'Heavy recent rain', type: 'points', value: 10 },
+        { key: 'lightRainPoints', label: 'Light recent rain', type: 'points', value: 5 }
+    ],
+    lakewatchScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 35 },
+        { key: 'onshorePoints', label: 'Onshore wind', type: 'points', value: 25 },
+        { key: 'offshorePoints', label: 'Offshore wind', type: 'points', value: -20 },
+        { key: 'strongSpeed', label: 'Strong wind from', type: 'mph', value: 15 },
+        { key: 'galeSpeed', label: 'Gale from', type: 'mph', value: 25, atLeast: 'strongSpeed' },
+        { key: 'moderateWindSpan', label: 'Moderate wind band below strong', type: 'mph', value: 5 },
+        { key: 'onshoreGalePoints', label: 'Onshore gale', type: 'points', value: 20 },
+        { key: 'onshoreStrongPoints', label: 'Strong onshore wind', type: 'points', value: 15 },
+        { key: 'offshoreStrongPoints', label: 'Strong offshore wind or gale', type: 'points', value: 5 },
+        { key: 'moderateWindPoints', label: 'Moderate wind', type: 'points', value: 5 },
+        { key: 'lightWindPoints', label: 'Winds too light', type: 'points', value: -10 },
+        { key: 'postColdFrontPoints', label: 'Cold front just passed', type: 'points', value: 20 },
+        { key: 'coldFrontPoints', label: 'Cold front approaching', type: 'points', value: 10 },
+        { key: 'poorVisibility', label: 'Poor visibility below', type: 'mi', value: 2 },
+        { key: 'clearVisibility', label: 'Good visibility above', type: 'mi', value: 5, atLeast: 'poorVisibility' },
+        { key: 'clearVisibilityPoints', label: 'Good visibility', type: 'points', value: 10 },
+        { key: 'poorVisibilityPoints', label: 'Poor visibility', type: 'points', value: -15 }
+    ],
+    grasslandScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'dawnPoints', label: 'Dawn (5-9am)', type: 'points', value: 20 },
+        { key: 'duskPoints', label: 'Dusk (5-8pm)', type: 'points', value: 15 },
+        { key: 'middayPoints', label: 'Midday (11am-3pm)', type: 'points', value: -10 },
+        { key: 'idealSpeedMin', label: 'Ideal wind from', type: 'mph', value: 8 },
+        { key: 'idealSpeedMax', label: 'Ideal wind to', type: 'mph', value: 15, atLeast: 'idealSpeedMin' },
+        { key: 'idealSpeedPoints', label: 'Ideal wind speed', type: 'points', value: 20 },
+        { key: 'calmPoints', label: 'Below ideal wind', type: 'points', value: 10 },
+        { key: 'windySpeed', label: 'Too windy above', type: 'mph', value: 20, atLeast: 'idealSpeedMax' },
+        { key: 'windyPoints', label: 'Too windy', type: 'points', value: -15 },
+        { key: 'breezyPoints', label: 'Between ideal and too windy', type: 'points', value: 5 },
+        { key: 'poorVisibility', label: 'Poor visibility below', type: 'mi', value: 2 },
+        { key: 'clearVisibility', label: 'Clear visibility above', type: 'mi', value: 10, atLeast: 'poorVisibility' },
+        { key: 'goodVisibilitySpan', label: 'Good visibility band below clear', type: 'mi', value: 5 },
+        { key: 'clearVisibilityPoints', label: 'Clear visibility', type: 'points', value: 15 },
+        { key: 'goodVisibilityPoints', label: 'Good visibility', type: 'points', value: 10 },
+        { key: 'poorVisibilityPoints', label: 'Poor visibility', type: 'points', value: -15 },
+        { key: 'idealTempMin', label: 'Ideal temperature from', type: 'degF', value: 50 },
+        { key: 'idealTempMax', label: 'Ideal temperature to', type: 'degF', value: 75, atLeast: 'idealTempMin' },
+        { key: 'coolTempSpan', label: 'Cool band below ideal', type: 'degFSpan', value: 10 },
+        { key: 'coldTempSpan', label: 'Cold from this far below ideal', type: 'degFSpan', value: 15 },
+        { key: 'hotTempSpan', label: 'Hot from this far above ideal', type: 'degFSpan', value: 10 },
+        { key: 'idealTempPoints', label: 'Ideal temperature', type: 'points', value: 15 },
+        { key: 'coolPoints', label: 'Cool', type: 'points', value: 10 },
+        { key: 'coldPoints', label: 'Cold', type: 'points', value: 5 },
+        { key: 'hotPoints', label: 'Hot', type: 'points', value: -10 },
+        { key: 'lowHumidity', label: 'Low humidity below', type: 'percent', value: 60 },
+        { key: 'highHumidity', label: 'High humidity above', type: 'percent', value: 85, atLeast: 'lowHumidity' },
+        { key: 'lowHumidityPoints', label: 'Low humidity', type: 'points', value: 5 },
+        { key: 'highHumidityPoints', label: 'High humidity', type: 'points', value: -5 }
+    ],
+    shorebirdScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'onshorePoints', label: 'Onshore wind', type: 'points', value: 25 },
+        { key: 'offshorePoints', label: 'Offshore wind', type: 'points', value: -5 },
+        { key: 'rainAmount', label: 'Recent rain over', type: 'mm', value: 2 },
+        { key: 'rainPoints', label: 'Recent rain', type: 'points', value: 15 },
+        { key: 'lightRainPoints', label: 'Light recent rain', type: 'points', value: 10 },
+        { key: 'poorVisibility', label: 'Poor visibility below', type: 'mi', value: 2 },
+        { key: 'clearVisibility', label: 'Good visibility above', type: 'mi', value: 8, atLeast: 'poorVisibility' },
+        { key: 'clearVisibilityPoints', label: 'Good visibility', type: 'points', value: 15 },
+        { key: 'poorVisibilityPoints', label: 'Poor visibility', type: 'points', value: -10 },
+        { key: 'calmSpeed', label: 'Calm below', type: 'mph', value: 15 },
+        { key: 'calmPoints', label: 'Calm wind', type: 'points', value: 10 },
+        { key: 'windySpeed', label: 'Too windy above', type: 'mph', value: 25, atLeast: 'calmSpeed' },
+        { key: 'windyPoints', label: 'Too windy', type: 'points', value: -10 }
+    ],
+    woodlandScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'dawnPoints', label: 'Dawn (5-9am)', type: 'points', value: 25 },
+        { key: 'morningPoints', label: 'Morning (9-11am)', type: 'points', value: 15 },
+        { key: 'middayPoints', label: 'Midday (12-3pm)', type: 'points', value: -10 },
+        { key: 'calmSpeed', label: 'Calm below', type: 'mph', value: 8 },
+        { key: 'calmPoints', label: 'Calm wind', type: 'points', value: 20 },
+        { key: 'lightWindSpan', label: 'Light wind band above calm', type: 'mph', value: 4 },
+        { key: 'lightWindPoints', label: 'Light wind', type: 'points', value: 10 },
+        { key: 'windySpeed', label: 'Too windy above', type: 'mph', value: 18, atLeast: 'calmSpeed' },
+        { key: 'windyPoints', label: 'Too windy', type: 'points', value: -20 },
+        { key: 'breezyPoints', label: 'Breezy', type: 'points', value: -5 },
+        { key: 'clearSkyPoints', label: 'Clear skies', type: 'points', value: 15 },
+        { key: 'overcastPoints', label: 'Overcast', type: 'points', value: 20 },
+        { key: 'fogPoints', label: 'Fog', type: 'points', value: 5 },
+        { key: 'lightPrecipPoints', label: 'Light precipitation', type: 'points', value: -5 },
+        { key: 'heavyPrecipPoints', label: 'Heavy precipitation', type: 'points', value: -15 },
+        { key: 'idealTempMin', label: 'Ideal temperature from', type: 'degF', value: 55 },
+        { key: 'idealTempMax', label: 'Ideal temperature to', type: 'degF', value: 75, atLeast: 'idealTempMin' },
+        { key: 'coolTempSpan', label: 'Cool band below ideal', type: 'degFSpan', value: 10 },
+        { key: 'coldTempSpan', label: 'Cold from this far below ideal', type: 'degFSpan', value: 15 },
+        { key: 'hotTempSpan', label: 'Hot from this far above ideal', type: 'degFSpan', value: 5 },
+        { key: 'idealTempPoints', label: 'Ideal temperature', type: 'points', value: 15 },
+        { key: 'coolPoints', label: 'Cool', type: 'points', value: 10 },
+        { key: 'coldPoints', label: 'Cold', type: 'points', value: 5 },
+        { key: 'hotPoints', label: 'Hot', type: 'points', value: -10 },
+        { key: 'idealHumidityMin', label: 'Ideal humidity from', type: 'percent', value: 60 },
+        {
+            key: 'idealHumidityMax', label: 'Ideal humidity to', type: 'percent', value: 80,
+            atLeast: 'idealHumidityMin'
+        },
+        { key: 'dryHumiditySpan', label: 'Dry from this far below ideal', type: 'percent', value: 20 },
+        { key: 'humidHumiditySpan', label: 'Very humid from this far above ideal', type: 'percent', value: 10 },
+        { key: 'idealHumidityPoints', label: 'Ideal humidity', type: 'points', value: 10 },
+        { key: 'dryPoints', label: 'Dry', type: 'points', value: -5 },
+        { key: 'humidPoints', label: 'Very humid', type: 'points', value: -5 }
+    ],
+    songbirdMigrationScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'tailwindPoints', label: 'Migration tailwind', type: 'points', value: 20 },
+        { key: 'headwindPoints', label: 'Headwind', type: 'points', value: -5 },
+        { key: 'postFrontPoints', label: 'Pressure rising fast (post-front)', type: 'points', value: 20 },
+        { key: 'risingPoints', label: 'Pressure rising', type: 'points', value: 15 },
+        { key: 'steadyPoints', label: 'Pressure steady', type: 'points', value: 10 },
+        { key: 'fallingPoints', label: 'Pressure falling (pre-front)', type: 'points', value: 5 },
+        { key: 'stormPoints', label: 'Pressure falling fast', type: 'points', value: -5 }
+    ],
+    songbirdActivityScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'dawnPoints', label: 'Dawn (5-9am)', type: 'points', value: 15 },
+        { key: 'duskPoints', label: 'Dusk (5-8pm)', type: 'points', value: 10 },
+        { key: 'middayPoints', label: 'Midday (12-3pm)', type: 'points', value: -10 },
+        { key: 'clearSkyPoints', label: 'Clear skies', type: 'points', value: 25 },
+        { key: 'overcastPoints', label: 'Overcast', type: 'points', value: 20 },
+        { key: 'fogPoints', label: 'Fog', type: 'points', value: 10 },
+        { key: 'lightPrecipPoints', label: 'Light precipitation', type: 'points', value: -5 },
+        { key: 'heavyPrecipPoints', label: 'Heavy precipitation', type: 'points', value: -15 },
+        { key: 'idealTempMin', label: 'Ideal temperature from', type: 'degF', value: 50 },
+        { key: 'idealTempMax', label: 'Ideal temperature to', type: 'degF', value: 75, atLeast: 'idealTempMin' },
+        { key: 'coolTempSpan', label: 'Cool band below ideal', type: 'degFSpan', value: 10 },
+        { key: 'warmTempSpan', label: 'Warm band above ideal', type: 'degFSpan', value: 10 },
+        { key: 'idealTempPoints', label: 'Ideal temperature', type: 'points', value: 15 },
+        { key: 'coolPoints', label: 'Cool', type: 'points', value: 10 },
+        { key: 'coldPoints', label: 'Colder than the cool band', type: 'points', value: 5 },
+        { key: 'warmPoints', label: 'Warm', type: 'points', value: 5 },
+        { key: 'hotPoints', label: 'Hotter than the warm band', type: 'points', value: -10 },
+        { key: 'calmSpeed', label: 'Calm below', type: 'mph', value: 8 },
+        { key: 'calmPoints', label: 'Calm wind', type: 'points', value: 15 },
+        { key: 'lightWindSpan', label: 'Light wind band above calm', type: 'mph', value: 7 },
+        { key: 'lightWindPoints', label: 'Light wind', type: 'points', value: 10 },
+        { key: 'windySpeed', label: 'Very windy above', type: 'mph', value: 25, atLeast: 'calmSpeed' },
+        { key: 'windyPoints', label: 'Very windy', type: 'points', value: -15 },
+        { key: 'breezyWindSpan', label: 'Breezy band below very windy', type: 'mph', value: 7 },
+        { key: 'breezyPoints', label: 'Breezy', type: 'points', value: -5 }
+    ],
+    waterfowlScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'coldTemp', label: 'Prime cold below', type: 'degF', value: 35 },
+        { key: 'coldPoints', label: 'Prime cold', type: 'points', value: 25 },
+        { key: 'coolTempSpan', label: 'Cold band above prime cold', type: 'degFSpan', value: 15 },
+        { key: 'coolPoints', label: 'Cold', type: 'points', value: 20 },
+        { key: 'warmTemp', label: 'Too warm above', type: 'degF', value: 60, atLeast: 'coldTemp' },
+        { key: 'warmPoints', label: 'Too warm', type: 'points', value: -10 },
+        { key: 'flightSpeedMin', label: 'Flight wind from', type: 'mph', value: 10 },
+        { key: 'flightSpeedMax', label: 'Flight wind to', type: 'mph', value: 20, atLeast: 'flightSpeedMin' },
+        { key: 'flightSpeedPoints', label: 'Flight wind', type: 'points', value: 15 },
+        { key: 'calmWindSpan', label: 'Calm from this far below flight wind', type: 'mph', value: 5 },
+        { key: 'calmPoints', label: 'Calm (birds rafting)', type: 'points', value: 5 },
+        { key: 'windyWindSpan', label: 'Too windy from this far above flight wind', type: 'mph', value: 10 },
+        { key: 'windyPoints', label: 'Too windy', type: 'points', value: -10 },
+        { key: 'poorVisibility', label: 'Poor visibility below', type: 'mi', value: 2 },
+        { key: 'clearVisibility', label: 'Clear skies above', type: 'mi', value: 8, atLeast: 'poorVisibility' },
+        { key: 'clearVisibilityPoints', label: 'Clear skies', type: 'points', value: 15 },
+        { key: 'poorVisibilityPoints', label: 'Poor visibility', type: 'points', value: -5 },
+        { key: 'fallingPressurePoints', label: 'Falling pressure', type: 'points', value: 10 }
+    ],
+    owlingScore: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 45 },
+        { key: 'nightPoints', label: 'Night (8pm-6am)', type: 'points', value: 30 },
+        { key: 'twilightPoints', label: 'Twilight (6-10am, 6-8pm)', type: 'points', value: 10 },
+        { key: 'daytimePoints', label: 'Daytime (10am-6pm)', type: 'points', value: -40 },
+        { key: 'calmSpeed', label: 'Calm below', type: 'mph', value: 8 },
+        { key: 'calmPoints', label: 'Calm wind', type: 'points', value: 20 },
+        { key: 'windySpeed', label: 'Too windy above', type: 'mph', value: 15, atLeast: 'calmSpeed' },
+        { key: 'windyPoints', label: 'Too windy', type: 'points', value: -20 },
+        { key: 'breezePoints', label: 'Light breeze', type: 'points', value: 5 },
+        { key: 'idealTempMin', label: 'Ideal temperature from', type: 'degF', value: 35 },
+        { key: 'idealTempMax', label: 'Ideal temperature to', type: 'degF', value: 55, atLeast: 'idealTempMin' },
+        { key: 'coldTempSpan', label: 'Very cold from this far below ideal', type: 'degFSpan', value: 10 },
+        { key: 'hotTempSpan', label: 'Too warm from this far above ideal', type: 'degFSpan', value: 10 },
+        { key: 'idealTempPoints', label: 'Ideal temperature', type: 'points', value: 15 },
+        { key: 'coldPoints', label: 'Very cold', type: 'points', value: -10 },
+        { key: 'hotPoints', label: 'Too warm', type: 'points', value: -5 },
+        { key: 'clearSkyPoints', label: 'Clear skies', type: 'points', value: 20 },
+        { key: 'partlyCloudyPoints', label: 'Partly cloudy', type: 'points', value: 10 },
+        { key: 'precipPoints', label: 'Precipitation', type: 'points', value: -15 },
+        { key: 'lowHumidity', label: 'Low humidity below', type: 'percent', value: 70 },
+        { key: 'highHumidity', label: 'High humidity above', type: 'percent', value: 90, atLeast: 'lowHumidity' },
+        { key: 'lowHumidityPoints', label: 'Low humidity', type: 'points', value: 10 },
+        { key: 'highHumidityPoints', label: 'High humidity', type: 'points', value: -5 }
+    ],
+    nocturnalMigration: [
+        { key: 'baseline', label: 'Baseline', type: 'baseline', value: 40 },
+        { key: 'tailwindSpeedMin', label: 'Tailwind aloft: ideal from', type: 'mph', value: 10 },
+        {
+            key: 'tailwindSpeedMax', label: 'Tailwind aloft: ideal to', type: 'mph', value: 35,
+            atLeast: 'tailwindSpeedMin'
+        },
+        { key: 'tailwindPoints', label: 'Ideal tailwind aloft', type: 'points', value: 30 },
+        { key: 'offBandTailwindPoints', label: 'Light or strong tailwind aloft', type: 'points', value: 15 },
+        { key: 'lightWindSpeed', label: 'Light winds aloft below', type: 'mph', value: 10 },
+        { key: 'lightWindPoints', label: 'Light winds aloft', type: 'points', value: 5 },
+        { key: 'headwindPoints', label: 'Headwind aloft', type: 'points', value: -20 },
+        { key: 'clearSkyCover', label: 'Clear to partly cloudy up to', type: 'percent', value: 50 },
+        { key: 'overcastCover', label: 'Overcast above', type: 'percent', value: 90, atLeast: 'clearSkyCover' },
+        { key: 'clearSkyPoints', label: 'Clear to partly cloudy', type: 'points', value: 10 },
+        { key: 'overcastPoints', label: 'Overcast', type: 'points', value: -5 },
+        { key: 'heavyRainAmount', label: 'Heavy rain over (per hour)', type: 'mm', value: 1 },
+        { key: 'rainPoints', label: 'Rain', type: 'points', value: -15 },
+        { key: 'heavyRainPoints', label: 'Heavy rain', type: 'points', value: -30 }
+    ]
+};
+
+/**
+ * Built-in values, keyed by score then field
+ */
+export const DEFAULT_SCORING_CONFIG = Object.fromEntries(
+    Object.entries(SCORING_FIELDS).map(([scoreKey, fields]) => [
+        scoreKey,
+        Object.fromEntries(fields.map(field => [field.key, field.value]))
+    ])
+);
+
+/**
+ * Apply user overrides on top of the defaults
+ * Unknown scores or fields are ignored, values are clamped to their range, and
+ * an edge is raised to meet its `atLeast` field.
+ * @param {object} overrides - { scoreKey: { field: value } }
+ * @returns {object} Full config, keyed like DEFAULT_SCORING_CONFIG
+ */
+export function resolveScoringConfig(overrides = {}) {
+    const config = {};
+    Object.entries(SCORING_FIELDS).forEach(([scoreKey, fields]) => {
+        config[scoreKey] = {};
+        fields.forEach(field => {
+            const value = clampField(field, overrides?.[scoreKey]?.[field.key]) ?? field.value;
+            config[scoreKey][field.key] = field.atLeast ? Math.max(value, config[scoreKey][field.atLeast]) : value;
+        });
+    });
+    return config;
+}
+
+/**
+ * Drop overrides that match the default or aren't valid
+ * @param {object} overrides - { scoreKey: { field: value } }
+ * @returns {object} Only the values that differ from the defaults
+ */
+export function cleanScoringOverrides(overrides = {}) {
+    const cleaned = {};
+    Object.entries(SCORING_FIELDS).forEach(([scoreKey, fields]) => {
+        fields.forEach(field => {
+            const value = clampField(field, overrides?.[scoreKey]?.[field.key]);
+            if (value !== null && value !== field.value) {
+                cleaned[scoreKey] = { ...cleaned[scoreKey], [field.key]: value };
+            }
+        });
+    });
+    return cleaned;
+}
+
+/**
+ * Serialize overrides for export
+ * @param {object} overrides - { scoreKey: { field: value } }
+ * @returns {string} JSON in the export format
+ */
+export function exportScoringConfig(overrides) {
+    return JSON.stringify({
+        version: SCORING_CONFIG_VERSION,
+        overrides: cleanScoringOverrides(overrides)
+    }, null, 2);
+}
+
+/**
+ * Read an exported config
+ * @param {string} text - File contents
+ * @returns {{overrides: object|null, error: string|null}}
+ */
+export function importScoringConfig(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return { overrides: null, error: 'File is not valid JSON' };
+    }
+
+    if (!parsed || typeof parsed.overrides !== 'object') {
+        return { overrides: null, error: 'File has no scoring overrides' };
+    }
+    if (parsed.version > SCORING_CONFIG_VERSION) {
+        return { overrides: null, error: 'File is from a newer version of the dashboard' };
+    }
+
+    return { overrides: cleanScoringOverrides(parsed.overrides), error: null };
+}
+
+// Helper functions
+
+function clampField(field, value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) return null;
+    const { min, max } = FIELD_RANGES[field.type];
+    return Math.min(max, Math.max(min, Math.round(number)));
+}
@@ -0,0 +1,72 @@
+import {
+  scoreHawkWatch, scoreOwling, scoreNocturnalMigration, scoreSongbirdActivity, scoreSeabirding
+} from './birdingConditions.js';
+import {
+  DEFAULT_SCORING_CONFIG,
+  resolveScoringConfig,
+  cleanScoringOverrides,
+  exportScoringConfig,
+  importScoringConfig
+} from './scoringConfig.js';
+
+const TEN_MILES = 16093.4 * 10;
+
+describe('scoring config', () => {
+  test('defaults reproduce the built-in scores', () => {
+    const config = resolveScoringConfig({});
+
+    expect(scoreHawkWatch(315, 15, TEN_MILES, null, config.hawkWatchScore))
+      .toEqual(scoreHawkWatch(315, 15, TEN_MILES));
+    expect(scoreOwling(3, 40, 0, 60, 22, config.owlingScore)).toEqual(scoreOwling(3, 40, 0, 60, 22));
+    expect(config).toEqual(DEFAULT_SCORING_CONFIG);
+  });
+
+  test('overrides change the score', () => {
+    const config = resolveScoringConfig({ hawkWatchScore: { baseline: 30, ridgeSpeedMin: 20 } });
+    const builtIn = scoreHawkWatch(315, 15, TEN_MILES);
+    const custom = scoreHawkWatch(315, 15, TEN_MILES, null, config.hawkWatchScore);
+
+    // Lower baseline (-20) and 15 mph drops to the light-wind band (+10 instead of +20)
+    expect(custom.score).toBe(builtIn.score - 30);
+
+    const tailwind = { min: 270, max: 45 };
+    const night = resolveScoringConfig({ nocturnalMigration: { tailwindPoints: 10 } }).nocturnalMigration;
+    expect(scoreNocturnalMigration(340, 20, 20, 0, tailwind).score).toBe(80);
+    expect(scoreNocturnalMigration(340, 20, 20, 0, tailwind, night).score).toBe(60);
+  });
+
+  test('bands between edges follow the configured edges', () => {
+    const songbird = resolveScoringConfig({ songbirdActivityScore: { windySpeed: 12, idealTempMin: 30 } })
+      .songbirdActivityScore;
+
+    // 13 mph is past a 12 mph "very windy" edge, not in the light-wind band
+    expect(scoreSongbirdActivity(60, 0, 13, 10, songbird).details).toContain('Very windy - birds hunkered down');
+    // The cool band moves down with the ideal range instead of sitting above it
+    expect(scoreSongbirdActivity(25, 0, 5, 10, songbird).details).toContain('Cool - morning activity best');
+    // An upper edge can't drop below its lower edge
+    expect(resolveScoringConfig({ songbirdActivityScore: { calmSpeed: 30 } }).songbirdActivityScore.windySpeed)
+      .toBe(30);
+
+    // Seabird details use the same storm and calm edges as the score
+    const seabird = resolveScoringConfig({ seabirdScore: { galeSpeed: 18, calmSpeed: 5 } }).seabirdScore;
+    expect(scoreSeabirding(90, 20, 0, undefined, seabird).details)
+      .toContain('Storm-force winds excellent for pelagics');
+    expect(scoreSeabirding(90, 8, 0, undefined, seabird).details).not.toContain('Light winds - birds likely offshore');
+  });
+
+  test('clamps, cleans, and round-trips through export/import', () => {
+    const overrides = {
+      hawkWatchScore: { baseline: 150, idealDirectionPoints: 20 },
+      owlingScore: { calmSpeed: '6.4' },
+      unknownScore: { baseline: 10 }
+    };
+
+    expect(cleanScoringOverrides(overrides)).toEqual({
+      hawkWatchScore: { baseline: 100 },
+      owlingScore: { calmSpeed: 6 }
+    });
+    expect(importScoringConfig(exportScoringConfig(overrides)).overrides).toEqual(cleanScoringOverrides(overrides));
+    expect(importScoringConfig('{"version": 99, "overrides": {}}').error).toMatch(/newer version/);
+    expect(importScoringConfig('nope').error).toBe('File is not valid JSON');
+  });
+});
@@ -4,29 +4,24 @@
  */
 
 import store from './state/store.js';
-import { initializeLocation, setLocation, checkCoastalLocation } from './modules/geolocation.js';
-import { fetchWeatherForecast } from './api/openMeteo.js';
-import { fetchNearbyHotspots } from './api/ebird.js';
-import {
-    scoreHawkWatch,
-    scoreSeabirding,
-    scoreSongbirdMigration,
-    scoreSongbirdActivity,
-    scoreShorebirds,
-    scoreWaterfowl,
-    scoreOwling,
-    scoreGrasslandBirds,
-    scoreWoodlandBirds,
-    assessFalloutRisk,
-    analyzePressureTrend,
-    detectFrontPassage
-} from './config/birdingConditions.js';
-import {
-    formatCountdown,
-    convertWindSpeed,
-    convertTemperature
-} from './utils/formatting.js';
-import { REFRESH_INTERVAL_SECONDS } from './config/constants.js';
+import { initializeLocation, setLocation, checkCoastalLocation, checkLakeShoreLocation } from './modules/geolocation.js';
+import { fetchWeatherForecast } from './api/weatherProviders.js';
+import { fetchOpenMeteoArchive } from './api/openMeteoArchive.js';
+import { fetchNearbyHotspots, fetchNotableObservations } from './api/ebird.js';
+import { fetchLanduseFeatures } from './api/overpass.js';
+import { computeBirdingConditions, buildScoreTimeline } from './modules/birdingForecast.js';
+import { getSavedLocation } from './modules/locationProfiles.js';
+import { getMigrationSeason } from './modules/season.js';
+import { forecastNocturnalMigration } from './modules/nocturnalMigration.js';
+import { saveCachedData, loadCachedData, getCacheAge } from './modules/offlineCache.js';
+import { fetchCurrentObservation, applyObservationToForecast } from './modules/observations.js';
+import { summarizeNotableObservations } from './modules/rarities.js';
+import { classifyHotspots, findUncoveredHotspots, addLanduseLookup } from './modules/hotspotHabitat.js';
+import { getReferenceTime } from './modules/replay.js';
+import { applyPermalinkUnits } from './modules/permalink.js';
+import { formatCountdown } from './utils/formatting.js';
+import { REFRESH_INTERVAL_SECONDS, LANDUSE_CACHE_DAYS } from './config/constants.js';
+import { resolveScoringConfig } from './config/scoringConfig.js';
 import {
     setWidgetsLoading,
     renderWeatherData
@@ -35,14 +30,30 @@ import {
     initMap,
     setMapCenterAndUserMarker,
     updateMapHotspots,
+    updateMapRarities,
     updateUserMarker,
     onHotspotWeatherClick,
+    onHotspotDetailsClick,
     closeMapPopup
 } from './ui/mapView.js';
 import { initLocationDropdown, addRecentLocation } from './ui/locationDropdown.js';
 import { initScoreDetailsModal } from './ui/scoreDetailsModal.js';
 import { initSettings } from './ui/settings.js';
+import { initScoringSettings } from './ui/scoringSettingsView.js';
+import { initCalibrationView } from './ui/calibrationView.js';
 import { initHotspotsView, renderHotspots } from './ui/hotspotsView.js';
+import { initHotspotDetail, openHotspotDetail } from './ui/hotspotDetailView.js';
+import { initOutingPlanner } from './ui/outingPlannerView.js';
+import { initTargetsView } from './ui/targetsView.js';
+import { initComparisonView } from './ui/comparisonView.js';
+import { initBriefingView } from './ui/briefingView.js';
+import { initMeteogramView } from './ui/meteogramView.js';
+import { initWindRoseView } from './ui/windRoseView.js';
+import { readPermalink, initPermalinkSync, restorePermalinkView } from './ui/permalinkSync.js';
+import { initStaleBanner } from './ui/staleBanner.js';
+import { initReplayView, rejectReplayDate } from './ui/replayView.js';
+import { initAlertsView, checkAlerts } from './ui/alertsView.js';
+import { initRaritiesView, renderRarities } from './ui/raritiesView.js';
 
 // Minimal DOM cache — only elements needed for orchestration
 const elements = {
@@ -56,24 +67,43 @@ const elements = {
  * Initialize the application
  */
 async function init() {
+    registerServiceWorker();
     setupEventListeners();
     initUIModules();
 
-    // Initialize location (pass callback to reload data when GPS returns different location)
-    const hasLocation = await initializeLocation(async () => {
-        await loadWeatherData();
-        await loadHotspots();
-    });
+    // A shared link's view wins over the stored location and units, for this session
+    const permalink = readPermalink();
+    applyPermalinkUnits(permalink.units);
+
+    let hasLocation = false;
+    if (permalink.location) {
+        await setLocation(permalink.location.lat, permalink.location.lon, permalink.location.name);
+        hasLocation = true;
+    } else {
+        // Initialize location (pass callback to reload data when GPS returns different location)
+        hasLocation = await initializeLocation(async () => {
+            await loadWeatherData();
+            await loadHotspots();
+            await loadRarities();
+        });
+    }
 
     if (hasLocation) {
         await loadWeatherData();
         await loadHotspots();
+        await loadRarities();
         initMap();
         registerMapCallbacks();
+        restorePermalinkView(permalink);
     } else {
         elements.locationName.textContent = 'Location unavailable - please enable location services';
     }
 
+    initPermalinkSync({
+        onLocationChange: (lat, lon, name) => changeLocation(lat, lon, name, { loadHotspots: true }),
+        onUnitsChange: handleRefresh
+    });
+
     // Start refresh timer
     startRefreshTimer();
 }
@@ -122,15 +152,179 @@ function initUIModules() {
             tempUnit: document.getElementById('temp-unit'),
             speedUnit: document.getElementById('speed-unit'),
             pressureUnit: document.getElementById('pressure-unit'),
-            mapTileMode: document.getElementById('map-tile-mode')
+            mapTileMode: document.getElementById('map-tile-mode'),
+            weatherProvider: document.getElementById('weather-provider'),
+            observationSource: document.getElementById('observation-source'),
+            pwsUrl: document.getElementById('pws-url'),
+            hotspotRadius: document.getElementById('hotspot-radius'),
+            hawkNote: document.getElementById('hawk-profile-note'),
+            hawkLift: document.getElementById('hawk-profile-lift'),
+            hawkBearing: document.getElementById('hawk-profile-bearing'),
+            hawkSeason: document.getElementById('hawk-profile-season'),
+            migrationNote: document.getElementById('migration-windows-note'),
+            migrationInputs: {
+                spring: {
+                    start: document.getElementById('migration-spring-start'),
+                    end: document.getElementById('migration-spring-end')
+                },
+                fall: {
+                    start: document.getElementById('migration-fall-start'),
+                    end: document.getElementById('migration-fall-end')
+                }
+            }
         },
         { onSettingsSaved: handleRefresh }
     );
 
+    initScoringSettings({
+        openBtn: document.getElementById('open-scoring-settings'),
+        modal: document.getElementById('scoring-modal'),
+        closeBtn: document.getElementById('close-scoring-modal'),
+        scoreSelect: document.getElementById('scoring-score'),
+        fields: document.getElementById('scoring-fields'),
+        preview: document.getElementById('scoring-preview'),
+        resetBtn: document.getElementById('scoring-reset'),
+        exportBtn: document.getElementById('scoring-export'),
+        importBtn: document.getElementById('scoring-import'),
+        importInput: document.getElementById('scoring-import-input'),
+        saveBtn: document.getElementById('save-scoring'),
+        status: document.getElementById('scoring-status')
+    });
+
+    initCalibrationView({
+        openBtn: document.getElementById('open-calibration'),
+        modal: document.getElementById('calibration-modal'),
+        closeBtn: document.getElementById('close-calibration-modal'),
+        importBtn: document.getElementById('calibration-import'),
+        importInput: document.getElementById('calibration-import-input'),
+        status: document.getElementById('calibration-status'),
+        report: document.getElementById('calibration-report'),
+        suggestions: document.getElementById('calibration-suggestions'),
+        applyBtn: document.getElementById('calibration-apply')
+    });
+
+    initStaleBanner({
+        banner: document.getElementById('stale-banner'),
+        message: document.getElementById('stale-banner-message')
+    });
+
+    initAlertsView({
+        openBtn: document.getElementById('alerts-btn'),
+        modal: document.getElementById('alerts-modal'),
+        closeBtn: document.getElementById('close-alerts-modal'),
+        permission: document.getElementById('alert-permission'),
+        enableBtn: document.getElementById('alert-enable'),
+        type: document.getElementById('alert-type'),
+        score: document.getElementById('alert-score'),
+        threshold: document.getElementById('alert-threshold'),
+        window: document.getElementById('alert-window'),
+        location: document.getElementById('alert-location'),
+        addBtn: document.getElementById('alert-add'),
+        rules: document.getElementById('alert-rules'),
+        quietEnabled: document.getElementById('alert-quiet-enabled'),
+        quietStart: document.getElementById('alert-quiet-start'),
+        quietEnd: document.getElementById('alert-quiet-end'),
+        history: document.getElementById('alert-history'),
+        clearHistoryBtn: document.getElementById('alert-history-clear')
+    });
+
+    initReplayView(
+        {
+            dateInput: document.getElementById('replay-date'),
+            replayBtn: document.getElementById('replay-btn'),
+            banner: document.getElementById('replay-banner'),
+            message: document.getElementById('replay-banner-message'),
+            liveBtn: document.getElementById('replay-live-btn')
+        },
+        { onReplayChange: loadWeatherData }
+    );
+
+    initOutingPlanner({
+        scoreSelect: document.getElementById('planner-score'),
+        threshold: document.getElementById('planner-threshold'),
+        windows: document.getElementById('planner-windows')
+    });
+
+    initTargetsView({
+        picker: document.getElementById('target-picker'),
+        addBtn: document.getElementById('target-add-btn'),
+        importBtn: document.getElementById('target-import-btn'),
+        importInput: document.getElementById('target-import-input'),
+        status: document.getElementById('target-import-status'),
+        list: document.getElementById('target-list')
+    });
+
+    initMeteogramView({
+        chart: document.getElementById('meteogram-chart'),
+        tooltip: document.getElementById('meteogram-tooltip')
+    });
+
+    initWindRoseView({
+        period: document.getElementById('wind-rose-period'),
+        chart: document.getElementById('wind-rose-chart'),
+        legend: document.getElementById('wind-rose-legend'),
+        sectors: document.getElementById('wind-rose-sectors')
+    });
+
+    initComparisonView(
+        {
+            compareBtn: document.getElementById('compare-locations-btn'),
+            status: document.getElementById('comparison-status'),
+            grid: document.getElementById('comparison-grid')
+        },
+        {
+            onLocationSelect: (lat, lon, name) =>
+                changeLocation(lat, lon, name, { loadHotspots: true })
+        }
+    );
+
+    initBriefingView({
+        generateBtn: document.getElementById('briefing-generate-btn'),
+        copyBtn: document.getElementById('briefing-copy-btn'),
+        markdownBtn: document.getElementById('briefing-markdown-btn'),
+        htmlBtn: document.getElementById('briefing-html-btn'),
+        status: document.getElementById('briefing-status'),
+        content: document.getElementById('briefing-content')
+    });
+
+    initRaritiesView(
+        {
+            daysSelect: document.getElementById('rarity-days'),
+            radiusSelect: document.getElementById('rarity-radius'),
+            list: document.getElementById('rarities-list')
+        },
+        {
+            onFiltersChange: loadRarities,
+            onRaritySelect: (lat, lon, name) =>
+                changeLocation(lat, lon, name, { addToRecent: true, zoomLevel: 14 })
+        }
+    );
+
     initHotspotsView(
-        elements.hotspots,
         {
-            onHotspotSelect: (lat, lon, name) =>
+            container: elements.hotspots,
+            rankMode: document.getElementById('hotspot-rank-mode'),
+            habitatFilter: document.getElementById('hotspot-habitat-filter'),
+            search: document.getElementById('hotspot-search'),
+            pager: document.getElementById('hotspots-pager')
+        },
+        { onHotspotSelect: openHotspotDetail }
+    );
+
+    initHotspotDetail(
+        {
+            modal: document.getElementById('hotspot-detail-modal'),
+            closeBtn: document.getElementById('close-hotspot-detail'),
+            title: document.getElementById('hotspot-detail-title'),
+            subtitle: document.getElementById('hotspot-detail-subtitle'),
+            scores: document.getElementById('hotspot-detail-scores'),
+            activity: document.getElementById('hotspot-detail-activity'),
+            species: document.getElementById('hotspot-detail-species'),
+            habitat: document.getElementById('hotspot-detail-habitat'),
+            checkWeatherBtn: document.getElementById('hotspot-detail-weather')
+        },
+        {
+            onCheckWeather: (lat, lon, name) =>
                 changeLocation(lat, lon, name, { addToRecent: true, zoomLevel: 14 })
         }
     );
@@ -147,6 +341,8 @@ function registerMapCallbacks() {
         });
         updateUserMarker(lat, lon);
     });
+
+    onHotspotDetailsClick(openHotspotDetail);
 }
 
 /**
@@ -155,6 +351,26 @@ function registerMapCallbacks() {
 function setupEventListeners() {
     elements.refreshBtn.addEventListener('click', handleRefresh);
 
+    // Pull fresh data as soon as the connection comes back
+    window.addEventListener('online', handleRefresh);
+
+    // Re-tag hotspots when habitat sources change; re-filter when the filter does
+    const reclassifyHotspots = () => showHotspots(store.get('nearbyHotspots'));
+    store.subscribe('landuseFeatures', reclassifyHotspots);
+    store.subscribe('hotspotHabitatOverrides', reclassifyHotspots);
+    store.subscribe('hotspotHabitatFilter', reclassifyHotspots);
+
+    // Rescore the loaded forecast when the scoring weights change
+    store.subscribe('scoringOverrides', async () => {
+        const inputs = store.get('scoringInputs');
+        if (!inputs) return;
+        const scores = await calculateBirdingConditions(inputs.weatherData);
+        renderWeatherData(inputs.weatherData);
+        if (!store.get('replayDate')) {
+            await saveCachedData(store.get('userLat'), store.get('userLon'), 'scores', scores);
+        }
+    });
+
     store.subscribe('locationName', (name) => {
         elements.locationName.textContent = name || 'Unknown location';
     });
@@ -185,8 +401,8 @@ async function changeLocation(lat, lon, name, options = {}) {
         zoomLevel = 11
     } = options;
 
-    // Reset coastal status for new location
-    store.update({ isCoastalLocation: null, coastType: null });
+    // Reset coastal and lake-shore status for new location
+    store.update({ isCoastalLocation: null, coastInfo: null, isLakeShore: null, lakeInfo: null });
 
     // Update location in store
     await setLocation(lat, lon, name);
@@ -202,6 +418,7 @@ async function changeLocation(lat, lon, name, options = {}) {
     // Optionally load hotspots
     if (shouldLoadHotspots) {
         await loadHotspots();
+        await loadRarities();
     }
 
     // Update map if requested
@@ -222,125 +439,174 @@ async function loadWeatherData() {
     store.set('isLoading', true);
     setWidgetsLoading(true);
 
-    const { data, error } = await fetchWeatherForecast(lat, lon);
+    const replayDate = store.get('replayDate');
+    if (replayDate) {
+        await loadReplayWeatherData(lat, lon, replayDate);
+        return;
+    }
+
+    const [{ data: forecast, error }, { data: observation, error: observationError }] = await Promise.all([
+        fetchWeatherForecast(lat, lon),
+        fetchCurrentObservation(lat, lon)
+    ]);
 
     if (error) {
         console.error('Failed to fetch weather:', error);
-        store.set('error', error.message);
+        const served = await loadCachedWeatherData(lat, lon);
+        store.set('error', served ? null : error.message);
         store.set('isLoading', false);
         setWidgetsLoading(false);
         return;
     }
 
+    // Measured conditions beat the model's nearest hour
+    if (observationError) {
+        console.warn('Failed to fetch observation:', observationError);
+    }
+    const data = applyObservationToForecast(forecast, observation);
+
     // Store data
     store.update({
         currentWeather: data.current,
         hourlyForecast: data.hourlyForecast,
         pressureHistory: data.pressureHistory,
-        lastFetchTime: new Date(),
+        lastFetchTime: data.fetchedAt,
+        cachedDataTime: null,
         isLoading: false,
         error: null
     });
 
     // Calculate birding conditions (async for coastal check)
-    await calculateBirdingConditions(data);
+    const scores = await calculateBirdingConditions(data);
 
     // Update UI via weather view module
     renderWeatherData(data);
+
+    await saveCachedData(lat, lon, 'forecast', data);
+    await saveCachedData(lat, lon, 'scores', scores);
+
+    // Saved-location rules fetch their own forecasts; don't hold up the rest of the refresh
+    checkAlerts().catch(alertError => console.warn('Failed to check alerts:', alertError));
 }
 
 /**
- * Get current season for migration scoring
+ * Load archived weather for replay mode and score it as of that morning
+ * Nothing is cached, so the live forecast is still there afterwards.
  */
-function getSeason() {
-    const month = new Date().getMonth();
-    if (month >= 2 && month <= 4) return 'spring';  // Mar-May
-    if (month >= 8 && month <= 10) return 'fall';   // Sep-Nov
-    return 'winter';
+async function loadReplayWeatherData(lat, lon, replayDate) {
+    const { data, error } = await fetchOpenMeteoArchive(lat, lon, { now: replayDate });
+
+    if (error) {
+        console.error('Failed to fetch archived weather:', error);
+        // Reloads live conditions so they never sit under the replay banner,
+        // unless the user has already moved on to another date or back to live
+        if (store.get('replayDate') === replayDate) {
+            rejectReplayDate(error.message);
+        }
+        return;
+    }
+
+    store.update({
+        currentWeather: data.current,
+        hourlyForecast: data.hourlyForecast,
+        pressureHistory: data.pressureHistory,
+        lastFetchTime: data.fetchedAt,
+        cachedDataTime: null,
+        isLoading: false,
+        error: null
+    });
+
+    await calculateBirdingConditions(data);
+    renderWeatherData(data);
 }
 
-async function calculateBirdingConditions(weatherData) {
-    const { current, pressureHistory, tempHistory, precipLast6h } = weatherData;
+/**
+ * Fall back to the last forecast and scores cached for this location
+ * @returns {Promise<boolean>} Whether cached data was found and shown
+ */
+async function loadCachedWeatherData(lat, lon) {
+    const forecast = await loadCachedData(lat, lon, 'forecast');
+    if (!forecast) return false;
 
-    const hour = new Date().getHours();
-    const windSpeedMph = convertWindSpeed(current.windSpeed, 'mph');
-    const tempF = convertTemperature(current.temperature, 'F');
+    const data = forecast.value;
+    store.update({
+        currentWeather: data.current,
+        hourlyForecast: data.hourlyForecast,
+        pressureHistory: data.pressureHistory,
+        lastFetchTime: forecast.savedAt,
+        cachedDataTime: forecast.savedAt
+    });
 
-    // Check if location is coastal (if not already checked)
+    // Scores are cached alongside the forecast; recompute if they went missing
+    const scores = await loadCachedData(lat, lon, 'scores');
+    if (scores) {
+        store.update(scores.value);
+    } else {
+        await calculateBirdingConditions(data);
+    }
+
+    renderWeatherData(data);
+    return true;
+}
+
+/**
+ * Score current conditions and every forecast hour, then store the results
+ * @returns {Promise<object>} The stored scores, for the offline cache
+ */
+async function calculateBirdingConditions(weatherData) {
+    // Check if location is coastal or on a large lake (if not already checked)
     const lat = store.get('userLat');
     const lon = store.get('userLon');
     let isCoastal = store.get('isCoastalLocation');
-    let coastType = store.get('coastType');
+    let coastInfo = store.get('coastInfo');
 
     if (isCoastal === null && lat && lon) {
-        const coastalInfo = await checkCoastalLocation(lat, lon);
-        isCoastal = coastalInfo.isCoastal;
-        coastType = coastalInfo.coastType;
+        const coastal = await checkCoastalLocation(lat, lon);
+        isCoastal = coastal.isCoastal;
+        coastInfo = coastal.coastInfo;
         store.update({
             isCoastalLocation: isCoastal,
-            coastType: coastType
+            coastInfo
         });
     }
 
-    // Pressure trend
-    const pressure = analyzePressureTrend(pressureHistory);
-    store.set('pressureTrend', pressure);
-
-    // Hawk watch
-    store.set('hawkWatchScore', scoreHawkWatch(
-        current.windDirection, windSpeedMph, current.visibility
-    ));
-
-    // Conditional scores based on coastal vs inland
-    if (isCoastal) {
-        store.set('seabirdScore', scoreSeabirding(
-            current.windDirection, windSpeedMph, precipLast6h, coastType
-        ));
-        store.set('grasslandScore', null);
-
-        store.set('shorebirdScore', scoreShorebirds(
-            current.windDirection, windSpeedMph, precipLast6h, current.visibility
-        ));
-        store.set('woodlandScore', null);
-    } else {
-        store.set('grasslandScore', scoreGrasslandBirds(
-            windSpeedMph, current.visibility, tempF, current.humidity, hour
-        ));
-        store.set('seabirdScore', null);
-
-        store.set('woodlandScore', scoreWoodlandBirds(
-            windSpeedMph, current.weatherCode, tempF, current.humidity, hour
-        ));
-        store.set('shorebirdScore', null);
+    let isLakeShore = store.get('isLakeShore');
+    let lakeInfo = store.get('lakeInfo');
+
+    if (isLakeShore === null && lat && lon) {
+        const lake = await checkLakeShoreLocation(lat, lon);
+        isLakeShore = lake.isLakeShore;
+        lakeInfo = lake.lakeInfo;
+        store.update({ isLakeShore, lakeInfo });
     }
 
-    // Songbird Migration (returns null outside migration season)
-    store.set('songbirdMigrationScore', scoreSongbirdMigration(
-        current.windDirection, pressure.trend, getSeason()
-    ));
-
-    // Songbird Activity (year-round)
-    store.set('songbirdActivityScore', scoreSongbirdActivity(
-        tempF, current.weatherCode, windSpeedMph, hour
-    ));
-
-    // Waterfowl
-    store.set('waterfowlScore', scoreWaterfowl(
-        tempF, windSpeedMph, current.visibility, pressure.trend
-    ));
-
-    // Owling
-    store.set('owlingScore', scoreOwling(
-        windSpeedMph, tempF, current.weatherCode, current.humidity, hour
-    ));
-
-    // Fallout risk
-    store.set('falloutRisk', assessFalloutRisk(
-        current.visibility, current.humidity, precipLast6h, pressure.trend
-    ));
-
-    // Front passage
-    store.set('frontPassageAlert', detectFrontPassage(pressureHistory, tempHistory));
+    // The replay moment in replay mode
+    const now = getReferenceTime();
+    const saved = getSavedLocation(store.get('locationName'));
+    const { season, tailwindSector } = getMigrationSeason(lat, now, saved?.migrationWindows);
+    const location = {
+        isCoastal,
+        coastInfo,
+        isLakeShore,
+        lakeInfo,
+        hawkProfile: saved?.hawkProfile || null,
+        season,
+        tailwindSector,
+        scoringConfig: resolveScoringConfig(store.get('scoringOverrides'))
+    };
+
+    const scores = {
+        ...computeBirdingConditions(weatherData, location, now),
+        scoreTimeline: buildScoreTimeline(weatherData, location),
+        tonightMigration: forecastNocturnalMigration(
+            weatherData.hourlyForecast, { season, tailwindSector }, now, location.scoringConfig
+        )
+    };
+    store.update(scores);
+
+    // Kept for the scoring settings preview and for rescoring when the weights change
+    store.set('scoringInputs', { weatherData, location });
+    return scores;
 }
 
 /**
@@ -358,17 +624,107 @@ async function loadHotspots() {
         return;
     }
 
-    const { data, error } = await fetchNearbyHotspots(lat, lon);
+    const { data, error } = await fetchNearbyHotspots(lat, lon, store.get('hotspotRadiusKm'));
 
     if (error) {
         console.warn('Failed to fetch hotspots:', error);
+        const cached = await loadCachedData(lat, lon, 'hotspots');
+        if (cached) {
+            showHotspots(cached.value);
+            return;
+        }
         elements.hotspots.innerHTML = `<p style="color: var(--color-text-secondary);">${error.message || 'Failed to load hotspots'}</p>`;
         return;
     }
 
-    store.set('nearbyHotspots', data);
-    renderHotspots(data);
-    updateMapHotspots(data);
+    showHotspots(data);
+    await saveCachedData(lat, lon, 'hotspots', data);
+    await loadLanduse(lat, lon, data);
+}
+
+function showHotspots(hotspots) {
+    const classified = classifyHotspots(hotspots, {
+        features: store.get('landuseFeatures'),
+        overrides: store.get('hotspotHabitatOverrides')
+    });
+    store.set('nearbyHotspots', classified);
+    renderHotspots(classified);
+    updateMapHotspots(classified);
+}
+
+/**
+ * Load the OSM land use at each hotspot, for habitat tagging
+ * Cached per location for LANDUSE_CACHE_DAYS, along with the hotspots it covers.
+ */
+async function loadLanduse(lat, lon, hotspots) {
+    if (!hotspots || hotspots.length === 0) return;
+
+    // Own cache field: entries from the old bounding-box query are too coarse to reuse
+    const cached = (await loadCachedData(lat, lon, 'hotspotLanduse'))?.value;
+    const lookup = cached?.hotspotIds && getCacheAge(cached.queriedAt).minutes < LANDUSE_CACHE_DAYS * 24 * 60
+        ? cached
+        : null;
+
+    // Only hotspots the cached lookup hasn't covered are queried
+    const missing = findUncoveredHotspots(hotspots, lookup);
+    if (missing.length === 0) {
+        store.set('landuseFeatures', lookup.features);
+        return;
+    }
+
+    const { data, error } = await fetchLanduseFeatures(missing);
+    if (error) {
+        console.warn('Failed to fetch land use:', error);
+        if (cached?.features) store.set('landuseFeatures', cached.features);
+        return;
+    }
+
+    const updated = addLanduseLookup(lookup, missing, data);
+    store.set('landuseFeatures', updated.features);
+    await saveCachedData(lat, lon, 'hotspotLanduse', updated);
+}
+
+/**
+ * Load recent notable observations around the current location
+ */
+async function loadRarities() {
+    const lat = store.get('userLat');
+    const lon = store.get('userLon');
+
+    if (!lat || !lon) return;
+
+    if (!store.get('ebirdApiKey')) {
+        renderRarities(null, 'Add your eBird API key in settings to see rarities nearby');
+        return;
+    }
+
+    const { data, error } = await fetchNotableObservations(lat, lon, {
+        days: store.get('rarityDaysBack'),
+        radiusKm: store.get('rarityRadiusKm')
+    });
+
+    if (error) {
+        console.warn('Failed to fetch notable observations:', error);
+        renderRarities(null, error.message || 'Failed to load rarities');
+        return;
+    }
+
+    const observations = summarizeNotableObservations(data, lat, lon);
+    store.set('notableObservations', observations);
+    renderRarities(observations);
+    updateMapRarities(observations);
+}
+
+/**
+ * Register the service worker that precaches the app shell for offline use.
+ * Skipped in development so it doesn't fight Vite's dev server.
+ */
+function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
 }
 
 /**
@@ -406,6 +762,7 @@ async function handleRefresh() {
     countdownSeconds = REFRESH_INTERVAL_SECONDS;
     await loadWeatherData();
     await loadHotspots();
+    await loadRarities();
 }
 
 // Initialize on load
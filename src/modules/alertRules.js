@@ -0,0 +1,241 @@
+/**
+ * Alert rules
+ * A rule watches one condition at one location over a time window, e.g.
+ * "hawk watch ≥ 80 tomorrow morning at Cape May". Rules are evaluated against
+ * the current conditions and the hourly score timeline; matches are
+ * de-duplicated per rule, location, and day against the keys of alerts
+ * already sent or queued (kept apart from the history log, which users clear).
+ *
+ * Rule format:
+ *   {
+ *     "id": "r1",
+ *     "type": "score",              // fallout | front | score
+ *     "scoreKey": "hawkWatchScore", // score rules only
+ *     "threshold": 80,              // score rules only
+ *     "window": "tomorrow-morning", // see ALERT_WINDOWS
+ *     "locationName": "Cape May",   // a saved location; null = wherever the dashboard is
+ *     "enabled": true
+ *   }
+ */
+
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { TIMELINE_SCORE_KEYS } from './birdingForecast.js';
+import { formatTime } from '../utils/formatting.js';
+
+export const ALERT_TYPES = {
+    fallout: 'Fallout risk is high',
+    front: 'A front passes',
+    score: 'A score reaches'
+};
+
+export const ALERT_WINDOWS = {
+    now: 'right now',
+    today: 'later today',
+    'tomorrow-morning': 'tomorrow morning',
+    'next-48h': 'in the next 48 hours'
+};
+
+// "Tomorrow morning" covers 5-10am
+const MORNING_START_HOUR = 5;
+const MORNING_END_HOUR = 10;
+
+export const MAX_ALERT_HISTORY = 50;
+
+// Keys only need to outlive the 48-hour timeline their matches come from
+const SENT_KEY_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_THRESHOLD = 80;
+
+/**
+ * Validate and normalize a rule
+ * @param {object} rule - Raw rule (see format above)
+ * @returns {object|null} null for unknown types or score rules without a known score
+ */
+export function normalizeAlertRule(rule) {
+    if (!ALERT_TYPES[rule?.type]) return null;
+    if (rule.type === 'score' && !TIMELINE_SCORE_KEYS.includes(rule.scoreKey)) return null;
+
+    const threshold = Math.round(Number(rule.threshold ?? DEFAULT_THRESHOLD));
+
+    return {
+        id: rule.id || `rule-${Date.now().toString(36)}`,
+        type: rule.type,
+        scoreKey: rule.type === 'score' ? rule.scoreKey : null,
+        threshold: rule.type === 'score'
+            ? Math.min(100, Math.max(0, Number.isFinite(threshold) ? threshold : DEFAULT_THRESHOLD))
+            : null,
+        window: ALERT_WINDOWS[rule.window] ? rule.window : 'now',
+        locationName: rule.locationName || null,
+        enabled: rule.enabled !== false
+    };
+}
+
+/**
+ * Describe a rule in plain words
+ * @param {object} rule - Normalized rule
+ * @returns {string} e.g. "Hawk Watch ≥ 80 tomorrow morning at Cape May"
+ */
+export function describeAlertRule(rule) {
+    const what = rule.type === 'score'
+        ? `${SCORE_DISPLAY_NAMES[rule.scoreKey]} ≥ ${rule.threshold}`
+        : ALERT_TYPES[rule.type];
+    return `${what} ${ALERT_WINDOWS[rule.window]} at ${rule.locationName || 'the current location'}`;
+}
+
+/**
+ * Check one rule against a location's conditions
+ * @param {object} rule - Normalized rule
+ * @param {object} data
+ * @param {object} data.conditions - Current-hour results (store keys, as from computeBirdingConditions())
+ * @param {Array} data.timeline - From buildScoreTimeline()
+ * @param {string} data.locationName - Where the conditions are for
+ * @param {Date} now - Reference time
+ * @returns {{ruleId: string, key: string, title: string, body: string, time: Date}|null} First matching hour
+ */
+export function evaluateAlertRule(rule, { conditions, timeline = [], locationName }, now = new Date()) {
+    const hours = rule.window === 'now'
+        ? [{ time: now, scores: conditions, frontPassage: conditions?.frontPassageAlert }]
+        : timeline.filter(entry => isInWindow(new Date(entry.time), rule.window, now));
+
+    for (const entry of hours) {
+        const details = describeMatch(rule, entry);
+        if (!details) continue;
+
+        const time = new Date(entry.time);
+        const place = locationName || 'your location';
+        const when = rule.window === 'now' ? 'now' : formatTime(time, true);
+
+        return {
+            ruleId: rule.id,
+            // One alert per rule, place, and day
+            key: `${rule.id}|${place}|${time.toDateString()}`,
+            title: `${details.title} at ${place}`,
+            body: `${details.body} (${when})`,
+            time
+        };
+    }
+    return null;
+}
+
+/**
+ * Drop matches already sent or queued
+ * @param {Array} matches - From evaluateAlertRule()
+ * @param {Array<{key: string}>} sentKeys - From recordSentKeys(), plus any queued alerts
+ * @returns {Array}
+ */
+export function filterNewAlerts(matches, sentKeys = []) {
+    const seen = new Set(sentKeys.map(entry => entry.key));
+    return matches.filter(match => {
+        if (seen.has(match.key)) return false;
+        seen.add(match.key);
+        return true;
+    });
+}
+
+/**
+ * Whether notifications should be held back
+ * @param {Date} now
+ * @param {{enabled: boolean, start: number, end: number}} quietHours - Local hours; may wrap midnight
+ * @returns {boolean}
+ */
+export function isQuietTime(now, quietHours) {
+    if (!quietHours?.enabled || quietHours.start === quietHours.end) return false;
+    const hour = now.getHours();
+    return quietHours.start < quietHours.end
+        ? hour >= quietHours.start && hour < quietHours.end
+        : hour >= quietHours.start || hour < quietHours.end;
+}
+
+/**
+ * Remember alerts as sent, so they aren't sent again
+ * Only alerts that were actually shown belong here; one blocked by missing
+ * notification permission should be able to fire once it's granted.
+ * @param {Array<{key: string, at: string}>} sentKeys - Previous keys
+ * @param {Array} alerts - Alerts just shown
+ * @param {Date} now
+ * @returns {Array<{key: string, at: string}>} Without keys older than SENT_KEY_DAYS
+ */
+export function recordSentKeys(sentKeys, alerts, now = new Date()) {
+    const cutoff = now.getTime() - SENT_KEY_DAYS * DAY_MS;
+    const kept = (sentKeys || []).filter(entry => new Date(entry.at).getTime() >= cutoff);
+    return [...alerts.map(({ key }) => ({ key, at: now.toISOString() })), ...kept];
+}
+
+/**
+ * Hold alerts found during quiet hours
+ * @param {Array} queue - Alerts already held
+ * @param {Array} alerts - New matches
+ * @param {Date} now
+ * @returns {Array} Oldest first, each with `heldAt`
+ */
+export function queueAlerts(queue, alerts, now = new Date()) {
+    return [...(queue || []), ...alerts.map(alert => ({ ...alert, heldAt: now.toISOString() }))];
+}
+
+/**
+ * Turn held alerts back into sendable ones, noting when they were found
+ * @param {Array} queue - From queueAlerts()
+ * @returns {Array}
+ */
+export function releaseQueuedAlerts(queue) {
+    return (queue || []).map(({ heldAt, ...alert }) => ({
+        ...alert,
+        body: `${alert.body} · found ${formatTime(new Date(heldAt))} during quiet hours`
+    }));
+}
+
+/**
+ * Add fired alerts to the history log
+ * An alert that couldn't be shown is retried on later checks but logged only once.
+ * @param {Array} history - Past alerts, newest first
+ * @param {Array} alerts - Alerts just fired, each with `notified` set
+ * @param {Date} firedAt
+ * @returns {Array} Newest first, at most MAX_ALERT_HISTORY entries
+ */
+export function recordAlerts(history, alerts, firedAt = new Date()) {
+    const unsent = new Set(history.filter(entry => !entry.notified).map(entry => entry.key));
+    const logged = alerts.filter(alert => alert.notified || !unsent.has(alert.key));
+    const entries = logged.map(({ key, ruleId, title, body, notified }) => ({
+        key,
+        ruleId,
+        title,
+        body,
+        notified,
+        firedAt: firedAt.toISOString()
+    }));
+    return [...entries, ...history].slice(0, MAX_ALERT_HISTORY);
+}
+
+// Helper functions
+
+function describeMatch(rule, { scores, frontPassage }) {
+    if (rule.type === 'fallout') {
+        const risk = scores?.falloutRisk;
+        return risk?.level === 'high' ? { title: 'High fallout risk', body: risk.message } : null;
+    }
+    if (rule.type === 'front') {
+        return frontPassage?.detected ? { title: 'Front passage', body: frontPassage.message } : null;
+    }
+
+    const result = scores?.[rule.scoreKey];
+    return result && result.score >= rule.threshold
+        ? { title: `${SCORE_DISPLAY_NAMES[rule.scoreKey]} ${result.score}`, body: `${result.rating} conditions` }
+        : null;
+}
+
+function isInWindow(time, window, now) {
+    const startOfHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours());
+    if (time < startOfHour) return false;
+
+    if (window === 'today') {
+        return time.toDateString() === now.toDateString();
+    }
+    if (window === 'tomorrow-morning') {
+        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        return time.toDateString() === tomorrow.toDateString()
+            && time.getHours() >= MORNING_START_HOUR
+            && time.getHours() < MORNING_END_HOUR;
+    }
+    return true;
+}
@@ -0,0 +1,96 @@
+import {
+  normalizeAlertRule,
+  describeAlertRule,
+  evaluateAlertRule,
+  filterNewAlerts,
+  isQuietTime,
+  recordSentKeys,
+  queueAlerts,
+  releaseQueuedAlerts,
+  recordAlerts,
+  MAX_ALERT_HISTORY
+} from './alertRules.js';
+
+const NOW = new Date(2026, 9, 19, 16, 20);
+
+function hourAt(day, hour, scores = {}, frontPassage = { detected: false }) {
+  return { time: new Date(2026, 9, day, hour), scores, frontPassage };
+}
+
+describe('alert rules', () => {
+  test('normalizes and describes rules', () => {
+    const rule = normalizeAlertRule({
+      id: 'r1', type: 'score', scoreKey: 'hawkWatchScore', threshold: '120', window: 'tomorrow-morning',
+      locationName: 'Cape May'
+    });
+
+    expect(rule).toEqual({
+      id: 'r1', type: 'score', scoreKey: 'hawkWatchScore', threshold: 100, window: 'tomorrow-morning',
+      locationName: 'Cape May', enabled: true
+    });
+    expect(describeAlertRule({ ...rule, threshold: 80 })).toBe('Hawk Watch ≥ 80 tomorrow morning at Cape May');
+    expect(normalizeAlertRule({ type: 'score', scoreKey: 'nope' })).toBeNull();
+    expect(normalizeAlertRule({ type: 'fallout', window: 'someday' })).toMatchObject({ window: 'now', scoreKey: null });
+  });
+
+  test('matches a score threshold tomorrow morning only', () => {
+    const rule = normalizeAlertRule({
+      id: 'r1', type: 'score', scoreKey: 'hawkWatchScore', threshold: 80, window: 'tomorrow-morning'
+    });
+    const strong = { hawkWatchScore: { score: 85, rating: 'Excellent' } };
+    const timeline = [
+      hourAt(19, 17, strong), // this evening
+      hourAt(20, 4, strong), // before the morning window
+      hourAt(20, 6, { hawkWatchScore: { score: 70, rating: 'Good' } }),
+      hourAt(20, 8, strong)
+    ];
+
+    const match = evaluateAlertRule(rule, { conditions: {}, timeline, locationName: 'Hawk Mountain' }, NOW);
+
+    expect(match.time).toEqual(new Date(2026, 9, 20, 8));
+    expect(match.title).toBe('Hawk Watch 85 at Hawk Mountain');
+    expect(evaluateAlertRule(rule, { conditions: {}, timeline: timeline.slice(0, 3) }, NOW)).toBeNull();
+  });
+
+  test('fallout and front rules read current conditions and the timeline', () => {
+    const fallout = normalizeAlertRule({ id: 'f', type: 'fallout' });
+    const front = normalizeAlertRule({ id: 'c', type: 'front', window: 'today' });
+    const conditions = { falloutRisk: { level: 'high', message: 'Strong fallout potential' } };
+    const timeline = [hourAt(19, 21, {}, { detected: true, type: 'cold', message: 'Cold front approaching' })];
+
+    expect(evaluateAlertRule(fallout, { conditions, locationName: 'Home' }, NOW).body)
+      .toBe('Strong fallout potential (now)');
+    expect(evaluateAlertRule(front, { conditions, timeline, locationName: 'Home' }, NOW).title)
+      .toBe('Front passage at Home');
+  });
+
+  test('de-duplicates, honours quiet hours, and caps the history', () => {
+    const alerts = [{ key: 'a', title: 'A' }, { key: 'b', title: 'B' }, { key: 'b', title: 'B again' }];
+    const sentKeys = recordSentKeys([{ key: 'old', at: new Date(2026, 9, 10).toISOString() }], [alerts[0]], NOW);
+    const history = recordAlerts([], [{ key: 'a', title: 'A', notified: true }], NOW);
+
+    expect(filterNewAlerts(alerts, sentKeys).map(a => a.title)).toEqual(['B']);
+    expect(sentKeys.map(entry => entry.key)).toEqual(['a']);
+    expect(history[0]).toMatchObject({ key: 'a', notified: true, firedAt: NOW.toISOString() });
+    // Queued alerts count as already handled
+    expect(filterNewAlerts(alerts, [...sentKeys, { key: 'b', title: 'B' }])).toEqual([]);
+
+    // A blocked alert is retried but logged once
+    const blocked = recordAlerts(history, [{ key: 'b', title: 'B', notified: false }], NOW);
+    expect(recordAlerts(blocked, [{ key: 'b', title: 'B', notified: false }], NOW)).toHaveLength(2);
+    expect(recordAlerts(blocked, [{ key: 'b', title: 'B', notified: true }], NOW)).toHaveLength(3);
+
+    const night = new Date(2026, 9, 19, 23, 5);
+    const [released] = releaseQueuedAlerts(queueAlerts([], [{ key: 'b', title: 'B', body: 'Strong flight' }], night));
+    expect(released).toEqual({ key: 'b', title: 'B', body: 'Strong flight · found 11:05 PM during quiet hours' });
+
+    const overnight = { enabled: true, start: 22, end: 7 };
+    expect(isQuietTime(new Date(2026, 9, 19, 23), overnight)).toBe(true);
+    expect(isQuietTime(new Date(2026, 9, 19, 6), overnight)).toBe(true);
+    expect(isQuietTime(new Date(2026, 9, 19, 7), overnight)).toBe(false);
+    expect(isQuietTime(new Date(2026, 9, 19, 23), { ...overnight, enabled: false })).toBe(false);
+
+    const many = Array.from({ length: MAX_ALERT_HISTORY + 5 }, (_, i) => ({ key: `k${i}` }));
+    expect(recordAlerts([], many, NOW)).toHaveLength(MAX_ALERT_HISTORY);
+  });
+});
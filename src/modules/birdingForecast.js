@@ -0,0 +1,264 @@
+/**
+ * Hour-by-hour birding conditions
+ * Runs every scorer in birdingConditions.js against a weather snapshot so the
+ * current hour and each forecast hour share one scoring pipeline.
+ */
+
+import {
+    scoreHawkWatch,
+    scoreSeabirding,
+    scoreLakewatch,
+    scoreSongbirdMigration,
+    scoreSongbirdActivity,
+    scoreShorebirds,
+    scoreWaterfowl,
+    scoreOwling,
+    scoreGrasslandBirds,
+    scoreWoodlandBirds,
+    assessFalloutRisk,
+    analyzePressureTrend,
+    detectFrontPassage
+} from '../config/birdingConditions.js';
+import { DEFAULT_SCORING_CONFIG } from '../config/scoringConfig.js';
+import { convertWindSpeed, convertTemperature } from '../utils/formatting.js';
+
+// Rolling window sizes, matching the history slices built in openMeteo.js
+const PRESSURE_WINDOW_HOURS = 12;
+const PRECIP_WINDOW_HOURS = 6;
+
+// assessFalloutRisk() levels, lowest first
+const FALLOUT_LEVELS = ['low', 'moderate', 'high'];
+
+/**
+ * Score keys produced for every hour, in display order
+ */
+export const TIMELINE_SCORE_KEYS = [
+    'hawkWatchScore',
+    'seabirdScore',
+    'lakewatchScore',
+    'grasslandScore',
+    'shorebirdScore',
+    'woodlandScore',
+    'songbirdMigrationScore',
+    'songbirdActivityScore',
+    'waterfowlScore',
+    'owlingScore'
+];
+
+/**
+ * Score a single hour of weather with every birding scorer
+ * @param {object} conditions - Hourly weather entry (metric units, as returned by openMeteo.js)
+ * @param {object} context - Location and trend context for this hour
+ * @param {boolean} context.isCoastal - Coastal vs inland scoring
+ * @param {object|null} context.coastInfo - Nearest-shore details from checkCoastalLocation()
+ * @param {boolean} context.isLakeShore - On the shore of a large lake
+ * @param {object|null} context.lakeInfo - Nearest lake-shore details from checkLakeShoreLocation()
+ * @param {object|null} context.hawkProfile - Saved location's hawk-watch profile (null = eastern fall ridge)
+ * @param {string} context.season - Migration season from getMigrationSeason()
+ * @param {{min: number, max: number}|null} context.tailwindSector - Migration tailwinds for the season
+ * @param {number} context.hour - Hour of day (0-23)
+ * @param {number} context.precipLast6h - Precipitation over the preceding 6 hours (mm)
+ * @param {object} context.pressureTrend - Result of analyzePressureTrend()
+ * @param {object} context.frontPassage - Result of detectFrontPassage()
+ * @param {object} context.scoringConfig - Weights from resolveScoringConfig() (defaults when omitted)
+ * @returns {object} Score results keyed by store key (null where not applicable)
+ */
+export function scoreConditions(conditions, context) {
+    const {
+        isCoastal, coastInfo, isLakeShore, lakeInfo, hawkProfile,
+        season, tailwindSector, hour, precipLast6h, pressureTrend, frontPassage,
+        scoringConfig: config = DEFAULT_SCORING_CONFIG
+    } = context;
+
+    const windSpeedMph = convertWindSpeed(conditions.windSpeed, 'mph');
+    const tempF = convertTemperature(conditions.temperature, 'F');
+    // Scorers fall back to their default sector when the orientation is unknown
+    const onshoreSector = coastInfo?.onshoreSector;
+
+    return {
+        hawkWatchScore: scoreHawkWatch(
+            conditions.windDirection, windSpeedMph, conditions.visibility, hawkProfile, config.hawkWatchScore
+        ),
+        seabirdScore: isCoastal
+            ? scoreSeabirding(conditions.windDirection, windSpeedMph, precipLast6h, onshoreSector, config.seabirdScore)
+            : null,
+        lakewatchScore: isLakeShore
+            ? scoreLakewatch(
+                conditions.windDirection, windSpeedMph, conditions.visibility, frontPassage, lakeInfo.onshoreSector,
+                config.lakewatchScore
+            )
+            : null,
+        grasslandScore: isCoastal
+            ? null
+            : scoreGrasslandBirds(
+                windSpeedMph, conditions.visibility, tempF, conditions.humidity, hour, config.grasslandScore
+            ),
+        shorebirdScore: isCoastal
+            ? scoreShorebirds(
+                conditions.windDirection, windSpeedMph, precipLast6h, conditions.visibility, onshoreSector,
+                config.shorebirdScore
+            )
+            : null,
+        woodlandScore: isCoastal
+            ? null
+            : scoreWoodlandBirds(
+                windSpeedMph, conditions.weatherCode, tempF, conditions.humidity, hour, config.woodlandScore
+            ),
+        // Returns null outside migration season
+        songbirdMigrationScore: scoreSongbirdMigration(
+            conditions.windDirection, pressureTrend.trend, season, tailwindSector, config.songbirdMigrationScore
+        ),
+        songbirdActivityScore: scoreSongbirdActivity(
+            tempF, conditions.weatherCode, windSpeedMph, hour, config.songbirdActivityScore
+        ),
+        waterfowlScore: scoreWaterfowl(
+            tempF, windSpeedMph, conditions.visibility, pressureTrend.trend, config.waterfowlScore
+        ),
+        owlingScore: scoreOwling(
+            windSpeedMph, tempF, conditions.weatherCode, conditions.humidity, hour, config.owlingScore
+        ),
+        falloutRisk: assessFalloutRisk(
+            conditions.visibility, conditions.humidity, precipLast6h, pressureTrend.trend
+        )
+    };
+}
+
+/**
+ * Compute all birding conditions for the current hour
+ * @param {object} weatherData - Transformed forecast from fetchWeatherForecast()
+ * @param {object} location - { isCoastal, coastInfo, isLakeShore, lakeInfo, hawkProfile, season, tailwindSector,
+ *   scoringConfig }
+ * @param {Date} now - Reference time for time-of-day scoring
+ * @returns {object} Scores plus pressureTrend and frontPassageAlert, keyed by store key
+ */
+export function computeBirdingConditions(weatherData, location, now = new Date()) {
+    const { current, pressureHistory, tempHistory, precipLast6h } = weatherData;
+
+    const pressureTrend = analyzePressureTrend(pressureHistory);
+    const frontPassage = detectFrontPassage(pressureHistory, tempHistory);
+
+    return {
+        pressureTrend,
+        ...scoreConditions(current, {
+            ...location,
+            hour: now.getHours(),
+            precipLast6h,
+            pressureTrend,
+            frontPassage
+        }),
+        frontPassageAlert: frontPassage
+    };
+}
+
+/**
+ * Score every hour of the forecast horizon
+ * Pressure trend, front passage, and recent precipitation are recomputed for
+ * each hour from a rolling window over observed history plus forecast hours.
+ * @param {object} weatherData - Transformed forecast from fetchWeatherForecast()
+ * @param {object} location - { isCoastal, coastInfo, isLakeShore, lakeInfo, hawkProfile, season, tailwindSector,
+ *   scoringConfig }
+ * @returns {Array<{time: Date, scores: object, pressureTrend: object, frontPassage: object}>}
+ */
+export function buildScoreTimeline(weatherData, location) {
+    const {
+        hourlyForecast = [],
+        pressureHistory = [],
+        tempHistory = [],
+        precipHistory = []
+    } = weatherData;
+
+    if (hourlyForecast.length === 0) return [];
+
+    // History arrays end with the current hour, which is also hourlyForecast[0]
+    const pressureSeries = joinSeries(pressureHistory, hourlyForecast.map(h => ({
+        time: h.time,
+        pressure: h.pressure
+    })));
+    const tempSeries = joinSeries(tempHistory, hourlyForecast.map(h => ({
+        time: h.time,
+        temp: h.temperature
+    })));
+    const precipSeries = joinSeries(precipHistory, hourlyForecast.map(h => ({
+        time: h.time,
+        precipitation: h.precipitation
+    })));
+
+    const pressureOffset = pressureSeries.length - hourlyForecast.length;
+    const tempOffset = tempSeries.length - hourlyForecast.length;
+    const precipOffset = precipSeries.length - hourlyForecast.length;
+
+    return hourlyForecast.map((conditions, i) => {
+        const time = new Date(conditions.time);
+        const pressureWindow = windowEndingAt(pressureSeries, pressureOffset + i, PRESSURE_WINDOW_HOURS);
+        const tempWindow = windowEndingAt(tempSeries, tempOffset + i, PRESSURE_WINDOW_HOURS);
+        const precipLast6h = windowEndingAt(precipSeries, precipOffset + i, PRECIP_WINDOW_HOURS)
+            .reduce((sum, h) => sum + (h.precipitation || 0), 0);
+
+        const pressureTrend = analyzePressureTrend(pressureWindow);
+        const frontPassage = detectFrontPassage(pressureWindow, tempWindow);
+
+        return {
+            time,
+            scores: scoreConditions(conditions, {
+                ...location,
+                hour: time.getHours(),
+                precipLast6h,
+                pressureTrend,
+                frontPassage
+            }),
+            pressureTrend,
+            frontPassage
+        };
+    });
+}
+
+/**
+ * Find the hour at which each score peaks across a timeline
+ * @param {Array} timeline - Result of buildScoreTimeline()
+ * @returns {object} Map of score key -> { time, score, rating } (null if never scored)
+ */
+export function findScorePeaks(timeline) {
+    const peaks = {};
+
+    TIMELINE_SCORE_KEYS.forEach(key => {
+        peaks[key] = null;
+        timeline.forEach(entry => {
+            const result = entry.scores[key];
+            if (result && (!peaks[key] || result.score > peaks[key].score)) {
+                peaks[key] = { time: entry.time, score: result.score, rating: result.rating };
+            }
+        });
+    });
+
+    return peaks;
+}
+
+/**
+ * Find the first hour at the highest fallout risk across a timeline
+ * Fallout is a risk level rather than a 0-100 score, so it peaks separately.
+ * @param {Array} timeline - Result of buildScoreTimeline()
+ * @returns {{time: Date, level: string, message: string}|null} null if the timeline is empty
+ */
+export function findFalloutPeak(timeline) {
+    let peak = null;
+
+    timeline.forEach(entry => {
+        const risk = entry.scores.falloutRisk;
+        if (risk && (!peak || FALLOUT_LEVELS.indexOf(risk.level) > FALLOUT_LEVELS.indexOf(peak.level))) {
+            peak = { time: entry.time, level: risk.level, message: risk.message };
+        }
+    });
+
+    return peak;
+}
+
+// Helper functions
+
+function joinSeries(history, forecast) {
+    // Drop the duplicated current hour from history before appending the forecast
+    return history.length > 0 ? [...history.slice(0, -1), ...forecast] : forecast;
+}
+
+function windowEndingAt(series, index, size) {
+    return series.slice(Math.max(0, index - size + 1), index + 1);
+}
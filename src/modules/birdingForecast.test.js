@@ -0,0 +1,78 @@
+import {
+  computeBirdingConditions,
+  buildScoreTimeline,
+  findScorePeaks,
+  findFalloutPeak
+} from './birdingForecast.js';
+
+function makeHour(time, overrides = {}) {
+  return {
+    time,
+    temperature: 12,
+    humidity: 65,
+    precipitation: 0,
+    precipProbability: 10,
+    weatherCode: 1,
+    pressure: 1012,
+    visibility: 20000,
+    windSpeed: 25, // km/h
+    windDirection: 315,
+    windGusts: 35,
+    ...overrides
+  };
+}
+
+function makeWeatherData(forecastHours = 48) {
+  const start = new Date(2026, 9, 19, 6);
+  const hourAt = (offset) => new Date(start.getTime() + offset * 3600000);
+
+  const past = Array.from({ length: 12 }, (_, i) => makeHour(hourAt(i - 11)));
+  const hourlyForecast = Array.from({ length: forecastHours }, (_, i) => makeHour(hourAt(i)));
+
+  return {
+    current: hourlyForecast[0],
+    hourlyForecast,
+    pressureHistory: past.map(h => ({ time: h.time, pressure: h.pressure })),
+    tempHistory: past.map(h => ({ time: h.time, temp: h.temperature })),
+    precipHistory: past.slice(-6).map(h => ({ time: h.time, precipitation: h.precipitation })),
+    precipLast6h: 0
+  };
+}
+
+const inland = { isCoastal: false, coastInfo: null, season: 'fall' };
+
+describe('birdingForecast pipeline', () => {
+  test('buildScoreTimeline scores every forecast hour', () => {
+    const timeline = buildScoreTimeline(makeWeatherData(), inland);
+    expect(timeline).toHaveLength(48);
+    expect(timeline[0].scores.hawkWatchScore.score).toBeGreaterThan(0);
+    expect(timeline[0].scores.seabirdScore).toBeNull();
+    expect(timeline[0].scores.grasslandScore).not.toBeNull();
+  });
+
+  test('first timeline hour matches the current-hour scores', () => {
+    const data = makeWeatherData();
+    const current = computeBirdingConditions(data, inland, new Date(data.current.time));
+    const [first] = buildScoreTimeline(data, inland);
+    expect(first.scores.owlingScore).toEqual(current.owlingScore);
+    expect(first.pressureTrend.trend).toBe(current.pressureTrend.trend);
+  });
+
+  test('findScorePeaks picks the best hour for time-of-day scores', () => {
+    const peaks = findScorePeaks(buildScoreTimeline(makeWeatherData(), inland));
+    const peakHour = new Date(peaks.owlingScore.time).getHours();
+    expect(peakHour >= 20 || peakHour < 6).toBe(true);
+    expect(peaks.seabirdScore).toBeNull();
+  });
+
+  test('findFalloutPeak picks the first hour at the highest risk level', () => {
+    const timeline = ['low', 'moderate', 'high', 'high', 'low'].map((level, i) => ({
+      time: new Date(2026, 9, 19, 6 + i),
+      scores: { falloutRisk: { level, message: level } }
+    }));
+
+    expect(findFalloutPeak(timeline)).toEqual({ time: new Date(2026, 9, 19, 8), level: 'high', message: 'high' });
+    expect(findFalloutPeak(buildScoreTimeline(makeWeatherData(), inland)).level).toBe('low');
+    expect(findFalloutPeak([])).toBeNull();
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Daily birding briefing
+ * Summarizes the day ahead at each location — best guild and outing window,
+ * the wind and pressure story, fallout risk, front passage, and top hotspots —
+ * and formats it as Markdown or a self-contained HTML page for pasting into
+ * an email.
+ */
+
+import store from '../state/store.js';
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { fetchNearbyHotspots } from '../api/ebird.js';
+import { buildScoreTimeline, findScorePeaks } from './birdingForecast.js';
+import { scoreLocation } from './locationComparison.js';
+import { findOutingWindows } from './outingPlanner.js';
+import { rankHotspots } from './hotspotRanking.js';
+import { formatTime, formatWindSpeed, formatPressure, getWindDirectionLabel } from '../utils/formatting.js';
+
+export const BRIEFING_HOTSPOT_COUNT = 3;
+
+// Inline styles, since email clients drop <style> blocks
+const PAGE_STYLE = 'max-width: 640px; margin: 0 auto; font-family: Arial, Helvetica, sans-serif; '
+    + 'font-size: 14px; line-height: 1.5; color: #222222;';
+const LABEL_STYLE = 'text-align: left; vertical-align: top; padding: 4px 12px 4px 0; white-space: nowrap;';
+
+// What each pressure trend usually means for the day
+const PRESSURE_STORIES = {
+    'rising-fast': 'clearing fast behind a departing system',
+    rising: 'clearing and settling',
+    steady: 'settled weather',
+    falling: 'a system is on the way',
+    'falling-fast': 'a system is closing in fast'
+};
+
+/**
+ * Fetch, score, and summarize every location
+ * Hotspots need an eBird key; without one the briefing simply leaves them out.
+ * @param {Array<{lat: number, lon: number, name: string, hawkProfile?: object, migrationWindows?: object}>} locations
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} One briefing per location (see summarizeLocation()); failed ones are {name, error}
+ */
+export async function generateBriefing(locations, now = new Date()) {
+    const radiusKm = store.get('hotspotRadiusKm');
+    const threshold = store.get('plannerThreshold');
+
+    return Promise.all(locations.map(async loc => {
+        const { data, error } = await scoreLocation(loc.lat, loc.lon, {
+            hawkProfile: loc.hawkProfile,
+            migrationWindows: loc.migrationWindows
+        });
+
+        if (error) {
+            return { name: loc.name, error };
+        }
+
+        const { data: hotspots } = await fetchNearbyHotspots(loc.lat, loc.lon, radiusKm);
+
+        return summarizeLocation(
+            { ...loc, ...data, hotspots: hotspots || [] },
+            { now, threshold, radiusKm }
+        );
+    }));
+}
+
+/**
+ * Summarize one scored location for the rest of today
+ * @param {object} input
+ * @param {string} input.name
+ * @param {number} input.lat
+ * @param {number} input.lon
+ * @param {object} input.weather - From fetchWeatherForecast()
+ * @param {object} input.conditions - From computeBirdingConditions()
+ * @param {object} input.location - Scoring context used for the conditions
+ * @param {Array} input.hotspots - From fetchNearbyHotspots()
+ * @param {object} options
+ * @param {Date} options.now - Reference time; the briefing covers the rest of its day
+ * @param {number} options.threshold - Minimum score for an outing window
+ * @param {number} options.radiusKm - Hotspot search radius, for ranking
+ * @returns {{name: string, best: object|null, window: object|null, wind: object, pressure: number|null,
+ *   pressureTrend: object, fallout: object, front: object|null, hotspots: Array<{name: string, reason: string}>}}
+ */
+export function summarizeLocation(
+    { name, lat, lon, weather, conditions, location, hotspots = [] },
+    { now = new Date(), threshold, radiusKm } = {}
+) {
+    const today = buildScoreTimeline(weather, location)
+        .filter(entry => new Date(entry.time).toDateString() === now.toDateString());
+
+    // Best guild is the one with the highest peak left today
+    let best = null;
+    Object.entries(findScorePeaks(today)).forEach(([key, peak]) => {
+        if (peak && (!best || peak.score > best.score)) {
+            best = { key, ...peak };
+        }
+    });
+
+    const [window = null] = best ? findOutingWindows(today, best.key, { threshold, limit: 1 }) : [];
+
+    // A front passing now takes precedence over one later in the day
+    let front = null;
+    if (conditions.frontPassageAlert?.detected) {
+        front = { ...conditions.frontPassageAlert, time: null };
+    } else {
+        const entry = today.find(e => e.frontPassage?.detected);
+        if (entry) front = { ...entry.frontPassage, time: entry.time };
+    }
+
+    return {
+        name,
+        best,
+        window,
+        wind: { direction: weather.current.windDirection, speed: weather.current.windSpeed },
+        pressure: weather.current.pressure ?? null,
+        pressureTrend: conditions.pressureTrend,
+        fallout: conditions.falloutRisk,
+        front,
+        hotspots: rankHotspots(hotspots, { lat, lon, bestGuild: best, radiusKm, now })
+            .slice(0, BRIEFING_HOTSPOT_COUNT)
+            .map(hotspot => ({ name: hotspot.name, reason: hotspot.rank.reasons[0] }))
+    };
+}
+
+/**
+ * Turn a location briefing into labelled lines, shared by every output format
+ * @param {object} briefing - From summarizeLocation(), or {name, error}
+ * @returns {Array<{label: string, text: string}>}
+ */
+export function describeBriefing(briefing) {
+    if (briefing.error) {
+        return [{ label: 'Forecast', text: briefing.error.message || 'Failed to load forecast' }];
+    }
+
+    const lines = [
+        { label: 'Best bet', text: describeBest(briefing) },
+        { label: 'Wind & pressure', text: describeWindAndPressure(briefing) },
+        { label: 'Fallout risk', text: `${capitalize(briefing.fallout.level)} — ${briefing.fallout.message}` },
+        { label: 'Front', text: describeFront(briefing.front) }
+    ];
+
+    if (briefing.hotspots.length > 0) {
+        lines.push({
+            label: 'Top hotspots',
+            text: briefing.hotspots.map(h => (h.reason ? `${h.name} (${h.reason})` : h.name)).join('; ')
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Format the briefing as plain text that is also valid Markdown
+ * @param {Array} briefings - From generateBriefing()
+ * @param {Date} date - Day the briefing is for
+ * @returns {string}
+ */
+export function formatBriefingMarkdown(briefings, date = new Date()) {
+    const sections = briefings.map(briefing => [
+        `## ${briefing.name}`,
+        '',
+        ...describeBriefing(briefing).map(({ label, text }) => `- **${label}:** ${text}`)
+    ].join('\n'));
+
+    return [`# ${briefingTitle(date)}`, ...sections].join('\n\n') + '\n';
+}
+
+/**
+ * Format the briefing as a standalone HTML page with inline styles, ready to
+ * paste into an email
+ * @param {Array} briefings - From generateBriefing()
+ * @param {Date} date - Day the briefing is for
+ * @returns {string}
+ */
+export function formatBriefingHtml(briefings, date = new Date()) {
+    const title = escapeHtml(briefingTitle(date));
+    const sections = briefings.map(briefing => `
+    <h2 style="margin: 24px 0 8px; font-size: 18px; color: #1b4332;">${escapeHtml(briefing.name)}</h2>
+    <table style="border-collapse: collapse; width: 100%;">
+${describeBriefing(briefing).map(({ label, text }) => `      <tr>
+        <th style="${LABEL_STYLE}">${escapeHtml(label)}</th>
+        <td style="padding: 4px 0;">${escapeHtml(text)}</td>
+      </tr>`).join('\n')}
+    </table>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+</head>
+<body style="margin: 0; padding: 16px; background: #ffffff;">
+  <div style="${PAGE_STYLE}">
+    <h1 style="margin: 0 0 8px; font-size: 22px; color: #1b4332;">${title}</h1>${sections}
+  </div>
+</body>
+</html>
+`;
+}
+
+// Helper functions
+
+function briefingTitle(date) {
+    const day = date.toLocaleDateString('en-US', {
+        weekday: 'long', month: 'long', day: 'numeric', year: 'numeric'
+    });
+    return `Birding briefing — ${day}`;
+}
+
+function describeBest({ best, window }) {
+    if (!best) return 'No scores left for today';
+
+    const guild = SCORE_DISPLAY_NAMES[best.key];
+    if (window) {
+        const hours = `${formatTime(window.start)} – ${formatTime(window.end)}`;
+        return `${guild}, ${hours} (avg ${window.averageScore}, ${window.rating})`;
+    }
+    return `${guild}, peaking at ${best.score} (${best.rating}) around ${formatTime(best.time)}`;
+}
+
+function describeWindAndPressure({ wind, pressure, pressureTrend }) {
+    const windText = Number.isFinite(wind.direction)
+        ? `${getWindDirectionLabel(wind.direction)} wind ${formatWindSpeed(wind.speed)}`
+        : `Wind ${formatWindSpeed(wind.speed)}`;
+
+    const story = PRESSURE_STORIES[pressureTrend?.trend];
+    if (!story) return `${windText}; pressure trend unavailable`;
+
+    const change = `${pressureTrend.change >= 0 ? '+' : ''}${pressureTrend.change.toFixed(1)} hPa/3h`;
+    const reading = pressure === null ? '' : ` at ${formatPressure(pressure)}`;
+    return `${windText}; pressure ${pressureTrend.description.toLowerCase()} (${change})${reading} — ${story}`;
+}
+
+function describeFront(front) {
+    if (!front) return 'None expected today';
+    return front.time ? `${front.message} around ${formatTime(front.time)}` : front.message;
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
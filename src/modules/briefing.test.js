@@ -0,0 +1,87 @@
+import { summarizeLocation, describeBriefing, formatBriefingMarkdown, formatBriefingHtml } from './briefing.js';
+import { computeBirdingConditions } from './birdingForecast.js';
+
+const NOW = new Date(2026, 9, 19, 6);
+
+function makeHour(offset, overrides = {}) {
+  return {
+    time: new Date(NOW.getTime() + offset * 3600000),
+    temperature: 12,
+    humidity: 65,
+    precipitation: 0,
+    weatherCode: 1,
+    pressure: 1012 - offset * 0.5,
+    visibility: 20000,
+    windSpeed: 25, // km/h
+    windDirection: 315,
+    ...overrides
+  };
+}
+
+function makeInput() {
+  const past = Array.from({ length: 12 }, (_, i) => makeHour(i - 11));
+  const hourlyForecast = Array.from({ length: 48 }, (_, i) => makeHour(i));
+  const weather = {
+    current: hourlyForecast[0],
+    hourlyForecast,
+    pressureHistory: past.map(h => ({ time: h.time, pressure: h.pressure })),
+    tempHistory: past.map(h => ({ time: h.time, temp: h.temperature })),
+    precipHistory: past.slice(-6).map(h => ({ time: h.time, precipitation: 0 })),
+    precipLast6h: 0
+  };
+  const location = { isCoastal: false, coastInfo: null, season: 'fall' };
+
+  return {
+    name: 'Hawk Mountain',
+    lat: 40.64,
+    lon: -75.99,
+    weather,
+    location,
+    conditions: computeBirdingConditions(weather, location, NOW),
+    hotspots: [
+      { id: 'L1', name: 'Hawk Mountain Sanctuary', lat: 40.64, lon: -75.99, speciesCount: 250, latestObsDate: '2026-10-19 07:00' },
+      { id: 'L2', name: 'Kempton Mall', lat: 40.62, lon: -75.90, speciesCount: 40, latestObsDate: '2026-09-01' },
+      { id: 'L3', name: 'Blue Marsh Lake', lat: 40.38, lon: -76.02, speciesCount: 260, latestObsDate: '2026-10-18' },
+      { id: 'L4', name: 'Far Away Park', lat: 40.90, lon: -75.60, speciesCount: 90, latestObsDate: '2026-08-01' }
+    ]
+  };
+}
+
+describe('daily briefing', () => {
+  test('summarizes the rest of today at a location', () => {
+    const briefing = summarizeLocation(makeInput(), { now: NOW, threshold: 50, radiusKm: 50 });
+
+    expect(briefing.best.time.toDateString()).toBe(NOW.toDateString());
+    expect(briefing.window.start.toDateString()).toBe(NOW.toDateString());
+    expect(briefing.window.averageScore).toBeGreaterThanOrEqual(50);
+    expect(briefing.pressureTrend.trend).toBe('falling');
+    expect(briefing.hotspots).toHaveLength(3);
+    expect(briefing.hotspots[0].name).toBe('Hawk Mountain Sanctuary');
+  });
+
+  test('describes each location as labelled lines in Markdown', () => {
+    const briefing = summarizeLocation(makeInput(), { now: NOW, threshold: 101, radiusKm: 50 });
+    const failed = { name: 'Cape May', error: new Error('Network error') };
+    const markdown = formatBriefingMarkdown([briefing, failed], NOW);
+
+    expect(briefing.window).toBeNull();
+    expect(describeBriefing(briefing).map(line => line.label))
+      .toEqual(['Best bet', 'Wind & pressure', 'Fallout risk', 'Front', 'Top hotspots']);
+    expect(markdown).toContain('# Birding briefing — Monday, October 19, 2026');
+    expect(markdown).toContain('## Hawk Mountain');
+    expect(markdown).toMatch(/- \*\*Wind & pressure:\*\* NW wind \d+ mph; pressure falling \(-1\.5 hPa\/3h\)/);
+    expect(markdown).toContain('- **Best bet:** ');
+    expect(markdown).toContain('peaking at');
+    expect(markdown).toContain('## Cape May\n\n- **Forecast:** Network error');
+  });
+
+  test('renders a standalone, escaped HTML page', () => {
+    const briefing = summarizeLocation(makeInput(), { now: NOW, threshold: 50, radiusKm: 50 });
+    const html = formatBriefingHtml([{ ...briefing, name: 'Pond <North>' }], NOW);
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).not.toMatch(/<link|<script|<style/);
+    expect(html).toContain('Pond &lt;North&gt;');
+    expect(html).toContain('Wind &amp; pressure');
+  });
+});
@@ -0,0 +1,354 @@
+/**
+ * Score calibration against the user's own eBird checklists
+ * Reads the "My eBird Data" CSV export (one row per species per checklist),
+ * rebuilds each checklist's weather from the archive, and measures how well
+ * each score tracked the number of species the user actually found.
+ */
+
+import { fetchOpenMeteoArchive } from '../api/openMeteoArchive.js';
+import { checkCoastalLocation, checkLakeShoreLocation } from './geolocation.js';
+import { computeBirdingConditions, TIMELINE_SCORE_KEYS } from './birdingForecast.js';
+import { getMigrationSeason } from './season.js';
+import { SCORING_FIELDS, resolveScoringConfig } from '../config/scoringConfig.js';
+
+// Newest checklists only; each one costs an archive request
+export const MAX_CALIBRATION_CHECKLISTS = 150;
+
+// Fewer pairs than this say nothing about a score
+export const MIN_CALIBRATION_SAMPLES = 8;
+
+// How far a suggestion moves a value, by field type
+const SUGGESTION_STEPS = { points: 5, mph: 2, degF: 3, degFSpan: 3, mi: 1, percent: 5, mm: 1 };
+
+// Correlation gain a suggestion must reach to be shown
+const MIN_IMPROVEMENT = 0.05;
+
+const SUGGESTIONS_PER_SCORE = 2;
+
+// Checklists without a start time are treated as early-morning outings
+const DEFAULT_START_HOUR = 8;
+
+const REQUIRED_COLUMNS = ['Submission ID', 'Common Name', 'Latitude', 'Longitude', 'Date'];
+
+/**
+ * Parse a "My eBird Data" CSV export into checklists
+ * @param {string} text - File contents
+ * @returns {{checklists: Array<{id, date: Date, timeKnown: boolean, lat, lon, locationName, protocol,
+ *   durationMin: number|null, complete: boolean, speciesCount: number, individuals: number}>, errors: string[]}}
+ *   checklists newest first
+ */
+export function parseEbirdCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || REQUIRED_COLUMNS.some(column => !header.includes(column))) {
+        return { checklists: [], errors: ['File is not a My eBird Data export'] };
+    }
+
+    const column = name => header.indexOf(name);
+    const byId = new Map();
+    let skipped = 0;
+
+    rows.forEach(row => {
+        const value = name => (column(name) >= 0 ? row[column(name)]?.trim() ?? '' : '');
+        const id = value('Submission ID');
+        const lat = parseFloat(value('Latitude'));
+        const lon = parseFloat(value('Longitude'));
+        const date = parseChecklistDate(value('Date'), value('Time'));
+
+        if (!id || !Number.isFinite(lat) || !Number.isFinite(lon) || !date) {
+            skipped++;
+            return;
+        }
+
+        if (!byId.has(id)) {
+            const duration = parseFloat(value('Duration (Min)'));
+            byId.set(id, {
+                id,
+                date,
+                timeKnown: value('Time') !== '',
+                lat,
+                lon,
+                locationName: value('Location'),
+                protocol: value('Protocol'),
+                durationMin: Number.isFinite(duration) ? duration : null,
+                complete: value('All Obs Reported') === '1',
+                species: new Set(),
+                individuals: 0
+            });
+        }
+
+        const checklist = byId.get(id);
+        const name = value('Common Name');
+        // Spuhs and slashes ("gull sp.", "Greater/Lesser Scaup") aren't species
+        if (name && !name.includes(' sp.') && !name.includes('/')) {
+            checklist.species.add(name);
+        }
+        const count = parseInt(value('Count'), 10);
+        if (Number.isFinite(count)) {
+            checklist.individuals += count;
+        }
+    });
+
+    const checklists = [...byId.values()]
+        .map(({ species, ...checklist }) => ({ ...checklist, speciesCount: species.size }))
+        .sort((a, b) => b.date - a.date);
+
+    return {
+        checklists,
+        errors: skipped > 0 ? [`Skipped ${skipped} rows without a checklist id, location, or date`] : []
+    };
+}
+
+/**
+ * Complete, non-incidental checklists, which are the only ones whose species totals mean something
+ * @param {Array} checklists - From parseEbirdCsv()
+ * @returns {Array} Newest first, at most MAX_CALIBRATION_CHECKLISTS
+ */
+export function selectCalibrationChecklists(checklists) {
+    return checklists
+        .filter(c => c.complete && c.speciesCount > 0 && !/incidental/i.test(c.protocol))
+        .slice(0, MAX_CALIBRATION_CHECKLISTS);
+}
+
+/**
+ * Rebuild the weather and location context for each checklist
+ * Requests are made one at a time and shared between checklists at the same
+ * place and time.
+ * @param {Array} checklists - From selectCalibrationChecklists()
+ * @param {object} options
+ * @param {Function} options.fetchHistory - (lat, lon, { now }) => { data, error }; the archive by default
+ * @param {Function} options.onProgress - Called with (done, total) after each checklist
+ * @returns {Promise<Array<{checklist: object, weather: object|null, location: object|null, error: Error|null}>>}
+ */
+export async function reconstructChecklistWeather(checklists, options = {}) {
+    const { fetchHistory = fetchOpenMeteoArchive, onProgress = () => {} } = options;
+    const cache = new Map();
+    const samples = [];
+
+    for (const checklist of checklists) {
+        const key = [checklist.lat.toFixed(2), checklist.lon.toFixed(2), checklist.date.getTime()].join(',');
+        if (!cache.has(key)) {
+            cache.set(key, await fetchHistory(checklist.lat, checklist.lon, { now: checklist.date }));
+        }
+        const { data: weather, error } = cache.get(key);
+
+        let location = null;
+        if (weather) {
+            const { isCoastal, coastInfo } = await checkCoastalLocation(checklist.lat, checklist.lon);
+            const { isLakeShore, lakeInfo } = await checkLakeShoreLocation(checklist.lat, checklist.lon);
+            const { season, tailwindSector } = getMigrationSeason(checklist.lat, checklist.date);
+            location = { isCoastal, coastInfo, isLakeShore, lakeInfo, hawkProfile: null, season, tailwindSector };
+        }
+
+        samples.push({ checklist, weather, location, error });
+        onProgress(samples.length, checklists.length);
+    }
+
+    return samples;
+}
+
+/**
+ * How well each score tracked species totals
+ * @param {Array} samples - From reconstructChecklistWeather()
+ * @param {object} overrides - Scoring overrides to score with
+ * @returns {{checklistCount: number, scores: Array<{key: string, samples: number, correlation: number|null,
+ *   strength: string|null, goodDayScore: number|null, otherDayScore: number|null}>}}
+ *   strength is 'strong', 'moderate', 'weak', or 'inverse' (null below MIN_CALIBRATION_SAMPLES)
+ */
+export function buildCalibrationReport(samples, overrides = {}) {
+    const scored = scoreSamples(samples, resolveScoringConfig(overrides));
+
+    const scores = TIMELINE_SCORE_KEYS.map(key => {
+        const pairs = getPairs(scored, key);
+        const correlation = pairs.length >= MIN_CALIBRATION_SAMPLES
+            ? pearsonCorrelation(pairs.map(p => p.score), pairs.map(p => p.species))
+            : null;
+
+        // "Good days" are the top quarter of checklists by species total
+        const sorted = [...pairs].sort((a, b) => b.species - a.species);
+        const goodCount = Math.ceil(sorted.length / 4);
+
+        return {
+            key,
+            samples: pairs.length,
+            correlation,
+            strength: describeCorrelation(correlation),
+            goodDayScore: average(sorted.slice(0, goodCount).map(p => p.score)),
+            otherDayScore: average(sorted.slice(goodCount).map(p => p.score))
+        };
+    });
+
+    return { checklistCount: scored.length, scores };
+}
+
+/**
+ * Suggest single-value changes that make a score track species totals better
+ * Each editable value (except the baseline, which only shifts scores) is nudged
+ * one step each way; changes that raise the correlation enough are kept.
+ * @param {Array} samples - From reconstructChecklistWeather()
+ * @param {object} overrides - The user's current scoring overrides
+ * @returns {Array<{scoreKey: string, field: string, label: string, type: string, from: number, to: number,
+ *   before: number, after: number}>} Best first; type is a FIELD_RANGES key
+ */
+export function suggestWeightAdjustments(samples, overrides = {}) {
+    const current = resolveScoringConfig(overrides);
+    const baseline = scoreSamples(samples, current);
+    const suggestions = [];
+
+    TIMELINE_SCORE_KEYS.forEach(scoreKey => {
+        const basePairs = getPairs(baseline, scoreKey);
+        if (basePairs.length < MIN_CALIBRATION_SAMPLES) return;
+        const before = pearsonCorrelation(basePairs.map(p => p.score), basePairs.map(p => p.species));
+        if (before === null) return;
+
+        const candidates = [];
+        SCORING_FIELDS[scoreKey].filter(field => field.type !== 'baseline').forEach(field => {
+            const from = current[scoreKey][field.key];
+            [from - SUGGESTION_STEPS[field.type], from + SUGGESTION_STEPS[field.type]].forEach(value => {
+                const config = resolveScoringConfig({
+                    ...overrides,
+                    [scoreKey]: { ...overrides[scoreKey], [field.key]: value }
+                });
+                const to = config[scoreKey][field.key];
+                if (to === from) return;
+
+                const pairs = getPairs(scoreSamples(samples, config), scoreKey);
+                const after = pearsonCorrelation(pairs.map(p => p.score), pairs.map(p => p.species));
+                if (after !== null && after - before >= MIN_IMPROVEMENT) {
+                    candidates.push({
+                        scoreKey, field: field.key, label: field.label, type: field.type, from, to, before, after
+                    });
+                }
+            });
+        });
+
+        // One change per field, best first
+        const byField = new Map();
+        candidates
+            .sort((a, b) => b.after - a.after)
+            .forEach(c => { if (!byField.has(c.field)) byField.set(c.field, c); });
+        suggestions.push(...[...byField.values()].slice(0, SUGGESTIONS_PER_SCORE));
+    });
+
+    return suggestions.sort((a, b) => (b.after - b.before) - (a.after - a.before));
+}
+
+/**
+ * Pearson correlation coefficient
+ * @param {number[]} xs
+ * @param {number[]} ys - Same length as xs
+ * @returns {number|null} null with fewer than two pairs or no variation
+ */
+export function pearsonCorrelation(xs, ys) {
+    const n = xs.length;
+    if (n < 2 || ys.length !== n) return null;
+
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    for (let i = 0; i < n; i++) {
+        const dx = xs[i] - meanX;
+        const dy = ys[i] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Helper functions
+
+function scoreSamples(samples, scoringConfig) {
+    return samples
+        .filter(s => s.weather)
+        .map(({ checklist, weather, location }) => ({
+            species: checklist.speciesCount,
+            conditions: computeBirdingConditions(weather, { ...location, scoringConfig }, checklist.date)
+        }));
+}
+
+function getPairs(scored, key) {
+    return scored
+        .filter(s => s.conditions[key])
+        .map(s => ({ score: s.conditions[key].score, species: s.species }));
+}
+
+function describeCorrelation(r) {
+    if (r === null) return null;
+    if (r >= 0.4) return 'strong';
+    if (r >= 0.2) return 'moderate';
+    if (r > -0.2) return 'weak';
+    return 'inverse';
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function parseChecklistDate(dateValue, timeValue) {
+    const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateValue);
+    if (!dateMatch) return null;
+
+    let hours = DEFAULT_START_HOUR;
+    let minutes = 0;
+    // eBird writes start times as "07:30 AM"
+    const timeMatch = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(timeValue);
+    if (timeMatch) {
+        const meridiem = timeMatch[3]?.toUpperCase();
+        hours = Number(timeMatch[1]);
+        if (meridiem === 'AM' && hours === 12) hours = 0;
+        if (meridiem === 'PM' && hours < 12) hours += 12;
+        minutes = Number(timeMatch[2]);
+    }
+
+    const [, year, month, day] = dateMatch.map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop a byte-order mark and blank lines
+    if (rows[0]?.[0]) rows[0][0] = rows[0][0].replace(/^\uFEFF/, '');
+    return rows.filter(r => r.some(value => value !== ''));
+}
@@ -0,0 +1,106 @@
+import {
+  parseEbirdCsv,
+  selectCalibrationChecklists,
+  reconstructChecklistWeather,
+  buildCalibrationReport,
+  suggestWeightAdjustments,
+  pearsonCorrelation
+} from './calibration.js';
+import { createFixtureProvider } from '../api/fixtureWeather.js';
+
+const HEADER = 'Submission ID,Common Name,Scientific Name,Count,Location,Latitude,Longitude,Date,Time,Protocol,'
+  + 'Duration (Min),All Obs Reported';
+const LAT = 40.3;
+const LON = -80.1; // inland Pennsylvania
+
+function csvRow(id, name, count, date, time = '07:00 AM', complete = '1', protocol = 'eBird - Traveling Count') {
+  return [id, name, 'Latin name', count, '"Frick Park, Pittsburgh"', LAT, LON, date, time, protocol, 60, complete].join(',');
+}
+
+// Twelve October days, each calmer than the last, with more species on calmer mornings
+function buildHistory() {
+  const hourly = [];
+  const rows = [HEADER];
+
+  for (let day = 0; day < 12; day++) {
+    const windSpeed = 50 - day * 4; // km/h
+    for (let hour = -12; hour < 24; hour++) {
+      hourly.push({
+        time: new Date(2025, 9, 1 + day * 2, hour).toISOString(),
+        temperature: 12, humidity: 70, precipitation: 0, weatherCode: 3,
+        pressure: 1015, windSpeed, windDirection: 300
+      });
+    }
+    const date = `2025-10-${String(1 + day * 2).padStart(2, '0')}`;
+    for (let species = 0; species < 10 + day * 2; species++) {
+      rows.push(csvRow(`S${day}`, `Species ${species}`, 1, date));
+    }
+  }
+
+  return { fixture: { hourly }, csv: rows.join('\n') };
+}
+
+describe('score calibration', () => {
+  test('parses My eBird Data rows into checklists', () => {
+    const csv = [
+      HEADER,
+      csvRow('S1', 'Blue Jay', 3, '2025-05-14', '06:45 AM'),
+      csvRow('S1', 'gull sp.', 'X', '2025-05-14', '06:45 AM'),
+      csvRow('S1', '"Greater/Lesser Scaup"', 2, '2025-05-14', '06:45 AM'),
+      csvRow('S1', 'Blue Jay', 1, '2025-05-14', '06:45 AM'),
+      csvRow('S2', 'Cedar Waxwing', 'X', '2025-05-20', '', '0', 'Incidental'),
+      csvRow('', 'Cedar Waxwing', 1, '2025-05-20')
+    ].join('\r\n');
+
+    const { checklists, errors } = parseEbirdCsv(csv);
+
+    expect(errors).toEqual(['Skipped 1 rows without a checklist id, location, or date']);
+    expect(checklists.map(c => c.id)).toEqual(['S2', 'S1']);
+    expect(checklists[1]).toMatchObject({
+      date: new Date(2025, 4, 14, 6, 45),
+      locationName: 'Frick Park, Pittsburgh',
+      speciesCount: 1,
+      individuals: 6,
+      complete: true
+    });
+    expect(checklists[0].timeKnown).toBe(false);
+    expect(selectCalibrationChecklists(checklists).map(c => c.id)).toEqual(['S1']);
+    expect(parseEbirdCsv('name,count\nBlue Jay,1').errors).toEqual(['File is not a My eBird Data export']);
+  });
+
+  test('pearsonCorrelation', () => {
+    expect(pearsonCorrelation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(pearsonCorrelation([1, 2, 3], [3, 2, 1])).toBeCloseTo(-1);
+    expect(pearsonCorrelation([1, 1, 1], [1, 2, 3])).toBeNull();
+  });
+
+  test('reports how well each score tracked species totals and suggests changes', async () => {
+    const { fixture, csv } = buildHistory();
+    const checklists = selectCalibrationChecklists(parseEbirdCsv(csv).checklists);
+    const progress = [];
+
+    const samples = await reconstructChecklistWeather(checklists, {
+      fetchHistory: createFixtureProvider(fixture),
+      onProgress: (done, total) => progress.push(`${done}/${total}`)
+    });
+
+    expect(progress).toHaveLength(12);
+    expect(samples.every(s => s.weather && !s.error)).toBe(true);
+
+    const report = buildCalibrationReport(samples);
+    const woodland = report.scores.find(s => s.key === 'woodlandScore');
+    const seabird = report.scores.find(s => s.key === 'seabirdScore');
+
+    expect(report.checklistCount).toBe(12);
+    expect(woodland.strength).toBe('strong');
+    expect(woodland.goodDayScore).toBeGreaterThan(woodland.otherDayScore);
+    expect(seabird).toMatchObject({ samples: 0, correlation: null, strength: null });
+
+    const suggestions = suggestWeightAdjustments(samples);
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(s => {
+      expect(s.after - s.before).toBeGreaterThanOrEqual(0.05);
+      expect(s.to).not.toBe(s.from);
+    });
+  });
+});
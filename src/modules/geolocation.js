@@ -3,77 +3,51 @@
  */
 
 import store from '../state/store.js';
-import { STORAGE_KEYS } from '../config/constants.js';
+import { STORAGE_KEYS, COASTAL_DISTANCE_KM, LAKE_SHORE_DISTANCE_KM } from '../config/constants.js';
+import { findNearestShore, getOnshoreSector } from './shoreline.js';
+import coastlines from '../data/coastlines.json';
+import lakeShorelines from '../data/lakeShorelines.json';
 
 /**
  * Check if a location is coastal (within ~50 miles of ocean)
- * Uses coordinate-based heuristics for fast, reliable detection
+ * Measures distance to the bundled global shoreline dataset and derives the
+ * local coast orientation, so onshore winds are known anywhere in the world.
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {Promise<{isCoastal: boolean, coastType: string|null}>}
+ * @returns {Promise<{isCoastal: boolean, coastInfo: object|null}>}
+ *   coastInfo: { name, distanceKm, shoreBearing, seawardBearing, onshoreSector: {min, max} }
  */
 export async function checkCoastalLocation(lat, lon) {
-    // Use coordinate-based heuristic (fast and reliable for US)
-    return checkCoastalByCoordinates(lat, lon);
+    const coastInfo = findShoreWithin(lat, lon, coastlines.lines, COASTAL_DISTANCE_KM);
+    return { isCoastal: coastInfo !== null, coastInfo };
 }
 
 /**
- * Fallback: Check coastal status using coordinate-based heuristics
+ * Check if a location is on the shore of a large lake (Great Lakes and similar)
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
- * @returns {{isCoastal: boolean, coastType: string|null}}
+ * @returns {Promise<{isLakeShore: boolean, lakeInfo: object|null}>}
+ *   lakeInfo has the same shape as coastInfo, with name set to the lake
  */
-function checkCoastalByCoordinates(lat, lon) {
-    // US-centric coastal boundaries (simplified)
-    // East Coast: roughly east of -77 longitude and south of 45 lat
-    const isEastCoast = lon > -82 && lon < -66 && lat > 25 && lat < 45;
-
-    // West Coast: roughly west of -117 longitude
-    const isWestCoast = lon < -117 && lat > 32 && lat < 49;
-
-    // Gulf Coast: southern US between -97 and -80 longitude, below 31 lat
-    const isGulfCoast = lon > -97 && lon < -80 && lat < 31 && lat > 25;
-
-    // Florida (special case - most of it is coastal)
-    const isFlorida = lat > 24.5 && lat < 31 && lon > -87.6 && lon < -80;
-
-    // Great Lakes (treat as inland)
-    const isGreatLakes = lat > 41 && lat < 49 && lon > -92 && lon < -76;
-
-    if (isGreatLakes) {
-        return { isCoastal: false, coastType: null };
-    }
-
-    if (isFlorida || isEastCoast) {
-        return { isCoastal: true, coastType: 'east' };
-    }
-
-    if (isWestCoast) {
-        return { isCoastal: true, coastType: 'west' };
-    }
-
-    if (isGulfCoast) {
-        return { isCoastal: true, coastType: 'gulf' };
-    }
-
-    return { isCoastal: false, coastType: null };
+export async function checkLakeShoreLocation(lat, lon) {
+    const lakeInfo = findShoreWithin(lat, lon, lakeShorelines.lines, LAKE_SHORE_DISTANCE_KM);
+    return { isLakeShore: lakeInfo !== null, lakeInfo };
 }
 
 /**
- * Determine which coast type based on coordinates
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @returns {string} 'east', 'west', or 'gulf'
+ * Nearest shore from a dataset, with its onshore sector, if close enough
  */
-function determineCoastType(lat, lon) {
-    // West Coast
-    if (lon < -115) return 'west';
+function findShoreWithin(lat, lon, lines, maxDistanceKm) {
+    const shore = findNearestShore(lat, lon, lines);
 
-    // Gulf Coast
-    if (lat < 31 && lon > -97 && lon < -80) return 'gulf';
+    if (!shore || shore.distanceKm > maxDistanceKm) {
+        return null;
+    }
 
-    // Default to East Coast
-    return 'east';
+    return {
+        ...shore,
+        onshoreSector: getOnshoreSector(shore.seawardBearing)
+    };
 }
 
 /**
@@ -443,7 +417,7 @@ async function fetchGpsInBackground(lastLocation, onLocationUpdate) {
 /**
  * Calculate distance between two coordinates in km (Haversine formula)
  */
-function getDistanceKm(lat1, lon1, lat2, lon2) {
+export function getDistanceKm(lat1, lon1, lat2, lon2) {
     const R = 6371; // Earth's radius in km
     const dLat = (lat2 - lat1) * Math.PI / 180;
     const dLon = (lon2 - lon1) * Math.PI / 180;
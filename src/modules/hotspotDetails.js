@@ -0,0 +1,100 @@
+/**
+ * Hotspot details
+ * Recent species and checklist activity for one hotspot, plus that hotspot's
+ * current birding scores from its own forecast.
+ */
+
+import { fetchHotspotObservations, fetchHotspotChecklists } from '../api/ebird.js';
+import { scoreLocation, findBestScore } from './locationComparison.js';
+import { parseObservationDate } from './rarities.js';
+
+export const ACTIVITY_PERIODS_DAYS = [7, 14, 30];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Load everything the hotspot detail panel shows
+ * eBird failures don't hide the scores and vice versa; each part carries its own error.
+ * @param {object} hotspot - Hotspot from fetchNearbyHotspots()
+ * @returns {Promise<{activity: object|null, activityError: Error|null, conditions: object|null,
+ *   best: object|null, scoresError: Error|null}>}
+ */
+export async function loadHotspotDetails(hotspot) {
+    const longestPeriod = ACTIVITY_PERIODS_DAYS[ACTIVITY_PERIODS_DAYS.length - 1];
+
+    const [observations, checklists, scored] = await Promise.all([
+        fetchHotspotObservations(hotspot.id, longestPeriod),
+        fetchHotspotChecklists(hotspot.id),
+        scoreLocation(hotspot.lat, hotspot.lon)
+    ]);
+
+    const activityError = observations.error || checklists.error;
+
+    return {
+        activity: activityError ? null : summarizeHotspotActivity(observations.data, checklists.data),
+        activityError,
+        conditions: scored.data ? scored.data.conditions : null,
+        best: scored.data ? findBestScore(scored.data.conditions) : null,
+        scoresError: scored.error
+    };
+}
+
+/**
+ * Group recent observations by species and count recent checklists
+ * eBird's recent endpoint returns only the latest sighting per species, so no per-species tally is kept.
+ * @param {Array} observations - Raw eBird records from fetchHotspotObservations()
+ * @param {Array} checklists - From fetchHotspotChecklists()
+ * @param {Date} now - Reference time
+ * @returns {{species: Array<{speciesCode, commonName, count, lastSeen: Date}>,
+ *   checklistCounts: object}} species newest first; checklistCounts keyed by days (7, 14, 30)
+ */
+export function summarizeHotspotActivity(observations, checklists, now = new Date()) {
+    const bySpecies = new Map();
+
+    (observations || []).forEach(obs => {
+        const seen = parseObservationDate(obs.obsDt);
+        const existing = bySpecies.get(obs.speciesCode);
+
+        if (!existing) {
+            bySpecies.set(obs.speciesCode, {
+                speciesCode: obs.speciesCode,
+                commonName: obs.comName,
+                count: obs.howMany ?? null,
+                lastSeen: seen
+            });
+            return;
+        }
+
+        if (seen > existing.lastSeen) {
+            existing.lastSeen = seen;
+            existing.count = obs.howMany ?? null;
+        }
+    });
+
+    const checklistDates = (checklists || []).map(c => parseChecklistDate(c.date)).filter(Boolean);
+    const checklistCounts = {};
+    ACTIVITY_PERIODS_DAYS.forEach(days => {
+        const since = new Date(now.getTime() - days * 86400000);
+        checklistCounts[days] = checklistDates.filter(date => date >= since && date <= now).length;
+    });
+
+    return {
+        species: [...bySpecies.values()].sort((a, b) => b.lastSeen - a.lastSeen || a.commonName.localeCompare(b.commonName)),
+        checklistCounts
+    };
+}
+
+/**
+ * Parse a checklist date from eBird's product/lists endpoint ("10 May 2026 07:45")
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export function parseChecklistDate(value) {
+    const match = /^(\d{1,2}) (\w{3}) (\d{4})(?: (\d{1,2}):(\d{2}))?$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const month = MONTHS.indexOf(match[2]);
+    if (month < 0) return null;
+
+    return new Date(Number(match[3]), month, Number(match[1]), Number(match[4] || 0), Number(match[5] || 0));
+}
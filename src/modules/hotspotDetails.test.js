@@ -0,0 +1,29 @@
+import { summarizeHotspotActivity, parseChecklistDate } from './hotspotDetails.js';
+
+const NOW = new Date(2026, 4, 20, 12, 0);
+
+describe('hotspot details', () => {
+  test('groups observations by species, newest first', () => {
+    const { species } = summarizeHotspotActivity([
+      { speciesCode: 'amerob', comName: 'American Robin', howMany: 4, obsDt: '2026-05-12 07:10' },
+      { speciesCode: 'bkbwar', comName: 'Blackburnian Warbler', howMany: 1, obsDt: '2026-05-19 06:45' },
+      { speciesCode: 'amerob', comName: 'American Robin', howMany: 9, obsDt: '2026-05-18' }
+    ], [], NOW);
+
+    expect(species.map(s => s.speciesCode)).toEqual(['bkbwar', 'amerob']);
+    expect(species[1]).toEqual(expect.objectContaining({ count: 9, lastSeen: new Date(2026, 4, 18) }));
+    expect(species[1]).not.toHaveProperty('records');
+  });
+
+  test('counts checklists over the past 7, 14, and 30 days', () => {
+    const checklists = ['18 May 2026 07:00', '15 May 2026', '10 May 2026 08:30', '25 Apr 2026', '1 Mar 2026']
+      .map(date => ({ date }));
+
+    expect(summarizeHotspotActivity([], checklists, NOW).checklistCounts).toEqual({ 7: 2, 14: 3, 30: 4 });
+  });
+
+  test('parses product/lists dates', () => {
+    expect(parseChecklistDate('9 May 2026 06:05')).toEqual(new Date(2026, 4, 9, 6, 5));
+    expect(parseChecklistDate('not a date')).toBeNull();
+  });
+});
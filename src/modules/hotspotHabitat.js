@@ -0,0 +1,192 @@
+/**
+ * Hotspot habitat
+ * Tags each hotspot with its main habitat and maps each birding score to the
+ * habitats where it matters, so hotspots can be matched to conditions.
+ * Sources, strongest first: the user's override, keywords in the hotspot name,
+ * then the smallest OSM land-use area the hotspot sits in, then a nearby peak or cliff.
+ */
+
+export const HABITATS = ['coastal', 'wetland', 'grassland', 'woodland', 'ridge', 'urban'];
+
+export const HABITAT_LABELS = {
+    coastal: 'Shoreline',
+    wetland: 'Wetland',
+    grassland: 'Grassland',
+    woodland: 'Woodland',
+    ridge: 'Ridge / lookout',
+    urban: 'Urban park'
+};
+
+export const HABITAT_ICONS = {
+    coastal: '🌊',
+    wetland: '🦆',
+    grassland: '🌾',
+    woodland: '🌲',
+    ridge: '⛰️',
+    urban: '🏙️'
+};
+
+// Hotspot pins often sit on a parking lot just outside the habitat polygon
+const OSM_TOLERANCE_DEG = 0.0015;
+
+// Polygons smaller than this (a farm pond, a patch of scrub) don't make a site's habitat, ~2 ha
+const MIN_FEATURE_AREA_KM2 = 0.02;
+const KM_PER_DEG = 111.32;
+
+// Habitats where each score's birds are found, best first
+export const GUILD_HABITATS = {
+    hawkWatchScore: ['ridge', 'coastal'],
+    seabirdScore: ['coastal'],
+    lakewatchScore: ['coastal', 'wetland'],
+    grasslandScore: ['grassland'],
+    shorebirdScore: ['coastal', 'wetland'],
+    woodlandScore: ['woodland'],
+    songbirdMigrationScore: ['woodland', 'urban'],
+    songbirdActivityScore: ['woodland', 'urban'],
+    waterfowlScore: ['wetland', 'coastal'],
+    owlingScore: ['woodland', 'grassland']
+};
+
+// Checked in order; the first habitat with a matching word wins
+const NAME_KEYWORDS = [
+    ['ridge', ['hawk ?watch', 'ridge', 'mountain', 'mt', 'overlook', 'lookout', 'summit', 'knob', 'peak', 'bluffs?']],
+    ['coastal', ['beach', 'point', 'pt', 'inlet', 'jetty', 'harbou?r', 'bay', 'coast', 'ocean', 'shore', 'dunes?',
+        'lighthouse', 'pier', 'cape', 'spit', 'sound']],
+    ['wetland', ['marsh', 'swamp', 'ponds?', 'lake', 'reservoir', 'wetlands?', 'bog', 'fen', 'slough',
+        'impoundments?', 'lagoon', 'river', 'creek', 'pools?', 'sewage', 'treatment']],
+    ['grassland', ['prairie', 'meadows?', 'grasslands?', 'fields?', 'farms?', 'pasture', 'airport', 'sod', 'savanna']],
+    ['woodland', ['forest', 'woods?', 'woodlands?', 'grove', 'hollow', 'arboretum']],
+    ['urban', ['cemetery', 'campus', 'downtown', 'garden', 'botanical', 'city park', 'plaza']]
+].map(([habitat, words]) => [habitat, new RegExp(`\\b(${words.join('|')})\\b`, 'i')]);
+
+/**
+ * Guess a hotspot's habitat from its name
+ * @param {string} name - Hotspot name, e.g. 'Jamaica Bay Wildlife Refuge--East Pond'
+ * @returns {string|null} One of HABITATS, or null when the name gives no hint
+ */
+export function classifyHotspotName(name) {
+    const match = NAME_KEYWORDS.find(([, pattern]) => pattern.test(name || ''));
+    return match ? match[0] : null;
+}
+
+/**
+ * Tag hotspots with a habitat
+ * @param {Array} hotspots - From fetchNearbyHotspots()
+ * @param {object} sources
+ * @param {Array} sources.features - OSM land-use features from fetchLanduseFeatures()
+ * @param {object} sources.overrides - User overrides, hotspot id -> habitat
+ * @returns {Array} Hotspots plus { habitat, habitatSource } where habitatSource is
+ *   'user', 'name', 'osm', or null when nothing matched
+ */
+export function classifyHotspots(hotspots, { features = [], overrides = {} } = {}) {
+    return (hotspots || []).map(hotspot => {
+        const { habitat, source } = classifyHotspot(hotspot, features, overrides);
+        return { ...hotspot, habitat, habitatSource: source };
+    });
+}
+
+/**
+ * Find the habitat of the OSM land use at a point
+ * The smallest containing polygon wins, ignoring ones under MIN_FEATURE_AREA_KM2.
+ * Point features (peaks, cliffs) only count when no polygon contains the point,
+ * since their ~1 km box would otherwise beat almost any park or marsh.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array} features - OSM land-use features
+ * @returns {string|null}
+ */
+export function findLanduseHabitat(lat, lon, features) {
+    const containing = (features || []).filter(({ bounds }) =>
+        lat >= bounds.minLat - OSM_TOLERANCE_DEG && lat <= bounds.maxLat + OSM_TOLERANCE_DEG &&
+        lon >= bounds.minLon - OSM_TOLERANCE_DEG && lon <= bounds.maxLon + OSM_TOLERANCE_DEG
+    );
+
+    // The most specific (smallest) polygon wins, e.g. a marsh inside a state park
+    const polygons = containing
+        .filter(f => !f.isPoint)
+        .map(f => ({ habitat: f.habitat, area: getAreaKm2(f.bounds) }))
+        .filter(f => f.area >= MIN_FEATURE_AREA_KM2)
+        .sort((a, b) => a.area - b.area);
+    if (polygons.length > 0) return polygons[0].habitat;
+
+    return containing.find(f => f.isPoint)?.habitat || null;
+}
+
+/**
+ * Hotspots a cached land-use lookup doesn't cover yet
+ * A wider radius or a new eBird hotspot lists hotspots the last query never asked about.
+ * @param {Array} hotspots - From fetchNearbyHotspots()
+ * @param {{hotspotIds: string[]}|null} lookup - Cached lookup, or null when missing or expired
+ * @returns {Array} Hotspots to query
+ */
+export function findUncoveredHotspots(hotspots, lookup) {
+    const covered = new Set(lookup?.hotspotIds || []);
+    return (hotspots || []).filter(hotspot => !covered.has(hotspot.id));
+}
+
+/**
+ * Add newly queried hotspots and their features to a land-use lookup
+ * Features near more than one hotspot come back from each query and are kept once.
+ * @param {{hotspotIds: string[], features: Array, queriedAt: string}|null} lookup - Cached lookup, or null
+ * @param {Array} hotspots - Hotspots just queried
+ * @param {Array} features - Their features from fetchLanduseFeatures()
+ * @param {Date} now
+ * @returns {{hotspotIds: string[], features: Array, queriedAt: string}} queriedAt stays at the first
+ *   query, so additions don't extend how long the older features are trusted
+ */
+export function addLanduseLookup(lookup, hotspots, features, now = new Date()) {
+    const known = new Set((lookup?.features || []).map(f => f.id).filter(Boolean));
+    const added = features.filter(f => !f.id || !known.has(f.id));
+
+    return {
+        hotspotIds: [...(lookup?.hotspotIds || []), ...hotspots.map(hotspot => hotspot.id)],
+        features: [...(lookup?.features || []), ...added],
+        queriedAt: lookup?.queriedAt || now.toISOString()
+    };
+}
+
+/**
+ * Filter hotspots to one habitat
+ * @param {Array} hotspots - Classified hotspots
+ * @param {string} habitat - One of HABITATS, or '' for all
+ * @returns {Array}
+ */
+export function filterByHabitat(hotspots, habitat) {
+    return habitat ? (hotspots || []).filter(h => h.habitat === habitat) : hotspots || [];
+}
+
+/**
+ * How well a habitat suits a score's birds
+ * @param {string|null} habitat - Hotspot habitat
+ * @param {string} scoreKey - Store key of the score, e.g. 'shorebirdScore'
+ * @returns {number} 1 for the primary habitat, 0.7 for a secondary one, 0.4 when
+ *   the habitat is unknown, 0.15 otherwise
+ */
+export function getHabitatSuitability(habitat, scoreKey) {
+    const habitats = GUILD_HABITATS[scoreKey] || [];
+    if (!habitat) return 0.4;
+    if (habitats[0] === habitat) return 1;
+    if (habitats.includes(habitat)) return 0.7;
+    return 0.15;
+}
+
+// Helper functions
+
+function getAreaKm2({ minLat, minLon, maxLat, maxLon }) {
+    const midLat = ((minLat + maxLat) / 2) * (Math.PI / 180);
+    return (maxLat - minLat) * KM_PER_DEG * (maxLon - minLon) * KM_PER_DEG * Math.cos(midLat);
+}
+
+function classifyHotspot(hotspot, features, overrides) {
+    if (HABITATS.includes(overrides[hotspot.id])) {
+        return { habitat: overrides[hotspot.id], source: 'user' };
+    }
+
+    const fromName = classifyHotspotName(hotspot.name);
+    if (fromName) {
+        return { habitat: fromName, source: 'name' };
+    }
+
+    const fromLanduse = findLanduseHabitat(hotspot.lat, hotspot.lon, features);
+    return fromLanduse ? { habitat: fromLanduse, source: 'osm' } : { habitat: null, source: null };
+}
@@ -0,0 +1,75 @@
+import {
+  classifyHotspots, findLanduseHabitat, filterByHabitat, findUncoveredHotspots, addLanduseLookup
+} from './hotspotHabitat.js';
+import { transformOverpassElements } from '../api/overpass.js';
+
+const features = transformOverpassElements([
+  { type: 'relation', tags: { leisure: 'park', name: 'Marine Park' }, bounds: { minlat: 40.58, minlon: -73.94, maxlat: 40.61, maxlon: -73.90 } },
+  { type: 'way', tags: { natural: 'wetland' }, bounds: { minlat: 40.59, minlon: -73.93, maxlat: 40.60, maxlon: -73.92 } },
+  { type: 'node', tags: { natural: 'peak' }, lat: 40.70, lon: -73.80 },
+  { type: 'way', tags: { amenity: 'parking' }, bounds: { minlat: 40.59, minlon: -73.93, maxlat: 40.592, maxlon: -73.928 } },
+  { type: 'relation', tags: { leisure: 'park' }, bounds: { minlat: 40.68, minlon: -73.83, maxlat: 40.72, maxlon: -73.78 } },
+  { type: 'way', tags: { natural: 'water' }, bounds: { minlat: 40.584, minlon: -73.911, maxlat: 40.5843, maxlon: -73.9107 } }
+]);
+
+describe('hotspot habitat', () => {
+  test('keeps habitat-relevant OSM features with bounding boxes', () => {
+    expect(features.map(f => f.habitat)).toEqual(['urban', 'wetland', 'ridge', 'urban', 'wetland']);
+    expect(features.map(f => f.isPoint)).toEqual([false, false, true, false, false]);
+    expect(features[0].name).toBe('Marine Park');
+    expect(features[2].bounds.minLat).toBeLessThan(40.70);
+    expect(features[2].bounds.maxLon).toBeGreaterThan(-73.80);
+  });
+
+  test('the smallest containing land-use polygon wins', () => {
+    expect(findLanduseHabitat(40.595, -73.925, features)).toBe('wetland');
+    expect(findLanduseHabitat(40.585, -73.91, features)).toBe('urban');
+    // Pins just outside a polygon still count
+    expect(findLanduseHabitat(40.601, -73.925, features)).toBe('wetland');
+    expect(findLanduseHabitat(41.0, -74.5, features)).toBeNull();
+    // A pond too small to define the site, and a peak's box, lose to the park around them
+    expect(findLanduseHabitat(40.5841, -73.9109, features)).toBe('urban');
+    expect(findLanduseHabitat(40.701, -73.801, features)).toBe('urban');
+    // Points still count where no polygon does
+    expect(findLanduseHabitat(40.701, -73.801, features.filter(f => f.isPoint))).toBe('ridge');
+  });
+
+  test('user overrides beat names, names beat land use', () => {
+    const hotspots = [
+      { id: 'L1', name: 'Marine Park--Salt Marsh Nature Center', lat: 40.595, lon: -73.925 },
+      { id: 'L2', name: 'Marine Park--Gerritsen Creek', lat: 40.595, lon: -73.925 },
+      { id: 'L3', name: 'Marine Park--Ballfields', lat: 40.585, lon: -73.91 },
+      { id: 'L4', name: 'Somewhere Else', lat: 41.0, lon: -74.5 }
+    ];
+
+    const classified = classifyHotspots(hotspots, { features, overrides: { L1: 'grassland', L3: 'not-a-habitat' } });
+
+    expect(classified.map(h => [h.habitat, h.habitatSource])).toEqual([
+      ['grassland', 'user'],
+      ['wetland', 'name'],
+      ['urban', 'osm'],
+      [null, null]
+    ]);
+    expect(filterByHabitat(classified, 'urban').map(h => h.id)).toEqual(['L3']);
+    expect(filterByHabitat(classified, '')).toHaveLength(4);
+  });
+
+  test('a cached lookup only queries hotspots it has not covered', () => {
+    const now = new Date(2026, 9, 19);
+    const [park, marsh] = transformOverpassElements([
+      { type: 'way', id: 1, tags: { leisure: 'park' }, bounds: { minlat: 40, minlon: -74, maxlat: 40.1, maxlon: -73.9 } },
+      { type: 'way', id: 2, tags: { natural: 'wetland' }, bounds: { minlat: 40, minlon: -74, maxlat: 40.01, maxlon: -73.99 } }
+    ]);
+    const lookup = addLanduseLookup(null, [{ id: 'L1' }], [park], now);
+    const hotspots = [{ id: 'L1' }, { id: 'L2' }];
+
+    expect(findUncoveredHotspots(hotspots, lookup)).toEqual([{ id: 'L2' }]);
+    expect(findUncoveredHotspots(hotspots, null)).toEqual(hotspots);
+
+    const widened = addLanduseLookup(lookup, [{ id: 'L2' }], [park, marsh], new Date(2026, 9, 20));
+    expect(widened.hotspotIds).toEqual(['L1', 'L2']);
+    expect(widened.features.map(f => f.id)).toEqual(['way/1', 'way/2']);
+    expect(widened.queriedAt).toBe(now.toISOString());
+    expect(findUncoveredHotspots(hotspots, widened)).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Weather-informed hotspot ranking
+ * Blends distance, how recently a hotspot was birded, and how well its habitat
+ * suits today's best-scoring guild. Each ranked hotspot carries the reasons
+ * behind its rank so the list can explain itself.
+ */
+
+import { SCORE_DISPLAY_NAMES, DEFAULTS } from '../config/constants.js';
+import { getDistanceKm } from './geolocation.js';
+import { parseObservationDate } from './rarities.js';
+import { classifyHotspotName, getHabitatSuitability, HABITAT_LABELS } from './hotspotHabitat.js';
+
+export const RANK_MODES = {
+    conditions: 'Best for today',
+    species: 'Most species'
+};
+
+const WEIGHTS = {
+    habitat: 0.4,
+    recency: 0.25,
+    distance: 0.25,
+    diversity: 0.1
+};
+
+// Recent activity bands: [max days since last checklist, factor, label]
+const RECENCY_BANDS = [
+    [1, 1, 'Birded in the last 24 hours'],
+    [3, 0.8, 'Birded in the last 3 days'],
+    [7, 0.6, 'Birded this week'],
+    [30, 0.3, 'Birded this month']
+];
+
+// Species counts above this are all "very diverse"
+const DIVERSITY_CAP = 300;
+
+/**
+ * Rank hotspots for today's conditions
+ * @param {Array} hotspots - From fetchNearbyHotspots()
+ * @param {object} context
+ * @param {number} context.lat - Current latitude
+ * @param {number} context.lon - Current longitude
+ * @param {{key: string, score: number}|null} context.bestGuild - Today's best score (findBestScore())
+ * @param {number} context.radiusKm - Search radius, for scaling distance
+ * @param {Date} context.now - Reference time
+ * @returns {Array} Hotspots plus { rank: { score, distanceKm, habitat, reasons } }, best first
+ */
+export function rankHotspots(hotspots, {
+    lat,
+    lon,
+    bestGuild = null,
+    radiusKm = DEFAULTS.HOTSPOT_RADIUS_KM,
+    now = new Date()
+} = {}) {
+    return (hotspots || [])
+        .map(hotspot => ({ ...hotspot, rank: scoreHotspot(hotspot, { lat, lon, bestGuild, radiusKm, now }) }))
+        .sort((a, b) => b.rank.score - a.rank.score);
+}
+
+function scoreHotspot(hotspot, { lat, lon, bestGuild, radiusKm, now }) {
+    const reasons = [];
+    const habitat = hotspot.habitat ?? classifyHotspotName(hotspot.name);
+
+    // Habitat - only meaningful when we know which guild is doing well
+    let habitatFactor = 0.4;
+    if (bestGuild) {
+        habitatFactor = getHabitatSuitability(habitat, bestGuild.key);
+        const guild = `${SCORE_DISPLAY_NAMES[bestGuild.key]} (${bestGuild.score})`;
+        if (habitatFactor >= 0.7) {
+            reasons.push(`${HABITAT_LABELS[habitat]} habitat suits today's best score: ${guild}`);
+        } else if (habitat) {
+            reasons.push(`${HABITAT_LABELS[habitat]} habitat is a weaker fit for ${guild}`);
+        }
+    }
+
+    // Recent activity
+    const daysSince = hotspot.latestObsDate
+        ? (now - parseObservationDate(hotspot.latestObsDate)) / 86400000
+        : Infinity;
+    const band = RECENCY_BANDS.find(([maxDays]) => daysSince <= maxDays);
+    const recencyFactor = band ? band[1] : 0.1;
+    reasons.push(band ? band[2] : 'No recent checklists');
+
+    // Distance
+    const distanceKm = getDistanceKm(lat, lon, hotspot.lat, hotspot.lon);
+    const distanceFactor = 1 - Math.min(distanceKm, radiusKm) / radiusKm;
+    reasons.push(`${distanceKm.toFixed(1)} km away`);
+
+    // Diversity as a tie-breaker
+    const diversityFactor = Math.min(hotspot.speciesCount || 0, DIVERSITY_CAP) / DIVERSITY_CAP;
+
+    const score = Math.round(100 * (
+        WEIGHTS.habitat * habitatFactor +
+        WEIGHTS.recency * recencyFactor +
+        WEIGHTS.distance * distanceFactor +
+        WEIGHTS.diversity * diversityFactor
+    ));
+
+    return { score, distanceKm, habitat, reasons };
+}
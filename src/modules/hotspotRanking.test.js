@@ -0,0 +1,42 @@
+import { rankHotspots } from './hotspotRanking.js';
+import { classifyHotspotName, getHabitatSuitability } from './hotspotHabitat.js';
+
+const NOW = new Date(2026, 8, 15, 8, 0);
+const HERE = { lat: 40.58, lon: -73.83 };
+
+const hotspots = [
+  { id: 'L1', name: 'Forest Park (Queens)', lat: 40.70, lon: -73.86, speciesCount: 200, latestObsDate: '2026-09-15 07:00' },
+  { id: 'L2', name: 'Jamaica Bay--East Pond', lat: 40.62, lon: -73.82, speciesCount: 330, latestObsDate: '2026-09-14 16:30' },
+  { id: 'L3', name: 'Breezy Point--Beach', lat: 40.56, lon: -73.93, speciesCount: 220, latestObsDate: '2026-09-10' }
+];
+
+describe('hotspot ranking', () => {
+  test('classifies habitat from hotspot names', () => {
+    expect(classifyHotspotName('Breezy Point--Beach')).toBe('coastal');
+    expect(classifyHotspotName('Jamaica Bay--East Pond')).toBe('coastal');
+    expect(classifyHotspotName('Great Swamp NWR')).toBe('wetland');
+    expect(classifyHotspotName('Hawk Mountain Sanctuary')).toBe('ridge');
+    expect(classifyHotspotName('Mystery Spot')).toBeNull();
+    expect(getHabitatSuitability('coastal', 'shorebirdScore')).toBe(1);
+    expect(getHabitatSuitability('woodland', 'shorebirdScore')).toBeLessThan(getHabitatSuitability(null, 'shorebirdScore'));
+  });
+
+  test('shoreline hotspots rise when shorebirds score best', () => {
+    const ranked = rankHotspots(hotspots, { ...HERE, bestGuild: { key: 'shorebirdScore', score: 82 }, now: NOW });
+
+    expect(ranked.map(h => h.id)).toEqual(['L2', 'L3', 'L1']);
+    expect(ranked[0].rank.reasons[0]).toContain('Shoreline habitat suits');
+    expect(ranked[0].rank.reasons).toContain('Birded in the last 24 hours');
+  });
+
+  test('woodland hotspots rise when songbird migration scores best', () => {
+    const ranked = rankHotspots(hotspots, {
+      ...HERE,
+      bestGuild: { key: 'songbirdMigrationScore', score: 75 },
+      radiusKm: 50,
+      now: NOW
+    });
+
+    expect(ranked[0].id).toBe('L1');
+  });
+});
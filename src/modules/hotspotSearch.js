@@ -0,0 +1,59 @@
+/**
+ * Hotspot search helpers
+ * Search radius bounds, the text filter, and paging for the full hotspot list.
+ */
+
+import { DEFAULTS } from '../config/constants.js';
+
+export const HOTSPOT_PREVIEW_COUNT = 6;
+export const HOTSPOT_PAGE_SIZE = 12;
+
+/**
+ * Clamp a search radius to what eBird accepts
+ * @param {number|string} value - Radius in km, e.g. from a form input
+ * @returns {number} Whole km between MIN_HOTSPOT_RADIUS_KM and MAX_HOTSPOT_RADIUS_KM;
+ *   the default radius when the value isn't a number
+ */
+export function normalizeRadiusKm(value) {
+    const km = Math.round(Number(value));
+    if (value === '' || !Number.isFinite(km)) {
+        return DEFAULTS.HOTSPOT_RADIUS_KM;
+    }
+    return Math.min(DEFAULTS.MAX_HOTSPOT_RADIUS_KM, Math.max(DEFAULTS.MIN_HOTSPOT_RADIUS_KM, km));
+}
+
+/**
+ * Filter hotspots whose name contains every word of a query
+ * @param {Array} hotspots - Hotspots with a name
+ * @param {string} query - Free text, case-insensitive
+ * @returns {Array}
+ */
+export function filterHotspotsByText(hotspots, query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return hotspots || [];
+
+    return (hotspots || []).filter(h => {
+        const name = (h.name || '').toLowerCase();
+        return words.every(word => name.includes(word));
+    });
+}
+
+/**
+ * Slice one page out of a list
+ * @param {Array} items - Full list
+ * @param {number} page - Zero-based page, clamped to the available pages
+ * @param {number} pageSize - Items per page
+ * @returns {{items: Array, page: number, pageCount: number, total: number}}
+ */
+export function paginate(items, page, pageSize = HOTSPOT_PAGE_SIZE) {
+    const total = (items || []).length;
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    const current = Math.min(Math.max(0, page || 0), pageCount - 1);
+
+    return {
+        items: (items || []).slice(current * pageSize, (current + 1) * pageSize),
+        page: current,
+        pageCount,
+        total
+    };
+}
@@ -0,0 +1,33 @@
+import { normalizeRadiusKm, filterHotspotsByText, paginate } from './hotspotSearch.js';
+
+const hotspots = [
+  { id: 'L1', name: 'Jamaica Bay Wildlife Refuge--East Pond' },
+  { id: 'L2', name: 'Jamaica Bay Wildlife Refuge--West Pond' },
+  { id: 'L3', name: 'Forest Park (Queens)' }
+];
+
+describe('hotspot search', () => {
+  test('clamps the radius to what eBird accepts', () => {
+    expect(normalizeRadiusKm('10')).toBe(10);
+    expect(normalizeRadiusKm(0)).toBe(1);
+    expect(normalizeRadiusKm(80)).toBe(50);
+    expect(normalizeRadiusKm(12.6)).toBe(13);
+    expect(normalizeRadiusKm('')).toBe(25);
+    expect(normalizeRadiusKm('far')).toBe(25);
+  });
+
+  test('matches every word of the query in the name', () => {
+    expect(filterHotspotsByText(hotspots, 'jamaica west').map(h => h.id)).toEqual(['L2']);
+    expect(filterHotspotsByText(hotspots, '  POND ').map(h => h.id)).toEqual(['L1', 'L2']);
+    expect(filterHotspotsByText(hotspots, '')).toHaveLength(3);
+  });
+
+  test('pages clamp to the available range', () => {
+    const items = Array.from({ length: 25 }, (_, i) => i);
+
+    expect(paginate(items, 0, 12)).toMatchObject({ page: 0, pageCount: 3, total: 25 });
+    expect(paginate(items, 2, 12).items).toEqual([24]);
+    expect(paginate(items, 9, 12).page).toBe(2);
+    expect(paginate([], 3, 12)).toEqual({ items: [], page: 0, pageCount: 1, total: 0 });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Score arbitrary locations without touching the active store location.
+ * Backs the saved-location comparison board.
+ */
+
+import store from '../state/store.js';
+import { fetchWeatherForecast } from '../api/weatherProviders.js';
+import { resolveScoringConfig } from '../config/scoringConfig.js';
+import { checkCoastalLocation, checkLakeShoreLocation } from './geolocation.js';
+import { computeBirdingConditions, TIMELINE_SCORE_KEYS } from './birdingForecast.js';
+import { getMigrationSeason } from './season.js';
+
+/**
+ * Fetch the forecast for a location and run the full scoring pipeline on it
+ * Uses the user's scoring weights, so results line up with the main dashboard.
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {object} options
+ * @param {object|null} options.hawkProfile - Hawk-watch profile from the saved location
+ * @param {object|null} options.migrationWindows - Custom migration windows from the saved location
+ * @returns {Promise<{data: {weather: object, conditions: object, location: object}|null, error: Error|null}>}
+ */
+export async function scoreLocation(lat, lon, { hawkProfile = null, migrationWindows = null } = {}) {
+    const { data: weather, error } = await fetchWeatherForecast(lat, lon);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const { isCoastal, coastInfo } = await checkCoastalLocation(lat, lon);
+    const { isLakeShore, lakeInfo } = await checkLakeShoreLocation(lat, lon);
+    const { season, tailwindSector } = getMigrationSeason(lat, new Date(), migrationWindows);
+    const location = {
+        isCoastal,
+        coastInfo,
+        isLakeShore,
+        lakeInfo,
+        hawkProfile,
+        season,
+        tailwindSector,
+        scoringConfig: resolveScoringConfig(store.get('scoringOverrides'))
+    };
+
+    return {
+        data: {
+            weather,
+            conditions: computeBirdingConditions(weather, location),
+            location
+        },
+        error: null
+    };
+}
+
+/**
+ * Score every location in a list, in parallel
+ * Failed locations are kept in the result with their error so the grid can show them.
+ * @param {Array<{lat: number, lon: number, name: string, hawkProfile?: object, migrationWindows?: object}>} locations
+ * @returns {Promise<Array<{lat: number, lon: number, name: string, conditions: object|null, best: object|null, error: Error|null}>>}
+ */
+export async function compareLocations(locations) {
+    return Promise.all(locations.map(async loc => {
+        const { data, error } = await scoreLocation(loc.lat, loc.lon, {
+            hawkProfile: loc.hawkProfile,
+            migrationWindows: loc.migrationWindows
+        });
+
+        return {
+            lat: loc.lat,
+            lon: loc.lon,
+            name: loc.name,
+            conditions: data ? data.conditions : null,
+            best: data ? findBestScore(data.conditions) : null,
+            error
+        };
+    }));
+}
+
+/**
+ * Pick the highest-scoring guild from a set of conditions
+ * @param {object} conditions - Result of computeBirdingConditions()
+ * @returns {{key: string, score: number, rating: string}|null}
+ */
+export function findBestScore(conditions) {
+    let best = null;
+
+    TIMELINE_SCORE_KEYS.forEach(key => {
+        const result = conditions[key];
+        if (result && (!best || result.score > best.score)) {
+            best = { key, score: result.score, rating: result.rating };
+        }
+    });
+
+    return best;
+}
@@ -0,0 +1,83 @@
+/**
+ * Per-location profiles stored on saved locations
+ * Saved locations are keyed by name (see locationDropdown.js), so profile
+ * fields such as `hawkProfile` live alongside lat/lon/name in the same entry.
+ */
+
+import { STORAGE_KEYS } from '../config/constants.js';
+
+/**
+ * Default hawk-watch profile offered when none is set (an eastern fall ridge)
+ */
+export const DEFAULT_HAWK_PROFILE = {
+    bearing: 45,      // Direction the ridge or shoreline runs (NE-SW)
+    season: 'fall',   // 'spring' or 'fall'
+    lift: 'ridge'     // 'ridge' (deflection updrafts) or 'thermal'
+};
+
+/**
+ * Find a saved location by name
+ * @param {string} name - Location name
+ * @returns {object|null} Saved entry, including any profile fields
+ */
+export function getSavedLocation(name) {
+    if (!name) return null;
+    return readSavedLocations().find(loc => loc.name === name) || null;
+}
+
+/**
+ * Merge fields into a saved location; a null value removes that field
+ * @param {string} name - Location name
+ * @param {object} changes - Fields to set, e.g. { hawkProfile: {...} }
+ * @returns {boolean} False if the location isn't saved
+ */
+export function updateSavedLocation(name, changes) {
+    const saved = readSavedLocations();
+    const entry = saved.find(loc => loc.name === name);
+    if (!entry) return false;
+
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null) {
+            delete entry[key];
+        } else {
+            entry[key] = value;
+        }
+    });
+
+    try {
+        localStorage.setItem(STORAGE_KEYS.SAVED_LOCATIONS, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Failed to update saved location:', error);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Validate and normalize a hawk-watch profile
+ * @param {object} profile - { bearing, season, lift }
+ * @returns {object|null} Normalized profile, or null if invalid
+ */
+export function normalizeHawkProfile(profile) {
+    if (!profile) return null;
+
+    const bearing = Number(profile.bearing);
+    if (!Number.isFinite(bearing)) return null;
+
+    return {
+        bearing: ((Math.round(bearing) % 360) + 360) % 360,
+        season: profile.season === 'spring' ? 'spring' : 'fall',
+        lift: profile.lift === 'thermal' ? 'thermal' : 'ridge'
+    };
+}
+
+// Helper functions
+
+function readSavedLocations() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEYS.SAVED_LOCATIONS);
+        return stored ? JSON.parse(stored) : [];
+    } catch {
+        return [];
+    }
+}
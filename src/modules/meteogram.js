@@ -0,0 +1,90 @@
+/**
+ * Meteogram data
+ * Joins the last 24 hours and the next 48 into one hourly series, finds where
+ * front passages were detected along it, and picks readable axis ticks.
+ */
+
+import { detectFrontPassage } from '../config/birdingConditions.js';
+
+export const METEOGRAM_PAST_HOURS = 24;
+export const METEOGRAM_FORECAST_HOURS = 48;
+
+// Front detection looks back over the same 12-hour window as buildScoreTimeline()
+const FRONT_WINDOW_HOURS = 12;
+
+/**
+ * Build the meteogram series from a forecast
+ * @param {object} weatherData - WeatherData (see api/weatherData.js)
+ * @returns {{hours: Array, nowIndex: number, fronts: Array}} `hours` are HourlyWeather entries, oldest
+ *   first; `nowIndex` is the current hour's position; `fronts` as from findFrontPassages()
+ */
+export function buildMeteogram(weatherData) {
+    const past = (weatherData?.recentHours || []).slice(-METEOGRAM_PAST_HOURS);
+    const forecast = (weatherData?.hourlyForecast || []).slice(0, METEOGRAM_FORECAST_HOURS);
+    const hours = [...past, ...forecast].map(hour => ({ ...hour, time: new Date(hour.time) }));
+
+    return {
+        hours,
+        nowIndex: past.length,
+        fronts: findFrontPassages(hours)
+    };
+}
+
+/**
+ * Where a front passage starts being detected along a series
+ * Hours without a full look-back window are skipped, so the oldest part of
+ * the chart never shows a front from too little data.
+ * @param {Array} hours - HourlyWeather entries, oldest first
+ * @returns {Array<{index: number, time: Date, type: string, message: string}>}
+ */
+export function findFrontPassages(hours) {
+    const fronts = [];
+    let previous = null;
+
+    for (let i = FRONT_WINDOW_HOURS - 1; i < hours.length; i++) {
+        const window = hours.slice(i - FRONT_WINDOW_HOURS + 1, i + 1);
+        const front = detectFrontPassage(
+            window.map(h => ({ time: h.time, pressure: h.pressure })),
+            window.map(h => ({ time: h.time, temp: h.temperature }))
+        );
+
+        if (front.detected && (!previous?.detected || previous.type !== front.type)) {
+            fronts.push({ index: i, time: hours[i].time, type: front.type, message: front.message });
+        }
+        previous = front;
+    }
+
+    return fronts;
+}
+
+/**
+ * Evenly spaced, round-numbered axis ticks covering a range
+ * @param {number} min
+ * @param {number} max
+ * @param {number} targetCount - Roughly how many ticks to aim for
+ * @returns {{min: number, max: number, ticks: number[]}} Axis bounds snapped to the ticks
+ */
+export function getAxisTicks(min, max, targetCount = 4) {
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+        return { min: 0, max: 1, ticks: [0, 1] };
+    }
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+
+    const rawStep = (max - min) / targetCount;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const step = [1, 2, 2.5, 5, 10].map(f => f * magnitude).find(s => s >= rawStep);
+
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+    // Round away floating-point noise (0.30000000000000004)
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)) + 1);
+    const ticks = [];
+    for (let value = start; value <= end + step / 2; value += step) {
+        ticks.push(Number(value.toFixed(decimals)));
+    }
+
+    return { min: ticks[0], max: ticks[ticks.length - 1], ticks };
+}
@@ -0,0 +1,47 @@
+import { buildMeteogram, findFrontPassages, getAxisTicks } from './meteogram.js';
+
+const START = new Date(2026, 9, 19, 0);
+
+function makeHours(count, fn = () => ({})) {
+  return Array.from({ length: count }, (_, i) => ({
+    time: new Date(START.getTime() + i * 3600000),
+    temperature: 15,
+    pressure: 1015,
+    ...fn(i)
+  }));
+}
+
+describe('meteogram', () => {
+  test('joins the recent hours and the forecast with the current hour marked', () => {
+    const recentHours = makeHours(3).map(h => ({ ...h, time: h.time.toISOString() }));
+    const hourlyForecast = makeHours(50, i => ({ time: new Date(START.getTime() + (i + 3) * 3600000) }));
+    const { hours, nowIndex, fronts } = buildMeteogram({ recentHours, hourlyForecast });
+
+    expect(hours).toHaveLength(51);
+    expect(nowIndex).toBe(3);
+    expect(hours[0].time).toEqual(START);
+    expect(hours[nowIndex].time).toEqual(new Date(2026, 9, 19, 3));
+    expect(fronts).toEqual([]);
+    expect(buildMeteogram({ hourlyForecast }).nowIndex).toBe(0);
+  });
+
+  test('marks where a cold front is first detected', () => {
+    // Pressure starts falling at 14:00, the temperature at 16:00
+    const hours = makeHours(24, i => ({
+      pressure: i < 14 ? 1015 : 1015 - (i - 13),
+      temperature: i < 16 ? 15 : 15 - 1.5 * (i - 15)
+    }));
+    const fronts = findFrontPassages(hours);
+
+    expect(fronts).toHaveLength(1);
+    expect(fronts[0]).toMatchObject({ index: 19, type: 'cold', time: new Date(2026, 9, 19, 19) });
+    expect(findFrontPassages(hours.slice(0, 11))).toEqual([]);
+  });
+
+  test('picks round axis ticks around the data', () => {
+    expect(getAxisTicks(29.83, 30.12)).toEqual({ min: 29.8, max: 30.2, ticks: [29.8, 29.9, 30, 30.1, 30.2] });
+    expect(getAxisTicks(3, 27).ticks).toEqual([0, 10, 20, 30]);
+    expect(getAxisTicks(5, 5).ticks).toEqual([4, 4.5, 5, 5.5, 6]);
+    expect(getAxisTicks(NaN, 3)).toEqual({ min: 0, max: 1, ticks: [0, 1] });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tonight's migration forecast
+ * Scores each hour of the coming night from winds aloft, cloud cover, and rain,
+ * then predicts how many migrants will be around the next morning.
+ */
+
+import { scoreNocturnalMigration } from '../config/birdingConditions.js';
+import { DEFAULT_SCORING_CONFIG } from '../config/scoringConfig.js';
+import { convertWindSpeed } from '../utils/formatting.js';
+
+// Night runs from dusk (20:00) through the last hour before dawn (05:00)
+export const NIGHT_START_HOUR = 20;
+export const NIGHT_END_HOUR = 5;
+
+// Rain in the last hours before dawn forces migrants down
+const PREDAWN_HOURS = 3;
+const FALLOUT_PRECIP_MM = 0.5;
+
+/**
+ * Pick the hours of the current or coming night from a forecast
+ * @param {Array} hourlyForecast - Hourly entries starting at the current hour
+ * @param {Date} now - Reference time
+ * @returns {Array} Forecast entries between dusk and dawn
+ */
+export function getTonightHours(hourlyForecast, now = new Date()) {
+    // Before dawn we're still in last night; otherwise tonight starts this evening
+    const nightStart = new Date(now.getFullYear(), now.getMonth(), now.getDate(), NIGHT_START_HOUR);
+    if (now.getHours() <= NIGHT_END_HOUR) {
+        nightStart.setDate(nightStart.getDate() - 1);
+    }
+    const nightEnd = new Date(nightStart.getFullYear(), nightStart.getMonth(), nightStart.getDate() + 1, NIGHT_END_HOUR);
+
+    return hourlyForecast.filter(h => {
+        const time = new Date(h.time);
+        return time >= nightStart && time <= nightEnd;
+    });
+}
+
+/**
+ * Forecast tonight's nocturnal migration
+ * @param {Array} hourlyForecast - Hourly entries (metric units, as returned by openMeteo.js)
+ * @param {object} migration - { season, tailwindSector } from getMigrationSeason()
+ * @param {Date} now - Reference time
+ * @param {object} config - Full config from resolveScoringConfig(); uses its `nocturnalMigration` weights
+ * @returns {object|null} { hours, averageScore, peak, arrival } or null outside migration
+ *   season or when winds aloft aren't available
+ */
+export function forecastNocturnalMigration(
+    hourlyForecast, migration, now = new Date(), config = DEFAULT_SCORING_CONFIG
+) {
+    const { season, tailwindSector } = migration;
+    if ((season !== 'spring' && season !== 'fall') || !tailwindSector) {
+        return null;
+    }
+
+    const nightHours = getTonightHours(hourlyForecast, now)
+        .filter(h => h.windDirection850 !== null && h.windSpeed850 !== null);
+
+    if (nightHours.length === 0) {
+        return null;
+    }
+
+    const hours = nightHours.map(h => ({
+        time: new Date(h.time),
+        windDirection850: h.windDirection850,
+        windSpeed850: h.windSpeed850,
+        cloudCover: h.cloudCover,
+        precipitation: h.precipitation,
+        ...scoreNocturnalMigration(
+            h.windDirection850,
+            convertWindSpeed(h.windSpeed850, 'mph'),
+            h.cloudCover,
+            h.precipitation,
+            tailwindSector,
+            config.nocturnalMigration
+        )
+    }));
+
+    const averageScore = Math.round(hours.reduce((sum, h) => sum + h.score, 0) / hours.length);
+    const peak = hours.reduce((best, h) => (h.score > best.score ? h : best), hours[0]);
+
+    return {
+        hours,
+        averageScore,
+        peak: { time: peak.time, score: peak.score, rating: peak.rating },
+        arrival: predictArrival(hours, averageScore)
+    };
+}
+
+/**
+ * Predict the size of the next morning's arrival from a scored night
+ * @param {Array} hours - Scored night hours
+ * @param {number} averageScore - Mean score across the night
+ * @returns {{level: string, message: string}} level: 'light', 'moderate', 'heavy', or 'fallout'
+ */
+export function predictArrival(hours, averageScore) {
+    const half = Math.ceil(hours.length / 2);
+    const earlyFlight = hours.slice(0, half).reduce((sum, h) => sum + h.score, 0) / half;
+    const predawnRain = hours.slice(-PREDAWN_HOURS).some(h => h.precipitation >= FALLOUT_PRECIP_MM);
+
+    // Big flight that runs into rain before dawn puts birds down en masse
+    if (earlyFlight >= 60 && predawnRain) {
+        return {
+            level: 'fallout',
+            message: 'Strong flight meets pre-dawn rain - watch for a fallout at first light'
+        };
+    }
+
+    if (averageScore >= 70) {
+        return { level: 'heavy', message: 'Big flight tonight - expect lots of new arrivals in the morning' };
+    }
+
+    if (averageScore >= 50) {
+        return { level: 'moderate', message: 'Moderate flight - some new migrants by morning' };
+    }
+
+    return { level: 'light', message: 'Little movement expected - few new arrivals' };
+}
@@ -0,0 +1,44 @@
+import { forecastNocturnalMigration, getTonightHours } from './nocturnalMigration.js';
+
+const fallMigration = { season: 'fall', tailwindSector: { min: 270, max: 45 } };
+
+function makeForecast(now, overrides = () => ({})) {
+  return Array.from({ length: 24 }, (_, i) => {
+    const time = new Date(now.getTime() + i * 3600000);
+    return {
+      time,
+      precipitation: 0,
+      cloudCover: 20,
+      windSpeed850: 35, // km/h
+      windDirection850: 340,
+      ...overrides(time)
+    };
+  });
+}
+
+describe('nocturnal migration', () => {
+  const afternoon = new Date(2026, 9, 20, 15);
+
+  test('selects the hours from dusk to dawn', () => {
+    const hours = getTonightHours(makeForecast(afternoon), afternoon);
+    expect(hours[0].time.getHours()).toBe(20);
+    expect(hours[hours.length - 1].time.getHours()).toBe(5);
+    expect(hours).toHaveLength(10);
+  });
+
+  test('northerly winds aloft in fall predict a heavy arrival', () => {
+    const forecast = forecastNocturnalMigration(makeForecast(afternoon), fallMigration, afternoon);
+    expect(forecast.averageScore).toBeGreaterThanOrEqual(70);
+    expect(forecast.arrival.level).toBe('heavy');
+  });
+
+  test('pre-dawn rain after a good flight signals fallout', () => {
+    const rainy = makeForecast(afternoon, time => (time.getHours() >= 3 && time.getHours() <= 5 ? { precipitation: 2 } : {}));
+    const forecast = forecastNocturnalMigration(rainy, fallMigration, afternoon);
+    expect(forecast.arrival.level).toBe('fallout');
+  });
+
+  test('returns null outside migration season', () => {
+    expect(forecastNocturnalMigration(makeForecast(afternoon), { season: 'winter', tailwindSector: null }, afternoon)).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Web Notifications wrapper
+ * Shows notifications through the service worker when one is registered (so
+ * they work with the tab in the background), falling back to `new Notification`.
+ */
+
+/**
+ * Current notification permission
+ * @returns {'unsupported'|'default'|'granted'|'denied'}
+ */
+export function getNotificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Ask the user for permission to notify
+ * @returns {Promise<'unsupported'|'default'|'granted'|'denied'>}
+ */
+export async function requestNotificationPermission() {
+    if (getNotificationPermission() === 'unsupported') return 'unsupported';
+    return Notification.requestPermission();
+}
+
+/**
+ * Show a notification if permission has been granted
+ * @param {string} title
+ * @param {object} options
+ * @param {string} options.body
+ * @param {string} options.tag - Replaces an earlier notification with the same tag
+ * @returns {Promise<boolean>} Whether a notification was shown
+ */
+export async function showNotification(title, { body, tag } = {}) {
+    if (getNotificationPermission() !== 'granted') return false;
+
+    const options = { body, tag, icon: `${import.meta.env.BASE_URL}favicon.svg` };
+
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
+        }
+        return true;
+    } catch (error) {
+        console.warn('Failed to show notification:', error);
+        return false;
+    }
+}
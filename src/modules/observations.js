@@ -0,0 +1,152 @@
+/**
+ * Observed current conditions
+ * Replaces the model's current-hour values with a nearby METAR or the user's
+ * personal weather station, when one is configured and reporting recently.
+ * Pressure is left alone: station and model pressure aren't measured the same way,
+ * and mixing them would fake a pressure trend.
+ */
+
+import store from '../state/store.js';
+import { fetchMetarObservations, fetchStationObservation, OBSERVATION_FIELDS } from '../api/observations.js';
+import { getDistanceKm } from './geolocation.js';
+
+// Older readings are no better than the model
+export const MAX_OBSERVATION_AGE_MINUTES = 90;
+
+// Beyond this an airport's weather says little about the marsh
+export const MAX_METAR_DISTANCE_KM = 40;
+
+// Visibility below 1 km is fog by definition
+const FOG_VISIBILITY_M = 1000;
+const FOG_WEATHER_CODE = 45;
+
+/**
+ * Fetch the observation for the configured source (Settings > Observed Conditions)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<{data: object|null, error: Error|null}>} data is null when no source is set
+ *   or nothing recent is close enough
+ */
+export async function fetchCurrentObservation(lat, lon) {
+    const source = store.get('observationSource');
+
+    if (source === 'metar') {
+        const { data, error } = await fetchMetarObservations(lat, lon);
+        if (error) return { data: null, error };
+        return { data: selectNearestObservation(data, lat, lon), error: null };
+    }
+
+    if (source === 'pws') {
+        const url = store.get('pwsUrl');
+        if (!url) {
+            return { data: null, error: new Error('Personal weather station URL not configured') };
+        }
+        const { data, error } = await fetchStationObservation(url);
+        if (error) return { data: null, error };
+        return { data: withDistance(data, lat, lon), error: null };
+    }
+
+    return { data: null, error: null };
+}
+
+/**
+ * Pick the closest recent METAR within MAX_METAR_DISTANCE_KM
+ * @param {Array} observations - Observations with station lat/lon
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Date} now - Reference time
+ * @returns {object|null} The observation with `distanceKm` added
+ */
+export function selectNearestObservation(observations, lat, lon, now = new Date()) {
+    return (observations || [])
+        .filter(obs => hasPosition(obs) && isRecent(obs, now))
+        .map(obs => withDistance(obs, lat, lon))
+        .filter(obs => obs.distanceKm <= MAX_METAR_DISTANCE_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm)[0] || null;
+}
+
+/**
+ * Apply an observation to a provider's weather data
+ * Providers hand back the current hour as hourlyForecast[0], so both get the observed values
+ * and the timeline, planner, and meteogram agree with the gauges.
+ * @param {object} data - Weather data from fetchWeatherForecast()
+ * @param {object|null} observation - From fetchCurrentObservation()
+ * @param {Date} now - Reference time
+ * @returns {object} Weather data with the observed current hour, or `data` unchanged
+ */
+export function applyObservationToForecast(data, observation, now = new Date()) {
+    const current = applyObservation(data.current, observation, now);
+    if (current === data.current) {
+        return data;
+    }
+
+    const hourlyForecast = data.hourlyForecast.slice();
+    if (hourlyForecast[0] === data.current) {
+        hourlyForecast[0] = current;
+    }
+    return { ...data, current, hourlyForecast };
+}
+
+/**
+ * Override the model's current hour with observed values
+ * @param {object} current - Current hour from the weather provider
+ * @param {object|null} observation - From fetchCurrentObservation()
+ * @param {Date} now - Reference time
+ * @returns {object} A new current-hour object with an `observation` summary
+ *   ({ source, station, stationName, time, distanceKm, fields }), or `current` unchanged
+ *   when there's no usable observation
+ */
+export function applyObservation(current, observation, now = new Date()) {
+    if (!current || !observation || !isRecent(observation, now)) {
+        return current;
+    }
+
+    const { values } = observation;
+    const merged = { ...current };
+    const fields = [];
+
+    OBSERVATION_FIELDS.concat('weatherCode').forEach(field => {
+        if (values[field] !== null && values[field] !== undefined) {
+            merged[field] = values[field];
+            fields.push(field);
+        }
+    });
+
+    // Stations without present-weather sensors still tell us about fog
+    if (!fields.includes('weatherCode') && values.visibility !== null && values.visibility < FOG_VISIBILITY_M) {
+        merged.weatherCode = FOG_WEATHER_CODE;
+        fields.push('weatherCode');
+    }
+
+    if (fields.length === 0) {
+        return current;
+    }
+
+    merged.observation = {
+        source: observation.source,
+        station: observation.station,
+        stationName: observation.stationName,
+        time: observation.time,
+        distanceKm: observation.distanceKm ?? null,
+        fields
+    };
+    return merged;
+}
+
+// Helper functions
+
+function isRecent(observation, now) {
+    const ageMinutes = (now - new Date(observation.time)) / 60000;
+    return ageMinutes <= MAX_OBSERVATION_AGE_MINUTES;
+}
+
+function hasPosition(observation) {
+    return Number.isFinite(observation.lat) && Number.isFinite(observation.lon);
+}
+
+function withDistance(observation, lat, lon) {
+    if (!hasPosition(observation)) {
+        return { ...observation, distanceKm: null };
+    }
+    return { ...observation, distanceKm: getDistanceKm(lat, lon, observation.lat, observation.lon) };
+}
@@ -0,0 +1,77 @@
+import {
+  applyObservation, applyObservationToForecast, selectNearestObservation, MAX_METAR_DISTANCE_KM
+} from './observations.js';
+import { transformMetar, transformStation } from '../api/observations.js';
+
+const NOW = new Date('2026-05-10T09:30:00Z');
+
+const modelHour = {
+  time: new Date('2026-05-10T09:00:00Z'),
+  temperature: 15,
+  humidity: 70,
+  precipitation: 0,
+  weatherCode: 1,
+  pressure: 1012,
+  visibility: 24000,
+  windSpeed: 10,
+  windDirection: 180,
+  windGusts: 18
+};
+
+describe('observed current conditions', () => {
+  test('METAR fog overrides the model and converts units', () => {
+    const metar = transformMetar({
+      icaoId: 'KACY', name: 'Atlantic City Intl', obsTime: NOW.getTime() / 1000 - 20 * 60,
+      temp: 12, dewp: 12, wdir: 'VRB', wspd: 3, visib: 0.25, wxString: 'FG',
+      clouds: [{ cover: 'VV', base: 100 }], lat: 39.45, lon: -74.57
+    });
+    const current = applyObservation(modelHour, { ...metar, distanceKm: 12 }, NOW);
+
+    expect(current.weatherCode).toBe(45);
+    expect(current.visibility).toBe(402);
+    expect(current.humidity).toBe(100);
+    expect(current.windSpeed).toBeCloseTo(5.6, 1);
+    // Variable wind keeps the model direction; pressure is never replaced
+    expect(current.windDirection).toBe(180);
+    expect(current.pressure).toBe(1012);
+    expect(current.observation).toEqual(expect.objectContaining({ source: 'METAR', station: 'KACY', distanceKm: 12 }));
+    expect(modelHour.observation).toBeUndefined();
+  });
+
+  test('a PWS reporting low visibility implies fog', () => {
+    const reading = transformStation({ station: 'Marsh PWS', time: '2026-05-10T09:25:00Z', visibility: 600, windSpeed: 4 });
+    const current = applyObservation(modelHour, reading, NOW);
+
+    expect(current.weatherCode).toBe(45);
+    expect(current.temperature).toBe(15);
+    expect(current.observation.fields).toEqual(['windSpeed', 'visibility', 'weatherCode']);
+  });
+
+  test('the first forecast hour gets the same observed values as the current hour', () => {
+    const nextHour = { ...modelHour, time: new Date('2026-05-10T10:00:00Z') };
+    const data = { current: modelHour, hourlyForecast: [modelHour, nextHour] };
+    const reading = transformStation({ station: 'Marsh PWS', time: '2026-05-10T09:25:00Z', temperature: 11 });
+    const observed = applyObservationToForecast(data, reading, NOW);
+
+    expect(observed.current.temperature).toBe(11);
+    expect(observed.hourlyForecast[0]).toBe(observed.current);
+    expect(observed.hourlyForecast[1]).toBe(nextHour);
+    expect(data.hourlyForecast[0]).toBe(modelHour);
+    expect(applyObservationToForecast(data, null, NOW)).toBe(data);
+  });
+
+  test('ignores stale readings and far-away stations', () => {
+    const stale = transformStation({ time: '2026-05-10T06:00:00Z', temperature: 2 });
+    expect(applyObservation(modelHour, stale, NOW)).toBe(modelHour);
+    expect(transformStation({ temperature: 2 })).toBeNull();
+
+    const reports = [
+      { lat: 39.45, lon: -74.57, time: NOW, station: 'NEAR' },
+      { lat: 39.0, lon: -74.0, time: NOW, station: 'FAR' }
+    ];
+    const nearest = selectNearestObservation(reports, 39.4, -74.5, NOW);
+    expect(nearest.station).toBe('NEAR');
+    expect(nearest.distanceKm).toBeLessThan(MAX_METAR_DISTANCE_KM);
+    expect(selectNearestObservation(reports, 41, -72, NOW)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Offline cache
+ * Keeps the last forecast, hotspot list, and computed scores for each location
+ * in IndexedDB so the dashboard still has something to show without signal.
+ * Entries are keyed by rounded lat/lon, so nearby fixes share a cache entry.
+ */
+
+import { STALE_THRESHOLD_MINUTES } from '../config/constants.js';
+
+const DB_NAME = 'birdingWeather';
+const DB_VERSION = 1;
+const STORE_NAME = 'locations';
+
+// 2 decimal places is ~1 km - close enough to reuse a forecast
+const KEY_PRECISION = 2;
+
+let dbPromise = null;
+
+/**
+ * Build the cache key for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} e.g. '40.71,-74.01'
+ */
+export function getCacheKey(lat, lon) {
+    return `${lat.toFixed(KEY_PRECISION)},${lon.toFixed(KEY_PRECISION)}`;
+}
+
+/**
+ * Save one part of a location's data ('forecast', 'hotspots', or 'scores')
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} field - Which part to save
+ * @param {any} value - Data to cache (must be structured-cloneable)
+ * @returns {Promise<void>}
+ */
+export async function saveCachedData(lat, lon, field, value) {
+    const db = await openDatabase();
+    if (!db) return;
+
+    const key = getCacheKey(lat, lon);
+    try {
+        const entry = (await runRequest(db, 'readonly', store => store.get(key))) || { key };
+        entry[field] = { value, savedAt: new Date() };
+        await runRequest(db, 'readwrite', store => store.put(entry));
+    } catch (error) {
+        console.warn(`Failed to cache ${field}:`, error);
+    }
+}
+
+/**
+ * Load one part of a location's cached data
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} field - Which part to load
+ * @returns {Promise<{value: any, savedAt: Date}|null>}
+ */
+export async function loadCachedData(lat, lon, field) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    try {
+        const entry = await runRequest(db, 'readonly', store => store.get(getCacheKey(lat, lon)));
+        return entry?.[field] || null;
+    } catch (error) {
+        console.warn(`Failed to read cached ${field}:`, error);
+        return null;
+    }
+}
+
+/**
+ * How old cached data is, and whether it's past the stale threshold
+ * @param {Date} savedAt - When the data was fetched
+ * @param {Date} now - Reference time
+ * @returns {{minutes: number, isStale: boolean}}
+ */
+export function getCacheAge(savedAt, now = new Date()) {
+    const minutes = Math.max(0, Math.floor((now - new Date(savedAt)) / 60000));
+    return { minutes, isStale: minutes > STALE_THRESHOLD_MINUTES };
+}
+
+// Helper functions
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    if (!dbPromise) {
+        dbPromise = new Promise(resolve => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                // Private browsing and some embedded browsers block IndexedDB
+                console.warn('Offline cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+function runRequest(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,24 @@
+import { getCacheKey, getCacheAge, loadCachedData, saveCachedData } from './offlineCache.js';
+import { STALE_THRESHOLD_MINUTES } from '../config/constants.js';
+
+describe('offline cache', () => {
+  test('nearby fixes share a cache key', () => {
+    expect(getCacheKey(40.71281, -74.00602)).toBe('40.71,-74.01');
+    expect(getCacheKey(40.7104, -74.0061)).toBe(getCacheKey(40.71281, -74.00602));
+    expect(getCacheKey(40.73, -74.01)).not.toBe(getCacheKey(40.71, -74.01));
+  });
+
+  test('flags data older than the stale threshold', () => {
+    const now = new Date(2026, 4, 10, 9, 0);
+    const fresh = new Date(now - 10 * 60000);
+    const old = new Date(now - (STALE_THRESHOLD_MINUTES + 5) * 60000);
+
+    expect(getCacheAge(fresh, now)).toEqual({ minutes: 10, isStale: false });
+    expect(getCacheAge(old, now).isStale).toBe(true);
+  });
+
+  test('degrades to a no-op without IndexedDB', async () => {
+    await expect(saveCachedData(40.71, -74.01, 'forecast', {})).resolves.toBeUndefined();
+    await expect(loadCachedData(40.71, -74.01, 'forecast')).resolves.toBeNull();
+  });
+});
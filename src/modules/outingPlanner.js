@@ -0,0 +1,131 @@
+/**
+ * "Best time to go" planner
+ * Finds contiguous outing windows in the score timeline where a chosen score
+ * stays at or above a threshold, then ranks them.
+ */
+
+import { TIMELINE_SCORE_KEYS } from './birdingForecast.js';
+
+const HOUR_MS = 3600000;
+
+/**
+ * Default planner settings
+ */
+export const PLANNER_DEFAULTS = {
+    SCORE_KEY: 'hawkWatchScore',
+    THRESHOLD: 65,
+    MIN_HOURS: 2,
+    MAX_HOURS: 4,
+    LIMIT: 3
+};
+
+/**
+ * Find and rank outing windows for one score
+ * @param {Array} timeline - Result of buildScoreTimeline()
+ * @param {string} scoreKey - Score store key, e.g. 'hawkWatchScore'
+ * @param {object} options
+ * @param {number} options.threshold - Minimum score every hour in the window must reach
+ * @param {number} options.minHours - Shortest window length
+ * @param {number} options.maxHours - Longest window length
+ * @param {number} options.limit - Maximum number of windows returned
+ * @returns {Array<{start: Date, end: Date, hours: number, averageScore: number, peakScore: number, rating: string, reason: string}>}
+ */
+export function findOutingWindows(timeline, scoreKey, options = {}) {
+    const {
+        threshold = PLANNER_DEFAULTS.THRESHOLD,
+        minHours = PLANNER_DEFAULTS.MIN_HOURS,
+        maxHours = PLANNER_DEFAULTS.MAX_HOURS,
+        limit = PLANNER_DEFAULTS.LIMIT
+    } = options;
+
+    if (!timeline || !TIMELINE_SCORE_KEYS.includes(scoreKey)) return [];
+
+    // Every candidate window inside a qualifying run, best average first
+    const candidates = [];
+    findQualifyingRuns(timeline, scoreKey, threshold).forEach(run => {
+        for (let length = minHours; length <= Math.min(maxHours, run.length); length++) {
+            for (let i = 0; i + length <= run.length; i++) {
+                candidates.push(buildWindow(run.slice(i, i + length), scoreKey));
+            }
+        }
+    });
+
+    candidates.sort((a, b) =>
+        b.averageScore - a.averageScore ||
+        b.hours - a.hours ||
+        a.start - b.start
+    );
+
+    // Greedily keep the best windows that don't overlap
+    const selected = [];
+    for (const candidate of candidates) {
+        if (selected.length >= limit) break;
+        if (!selected.some(w => candidate.start < w.end && w.start < candidate.end)) {
+            selected.push(candidate);
+        }
+    }
+
+    return selected;
+}
+
+// Helper functions
+
+function findQualifyingRuns(timeline, scoreKey, threshold) {
+    const runs = [];
+    let run = [];
+
+    timeline.forEach(entry => {
+        const result = entry.scores[scoreKey];
+        const previous = run[run.length - 1];
+        const isContiguous = previous && new Date(entry.time) - new Date(previous.time) === HOUR_MS;
+
+        if (result && result.score >= threshold) {
+            if (run.length > 0 && !isContiguous) {
+                runs.push(run);
+                run = [];
+            }
+            run.push(entry);
+        } else if (run.length > 0) {
+            runs.push(run);
+            run = [];
+        }
+    });
+
+    if (run.length > 0) runs.push(run);
+    return runs;
+}
+
+function buildWindow(entries, scoreKey) {
+    const results = entries.map(e => e.scores[scoreKey]);
+    const total = results.reduce((sum, r) => sum + r.score, 0);
+    const averageScore = Math.round(total / results.length);
+    const best = results.reduce((a, b) => (b.score > a.score ? b : a));
+
+    return {
+        start: new Date(entries[0].time),
+        end: new Date(new Date(entries[entries.length - 1].time).getTime() + HOUR_MS),
+        hours: entries.length,
+        averageScore,
+        peakScore: best.score,
+        rating: best.rating,
+        reason: buildReason(results)
+    };
+}
+
+/**
+ * Summarize a window from the scorers' details, most frequent factors first
+ */
+function buildReason(results, maxFactors = 3) {
+    const counts = new Map();
+    results.forEach(r => {
+        (r.details || []).forEach(detail => {
+            counts.set(detail, (counts.get(detail) || 0) + 1);
+        });
+    });
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, maxFactors)
+        .map(([detail]) => detail)
+        .join(' · ');
+}
@@ -0,0 +1,43 @@
+import { findOutingWindows } from './outingPlanner.js';
+
+function makeTimeline(scores) {
+  const start = new Date(2026, 9, 20, 5).getTime();
+  return scores.map((score, i) => ({
+    time: new Date(start + i * 3600000),
+    scores: {
+      hawkWatchScore: score === null ? null : {
+        score,
+        rating: score >= 80 ? 'Excellent' : 'Good',
+        details: score >= 80 ? ['Ideal NW-NE wind direction', 'Excellent visibility'] : ['Favorable wind direction']
+      }
+    }
+  }));
+}
+
+describe('outing planner', () => {
+  test('finds the best contiguous window above threshold', () => {
+    const timeline = makeTimeline([50, 70, 85, 90, 88, 60, 72, 74, 40]);
+    const [best] = findOutingWindows(timeline, 'hawkWatchScore', { threshold: 65 });
+    expect(best.hours).toBeGreaterThanOrEqual(2);
+    expect(best.averageScore).toBe(89);
+    expect(best.start.getHours()).toBe(8);
+    expect(best.reason).toContain('Ideal NW-NE wind direction');
+  });
+
+  test('returns non-overlapping windows, at most the limit', () => {
+    const timeline = makeTimeline([70, 85, 90, 88, 80, 60, 72, 74, 75, 40, 66, 67]);
+    const windows = findOutingWindows(timeline, 'hawkWatchScore', { threshold: 65 });
+    expect(windows).toHaveLength(3);
+    for (let i = 0; i < windows.length; i++) {
+      for (let j = i + 1; j < windows.length; j++) {
+        const overlap = windows[i].start < windows[j].end && windows[j].start < windows[i].end;
+        expect(overlap).toBe(false);
+      }
+    }
+  });
+
+  test('ignores runs shorter than the minimum window', () => {
+    const timeline = makeTimeline([90, 40, 90, null, 90]);
+    expect(findOutingWindows(timeline, 'hawkWatchScore', { threshold: 65 })).toEqual([]);
+  });
+});
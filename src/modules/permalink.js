@@ -0,0 +1,108 @@
+/**
+ * Shareable permalinks
+ * Encodes the view — location, selected hotspot, open score modal, and unit
+ * preferences — in the URL query string, so a link opens the same
+ * conditions for whoever follows it.
+ *
+ *   ?lat=40.6433&lon=-75.9917&name=Hawk+Mountain&hotspot=L123&score=hawkWatchScore&temp=F&speed=mph&pressure=inHg
+ */
+
+import store from '../state/store.js';
+import { TIMELINE_SCORE_KEYS } from './birdingForecast.js';
+
+// ~11 m, plenty for a forecast grid and short enough to share
+const COORD_DECIMALS = 4;
+
+// Store key -> [query parameter, allowed values]
+const UNIT_PARAMS = {
+    tempUnit: ['temp', ['F', 'C']],
+    speedUnit: ['speed', ['mph', 'kph']],
+    pressureUnit: ['pressure', ['inHg', 'mb']]
+};
+
+/**
+ * Build the query string for the current view
+ * @param {object} state - Store state (userLat, userLon, locationName, selectedHotspot, activeScoreModal, units)
+ * @returns {string} '?lat=…' or '' when there is no location yet
+ */
+export function buildPermalinkQuery(state) {
+    if (!Number.isFinite(state.userLat) || !Number.isFinite(state.userLon)) return '';
+
+    const params = new URLSearchParams({
+        lat: state.userLat.toFixed(COORD_DECIMALS),
+        lon: state.userLon.toFixed(COORD_DECIMALS)
+    });
+
+    if (state.locationName) params.set('name', state.locationName);
+    if (state.selectedHotspot?.id) params.set('hotspot', state.selectedHotspot.id);
+    if (state.activeScoreModal) params.set('score', state.activeScoreModal);
+
+    Object.entries(UNIT_PARAMS).forEach(([key, [param]]) => {
+        if (state[key]) params.set(param, state[key]);
+    });
+
+    return `?${params.toString()}`;
+}
+
+/**
+ * Read a view from a query string, dropping anything invalid
+ * @param {string} search - e.g. window.location.search
+ * @returns {{location: {lat: number, lon: number, name: string|null}|null, hotspotId: string|null,
+ *   scoreType: string|null, units: object}} `units` holds only the store keys present in the link
+ */
+export function parsePermalinkQuery(search) {
+    const params = new URLSearchParams(search);
+
+    const lat = parseCoordinate(params.get('lat'), 90);
+    const lon = parseCoordinate(params.get('lon'), 180);
+    const scoreType = params.get('score');
+
+    const units = {};
+    Object.entries(UNIT_PARAMS).forEach(([key, [param, allowed]]) => {
+        if (allowed.includes(params.get(param))) {
+            units[key] = params.get(param);
+        }
+    });
+
+    return {
+        location: lat !== null && lon !== null
+            ? { lat, lon, name: params.get('name') || null }
+            : null,
+        hotspotId: params.get('hotspot') || null,
+        scoreType: TIMELINE_SCORE_KEYS.includes(scoreType) ? scoreType : null,
+        units
+    };
+}
+
+/**
+ * Whether two points round to the same permalink coordinates
+ * @param {{lat: number, lon: number}|null} a
+ * @param {{lat: number, lon: number}|null} b
+ * @returns {boolean}
+ */
+export function isSamePermalinkLocation(a, b) {
+    if (!a || !b) return false;
+    return a.lat.toFixed(COORD_DECIMALS) === b.lat.toFixed(COORD_DECIMALS)
+        && a.lon.toFixed(COORD_DECIMALS) === b.lon.toFixed(COORD_DECIMALS);
+}
+
+/**
+ * Show a permalink's units for this session
+ * The link's units aren't saved, so following a teammate's metric link (or
+ * going back to it) leaves the recipient's own unit settings in place.
+ * @param {object} units - From parsePermalinkQuery()
+ * @returns {boolean} Whether any unit changed
+ */
+export function applyPermalinkUnits(units) {
+    const changed = Object.entries(units || {}).some(([key, value]) => store.get(key) !== value);
+    store.update(units || {}, { persist: false });
+    return changed;
+}
+
+// Helper functions
+
+function parseCoordinate(value, limit) {
+    if (value === null || value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
@@ -0,0 +1,73 @@
+import store from '../state/store.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+import {
+  buildPermalinkQuery,
+  parsePermalinkQuery,
+  isSamePermalinkLocation,
+  applyPermalinkUnits
+} from './permalink.js';
+
+const STATE = {
+  userLat: 40.643312,
+  userLon: -75.991678,
+  locationName: 'Hawk Mountain, PA',
+  selectedHotspot: { id: 'L123', name: 'Hawk Mountain Sanctuary' },
+  activeScoreModal: 'hawkWatchScore',
+  tempUnit: 'C',
+  speedUnit: 'kph',
+  pressureUnit: 'mb'
+};
+
+describe('permalinks', () => {
+  test('round-trips the view through the query string', () => {
+    const query = buildPermalinkQuery(STATE);
+
+    expect(query).toBe(
+      '?lat=40.6433&lon=-75.9917&name=Hawk+Mountain%2C+PA&hotspot=L123&score=hawkWatchScore'
+      + '&temp=C&speed=kph&pressure=mb'
+    );
+    expect(parsePermalinkQuery(query)).toEqual({
+      location: { lat: 40.6433, lon: -75.9917, name: 'Hawk Mountain, PA' },
+      hotspotId: 'L123',
+      scoreType: 'hawkWatchScore',
+      units: { tempUnit: 'C', speedUnit: 'kph', pressureUnit: 'mb' }
+    });
+    expect(buildPermalinkQuery({ ...STATE, userLat: null })).toBe('');
+  });
+
+  test('drops invalid or missing values', () => {
+    expect(parsePermalinkQuery('?lat=95&lon=10&score=bogus&temp=K&speed=mph')).toEqual({
+      location: null,
+      hotspotId: null,
+      scoreType: null,
+      units: { speedUnit: 'mph' }
+    });
+    expect(parsePermalinkQuery('?lat=&lon=10').location).toBeNull();
+    expect(parsePermalinkQuery('').location).toBeNull();
+    expect(parsePermalinkQuery('?lat=40.5&lon=-74').location).toEqual({ lat: 40.5, lon: -74, name: null });
+  });
+
+  test('compares locations at permalink precision', () => {
+    const shared = parsePermalinkQuery(buildPermalinkQuery(STATE)).location;
+
+    expect(isSamePermalinkLocation(shared, { lat: STATE.userLat, lon: STATE.userLon })).toBe(true);
+    expect(isSamePermalinkLocation(shared, { lat: 40.6533, lon: STATE.userLon })).toBe(false);
+    expect(isSamePermalinkLocation(null, shared)).toBe(false);
+  });
+
+  test("shows a link's units without changing the stored preferences", () => {
+    const preferences = { tempUnit: 'F', speedUnit: 'mph', pressureUnit: 'inHg' };
+    store.update({ tempUnit: 'C' });
+    store.update(preferences);
+    const { units } = parsePermalinkQuery(buildPermalinkQuery(STATE));
+
+    expect(applyPermalinkUnits(units)).toBe(true);
+    expect(store.get('tempUnit')).toBe('C');
+    expect(store.get('pressureUnit')).toBe('mb');
+    expect(localStorage.getItem(STORAGE_KEYS.TEMP_UNIT)).toBe('F');
+    expect(localStorage.getItem(STORAGE_KEYS.SPEED_UNIT)).not.toBe('kph');
+    expect(applyPermalinkUnits(units)).toBe(false);
+
+    store.update(preferences);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Rarities nearby
+ * Condenses eBird notable observations into one entry per species per location,
+ * with the distance from the current location.
+ */
+
+import { getDistanceKm } from './geolocation.js';
+
+export const RARITY_DAYS_OPTIONS = [1, 3, 7, 14, 30];
+export const RARITY_RADIUS_OPTIONS_KM = [10, 25, 50];
+
+/**
+ * Summarize notable observations for display
+ * The same bird is usually reported on many checklists; keep the latest report
+ * of each species at each location and count how many reports there were.
+ * @param {Array} observations - From fetchNotableObservations()
+ * @param {number} lat - Current latitude
+ * @param {number} lon - Current longitude
+ * @returns {Array} Observations plus { distanceKm, reports }, newest first
+ */
+export function summarizeNotableObservations(observations, lat, lon) {
+    const bySpeciesAndLocation = new Map();
+
+    (observations || []).forEach(obs => {
+        const key = `${obs.speciesCode}|${obs.locId}`;
+        const existing = bySpeciesAndLocation.get(key);
+
+        if (!existing) {
+            bySpeciesAndLocation.set(key, { ...obs, reports: 1 });
+            return;
+        }
+
+        existing.reports++;
+        if (parseObservationDate(obs.date) > parseObservationDate(existing.date)) {
+            bySpeciesAndLocation.set(key, { ...obs, reports: existing.reports });
+        }
+    });
+
+    return [...bySpeciesAndLocation.values()]
+        .map(obs => ({ ...obs, distanceKm: getDistanceKm(lat, lon, obs.lat, obs.lon) }))
+        .sort((a, b) =>
+            parseObservationDate(b.date) - parseObservationDate(a.date) || a.distanceKm - b.distanceKm
+        );
+}
+
+/**
+ * Parse an eBird observation date ("2026-05-10 07:45" or "2026-05-10")
+ * @param {string} value
+ * @returns {Date}
+ */
+export function parseObservationDate(value) {
+    const [date, time = '00:00'] = String(value).split(' ');
+    return new Date(`${date}T${time}`);
+}
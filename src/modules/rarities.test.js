@@ -0,0 +1,33 @@
+import { summarizeNotableObservations, parseObservationDate } from './rarities.js';
+
+const report = (overrides) => ({
+  speciesCode: 'snoowl1',
+  commonName: 'Snowy Owl',
+  count: 1,
+  date: '2026-01-10 08:00',
+  locId: 'L1',
+  locationName: 'Jones Beach',
+  lat: 40.59,
+  lon: -73.51,
+  ...overrides
+});
+
+describe('rarities nearby', () => {
+  test('keeps the latest report per species and location', () => {
+    const summary = summarizeNotableObservations([
+      report({ date: '2026-01-09 15:30' }),
+      report({ date: '2026-01-10 08:00', count: 2 }),
+      report({ locId: 'L2', locationName: 'Point Lookout', lat: 40.59, lon: -73.58, date: '2026-01-08' })
+    ], 40.7, -73.6);
+
+    expect(summary).toHaveLength(2);
+    expect(summary[0]).toEqual(expect.objectContaining({ locId: 'L1', count: 2, reports: 2 }));
+    expect(summary[0].distanceKm).toBeGreaterThan(10);
+    expect(summary[1].locId).toBe('L2');
+  });
+
+  test('parses eBird dates with and without a time', () => {
+    expect(parseObservationDate('2026-01-10 08:15')).toEqual(new Date(2026, 0, 10, 8, 15));
+    expect(parseObservationDate('2026-01-10')).toEqual(new Date(2026, 0, 10));
+  });
+});
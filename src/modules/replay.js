@@ -0,0 +1,87 @@
+/**
+ * Replay mode
+ * Scores a past date from archived weather, as the dashboard would have shown
+ * it at 7am that morning. While `replayDate` is set in the store, every "now"
+ * in the scoring pipeline is that moment instead of the clock.
+ */
+
+import store from '../state/store.js';
+
+export const REPLAY_HOUR = 7;
+
+// First day of the Open-Meteo archive (ERA5)
+const ARCHIVE_START = new Date(1940, 0, 1);
+
+// ERA5 lags real time by about five days; more recent dates have no archived hours yet
+export const ARCHIVE_LAG_DAYS = 5;
+
+/**
+ * Turn a date input value into the replay moment
+ * @param {string} value - YYYY-MM-DD
+ * @param {Date} today - Reference date
+ * @returns {{date: Date|null, error: string|null}} date is 7am local on that day
+ */
+export function parseReplayDate(value, today = new Date()) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) {
+        return { date: null, error: 'Pick a date to replay' };
+    }
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day, REPLAY_HOUR);
+    const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return { date: null, error: 'Pick a date to replay' };
+    }
+    if (date >= startOfToday) {
+        return { date: null, error: 'Replay needs a date before today' };
+    }
+    if (date > getLatestReplayDate(today)) {
+        const error = `The weather archive runs about ${ARCHIVE_LAG_DAYS} days behind; pick an earlier date`;
+        return { date: null, error };
+    }
+    if (date < ARCHIVE_START) {
+        return { date: null, error: 'The weather archive starts in 1940' };
+    }
+    return { date, error: null };
+}
+
+/**
+ * Latest day the archive can replay
+ * @param {Date} today - Reference date
+ * @returns {Date} 7am local, ARCHIVE_LAG_DAYS before today
+ */
+export function getLatestReplayDate(today = new Date()) {
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() - ARCHIVE_LAG_DAYS, REPLAY_HOUR);
+}
+
+/**
+ * The moment the dashboard is showing: the replay moment, or now
+ * @returns {Date}
+ */
+export function getReferenceTime() {
+    return store.get('replayDate') || new Date();
+}
+
+/**
+ * Describe the replay moment, year included
+ * @param {Date} date
+ * @returns {string} e.g. "7:00 AM on Sat, Sep 13, 2025"
+ */
+export function formatReplayMoment(date) {
+    const time = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+    const day = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    return `${time} on ${day}`;
+}
+
+/**
+ * Format a date for the date input
+ * @param {Date} date
+ * @returns {string} YYYY-MM-DD
+ */
+export function toDateInputValue(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
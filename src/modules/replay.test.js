@@ -0,0 +1,46 @@
+import store from '../state/store.js';
+import { parseReplayDate, getReferenceTime, getLatestReplayDate, toDateInputValue, REPLAY_HOUR } from './replay.js';
+import { computeBirdingConditions } from './birdingForecast.js';
+import { transformFixture } from '../api/fixtureWeather.js';
+
+const TODAY = new Date(2026, 9, 19, 15);
+
+describe('replay mode', () => {
+  afterEach(() => store.set('replayDate', null));
+
+  test('replays 7am on a past date', () => {
+    const { date, error } = parseReplayDate('2025-09-13', TODAY);
+
+    expect(error).toBeNull();
+    expect(date).toEqual(new Date(2025, 8, 13, REPLAY_HOUR));
+    expect(toDateInputValue(date)).toBe('2025-09-13');
+  });
+
+  test('rejects today, the future, bad input, and dates outside the archive', () => {
+    expect(parseReplayDate('2026-10-19', TODAY).error).toBe('Replay needs a date before today');
+    expect(parseReplayDate('2026-10-16', TODAY).error).toMatch(/runs about 5 days behind/);
+    expect(parseReplayDate('2026-10-14', TODAY).error).toBeNull();
+    expect(getLatestReplayDate(TODAY)).toEqual(new Date(2026, 9, 14, REPLAY_HOUR));
+    expect(parseReplayDate('2027-01-01', TODAY).error).toBe('Replay needs a date before today');
+    expect(parseReplayDate('2025-02-30', TODAY).error).toBe('Pick a date to replay');
+    expect(parseReplayDate('', TODAY).error).toBe('Pick a date to replay');
+    expect(parseReplayDate('1939-12-31', TODAY).error).toBe('The weather archive starts in 1940');
+  });
+
+  test('scores archived weather as of the replay morning', () => {
+    const replayDate = new Date(2025, 8, 13, REPLAY_HOUR);
+    store.set('replayDate', replayDate);
+    const weather = transformFixture({
+      hourly: [0, 1, 2].map(h => ({
+        time: new Date(2025, 8, 13, 6 + h).toISOString(),
+        temperature: 10, humidity: 60, precipitation: 0, weatherCode: 0,
+        pressure: 1016, windSpeed: 5, windDirection: 320
+      }))
+    }, getReferenceTime());
+
+    const conditions = computeBirdingConditions(weather, { isCoastal: false }, getReferenceTime());
+
+    expect(weather.current.time).toEqual(replayDate);
+    expect(conditions.woodlandScore.details).toContain('Dawn chorus - peak woodland activity');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Migration season detection
+ * Works out whether a date falls in spring or fall migration for a given
+ * latitude, flipping for the Southern Hemisphere and shifting the windows
+ * with latitude (earlier springs near the tropics, later toward the poles).
+ * Saved locations can override the windows with their own dates.
+ */
+
+// Windows at the reference latitude (Northern Hemisphere, ~40°N)
+export const DEFAULT_MIGRATION_WINDOWS = {
+    spring: { start: '03-01', end: '05-31' },
+    fall: { start: '09-01', end: '11-30' }
+};
+
+const REFERENCE_LATITUDE = 40;
+const MAX_LATITUDE_OFFSET = 20;
+
+// Days each window moves per degree of latitude away from the reference
+const SPRING_DAYS_PER_DEGREE = 2;
+const FALL_DAYS_PER_DEGREE = 1;
+
+const DAYS_PER_YEAR = 365;
+const HALF_YEAR_DAYS = 182;
+
+// Tailwinds for Northern Hemisphere migrants: S/SW in spring, NW/N in fall
+const NORTHERN_TAILWINDS = {
+    spring: { min: 135, max: 270 },
+    fall: { min: 270, max: 45 }
+};
+
+/**
+ * Classify a date for migration scoring at a latitude
+ * @param {number} lat - Latitude (negative for the Southern Hemisphere)
+ * @param {Date} date - Date to classify
+ * @param {object|null} customWindows - Per-location { spring: {start, end}, fall: {start, end} } as 'MM-DD';
+ *   custom dates are used as-is, in the location's own calendar
+ * @returns {{season: string, hemisphere: string, tailwindSector: {min: number, max: number}|null}}
+ *   season is 'spring', 'fall', 'summer', or 'winter'
+ */
+export function getMigrationSeason(lat, date = new Date(), customWindows = null) {
+    const hemisphere = lat < 0 ? 'south' : 'north';
+    const windows = getMigrationWindows(lat, customWindows);
+    const day = getDayOfYear(date);
+
+    let season;
+    if (isDayInWindow(day, windows.spring)) {
+        season = 'spring';
+    } else if (isDayInWindow(day, windows.fall)) {
+        season = 'fall';
+    } else {
+        // Between fall and spring is winter; between spring and fall is summer
+        season = isDayInWindow(day, { start: windows.spring.end, end: windows.fall.start }) ? 'summer' : 'winter';
+    }
+
+    return {
+        season,
+        hemisphere,
+        tailwindSector: NORTHERN_TAILWINDS[season]
+            ? orientTailwind(NORTHERN_TAILWINDS[season], hemisphere)
+            : null
+    };
+}
+
+/**
+ * Migration windows for a latitude, as day-of-year ranges
+ * @param {number} lat - Latitude
+ * @param {object|null} customWindows - Per-location overrides ('MM-DD' strings)
+ * @returns {{spring: {start: number, end: number}, fall: {start: number, end: number}}}
+ */
+export function getMigrationWindows(lat, customWindows = null) {
+    const offset = Math.max(-MAX_LATITUDE_OFFSET, Math.min(MAX_LATITUDE_OFFSET, Math.abs(lat) - REFERENCE_LATITUDE));
+    // Spring arrives later further poleward; fall departures come earlier
+    const springShift = Math.round(offset * SPRING_DAYS_PER_DEGREE);
+    const fallShift = -Math.round(offset * FALL_DAYS_PER_DEGREE);
+    const hemisphereShift = lat < 0 ? HALF_YEAR_DAYS : 0;
+
+    const computed = (season, shift) => {
+        const { start, end } = DEFAULT_MIGRATION_WINDOWS[season];
+        return {
+            start: wrapDay(parseMonthDay(start) + shift + hemisphereShift),
+            end: wrapDay(parseMonthDay(end) + shift + hemisphereShift)
+        };
+    };
+
+    return {
+        spring: parseCustomWindow(customWindows?.spring) || computed('spring', springShift),
+        fall: parseCustomWindow(customWindows?.fall) || computed('fall', fallShift)
+    };
+}
+
+/**
+ * Format a day of year as 'MM-DD'
+ * @param {number} day - Day of year (1-365)
+ * @returns {string}
+ */
+export function formatMonthDay(day) {
+    const date = new Date(2001, 0, day);
+    return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Parse 'MM-DD' into a day of year (non-leap calendar)
+ * @param {string} value - e.g. '03-15'
+ * @returns {number|null} Day of year, or null if invalid
+ */
+export function parseMonthDay(value) {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const month = Number(match[1]);
+    const dayOfMonth = Number(match[2]);
+    const date = new Date(2001, month - 1, dayOfMonth);
+    if (date.getMonth() !== month - 1 || date.getDate() !== dayOfMonth) return null;
+
+    return getDayOfYear(date);
+}
+
+// Helper functions
+
+function parseCustomWindow(window) {
+    if (!window) return null;
+    const start = parseMonthDay(window.start);
+    const end = parseMonthDay(window.end);
+    return start && end ? { start, end } : null;
+}
+
+function getDayOfYear(date) {
+    // Non-leap calendar so 'MM-DD' windows line up every year
+    const start = new Date(2001, 0, 1);
+    const sameDay = new Date(2001, date.getMonth(), date.getDate());
+    return Math.round((sameDay - start) / 86400000) + 1;
+}
+
+function wrapDay(day) {
+    return ((day - 1 + DAYS_PER_YEAR) % DAYS_PER_YEAR) + 1;
+}
+
+function isDayInWindow(day, { start, end }) {
+    // Windows may wrap past the end of the year
+    return start <= end ? day >= start && day <= end : day >= start || day <= end;
+}
+
+function orientTailwind(sector, hemisphere) {
+    if (hemisphere === 'north') return sector;
+
+    // Southern migrants fly the opposite way; mirror the sector north-south
+    const mirror = deg => (540 - deg) % 360;
+    return { min: mirror(sector.max), max: mirror(sector.min) };
+}
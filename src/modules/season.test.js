@@ -0,0 +1,32 @@
+import { getMigrationSeason, getMigrationWindows, formatMonthDay } from './season.js';
+
+describe('migration season', () => {
+  test('matches the legacy calendar at mid-northern latitudes', () => {
+    expect(getMigrationSeason(40, new Date(2026, 3, 15)).season).toBe('spring');
+    expect(getMigrationSeason(40, new Date(2026, 9, 15)).season).toBe('fall');
+    expect(getMigrationSeason(40, new Date(2026, 0, 15)).season).toBe('winter');
+    expect(getMigrationSeason(40, new Date(2026, 6, 15)).season).toBe('summer');
+  });
+
+  test('flips seasons and tailwinds in the Southern Hemisphere', () => {
+    const october = getMigrationSeason(-34, new Date(2026, 9, 15));
+    expect(october.season).toBe('spring');
+    expect(october.hemisphere).toBe('south');
+    // Southern spring migrants head south, so northerly winds help
+    expect(october.tailwindSector).toEqual({ min: 270, max: 45 });
+    expect(getMigrationSeason(-34, new Date(2026, 3, 15)).season).toBe('fall');
+  });
+
+  test('spring starts earlier on the Gulf Coast than in the north', () => {
+    const gulf = getMigrationWindows(29);
+    const north = getMigrationWindows(50);
+    expect(gulf.spring.start).toBeLessThan(north.spring.start);
+    expect(getMigrationSeason(29, new Date(2026, 1, 20)).season).toBe('spring');
+  });
+
+  test('per-location windows override the automatic ones', () => {
+    const custom = { spring: { start: '04-15', end: '06-10' } };
+    expect(getMigrationSeason(40, new Date(2026, 5, 5), custom).season).toBe('spring');
+    expect(formatMonthDay(getMigrationWindows(40, custom).spring.start)).toBe('04-15');
+  });
+});
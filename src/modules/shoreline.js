@@ -0,0 +1,99 @@
+/**
+ * Shoreline geometry helpers
+ * Distance to the nearest shore and local shoreline orientation from a bundled,
+ * simplified polyline dataset. Lines are ordered so land is on the left and
+ * water on the right when walking along them.
+ */
+
+const KM_PER_DEG_LAT = 110.574;
+const KM_PER_DEG_LON_AT_EQUATOR = 111.32;
+
+// Segments further than this (in degrees of latitude) are skipped outright
+const SEARCH_RADIUS_DEG = 5;
+
+// Half-width of the onshore wind sector either side of the seaward bearing
+export const ONSHORE_HALF_WIDTH_DEG = 67.5;
+
+/**
+ * Find the nearest shoreline segment to a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Array<{name: string, coords: Array<[number, number]>}>} lines - Shorelines as [lon, lat] pairs
+ * @returns {{name: string, distanceKm: number, shoreBearing: number, seawardBearing: number}|null}
+ *   shoreBearing is the direction the shoreline runs (0-360, land on the left);
+ *   seawardBearing points from land out over the water.
+ */
+export function findNearestShore(lat, lon, lines) {
+    const kmPerDegLon = KM_PER_DEG_LON_AT_EQUATOR * Math.cos(lat * Math.PI / 180);
+    let nearest = null;
+
+    lines.forEach(line => {
+        for (let i = 0; i < line.coords.length - 1; i++) {
+            const [lonA, latA] = line.coords[i];
+            const [lonB, latB] = line.coords[i + 1];
+
+            if (Math.abs(latA - lat) > SEARCH_RADIUS_DEG && Math.abs(latB - lat) > SEARCH_RADIUS_DEG) {
+                continue;
+            }
+
+            // Project the segment into a local km plane centred on the point
+            const ax = wrapLongitude(lonA - lon) * kmPerDegLon;
+            const ay = (latA - lat) * KM_PER_DEG_LAT;
+            const bx = wrapLongitude(lonB - lon) * kmPerDegLon;
+            const by = (latB - lat) * KM_PER_DEG_LAT;
+
+            const distanceKm = distanceToSegment(ax, ay, bx, by);
+            if (!nearest || distanceKm < nearest.distanceKm) {
+                const shoreBearing = normalizeBearing(Math.atan2(bx - ax, by - ay) * 180 / Math.PI);
+                nearest = {
+                    name: line.name,
+                    distanceKm,
+                    shoreBearing,
+                    seawardBearing: normalizeBearing(shoreBearing + 90)
+                };
+            }
+        }
+    });
+
+    if (!nearest) return null;
+
+    return {
+        ...nearest,
+        distanceKm: Math.round(nearest.distanceKm * 10) / 10,
+        shoreBearing: Math.round(nearest.shoreBearing),
+        seawardBearing: Math.round(nearest.seawardBearing)
+    };
+}
+
+/**
+ * Wind sector (in "from" degrees) that blows from the water onto the shore
+ * @param {number} seawardBearing - Direction pointing from land out over the water
+ * @param {number} halfWidth - Degrees either side of the seaward bearing
+ * @returns {{min: number, max: number}} Range suitable for wrap-around range checks
+ */
+export function getOnshoreSector(seawardBearing, halfWidth = ONSHORE_HALF_WIDTH_DEG) {
+    return {
+        min: Math.round(normalizeBearing(seawardBearing - halfWidth)),
+        max: Math.round(normalizeBearing(seawardBearing + halfWidth))
+    };
+}
+
+// Helper functions
+
+function distanceToSegment(ax, ay, bx, by) {
+    // Distance from the origin to segment A-B
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+function wrapLongitude(deltaLon) {
+    // Keep longitude differences in -180..180 so the antimeridian doesn't split segments
+    return ((deltaLon + 540) % 360) - 180;
+}
+
+function normalizeBearing(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
@@ -0,0 +1,52 @@
+import { findNearestShore, getOnshoreSector } from './shoreline.js';
+import { checkCoastalLocation, checkLakeShoreLocation } from './geolocation.js';
+
+function isInSector(bearing, { min, max }) {
+  return min <= max ? bearing >= min && bearing <= max : bearing >= min || bearing <= max;
+}
+
+describe('shoreline geometry', () => {
+  test('finds distance and seaward bearing on a simple coast', () => {
+    // Straight coast running north with land to the west (water to the east)
+    const lines = [{ name: 'Test', coords: [[0, -1], [0, 1]] }];
+    const shore = findNearestShore(0, -0.5, lines);
+    expect(shore.distanceKm).toBeCloseTo(55.7, 0);
+    expect(shore.shoreBearing).toBe(0);
+    expect(shore.seawardBearing).toBe(90);
+  });
+
+  test('onshore sector wraps through north', () => {
+    expect(getOnshoreSector(0)).toEqual({ min: 293, max: 68 });
+  });
+
+  test.each([
+    ['Boston', 42.36, -71.06, 90],
+    ['Miami', 25.76, -80.19, 90],
+    ['San Francisco', 37.77, -122.42, 270],
+    ['Galveston', 29.3, -94.8, 135],
+    ['Sydney', -33.87, 151.2, 90],
+    ['Cape Town', -33.92, 18.42, 270]
+  ])('%s faces the open water', async (name, lat, lon, wind) => {
+    const { isCoastal, coastInfo } = await checkCoastalLocation(lat, lon);
+    expect(isCoastal).toBe(true);
+    expect(isInSector(wind, coastInfo.onshoreSector)).toBe(true);
+  });
+
+  test.each([
+    ['Chicago', 41.88, -87.63],
+    ['Denver', 39.74, -104.99],
+    ['Madrid', 40.4, -3.7]
+  ])('%s is inland', async (name, lat, lon) => {
+    const { isCoastal, coastInfo } = await checkCoastalLocation(lat, lon);
+    expect(isCoastal).toBe(false);
+    expect(coastInfo).toBeNull();
+  });
+
+  test('Chicago is on Lake Michigan with the lake to the east', async () => {
+    const { isLakeShore, lakeInfo } = await checkLakeShoreLocation(41.88, -87.63);
+    expect(isLakeShore).toBe(true);
+    expect(lakeInfo.name).toBe('Lake Michigan');
+    expect(isInSector(90, lakeInfo.onshoreSector)).toBe(true);
+    expect((await checkLakeShoreLocation(39.74, -104.99)).isLakeShore).toBe(false);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Target species profiles
+ * A profile describes the conditions one species turns up in; it is scored by
+ * scoreTargetSpecies() in birdingConditions.js for the current hour and each
+ * forecast hour. Starter profiles ship in data/targetProfiles.json and users
+ * can import their own as JSON.
+ *
+ * Profile format (the import accepts one profile, an array, or { "profiles": [...] }):
+ *   {
+ *     "id": "red-phalarope",                 // optional, derived from the name
+ *     "name": "Red Phalarope",               // required
+ *     "notes": "After a nor'easter",         // optional
+ *     "windSectors": [{ "min": 20, "max": 110 }],  // wind from, degrees; [] = any direction
+ *     "windSpeedMph": { "ideal": [20, 45], "acceptable": [12, 55] },
+ *     "months": [10, 11, 12, 1],             // [] = all year
+ *     "hours": { "start": 7, "end": 17 },    // local, end exclusive; omit for any hour
+ *     "habitats": ["coastal"]                // from HABITATS; [] = any
+ *   }
+ *
+ * The profile sets what counts as a match; how much a match or miss is worth
+ * is fixed (TARGET_SCORE_POINTS in birdingConditions.js) and not part of the
+ * editable scoring config: from a baseline of 50, +20 favourable direction
+ * (+10 with no sectors) or -15 otherwise, +20 ideal / +5 acceptable / -20
+ * outside the speed bands, -30 out of season, -25 outside its hours, and
+ * +10 / -15 for habitat nearby or not.
+ */
+
+import { scoreTargetSpecies } from '../config/birdingConditions.js';
+import { convertWindSpeed } from '../utils/formatting.js';
+import { HABITATS } from './hotspotHabitat.js';
+import starterLibrary from '../data/targetProfiles.json';
+
+const ANY_WIND_SPEED = [0, 200];
+
+/**
+ * Built-in profiles, in display order
+ */
+export const STARTER_TARGETS = starterLibrary.profiles.map(normalizeTargetProfile);
+
+/**
+ * Validate and normalize a target profile
+ * @param {object} profile - Raw profile (see format above)
+ * @returns {object|null} Normalized profile, or null without a name
+ */
+export function normalizeTargetProfile(profile) {
+    const name = typeof profile?.name === 'string' ? profile.name.trim() : '';
+    if (!name) return null;
+
+    const ideal = normalizeRange(profile.windSpeedMph?.ideal) || ANY_WIND_SPEED;
+    const acceptable = normalizeRange(profile.windSpeedMph?.acceptable) || ideal;
+
+    return {
+        id: slugify(profile.id || name),
+        name,
+        notes: typeof profile.notes === 'string' ? profile.notes : '',
+        windSectors: (Array.isArray(profile.windSectors) ? profile.windSectors : [])
+            .filter(s => Number.isFinite(Number(s?.min)) && Number.isFinite(Number(s?.max)))
+            .map(s => ({ min: normalizeDegrees(Number(s.min)), max: normalizeDegrees(Number(s.max)) })),
+        windSpeedMph: {
+            ideal,
+            // The acceptable band always includes the ideal one
+            acceptable: [Math.min(acceptable[0], ideal[0]), Math.max(acceptable[1], ideal[1])]
+        },
+        months: (Array.isArray(profile.months) ? profile.months : [])
+            .map(Number)
+            .filter(m => Number.isInteger(m) && m >= 1 && m <= 12),
+        hours: normalizeHours(profile.hours),
+        habitats: (Array.isArray(profile.habitats) ? profile.habitats : [])
+            .filter(h => HABITATS.includes(h))
+    };
+}
+
+/**
+ * Parse imported profile JSON
+ * @param {string} text - File contents
+ * @returns {{profiles: Array, errors: string[]}} Valid profiles, plus a message per rejected entry
+ */
+export function parseTargetProfiles(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        return { profiles: [], errors: ['File is not valid JSON'] };
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : parsed?.profiles || [parsed];
+    const profiles = [];
+    const errors = [];
+
+    entries.forEach((entry, i) => {
+        const profile = normalizeTargetProfile(entry);
+        if (profile) {
+            profiles.push(profile);
+        } else {
+            errors.push(`Profile ${i + 1} has no name`);
+        }
+    });
+
+    return { profiles, errors };
+}
+
+/**
+ * All profiles available to pick from
+ * @param {Array} customTargets - Imported profiles; these replace starters with the same id
+ * @returns {Array}
+ */
+export function getTargetLibrary(customTargets = []) {
+    const customIds = new Set(customTargets.map(p => p.id));
+    return [...STARTER_TARGETS.filter(p => !customIds.has(p.id)), ...customTargets];
+}
+
+/**
+ * Merge imported profiles into the saved custom ones, replacing same-id profiles
+ * @param {Array} customTargets - Current custom profiles
+ * @param {Array} imported - Profiles from parseTargetProfiles()
+ * @returns {Array}
+ */
+export function mergeCustomTargets(customTargets, imported) {
+    const importedIds = new Set(imported.map(p => p.id));
+    return [...customTargets.filter(p => !importedIds.has(p.id)), ...imported];
+}
+
+/**
+ * Habitats known to be near the location
+ * @param {object} context
+ * @param {boolean} context.isCoastal - From checkCoastalLocation()
+ * @param {boolean} context.isLakeShore - From checkLakeShoreLocation()
+ * @param {Array} context.hotspots - Classified nearby hotspots
+ * @returns {Set<string>|null} null when nothing is known (no hotspots loaded, inland)
+ */
+export function getNearbyHabitats({ isCoastal, isLakeShore, hotspots = [] }) {
+    const habitats = new Set(hotspots.map(h => h.habitat).filter(Boolean));
+    if (isCoastal) habitats.add('coastal');
+    if (isLakeShore) habitats.add('wetland');
+    return habitats.size > 0 ? habitats : null;
+}
+
+/**
+ * Score a target for one hour of weather
+ * @param {object} profile - Normalized target profile
+ * @param {object} conditions - Hourly weather entry (metric units)
+ * @param {Date} time - Local time of the hour
+ * @param {Set<string>|null} habitats - From getNearbyHabitats()
+ * @returns {object} { score, rating, details }
+ */
+export function scoreTarget(profile, conditions, time, habitats) {
+    const habitatNearby = profile.habitats.length === 0 || !habitats
+        ? null
+        : profile.habitats.some(h => habitats.has(h));
+
+    return scoreTargetSpecies(
+        profile,
+        conditions.windDirection,
+        convertWindSpeed(conditions.windSpeed, 'mph'),
+        time.getMonth() + 1,
+        time.getHours(),
+        habitatNearby
+    );
+}
+
+/**
+ * Current score and hourly outlook for a target
+ * @param {object} profile - Normalized target profile
+ * @param {object} weather - { current, hourlyForecast } from fetchWeatherForecast()
+ * @param {Set<string>|null} habitats - From getNearbyHabitats()
+ * @param {Date} now - Reference time for the current hour
+ * @returns {{current: object|null, outlook: Array<{time: Date, result: object}>, peak: object|null}}
+ */
+export function buildTargetOutlook(profile, { current, hourlyForecast = [] }, habitats, now = new Date()) {
+    const outlook = hourlyForecast.map(conditions => {
+        const time = new Date(conditions.time);
+        return { time, result: scoreTarget(profile, conditions, time, habitats) };
+    });
+
+    const peak = outlook.reduce((best, entry) =>
+        !best || entry.result.score > best.result.score ? entry : best, null);
+
+    return {
+        current: current ? scoreTarget(profile, current, now, habitats) : null,
+        outlook,
+        peak
+    };
+}
+
+// Helper functions
+
+function normalizeRange(range) {
+    if (!Array.isArray(range) || range.length !== 2) return null;
+    const [a, b] = range.map(Number);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+    return [Math.max(0, Math.min(a, b)), Math.max(a, b)];
+}
+
+function normalizeHours(hours) {
+    const start = Number(hours?.start);
+    const end = Number(hours?.end);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start === end) return null;
+    return { start: ((start % 24) + 24) % 24, end: ((end % 24) + 24) % 24 };
+}
+
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
@@ -0,0 +1,79 @@
+import {
+  STARTER_TARGETS,
+  parseTargetProfiles,
+  getTargetLibrary,
+  getNearbyHabitats,
+  scoreTarget,
+  buildTargetOutlook
+} from './targets.js';
+
+const phalarope = STARTER_TARGETS.find(p => p.id === 'red-phalarope');
+const sawWhet = STARTER_TARGETS.find(p => p.id === 'northern-saw-whet-owl');
+const COAST = new Set(['coastal']);
+
+function hour(overrides) {
+  return { windDirection: 60, windSpeed: 50, ...overrides }; // km/h
+}
+
+describe('target species', () => {
+  test('starter profiles are all valid', () => {
+    expect(STARTER_TARGETS.length).toBeGreaterThanOrEqual(5);
+    STARTER_TARGETS.forEach(profile => expect(profile).not.toBeNull());
+  });
+
+  test('a nor\'easter on the coast in November is excellent for Red Phalarope', () => {
+    const gale = scoreTarget(phalarope, hour(), new Date(2026, 10, 14, 10), COAST);
+    const westerly = scoreTarget(phalarope, hour({ windDirection: 270 }), new Date(2026, 10, 14, 10), COAST);
+    const summer = scoreTarget(phalarope, hour(), new Date(2026, 6, 14, 10), COAST);
+
+    expect(gale.rating).toBe('Excellent');
+    expect(gale.details).toContain('Favorable NE wind');
+    expect(westerly.score).toBeLessThan(gale.score - 30);
+    expect(summer.details).toContain('Out of season');
+  });
+
+  test('calm October nights suit saw-whets, not windy days', () => {
+    const night = scoreTarget(sawWhet, hour({ windSpeed: 3 }), new Date(2026, 9, 20, 22), new Set(['woodland']));
+    const day = scoreTarget(sawWhet, hour({ windSpeed: 30 }), new Date(2026, 9, 20, 13), new Set(['woodland']));
+
+    expect(night.score).toBeGreaterThanOrEqual(80);
+    expect(day.details).toEqual(expect.arrayContaining(['Too windy', 'Outside its active hours']));
+  });
+
+  test('builds an hourly outlook with its peak', () => {
+    const base = new Date(2026, 10, 14, 6);
+    const hourlyForecast = [0, 1, 2, 3].map(i => ({
+      time: new Date(base.getTime() + i * 3600000),
+      ...hour({ windSpeed: 20 + i * 15 })
+    }));
+
+    const { current, outlook, peak } = buildTargetOutlook(
+      phalarope, { current: hourlyForecast[0], hourlyForecast }, COAST, base
+    );
+
+    expect(outlook).toHaveLength(4);
+    expect(current.score).toBe(outlook[0].result.score);
+    expect(peak.time.getHours()).toBeGreaterThan(6);
+  });
+
+  test('imports custom profiles and rejects nameless ones', () => {
+    const { profiles, errors } = parseTargetProfiles(JSON.stringify({
+      profiles: [
+        { name: 'Connecticut Warbler', months: [9, 13], habitats: ['woodland', 'desert'], hours: { start: 6, end: 11 } },
+        { id: 'red-phalarope', name: 'Red Phalarope (Great Lakes)', windSectors: [{ min: 0, max: 60 }] },
+        { windSectors: [] }
+      ]
+    }));
+
+    expect(errors).toEqual(['Profile 3 has no name']);
+    expect(profiles[0]).toMatchObject({ id: 'connecticut-warbler', months: [9], habitats: ['woodland'] });
+    expect(getTargetLibrary(profiles).filter(p => p.id === 'red-phalarope')).toHaveLength(1);
+    expect(parseTargetProfiles('not json').errors).toEqual(['File is not valid JSON']);
+  });
+
+  test('nearby habitats come from the coast, lakes, and hotspots', () => {
+    expect(getNearbyHabitats({ isCoastal: false, isLakeShore: false, hotspots: [] })).toBeNull();
+    expect([...getNearbyHabitats({ isCoastal: true, isLakeShore: false, hotspots: [{ habitat: 'woodland' }, { habitat: null }] })])
+      .toEqual(['woodland', 'coastal']);
+  });
+});
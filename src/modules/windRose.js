@@ -0,0 +1,104 @@
+/**
+ * Wind rose
+ * Bins the forecast wind into 16 compass sectors by how often it blows from
+ * each and how hard, and finds when the wind sits in a score's favourable
+ * sector (see getFavorableWindSectors()).
+ */
+
+import { isWindInRange } from '../config/birdingConditions.js';
+import { getWindDirectionLabel } from '../utils/formatting.js';
+
+export const WIND_ROSE_SECTOR_COUNT = 16;
+export const WIND_ROSE_PERIODS_HOURS = [24, 48];
+
+// Upper edges of the speed bands in km/h (about 5, 12, and 20 mph)
+export const WIND_SPEED_BANDS_KMH = [8, 20, 32, Infinity];
+
+// Below this the direction means little; counted as calm rather than binned
+const CALM_KMH = 2;
+
+const HOUR_MS = 3600000;
+const SECTOR_WIDTH = 360 / WIND_ROSE_SECTOR_COUNT;
+
+/**
+ * Bin forecast hours into the wind rose
+ * @param {Array} hourlyForecast - Hourly entries with windDirection (degrees) and windSpeed (km/h), starting now
+ * @param {number} hours - How many hours ahead to include
+ * @returns {{total: number, calm: number, maxCount: number,
+ *   sectors: Array<{direction: number, label: string, count: number, bands: number[]}>}}
+ */
+export function buildWindRose(hourlyForecast = [], hours = WIND_ROSE_PERIODS_HOURS[0]) {
+    const sectors = Array.from({ length: WIND_ROSE_SECTOR_COUNT }, (_, i) => ({
+        direction: i * SECTOR_WIDTH,
+        label: getWindDirectionLabel(i * SECTOR_WIDTH),
+        count: 0,
+        bands: WIND_SPEED_BANDS_KMH.map(() => 0)
+    }));
+
+    let total = 0;
+    let calm = 0;
+
+    hourlyForecast.slice(0, hours).forEach(hour => {
+        if (!Number.isFinite(hour.windDirection) || !Number.isFinite(hour.windSpeed)) return;
+        total++;
+
+        if (hour.windSpeed < CALM_KMH) {
+            calm++;
+            return;
+        }
+
+        const sector = sectors[Math.round(normalize(hour.windDirection) / SECTOR_WIDTH) % WIND_ROSE_SECTOR_COUNT];
+        sector.count++;
+        sector.bands[WIND_SPEED_BANDS_KMH.findIndex(edge => hour.windSpeed < edge)]++;
+    });
+
+    return {
+        total,
+        calm,
+        maxCount: Math.max(0, ...sectors.map(s => s.count)),
+        sectors
+    };
+}
+
+/**
+ * Find when the wind blows from a sector
+ * Calm hours never count as in the sector.
+ * @param {Array} hourlyForecast - As for buildWindRose()
+ * @param {{min: number, max: number}} sector - Clockwise from min to max
+ * @param {number} hours - How many hours ahead to include
+ * @returns {{hours: number, runs: Array<{start: Date, end: Date, hours: number}>}} Contiguous runs, earliest first
+ */
+export function findSectorHours(hourlyForecast = [], sector, hours = WIND_ROSE_PERIODS_HOURS[0]) {
+    const runs = [];
+    let run = null;
+    let count = 0;
+
+    hourlyForecast.slice(0, hours).forEach(hour => {
+        const time = new Date(hour.time);
+        const inSector = Number.isFinite(hour.windDirection)
+            && hour.windSpeed >= CALM_KMH
+            && isWindInRange(normalize(hour.windDirection), sector.min, sector.max);
+
+        if (!inSector) {
+            run = null;
+            return;
+        }
+
+        count++;
+        if (run && time.getTime() === run.end.getTime()) {
+            run.end = new Date(time.getTime() + HOUR_MS);
+            run.hours++;
+        } else {
+            run = { start: time, end: new Date(time.getTime() + HOUR_MS), hours: 1 };
+            runs.push(run);
+        }
+    });
+
+    return { hours: count, runs };
+}
+
+// Helper functions
+
+function normalize(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
@@ -0,0 +1,57 @@
+import { buildWindRose, findSectorHours } from './windRose.js';
+import { getFavorableWindSectors } from '../config/birdingConditions.js';
+
+const START = new Date(2026, 9, 19, 6);
+
+function makeForecast(winds) {
+  return winds.map(([windDirection, windSpeed], i) => ({
+    time: new Date(START.getTime() + i * 3600000),
+    windDirection,
+    windSpeed
+  }));
+}
+
+describe('wind rose', () => {
+  test('bins hours by sector and speed band, keeping calm hours apart', () => {
+    const forecast = makeForecast([[315, 25], [320, 25], [310, 40], [180, 5], [90, 1], [0, 10], [355, 10]]);
+    const rose = buildWindRose(forecast, 24);
+    const nw = rose.sectors.find(s => s.label === 'NW');
+    const north = rose.sectors.find(s => s.label === 'N');
+
+    expect(rose.sectors).toHaveLength(16);
+    expect(rose.total).toBe(7);
+    expect(rose.calm).toBe(1);
+    expect(nw.count).toBe(3);
+    expect(nw.bands).toEqual([0, 0, 2, 1]);
+    expect(north.count).toBe(2);
+    expect(rose.maxCount).toBe(3);
+    expect(buildWindRose(forecast, 2).total).toBe(2);
+  });
+
+  test('finds when the wind swings into a sector', () => {
+    const forecast = makeForecast([[200, 15], [250, 15], [300, 20], [330, 20], [20, 1], [10, 15], [180, 10]]);
+    const { hours, runs } = findSectorHours(forecast, { min: 290, max: 45 }, 24);
+
+    expect(hours).toBe(3);
+    expect(runs).toEqual([
+      { start: new Date(2026, 9, 19, 8), end: new Date(2026, 9, 19, 10), hours: 2 },
+      { start: new Date(2026, 9, 19, 11), end: new Date(2026, 9, 19, 12), hours: 1 }
+    ]);
+  });
+
+  test('lists the favourable sectors the scorers use', () => {
+    const inland = getFavorableWindSectors({ isCoastal: false, season: 'winter' });
+    const coastal = getFavorableWindSectors({
+      isCoastal: true,
+      coastInfo: { onshoreSector: { min: 68, max: 202 } },
+      season: 'fall',
+      tailwindSector: null
+    });
+
+    expect(inland).toEqual([{ scoreKey: 'hawkWatchScore', label: 'Ideal NW-NE wind', min: 290, max: 45 }]);
+    expect(coastal.map(s => s.scoreKey))
+      .toEqual(['hawkWatchScore', 'seabirdScore', 'shorebirdScore', 'songbirdMigrationScore']);
+    expect(coastal[1]).toMatchObject({ min: 68, max: 202 });
+    expect(coastal[3]).toMatchObject({ label: 'Fall tailwind', min: 270, max: 45 });
+  });
+});
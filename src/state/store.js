@@ -11,24 +11,37 @@ const initialState = {
     userLon: null,
     locationName: null,
     selectedHotspot: null,
+    activeScoreModal: null, // score key whose details modal is open
     isCoastalLocation: null,
-    coastType: null,
+    coastInfo: null,
+    isLakeShore: null,
+    lakeInfo: null,
 
     // Weather Data
     currentWeather: null,
     hourlyForecast: [],
     pressureHistory: [],
     lastFetchTime: null,
+    cachedDataTime: null, // set while showing cached data from the offline cache
+    replayDate: null, // set while replaying a past morning from archived weather
 
     // eBird Data
     nearbyHotspots: [],
+    notableObservations: [],
+    landuseFeatures: [],
 
     // Computed Birding Conditions
     hawkWatchScore: null,
     seabirdScore: null,
+    lakewatchScore: null,
     falloutRisk: null,
     frontPassageAlert: null,
     pressureTrend: null,
+    scoreTimeline: [],
+    tonightMigration: null,
+    locationComparison: [],
+    dailyBriefing: [],
+    scoringInputs: null, // { weatherData, location } from the last scoring run
 
     // Timer State
     countdownSeconds: REFRESH_INTERVAL_SECONDS,
@@ -45,7 +58,26 @@ const initialState = {
     tempUnit: 'F',
     speedUnit: 'mph',
     pressureUnit: 'inHg',
-    mapTileMode: 'dark'
+    mapTileMode: 'dark',
+    weatherProvider: 'open-meteo',
+    observationSource: 'none',
+    pwsUrl: '',
+    plannerScoreKey: 'hawkWatchScore',
+    plannerThreshold: 65,
+    rarityDaysBack: 7,
+    rarityRadiusKm: 25,
+    hotspotRankMode: 'conditions',
+    hotspotHabitatFilter: '',
+    hotspotHabitatOverrides: {},
+    hotspotRadiusKm: 25,
+    activeTargets: [],
+    customTargets: [],
+    scoringOverrides: {},
+    alertRules: [],
+    alertHistory: [],
+    alertSentKeys: [], // de-duplication keys, kept apart from the history the user can clear
+    alertQueue: [], // matches found during quiet hours, sent once they end
+    alertQuietHours: { enabled: false, start: 22, end: 7 }
 };
 
 // Keys that should be persisted to localStorage
@@ -55,7 +87,26 @@ const PERSISTED_KEYS = [
     'tempUnit',
     'speedUnit',
     'pressureUnit',
-    'mapTileMode'
+    'mapTileMode',
+    'weatherProvider',
+    'observationSource',
+    'pwsUrl',
+    'plannerScoreKey',
+    'plannerThreshold',
+    'rarityDaysBack',
+    'rarityRadiusKm',
+    'hotspotRankMode',
+    'hotspotHabitatFilter',
+    'hotspotHabitatOverrides',
+    'hotspotRadiusKm',
+    'activeTargets',
+    'customTargets',
+    'scoringOverrides',
+    'alertRules',
+    'alertHistory',
+    'alertSentKeys',
+    'alertQueue',
+    'alertQuietHours'
 ];
 
 class Store {
@@ -81,8 +132,10 @@ class Store {
 
     /**
      * Set a specific state value
+     * Pass { persist: false } to change a preference for this session only,
+     * leaving the saved value in localStorage alone.
      */
-    set(key, value) {
+    set(key, value, { persist = true } = {}) {
         const oldValue = this._state[key];
 
         // Skip if value hasn't changed (for primitives)
@@ -92,7 +145,7 @@ class Store {
         this._notifyListeners(key, value, oldValue);
 
         // Persist to localStorage if applicable
-        if (PERSISTED_KEYS.includes(key)) {
+        if (persist && PERSISTED_KEYS.includes(key)) {
             this._persistToStorage(key, value);
         }
     }
@@ -100,9 +153,9 @@ class Store {
     /**
      * Update multiple state values at once
      */
-    update(updates) {
+    update(updates, options) {
         Object.entries(updates).forEach(([key, value]) => {
-            this.set(key, value);
+            this.set(key, value, options);
         });
     }
 
@@ -199,7 +252,7 @@ class Store {
         });
 
         // Load string preferences
-        const stringKeys = ['ebirdApiKey', 'tempUnit', 'speedUnit', 'pressureUnit', 'mapTileMode'];
+        const stringKeys = ['ebirdApiKey', 'tempUnit', 'speedUnit', 'pressureUnit', 'mapTileMode', 'weatherProvider', 'observationSource', 'pwsUrl', 'plannerScoreKey', 'hotspotRankMode', 'hotspotHabitatFilter'];
         stringKeys.forEach(key => {
             const storageKey = STORAGE_KEYS[this._toStorageKeyName(key)];
             const stored = localStorage.getItem(storageKey || key);
@@ -208,6 +261,34 @@ class Store {
             }
         });
 
+        // Load numeric preferences
+        const numberKeys = ['plannerThreshold', 'rarityDaysBack', 'rarityRadiusKm', 'hotspotRadiusKm'];
+        numberKeys.forEach(key => {
+            const storageKey = STORAGE_KEYS[this._toStorageKeyName(key)];
+            const stored = localStorage.getItem(storageKey || key);
+            const value = stored !== null ? Number(stored) : NaN;
+            if (!Number.isNaN(value)) {
+                this._state[key] = value;
+            }
+        });
+
+        // Load object preferences (stored as JSON)
+        const jsonKeys = [
+            'hotspotHabitatOverrides', 'activeTargets', 'customTargets', 'scoringOverrides',
+            'alertRules', 'alertHistory', 'alertSentKeys', 'alertQueue', 'alertQuietHours'
+        ];
+        jsonKeys.forEach(key => {
+            const storageKey = STORAGE_KEYS[this._toStorageKeyName(key)];
+            try {
+                const stored = localStorage.getItem(storageKey || key);
+                if (stored !== null) {
+                    this._state[key] = JSON.parse(stored);
+                }
+            } catch (error) {
+                console.error(`Failed to parse "${key}" from localStorage:`, error);
+            }
+        });
+
         // Load last known location
         try {
             const lastLocation = localStorage.getItem(STORAGE_KEYS.LAST_LOCATION);
@@ -0,0 +1,290 @@
+/**
+ * Alerts panel — rule editor, quiet hours, and history — plus checkAlerts(),
+ * which main.js runs after each live refresh.
+ */
+
+import store from '../state/store.js';
+import { STORAGE_KEYS, SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { TIMELINE_SCORE_KEYS, buildScoreTimeline } from '../modules/birdingForecast.js';
+import { scoreLocation } from '../modules/locationComparison.js';
+import {
+    ALERT_TYPES,
+    ALERT_WINDOWS,
+    normalizeAlertRule,
+    describeAlertRule,
+    evaluateAlertRule,
+    filterNewAlerts,
+    isQuietTime,
+    recordSentKeys,
+    queueAlerts,
+    releaseQueuedAlerts,
+    recordAlerts
+} from '../modules/alertRules.js';
+import {
+    getNotificationPermission,
+    requestNotificationPermission,
+    showNotification
+} from '../modules/notifications.js';
+import { formatTime } from '../utils/formatting.js';
+import { getStoredLocations } from './locationListRenderer.js';
+
+const PERMISSION_MESSAGES = {
+    unsupported: 'This browser can\'t show notifications; alerts are logged below.',
+    default: 'Notifications are off; alerts are logged below until you turn them on.',
+    granted: 'Notifications are on.',
+    denied: 'Notifications are blocked in your browser settings; alerts are logged below.'
+};
+
+let els = null;
+
+// The check in progress, or the last one; a new check waits for it
+let lastCheck = Promise.resolve();
+
+/**
+ * Initialize the alerts modal.
+ * @param {Object} alertElements
+ * @param {HTMLButtonElement} alertElements.openBtn - Header button
+ * @param {HTMLElement} alertElements.modal - Overlay element
+ * @param {HTMLButtonElement} alertElements.closeBtn
+ * @param {HTMLElement} alertElements.permission - Notification permission message
+ * @param {HTMLButtonElement} alertElements.enableBtn - Requests notification permission
+ * @param {HTMLSelectElement} alertElements.type - New rule: what to watch
+ * @param {HTMLSelectElement} alertElements.score - New rule: score (score rules)
+ * @param {HTMLInputElement} alertElements.threshold - New rule: minimum score (score rules)
+ * @param {HTMLSelectElement} alertElements.window - New rule: when
+ * @param {HTMLSelectElement} alertElements.location - New rule: where
+ * @param {HTMLButtonElement} alertElements.addBtn
+ * @param {HTMLElement} alertElements.rules - Rule list
+ * @param {HTMLInputElement} alertElements.quietEnabled
+ * @param {HTMLInputElement} alertElements.quietStart - Hour, 0-23
+ * @param {HTMLInputElement} alertElements.quietEnd - Hour, 0-23
+ * @param {HTMLElement} alertElements.history - Past alerts
+ * @param {HTMLButtonElement} alertElements.clearHistoryBtn
+ */
+export function initAlertsView(alertElements) {
+    els = alertElements;
+
+    els.type.innerHTML = Object.entries(ALERT_TYPES)
+        .map(([type, label]) => `<option value="${type}">${label}</option>`)
+        .join('');
+    els.score.innerHTML = TIMELINE_SCORE_KEYS
+        .map(key => `<option value="${key}">${SCORE_DISPLAY_NAMES[key]}</option>`)
+        .join('');
+    els.window.innerHTML = Object.entries(ALERT_WINDOWS)
+        .map(([window, label]) => `<option value="${window}">${label}</option>`)
+        .join('');
+
+    els.openBtn.addEventListener('click', () => {
+        // Saved locations and permission may have changed since last time
+        renderLocationOptions();
+        renderPermission();
+        els.modal.classList.add('visible');
+    });
+    els.closeBtn.addEventListener('click', () => els.modal.classList.remove('visible'));
+    els.modal.addEventListener('click', (e) => {
+        if (e.target === els.modal) {
+            els.modal.classList.remove('visible');
+        }
+    });
+
+    els.enableBtn.addEventListener('click', async () => {
+        await requestNotificationPermission();
+        renderPermission();
+    });
+
+    els.type.addEventListener('change', updateRuleFields);
+    els.addBtn.addEventListener('click', addRule);
+
+    // Single delegated handler for toggling and removing rules
+    els.rules.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-remove-rule]');
+        if (removeBtn) {
+            store.set('alertRules', store.get('alertRules').filter(r => r.id !== removeBtn.dataset.removeRule));
+        }
+    });
+    els.rules.addEventListener('change', (e) => {
+        const id = e.target.dataset.toggleRule;
+        if (id) {
+            const enabled = e.target.checked;
+            store.set('alertRules', store.get('alertRules').map(r => (r.id === id ? { ...r, enabled } : r)));
+        }
+    });
+
+    [els.quietEnabled, els.quietStart, els.quietEnd].forEach(input => {
+        input.addEventListener('change', saveQuietHours);
+    });
+
+    els.clearHistoryBtn.addEventListener('click', () => store.set('alertHistory', []));
+
+    store.subscribe('alertRules', renderRules);
+    store.subscribe('alertHistory', renderHistory);
+
+    const quiet = store.get('alertQuietHours');
+    els.quietEnabled.checked = quiet.enabled;
+    els.quietStart.value = quiet.start;
+    els.quietEnd.value = quiet.end;
+
+    updateRuleFields();
+    renderRules();
+    renderHistory();
+}
+
+/**
+ * Evaluate every enabled rule and notify about new matches
+ * Skipped in replay mode. Matches found during quiet hours are queued and
+ * sent with the first check after they end. Checks run one at a time, since
+ * refreshes can overlap while a check is still fetching saved locations.
+ * @returns {Promise<void>}
+ */
+export function checkAlerts() {
+    lastCheck = lastCheck.then(runAlertCheck, runAlertCheck);
+    return lastCheck;
+}
+
+async function runAlertCheck() {
+    const rules = store.get('alertRules').filter(rule => rule.enabled);
+    if ((rules.length === 0 && store.get('alertQueue').length === 0) || store.get('replayDate')) return;
+
+    const now = new Date();
+    const dataByLocation = new Map();
+    const matches = [];
+
+    for (const rule of rules) {
+        const place = rule.locationName || null;
+        if (!dataByLocation.has(place)) {
+            dataByLocation.set(place, await loadAlertData(place));
+        }
+        const data = dataByLocation.get(place);
+        const match = data ? evaluateAlertRule(rule, data, now) : null;
+        if (match) matches.push(match);
+    }
+
+    // Read after the fetches above, so nothing queued meanwhile is lost or sent twice
+    const queue = store.get('alertQueue');
+    const fresh = filterNewAlerts(matches, [...store.get('alertSentKeys'), ...queue]);
+
+    if (isQuietTime(now, store.get('alertQuietHours'))) {
+        if (fresh.length > 0) store.set('alertQueue', queueAlerts(queue, fresh, now));
+        return;
+    }
+
+    const due = [...releaseQueuedAlerts(queue), ...fresh];
+    if (due.length === 0) return;
+
+    const fired = [];
+    for (const alert of due) {
+        const notified = await showNotification(alert.title, { body: alert.body, tag: alert.key });
+        fired.push({ ...alert, notified });
+    }
+    // Alerts that couldn't be shown stay unrecorded, so they fire once notifications are allowed
+    store.update({
+        alertQueue: store.get('alertQueue').filter(alert => !queue.includes(alert)),
+        alertSentKeys: recordSentKeys(store.get('alertSentKeys'), fired.filter(alert => alert.notified), now),
+        alertHistory: recordAlerts(store.get('alertHistory'), fired, now)
+    });
+}
+
+// Conditions for a rule's location: the dashboard's own for the current one, fetched for others
+async function loadAlertData(locationName) {
+    const currentName = store.get('locationName');
+
+    if (!locationName || locationName === currentName) {
+        return { conditions: store.getState(), timeline: store.get('scoreTimeline'), locationName: currentName };
+    }
+
+    const saved = getStoredLocations(STORAGE_KEYS.SAVED_LOCATIONS).find(loc => loc.name === locationName);
+    if (!saved) return null;
+
+    const { data, error } = await scoreLocation(saved.lat, saved.lon, {
+        hawkProfile: saved.hawkProfile,
+        migrationWindows: saved.migrationWindows
+    });
+    if (error) {
+        console.warn(`Failed to check alerts for ${locationName}:`, error);
+        return null;
+    }
+
+    return {
+        conditions: data.conditions,
+        timeline: buildScoreTimeline(data.weather, data.location),
+        locationName
+    };
+}
+
+function addRule() {
+    const rule = normalizeAlertRule({
+        type: els.type.value,
+        scoreKey: els.score.value,
+        threshold: els.threshold.value,
+        window: els.window.value,
+        locationName: els.location.value
+    });
+    if (rule) {
+        store.set('alertRules', [...store.get('alertRules'), rule]);
+    }
+}
+
+function saveQuietHours() {
+    const hour = input => Math.min(23, Math.max(0, Math.round(Number(input.value)) || 0));
+    store.set('alertQuietHours', {
+        enabled: els.quietEnabled.checked,
+        start: hour(els.quietStart),
+        end: hour(els.quietEnd)
+    });
+}
+
+function updateRuleFields() {
+    const isScore = els.type.value === 'score';
+    els.score.classList.toggle('hidden', !isScore);
+    els.threshold.classList.toggle('hidden', !isScore);
+}
+
+function renderLocationOptions() {
+    const saved = getStoredLocations(STORAGE_KEYS.SAVED_LOCATIONS);
+    els.location.innerHTML = [
+        '<option value="">Current location</option>',
+        ...saved.map(loc => `<option value="${loc.name}">${loc.name}</option>`)
+    ].join('');
+}
+
+function renderPermission() {
+    const permission = getNotificationPermission();
+    els.permission.textContent = PERMISSION_MESSAGES[permission];
+    els.enableBtn.classList.toggle('hidden', permission !== 'default');
+}
+
+function renderRules() {
+    if (!els) return;
+    const rules = store.get('alertRules');
+
+    els.rules.innerHTML = rules.length > 0
+        ? rules.map(rule => `
+            <li class="alerts__rule">
+                <label class="alerts__rule-label">
+                    <input type="checkbox" data-toggle-rule="${rule.id}" ${rule.enabled ? 'checked' : ''}>
+                    ${describeAlertRule(rule)}
+                </label>
+                <button class="modal__close" data-remove-rule="${rule.id}" aria-label="Remove alert">&times;</button>
+            </li>
+        `).join('')
+        : '<li class="alerts__empty">No alerts yet.</li>';
+}
+
+function renderHistory() {
+    if (!els) return;
+    const history = store.get('alertHistory');
+
+    els.history.innerHTML = history.length > 0
+        ? history.map(entry => `
+            <li class="alerts__history-item">
+                <span class="alerts__history-title">${entry.title}</span>
+                <span class="alerts__history-body">${entry.body}</span>
+                <span class="alerts__history-meta">
+                    ${formatTime(new Date(entry.firedAt), true)}${entry.notified ? '' : ' &middot; not sent'}
+                </span>
+            </li>
+        `).join('')
+        : '<li class="alerts__empty">Nothing has fired yet.</li>';
+
+    els.clearHistoryBtn.classList.toggle('hidden', history.length === 0);
+}
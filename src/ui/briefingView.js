@@ -0,0 +1,108 @@
+/**
+ * Daily briefing card — today's summary for every saved location, with copy
+ * and download as Markdown or self-contained HTML.
+ */
+
+import store from '../state/store.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+import { generateBriefing, describeBriefing, formatBriefingMarkdown, formatBriefingHtml } from '../modules/briefing.js';
+import { getStoredLocations } from './locationListRenderer.js';
+
+let els = null;
+
+/**
+ * Initialize the briefing card.
+ * @param {Object} briefingElements
+ * @param {HTMLButtonElement} briefingElements.generateBtn - Builds the briefing
+ * @param {HTMLButtonElement} briefingElements.copyBtn - Copies the Markdown text
+ * @param {HTMLButtonElement} briefingElements.markdownBtn - Downloads a .md file
+ * @param {HTMLButtonElement} briefingElements.htmlBtn - Downloads a standalone .html file
+ * @param {HTMLElement} briefingElements.status - Status / empty-state text
+ * @param {HTMLElement} briefingElements.content - Container for the rendered briefing
+ */
+export function initBriefingView(briefingElements) {
+    els = briefingElements;
+
+    els.generateBtn.addEventListener('click', runBriefing);
+    els.copyBtn.addEventListener('click', copyBriefing);
+    els.markdownBtn.addEventListener('click', () => {
+        download(formatBriefingMarkdown(store.get('dailyBriefing')), 'text/markdown', 'md');
+    });
+    els.htmlBtn.addEventListener('click', () => {
+        download(formatBriefingHtml(store.get('dailyBriefing')), 'text/html', 'html');
+    });
+
+    store.subscribe('dailyBriefing', renderBriefing);
+    renderBriefing();
+}
+
+/**
+ * Build today's briefing for every saved location (or the current one when none are saved).
+ */
+export async function runBriefing() {
+    let locations = getStoredLocations(STORAGE_KEYS.SAVED_LOCATIONS);
+
+    if (locations.length === 0) {
+        const lat = store.get('userLat');
+        const lon = store.get('userLon');
+        if (!lat || !lon) {
+            els.status.textContent = 'Save a few locations (⭐ in the location menu) to include them here.';
+            return;
+        }
+        locations = [{ lat, lon, name: store.get('locationName') || 'Current location' }];
+    }
+
+    els.generateBtn.disabled = true;
+    const count = `${locations.length} location${locations.length === 1 ? '' : 's'}`;
+    els.status.textContent = `Preparing the briefing for ${count}...`;
+
+    const briefings = await generateBriefing(locations);
+
+    els.generateBtn.disabled = false;
+    els.status.textContent = '';
+    store.set('dailyBriefing', briefings);
+}
+
+/**
+ * Render the briefing from the store.
+ */
+export function renderBriefing() {
+    if (!els) return;
+
+    const briefings = store.get('dailyBriefing');
+    [els.copyBtn, els.markdownBtn, els.htmlBtn].forEach(btn => {
+        btn.classList.toggle('hidden', briefings.length === 0);
+    });
+
+    els.content.innerHTML = briefings.map(briefing => `
+        <div class="briefing__location${briefing.error ? ' briefing__location--error' : ''}">
+            <div class="briefing__name">${briefing.name}</div>
+            <dl class="briefing__lines">
+                ${describeBriefing(briefing).map(({ label, text }) => `
+                    <dt class="briefing__label">${label}</dt>
+                    <dd class="briefing__text">${text}</dd>
+                `).join('')}
+            </dl>
+        </div>
+    `).join('');
+}
+
+async function copyBriefing() {
+    try {
+        await navigator.clipboard.writeText(formatBriefingMarkdown(store.get('dailyBriefing')));
+        els.status.textContent = 'Copied the briefing as text.';
+    } catch (error) {
+        console.warn('Failed to copy briefing:', error);
+        els.status.textContent = 'Couldn\'t copy; download it instead.';
+    }
+}
+
+function download(text, type, extension) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `birding-briefing-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
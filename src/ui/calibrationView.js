@@ -0,0 +1,194 @@
+/**
+ * Score calibration panel — import a My eBird Data CSV and see how well each
+ * score predicted the user's own checklists (modules/calibration.js).
+ */
+
+import store from '../state/store.js';
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { FIELD_RANGES, cleanScoringOverrides } from '../config/scoringConfig.js';
+import {
+    parseEbirdCsv,
+    selectCalibrationChecklists,
+    reconstructChecklistWeather,
+    buildCalibrationReport,
+    suggestWeightAdjustments,
+    MIN_CALIBRATION_SAMPLES
+} from '../modules/calibration.js';
+
+const STRENGTH_LABELS = {
+    strong: 'Strong predictor',
+    moderate: 'Moderate predictor',
+    weak: 'Little connection',
+    inverse: 'Works against you'
+};
+
+let els = null;
+let samples = [];
+let suggestions = [];
+let isRunning = false;
+
+/**
+ * Initialize the calibration modal.
+ * @param {Object} calibrationElements
+ * @param {HTMLButtonElement} calibrationElements.openBtn - Button in the settings modal
+ * @param {HTMLElement} calibrationElements.modal - Overlay element
+ * @param {HTMLButtonElement} calibrationElements.closeBtn
+ * @param {HTMLButtonElement} calibrationElements.importBtn - Opens the file picker
+ * @param {HTMLInputElement} calibrationElements.importInput - Hidden CSV file input
+ * @param {HTMLElement} calibrationElements.status - Progress and import messages
+ * @param {HTMLElement} calibrationElements.report - Per-score correlation table
+ * @param {HTMLElement} calibrationElements.suggestions - Suggested weight changes
+ * @param {HTMLButtonElement} calibrationElements.applyBtn - Applies the checked suggestions
+ */
+export function initCalibrationView(calibrationElements) {
+    els = calibrationElements;
+
+    els.openBtn.addEventListener('click', () => els.modal.classList.add('visible'));
+    els.closeBtn.addEventListener('click', () => els.modal.classList.remove('visible'));
+    els.modal.addEventListener('click', (e) => {
+        if (e.target === els.modal) {
+            els.modal.classList.remove('visible');
+        }
+    });
+
+    els.importBtn.addEventListener('click', () => els.importInput.click());
+    els.importInput.addEventListener('change', importChecklists);
+    els.applyBtn.addEventListener('click', applySuggestions);
+
+    // The report follows the weights, including ones applied from here
+    store.subscribe('scoringOverrides', renderResults);
+
+    renderResults();
+}
+
+async function importChecklists() {
+    const file = els.importInput.files[0];
+    els.importInput.value = '';
+    if (!file || isRunning) return;
+
+    const { checklists, errors } = parseEbirdCsv(await file.text());
+    const selected = selectCalibrationChecklists(checklists);
+
+    if (selected.length === 0) {
+        els.status.textContent = [...errors, 'No complete checklists to calibrate with.'].join(' ');
+        return;
+    }
+
+    isRunning = true;
+    els.importBtn.disabled = true;
+
+    samples = await reconstructChecklistWeather(selected, {
+        onProgress: (done, total) => {
+            els.status.textContent = `Rebuilding weather for checklist ${done} of ${total}...`;
+        }
+    });
+
+    isRunning = false;
+    els.importBtn.disabled = false;
+
+    const failed = samples.filter(s => s.error).length;
+    els.status.textContent = [
+        `Calibrated with ${samples.length - failed} of ${checklists.length} checklists`
+            + ' (complete, non-incidental, newest first).',
+        failed > 0 ? `No archived weather for ${failed}.` : '',
+        ...errors
+    ].filter(Boolean).join(' ');
+
+    renderResults();
+}
+
+function renderResults() {
+    if (!els) return;
+
+    if (samples.length === 0) {
+        els.report.innerHTML = `
+            <p class="calibration__empty">Import your eBird data to see how the scores hold up.</p>
+        `;
+        els.suggestions.innerHTML = '';
+        els.applyBtn.classList.add('hidden');
+        return;
+    }
+
+    const overrides = store.get('scoringOverrides') || {};
+    const { scores } = buildCalibrationReport(samples, overrides);
+    suggestions = suggestWeightAdjustments(samples, overrides);
+
+    els.report.innerHTML = `
+        <table class="calibration__table">
+            <thead>
+                <tr><th>Score</th><th>Checklists</th><th>Correlation</th><th>Best quarter vs rest</th></tr>
+            </thead>
+            <tbody>${scores.map(renderReportRow).join('')}</tbody>
+        </table>
+    `;
+
+    els.suggestions.innerHTML = suggestions.length > 0
+        ? suggestions.map((s, i) => `
+            <label class="calibration__suggestion">
+                <input type="checkbox" data-suggestion="${i}" checked>
+                <span>
+                    <strong>${SCORE_DISPLAY_NAMES[s.scoreKey]}</strong>: ${s.label}
+                    ${formatValue(s.type, s.from)} &rarr; ${formatValue(s.type, s.to)}
+                    <span class="calibration__gain">(r ${s.before.toFixed(2)} &rarr; ${s.after.toFixed(2)})</span>
+                </span>
+            </label>
+        `).join('')
+        : '<p class="calibration__empty">No single change would clearly improve the scores.</p>';
+
+    els.applyBtn.classList.toggle('hidden', suggestions.length === 0);
+}
+
+function renderReportRow(row) {
+    if (row.correlation === null) {
+        const reason = row.samples === 0
+            ? 'Not scored at your locations'
+            : `Needs ${MIN_CALIBRATION_SAMPLES}+ checklists`;
+        return `
+            <tr class="calibration__row--muted">
+                <td>${SCORE_DISPLAY_NAMES[row.key]}</td><td>${row.samples}</td><td colspan="2">${reason}</td>
+            </tr>
+        `;
+    }
+
+    // Bar runs from the centre: right for positive, left for negative
+    const width = Math.round(Math.abs(row.correlation) * 50);
+    const left = row.correlation >= 0 ? 50 : 50 - width;
+
+    return `
+        <tr>
+            <td>${SCORE_DISPLAY_NAMES[row.key]}</td>
+            <td>${row.samples}</td>
+            <td>
+                <div class="calibration__bar" title="${STRENGTH_LABELS[row.strength]}">
+                    <div class="calibration__bar-fill calibration__bar-fill--${row.strength}"
+                         style="left: ${left}%; width: ${width}%"></div>
+                </div>
+                <span class="calibration__strength">
+                    ${row.correlation.toFixed(2)} &middot; ${STRENGTH_LABELS[row.strength]}
+                </span>
+            </td>
+            <td>${Math.round(row.goodDayScore)} vs ${Math.round(row.otherDayScore)}</td>
+        </tr>
+    `;
+}
+
+function formatValue(type, value) {
+    const { unit } = FIELD_RANGES[type];
+    const signed = unit === 'pts' && value > 0 ? `+${value}` : value;
+    return unit ? `${signed} ${unit}` : `${signed}`;
+}
+
+function applySuggestions() {
+    const checked = [...els.suggestions.querySelectorAll('[data-suggestion]:checked')]
+        .map(input => suggestions[Number(input.dataset.suggestion)]);
+    if (checked.length === 0) return;
+
+    const overrides = structuredClone(store.get('scoringOverrides') || {});
+    checked.forEach(s => {
+        overrides[s.scoreKey] = { ...overrides[s.scoreKey], [s.field]: s.to };
+    });
+
+    store.set('scoringOverrides', cleanScoringOverrides(overrides));
+    const plural = checked.length === 1 ? '' : 's';
+    els.status.textContent = `Applied ${checked.length} adjustment${plural} to your scoring weights.`;
+}
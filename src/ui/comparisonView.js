@@ -0,0 +1,169 @@
+/**
+ * Saved-location comparison board — sortable grid of scores per site.
+ * Scores each saved location in the background; the active location is untouched.
+ */
+
+import store from '../state/store.js';
+import { STORAGE_KEYS, SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { TIMELINE_SCORE_KEYS } from '../modules/birdingForecast.js';
+import { compareLocations } from '../modules/locationComparison.js';
+import { getStoredLocations } from './locationListRenderer.js';
+
+const FALLOUT_ORDER = { low: 1, moderate: 2, high: 3 };
+
+let els = null;
+let onLocationSelect = null;
+let sortKey = 'best';
+let sortDescending = true;
+
+/**
+ * Initialize the comparison board.
+ * @param {Object} comparisonElements
+ * @param {HTMLButtonElement} comparisonElements.compareBtn - Runs the comparison
+ * @param {HTMLElement} comparisonElements.status - Status / empty-state text
+ * @param {HTMLElement} comparisonElements.grid - Container for the table
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onLocationSelect - (lat, lon, name) => Promise
+ */
+export function initComparisonView(comparisonElements, callbacks) {
+    els = comparisonElements;
+    onLocationSelect = callbacks.onLocationSelect;
+
+    els.compareBtn.addEventListener('click', runComparison);
+
+    // Delegated handlers: header click sorts, location click switches to it
+    els.grid.addEventListener('click', (e) => {
+        const header = e.target.closest('[data-sort-key]');
+        if (header) {
+            const key = header.dataset.sortKey;
+            sortDescending = key === sortKey ? !sortDescending : key !== 'name';
+            sortKey = key;
+            renderComparison();
+            return;
+        }
+
+        const row = e.target.closest('[data-lat]');
+        if (row && onLocationSelect) {
+            onLocationSelect(parseFloat(row.dataset.lat), parseFloat(row.dataset.lon), row.dataset.name);
+        }
+    });
+
+    store.subscribe('locationComparison', renderComparison);
+}
+
+/**
+ * Fetch and score every saved location.
+ */
+export async function runComparison() {
+    const saved = getStoredLocations(STORAGE_KEYS.SAVED_LOCATIONS);
+
+    if (saved.length === 0) {
+        els.status.textContent = 'Save a few locations (⭐ in the location menu) to compare them here.';
+        store.set('locationComparison', []);
+        return;
+    }
+
+    els.compareBtn.disabled = true;
+    els.status.textContent = `Scoring ${saved.length} saved location${saved.length === 1 ? '' : 's'}...`;
+
+    const results = await compareLocations(saved);
+
+    els.compareBtn.disabled = false;
+    els.status.textContent = '';
+    store.set('locationComparison', results);
+}
+
+/**
+ * Render the sortable comparison grid from the store.
+ */
+export function renderComparison() {
+    if (!els) return;
+
+    const results = store.get('locationComparison') || [];
+    if (results.length === 0) {
+        els.grid.innerHTML = '';
+        return;
+    }
+
+    // Only show guild columns that apply to at least one site
+    const columns = TIMELINE_SCORE_KEYS.filter(key =>
+        results.some(r => r.conditions && r.conditions[key])
+    );
+
+    const sorted = [...results].sort((a, b) => {
+        const valueA = sortValue(a, sortKey);
+        const valueB = sortValue(b, sortKey);
+
+        // Missing values always sort last, whichever the direction
+        if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null);
+        }
+
+        const diff = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return sortDescending ? -diff : diff;
+    });
+
+    const headerCell = (key, label) => {
+        const indicator = key === sortKey ? (sortDescending ? ' ▼' : ' ▲') : '';
+        return `<th class="comparison__header" data-sort-key="${key}">${label}${indicator}</th>`;
+    };
+
+    els.grid.innerHTML = `
+        <table class="comparison__table">
+            <thead>
+                <tr>
+                    ${headerCell('name', 'Location')}
+                    ${headerCell('best', 'Best')}
+                    ${columns.map(key => headerCell(key, SCORE_DISPLAY_NAMES[key])).join('')}
+                    ${headerCell('fallout', 'Fallout')}
+                </tr>
+            </thead>
+            <tbody>
+                ${sorted.map(r => renderRow(r, columns)).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderRow(result, columns) {
+    const nameCell = `
+        <td class="comparison__name" data-lat="${result.lat}" data-lon="${result.lon}" data-name="${result.name}">
+            ${result.name}
+        </td>
+    `;
+
+    if (!result.conditions) {
+        return `
+            <tr class="comparison__row comparison__row--error">
+                ${nameCell}
+                <td colspan="${columns.length + 2}">${result.error?.message || 'Failed to load forecast'}</td>
+            </tr>
+        `;
+    }
+
+    const scoreCell = (scoreData) => scoreData
+        ? `<td class="comparison__score gauge-rating--${scoreData.rating.toLowerCase()}">${scoreData.score}</td>`
+        : '<td class="comparison__score comparison__score--none">—</td>';
+
+    const best = result.best;
+    const fallout = result.conditions.falloutRisk;
+
+    return `
+        <tr class="comparison__row">
+            ${nameCell}
+            <td class="comparison__best">
+                ${best ? `${SCORE_DISPLAY_NAMES[best.key]} <span class="gauge-rating--${best.rating.toLowerCase()}">${best.score}</span>` : '—'}
+            </td>
+            ${columns.map(key => scoreCell(result.conditions[key])).join('')}
+            <td class="fallout-${fallout.level}">${fallout.level}</td>
+        </tr>
+    `;
+}
+
+function sortValue(result, key) {
+    if (key === 'name') return result.name.toLowerCase();
+    if (!result.conditions) return null;
+    if (key === 'best') return result.best ? result.best.score : null;
+    if (key === 'fallout') return FALLOUT_ORDER[result.conditions.falloutRisk.level];
+    return result.conditions[key] ? result.conditions[key].score : null;
+}
@@ -0,0 +1,180 @@
+/**
+ * Hotspot detail panel — recent species, checklist activity, and the hotspot's
+ * own current scores. Opens from a hotspot card or a map popup.
+ */
+
+import store from '../state/store.js';
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { TIMELINE_SCORE_KEYS } from '../modules/birdingForecast.js';
+import { loadHotspotDetails, ACTIVITY_PERIODS_DAYS } from '../modules/hotspotDetails.js';
+import { HABITATS, HABITAT_LABELS, classifyHotspots } from '../modules/hotspotHabitat.js';
+
+let els = null;
+let onCheckWeather = null;
+let requestId = 0;
+
+/**
+ * Initialize the hotspot detail panel.
+ * @param {Object} detailElements
+ * @param {HTMLElement} detailElements.modal - Overlay element
+ * @param {HTMLElement} detailElements.closeBtn
+ * @param {HTMLElement} detailElements.title
+ * @param {HTMLElement} detailElements.subtitle
+ * @param {HTMLElement} detailElements.scores - Current scores container
+ * @param {HTMLElement} detailElements.activity - Checklist counts container
+ * @param {HTMLElement} detailElements.species - Species list container
+ * @param {HTMLSelectElement} detailElements.habitat - Habitat override picker
+ * @param {HTMLElement} detailElements.checkWeatherBtn
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onCheckWeather - (lat, lon, name) => Promise
+ */
+export function initHotspotDetail(detailElements, callbacks) {
+    els = detailElements;
+    onCheckWeather = callbacks.onCheckWeather;
+
+    els.closeBtn.addEventListener('click', closeHotspotDetail);
+
+    els.modal.addEventListener('click', (e) => {
+        if (e.target === els.modal) {
+            closeHotspotDetail();
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && els.modal.classList.contains('visible')) {
+            closeHotspotDetail();
+        }
+    });
+
+    els.habitat.addEventListener('change', () => {
+        const hotspot = store.get('selectedHotspot');
+        if (!hotspot) return;
+
+        const overrides = { ...store.get('hotspotHabitatOverrides') };
+        if (els.habitat.value) {
+            overrides[hotspot.id] = els.habitat.value;
+        } else {
+            delete overrides[hotspot.id];
+        }
+        store.set('hotspotHabitatOverrides', overrides);
+    });
+
+    els.checkWeatherBtn.addEventListener('click', () => {
+        const hotspot = store.get('selectedHotspot');
+        closeHotspotDetail();
+        if (hotspot && onCheckWeather) {
+            onCheckWeather(hotspot.lat, hotspot.lon, hotspot.name);
+        }
+    });
+}
+
+/**
+ * Open the panel for a hotspot and load its details.
+ * @param {Object} hotspot - Hotspot from fetchNearbyHotspots()
+ */
+export async function openHotspotDetail(hotspot) {
+    if (!els || !hotspot) return;
+
+    const thisRequest = ++requestId;
+    store.set('selectedHotspot', hotspot);
+
+    els.title.textContent = hotspot.name;
+    els.subtitle.textContent = `${hotspot.speciesCount || '?'} species all time`;
+    els.scores.innerHTML = '<p class="hotspot-detail__empty">Loading forecast...</p>';
+    els.activity.innerHTML = '';
+    els.species.innerHTML = '<p class="hotspot-detail__empty">Loading recent observations...</p>';
+    renderHabitat(hotspot);
+    els.modal.classList.add('visible');
+
+    const details = await loadHotspotDetails(hotspot);
+
+    // A different hotspot was opened while this one loaded
+    if (thisRequest !== requestId) return;
+
+    renderScores(details);
+    renderActivity(details);
+}
+
+/**
+ * Close the panel and clear the selected hotspot.
+ */
+export function closeHotspotDetail() {
+    if (!els) return;
+    requestId++;
+    els.modal.classList.remove('visible');
+    store.set('selectedHotspot', null);
+}
+
+/**
+ * Fill the habitat picker; "Automatic" names what the name or land use suggests
+ */
+function renderHabitat(hotspot) {
+    const [automatic] = classifyHotspots([hotspot], {
+        features: store.get('landuseFeatures'),
+        overrides: {}
+    });
+    const automaticLabel = automatic.habitat ? HABITAT_LABELS[automatic.habitat] : 'unknown';
+
+    els.habitat.innerHTML = `<option value="">Automatic (${automaticLabel})</option>` + HABITATS
+        .map(habitat => `<option value="${habitat}">${HABITAT_LABELS[habitat]}</option>`)
+        .join('');
+    els.habitat.value = store.get('hotspotHabitatOverrides')[hotspot.id] || '';
+}
+
+function renderScores({ conditions, best, scoresError }) {
+    if (!conditions) {
+        els.scores.innerHTML = `<p class="hotspot-detail__empty">${scoresError?.message || 'Forecast unavailable'}</p>`;
+        return;
+    }
+
+    els.scores.innerHTML = TIMELINE_SCORE_KEYS
+        .filter(key => conditions[key])
+        .map(key => {
+            const { score, rating } = conditions[key];
+            const isBest = best && best.key === key;
+            return `
+                <div class="hotspot-detail__score ${isBest ? 'hotspot-detail__score--best' : ''}">
+                    <span>${SCORE_DISPLAY_NAMES[key]}</span>
+                    <span class="gauge-rating--${rating.toLowerCase()}">${score}</span>
+                </div>
+            `;
+        })
+        .join('');
+}
+
+function renderActivity({ activity, activityError }) {
+    if (!activity) {
+        els.species.innerHTML = `<p class="hotspot-detail__empty">${activityError?.message || 'No recent observations'}</p>`;
+        return;
+    }
+
+    els.activity.innerHTML = ACTIVITY_PERIODS_DAYS.map(days => `
+        <div class="hotspot-detail__stat">
+            <span class="hotspot-detail__stat-value">${activity.checklistCounts[days]}</span>
+            <span class="hotspot-detail__stat-label">checklists, ${days} days</span>
+        </div>
+    `).join('');
+
+    if (activity.species.length === 0) {
+        els.species.innerHTML = '<p class="hotspot-detail__empty">No species reported in the last 30 days.</p>';
+        return;
+    }
+
+    els.species.innerHTML = `
+        <div class="hotspot-detail__species-count">${activity.species.length} species in the last 30 days</div>
+        <ul class="hotspot-detail__species">
+            ${activity.species.map(s => `
+                <li>
+                    <span class="hotspot-detail__species-name">${s.commonName}</span>
+                    <span class="hotspot-detail__species-meta">
+                        ${s.count !== null ? `${s.count} &middot; ` : ''}${formatLastSeen(s.lastSeen)}
+                    </span>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function formatLastSeen(date) {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
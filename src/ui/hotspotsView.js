@@ -1,29 +1,107 @@
 /**
  * Hotspot card rendering with event delegation.
  * Extracted from main.js to keep the entry point focused on orchestration.
+ * Cards are ordered by all-time species count or, in "Best for today" mode,
+ * by rankHotspots() with the reasons for each rank shown on the card.
+ * Cards show each hotspot's habitat tag and can be filtered by it.
+ * The top few are shown by default; "Show all" pages through the full list
+ * with a name filter.
  */
 
+import store from '../state/store.js';
+import { TIMELINE_SCORE_KEYS } from '../modules/birdingForecast.js';
+import { findBestScore } from '../modules/locationComparison.js';
+import { rankHotspots, RANK_MODES } from '../modules/hotspotRanking.js';
+import { HABITATS, HABITAT_LABELS, HABITAT_ICONS, filterByHabitat } from '../modules/hotspotHabitat.js';
+import {
+    HOTSPOT_PREVIEW_COUNT,
+    HOTSPOT_PAGE_SIZE,
+    filterHotspotsByText,
+    paginate
+} from '../modules/hotspotSearch.js';
+
+const HABITAT_SOURCE_LABELS = {
+    user: 'Set by you',
+    name: 'From the hotspot name',
+    osm: 'From OpenStreetMap land use'
+};
+
 let container = null;
+let pager = null;
+let searchInput = null;
 let onHotspotSelect = null;
+let lastHotspots = [];
+let renderedHotspots = [];
+let showAll = false;
+let page = 0;
 
 /**
  * Initialize the hotspots view with event delegation.
- * @param {HTMLElement} hotspotsContainer - The #hotspots DOM element
+ * @param {Object} hotspotElements
+ * @param {HTMLElement} hotspotElements.container - The #hotspots DOM element
+ * @param {HTMLSelectElement} hotspotElements.rankMode - Ranking mode picker
+ * @param {HTMLSelectElement} hotspotElements.habitatFilter - Habitat filter picker
+ * @param {HTMLInputElement} hotspotElements.search - Name filter, shown with the full list
+ * @param {HTMLElement} hotspotElements.pager - "Show all" toggle and page controls
  * @param {Object} callbacks
- * @param {Function} callbacks.onHotspotSelect - (lat, lon, name) => Promise
+ * @param {Function} callbacks.onHotspotSelect - (hotspot) => void, opens the detail panel
  */
-export function initHotspotsView(hotspotsContainer, callbacks) {
-    container = hotspotsContainer;
+export function initHotspotsView(hotspotElements, callbacks) {
+    container = hotspotElements.container;
+    pager = hotspotElements.pager;
+    searchInput = hotspotElements.search;
     onHotspotSelect = callbacks.onHotspotSelect;
 
+    const { rankMode } = hotspotElements;
+    rankMode.innerHTML = Object.entries(RANK_MODES)
+        .map(([mode, label]) => `<option value="${mode}">${label}</option>`)
+        .join('');
+    rankMode.value = store.get('hotspotRankMode');
+    rankMode.addEventListener('change', () => {
+        store.set('hotspotRankMode', rankMode.value);
+    });
+
+    const { habitatFilter } = hotspotElements;
+    habitatFilter.innerHTML = '<option value="">All habitats</option>' + HABITATS
+        .map(habitat => `<option value="${habitat}">${HABITAT_ICONS[habitat]} ${HABITAT_LABELS[habitat]}</option>`)
+        .join('');
+    habitatFilter.value = store.get('hotspotHabitatFilter');
+    habitatFilter.addEventListener('change', () => {
+        store.set('hotspotHabitatFilter', habitatFilter.value);
+    });
+
+    // Re-rank when the mode or today's scores change
+    store.subscribe('hotspotRankMode', () => renderHotspots(lastHotspots));
+    store.subscribe('scoreTimeline', () => {
+        if (store.get('hotspotRankMode') === 'conditions') renderHotspots(lastHotspots);
+    });
+
+    searchInput.addEventListener('input', () => {
+        page = 0;
+        renderHotspots(lastHotspots);
+    });
+
+    pager.addEventListener('click', (e) => {
+        const toggle = e.target.closest('[data-hotspot-show-all]');
+        const pageBtn = e.target.closest('[data-hotspot-page]');
+        if (toggle) {
+            showAll = !showAll;
+            page = 0;
+            searchInput.value = '';
+        } else if (pageBtn) {
+            page = Number(pageBtn.dataset.hotspotPage);
+        } else {
+            return;
+        }
+        renderHotspots(lastHotspots);
+    });
+
     // Single delegated click handler for all hotspot cards
     container.addEventListener('click', (e) => {
         const card = e.target.closest('.hotspot-card');
-        if (card && onHotspotSelect) {
-            const lat = parseFloat(card.dataset.lat);
-            const lon = parseFloat(card.dataset.lon);
-            const name = card.dataset.name;
-            onHotspotSelect(lat, lon, name);
+        const hotspot = card && renderedHotspots.find(h => h.id === card.dataset.id);
+        if (hotspot && onHotspotSelect) {
+            onHotspotSelect(hotspot);
         }
     });
 }
@@ -34,23 +112,103 @@ export function initHotspotsView(hotspotsContainer, callbacks) {
  */
 export function renderHotspots(hotspots) {
     const headerEl = document.getElementById('hotspots-header');
+    // A new hotspot list (new location, radius, or habitat filter) starts on the first page
+    if (hotspots !== lastHotspots) page = 0;
+    lastHotspots = hotspots || [];
+    searchInput.classList.toggle('hidden', !showAll);
 
     if (!hotspots || hotspots.length === 0) {
         container.innerHTML = '';
+        pager.innerHTML = '';
         if (headerEl) headerEl.textContent = 'Nearby Hotspots';
         return;
     }
 
+    const filtered = filterByHabitat(hotspots, store.get('hotspotHabitatFilter'));
+
     if (headerEl) {
-        headerEl.textContent = `Nearby Hotspots (${hotspots.length})`;
+        headerEl.textContent = filtered.length === hotspots.length
+            ? `Nearby Hotspots (${hotspots.length})`
+            : `Nearby Hotspots (${filtered.length} of ${hotspots.length})`;
+    }
+
+    if (filtered.length === 0) {
+        renderedHotspots = [];
+        container.innerHTML = '<p class="hotspots__empty">No hotspots with this habitat nearby.</p>';
+        pager.innerHTML = '';
+        return;
+    }
+
+    const ordered = store.get('hotspotRankMode') === 'conditions'
+        ? rankHotspots(filtered, {
+            lat: store.get('userLat'),
+            lon: store.get('userLon'),
+            bestGuild: getBestGuild(),
+            radiusKm: store.get('hotspotRadiusKm')
+        })
+        : filtered;
+
+    if (showAll) {
+        const result = paginate(filterHotspotsByText(ordered, searchInput.value), page, HOTSPOT_PAGE_SIZE);
+        page = result.page;
+        renderedHotspots = result.items;
+        renderPager(result, ordered.length);
+    } else {
+        renderedHotspots = ordered.slice(0, HOTSPOT_PREVIEW_COUNT);
+        renderPager(null, ordered.length);
     }
 
-    const top6 = hotspots.slice(0, 6);
+    if (renderedHotspots.length === 0) {
+        container.innerHTML = '<p class="hotspots__empty">No hotspot names match your search.</p>';
+        return;
+    }
 
-    container.innerHTML = top6.map(h => `
-        <div class="hotspot-card" data-lat="${h.lat}" data-lon="${h.lon}" data-name="${h.name}">
+    container.innerHTML = renderedHotspots.map(h => `
+        <div class="hotspot-card" data-id="${h.id}" title="Recent species and activity">
             <div class="hotspot-card__name">${h.name}</div>
             <div class="hotspot-card__species">${h.speciesCount || '?'} species</div>
+            ${h.habitat ? `
+                <div class="hotspot-card__habitat" title="${HABITAT_SOURCE_LABELS[h.habitatSource]}">
+                    ${HABITAT_ICONS[h.habitat]} ${HABITAT_LABELS[h.habitat]}
+                </div>
+            ` : ''}
+            ${h.rank ? `
+                <ul class="hotspot-card__reasons">
+                    ${h.rank.reasons.map(reason => `<li>${reason}</li>`).join('')}
+                </ul>
+            ` : ''}
         </div>
     `).join('');
 }
+
+/**
+ * Page controls in the full list; the "Show all" toggle whenever there's more to see
+ * @param {Object|null} result - paginate() result, or null in preview mode
+ * @param {number} total - Hotspots before the name filter
+ */
+function renderPager(result, total) {
+    if (!result) {
+        pager.innerHTML = total > HOTSPOT_PREVIEW_COUNT
+            ? `<button class="btn btn--secondary" data-hotspot-show-all>Show all ${total}</button>`
+            : '';
+        return;
+    }
+
+    const { page: current, pageCount, total: matching } = result;
+    pager.innerHTML = `
+        ${pageCount > 1 ? `
+            <button class="btn btn--secondary" data-hotspot-page="${current - 1}" ${current === 0 ? 'disabled' : ''}>&larr; Prev</button>
+            <span class="hotspots__page">Page ${current + 1} of ${pageCount} &middot; ${matching} hotspots</span>
+            <button class="btn btn--secondary" data-hotspot-page="${current + 1}" ${current === pageCount - 1 ? 'disabled' : ''}>Next &rarr;</button>
+        ` : `<span class="hotspots__page">${matching} hotspots</span>`}
+        <button class="btn btn--secondary" data-hotspot-show-all>Show top ${HOTSPOT_PREVIEW_COUNT}</button>
+    `;
+}
+
+function getBestGuild() {
+    const conditions = {};
+    TIMELINE_SCORE_KEYS.forEach(key => {
+        conditions[key] = store.get(key);
+    });
+    return findBestScore(conditions);
+}
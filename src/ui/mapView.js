@@ -1,16 +1,22 @@
 /**
  * Leaflet map view and hotspot markers
  * Extracted from main.js to keep the entry focused on orchestration.
+ * Hotspot markers are clustered with Leaflet.markercluster (loaded from the CDN
+ * next to Leaflet); if the plugin is missing they go straight on the map.
  */
 
 import store from '../state/store.js';
+import { HABITAT_LABELS, HABITAT_ICONS, filterByHabitat } from '../modules/hotspotHabitat.js';
 
 let map = null;
 let userMarker = null;
-let hotspotMarkers = [];
+let hotspotLayer = null;
+let radiusCircle = null;
+let rarityMarkers = [];
 let currentTileLayer = null;
 let mapStyleControl = null;
 let _onHotspotWeatherRequest = null;
+let _onHotspotDetailsRequest = null;
 
 /**
  * Available map tile configurations
@@ -76,6 +82,18 @@ export function initMap() {
 
     userMarker.bindPopup('<strong>📍 Your Location</strong>').openPopup();
 
+    hotspotLayer = createHotspotLayer().addTo(map);
+
+    updateRadiusCircle();
+    store.subscribe('hotspotRadiusKm', () => {
+        updateRadiusCircle();
+        if (radiusCircle) map.fitBounds(radiusCircle.getBounds());
+    });
+
+    // Data may have loaded before the map existed
+    updateMapHotspots(store.get('nearbyHotspots') || []);
+    updateMapRarities(store.get('notableObservations') || []);
+
     // Delegated click handler for hotspot popup "Check Weather" buttons
     document.addEventListener('click', (e) => {
         const btn = e.target.closest('[data-hotspot-lat]');
@@ -86,16 +104,24 @@ export function initMap() {
             closeMapPopup();
             _onHotspotWeatherRequest(lat, lon, name);
         }
+
+        const detailsBtn = e.target.closest('[data-hotspot-details]');
+        if (detailsBtn && _onHotspotDetailsRequest) {
+            const hotspot = (store.get('nearbyHotspots') || []).find(h => h.id === detailsBtn.dataset.hotspotDetails);
+            closeMapPopup();
+            if (hotspot) _onHotspotDetailsRequest(hotspot);
+        }
     });
 }
 
 /**
  * Create custom marker icon
  */
-export function createMarkerIcon(type = 'hotspot') {
+export function createMarkerIcon(type = 'hotspot', symbol = null) {
     const colors = {
         user: { bg: '#00d4ff', border: '#00f5d4' },
-        hotspot: { bg: '#a855f7', border: '#ff6b9d' }
+        hotspot: { bg: '#a855f7', border: '#ff6b9d' },
+        rarity: { bg: '#ff3b5c', border: '#ffcc00' }
     };
     const color = colors[type] || colors.hotspot;
 
@@ -113,12 +139,12 @@ export function createMarkerIcon(type = 'hotspot') {
                 align-items: center;
                 justify-content: center;
             ">
-                <div style="
+                ${symbol ? `<span style="font-size: 13px; line-height: 1;">${symbol}</span>` : `<div style="
                     width: 8px;
                     height: 8px;
                     background: white;
                     border-radius: 50%;
-                "></div>
+                "></div>`}
             </div>
         `,
         iconSize: [24, 24],
@@ -240,6 +266,8 @@ export function updateUserMarker(lat, lon) {
         }).addTo(map);
         userMarker.bindPopup('<strong>📍 Your Location</strong>');
     }
+
+    updateRadiusCircle();
 }
 
 /**
@@ -249,27 +277,106 @@ export function updateMapHotspots(hotspots) {
     if (!map) return;
 
     // Clear existing markers
-    hotspotMarkers.forEach(m => map.removeLayer(m));
-    hotspotMarkers = [];
+    hotspotLayer.clearLayers();
 
-    // Add new markers with custom icons
-    hotspots.forEach(h => {
+    // Add new markers with custom icons, showing the habitat when known
+    filterByHabitat(hotspots, store.get('hotspotHabitatFilter')).forEach(h => {
         const marker = L.marker([h.lat, h.lon], {
             title: h.name,
-            icon: createMarkerIcon('hotspot')
-        }).addTo(map);
+            icon: createMarkerIcon('hotspot', h.habitat ? HABITAT_ICONS[h.habitat] : null)
+        });
 
         const escapedName = h.name.replace(/"/g, '&quot;');
         marker.bindPopup(`
             <strong>${h.name}</strong><br>
-            ${h.speciesCount || '?'} species<br>
+            ${h.speciesCount || '?'} species${h.habitat ? ` &middot; ${HABITAT_LABELS[h.habitat]}` : ''}<br>
             <button class="btn btn--primary" style="margin-top:8px;padding:4px 8px;font-size:12px;cursor:pointer;"
                     data-hotspot-lat="${h.lat}" data-hotspot-lon="${h.lon}" data-hotspot-name="${escapedName}">
                 Check Weather
             </button>
+            <button class="btn btn--secondary" style="margin-top:8px;padding:4px 8px;font-size:12px;cursor:pointer;"
+                    data-hotspot-details="${h.id}">
+                Details
+            </button>
         `);
 
-        hotspotMarkers.push(marker);
+        hotspotLayer.addLayer(marker);
+    });
+}
+
+/**
+ * Draw the hotspot search radius around the current location
+ */
+export function updateRadiusCircle() {
+    if (!map) return;
+
+    const lat = store.get('userLat');
+    const lon = store.get('userLon');
+    const radiusMeters = store.get('hotspotRadiusKm') * 1000;
+
+    if (radiusCircle) {
+        radiusCircle.setLatLng([lat, lon]).setRadius(radiusMeters);
+    } else {
+        radiusCircle = L.circle([lat, lon], {
+            radius: radiusMeters,
+            color: '#00d4ff',
+            weight: 1,
+            dashArray: '4 6',
+            fillOpacity: 0.03,
+            interactive: false
+        }).addTo(map);
+    }
+}
+
+/**
+ * Layer for hotspot markers: clustered when the plugin loaded
+ */
+function createHotspotLayer() {
+    if (typeof L.markerClusterGroup !== 'function') {
+        return L.layerGroup();
+    }
+
+    return L.markerClusterGroup({
+        showCoverageOnHover: false,
+        maxClusterRadius: 45,
+        iconCreateFunction: cluster => L.divIcon({
+            className: 'custom-marker',
+            html: `<div class="hotspot-cluster">${cluster.getChildCount()}</div>`,
+            iconSize: [34, 34],
+            iconAnchor: [17, 17]
+        })
+    });
+}
+
+/**
+ * Update map with notable (rare bird) observation markers
+ */
+export function updateMapRarities(observations) {
+    if (!map) return;
+
+    rarityMarkers.forEach(m => map.removeLayer(m));
+    rarityMarkers = [];
+
+    observations.forEach(obs => {
+        const marker = L.marker([obs.lat, obs.lon], {
+            title: obs.commonName,
+            icon: createMarkerIcon('rarity'),
+            // Keep rarities above hotspot pins at the same spot
+            zIndexOffset: 500
+        }).addTo(map);
+
+        const escapedName = obs.locationName.replace(/"/g, '&quot;');
+        marker.bindPopup(`
+            <strong>⭐ ${obs.commonName}</strong><br>
+            ${obs.count !== null ? `${obs.count} seen` : 'Present'} &middot; ${obs.date}<br>
+            ${obs.locationName} (${obs.distanceKm.toFixed(1)} km)<br>
+            <button class="btn btn--primary" style="margin-top:8px;padding:4px 8px;font-size:12px;cursor:pointer;"
+                    data-hotspot-lat="${obs.lat}" data-hotspot-lon="${obs.lon}" data-hotspot-name="${escapedName}">
+                Check Weather
+            </button>
+        `);
+
+        rarityMarkers.push(marker);
     });
 }
 
@@ -290,3 +397,11 @@ export function onHotspotWeatherClick(callback) {
     _onHotspotWeatherRequest = callback;
 }
 
+/**
+ * Register a callback for when a map popup "Details" button is clicked.
+ * @param {Function} callback - (hotspot) => void
+ */
+export function onHotspotDetailsClick(callback) {
+    _onHotspotDetailsRequest = callback;
+}
+
@@ -0,0 +1,426 @@
+/**
+ * Meteogram — the last 24 hours and the next 48 on one time axis: temperature
+ * and pressure, wind barbs with speed and gusts, visibility, and
+ * precipitation, with a "now" line, front passage markers, and an hourly
+ * tooltip. Reads the last scoring run's `scoringInputs`.
+ */
+
+import store from '../state/store.js';
+import { buildMeteogram, getAxisTicks } from '../modules/meteogram.js';
+import {
+    convertTemperature,
+    convertPressure,
+    convertWindSpeed,
+    convertVisibilityToMiles,
+    formatTemperature,
+    formatPressure,
+    formatWindSpeed,
+    formatVisibility,
+    formatTime,
+    getWindDirectionLabel
+} from '../utils/formatting.js';
+
+// Layout, in SVG px (drawn at 1:1 and scrolled horizontally on narrow screens)
+const HOUR_WIDTH = 12;
+const LEFT = 48;
+const RIGHT = 56;
+const TOP = 22; // room for front labels
+const PANEL_GAP = 14;
+const AXIS_HEIGHT = 30;
+const PANELS = {
+    temperature: 140,
+    barbs: 30,
+    wind: 60,
+    visibility: 36,
+    precipitation: 60
+};
+
+// Time labels along the bottom
+const LABEL_EVERY_HOURS = 6;
+
+// Visibility beyond this reads as "clear"; keeps the panel's scale useful
+const MAX_VISIBILITY_MILES = 10;
+
+// Wind barb geometry: shaft length, barb length, spacing along the shaft
+const BARB_SHAFT = 22;
+const BARB_LENGTH = 9;
+const BARB_SPACING = 4;
+const BARBS_EVERY_HOURS = 3;
+const KMH_PER_KNOT = 1.852;
+
+const FRONT_LABELS = {
+    cold: 'Cold front',
+    warm: 'Warm front',
+    'post-cold': 'Front passed'
+};
+
+let els = null;
+let meteogram = null;
+
+/**
+ * Initialize the meteogram card.
+ * @param {Object} meteogramElements
+ * @param {HTMLElement} meteogramElements.chart - Scrollable SVG container
+ * @param {HTMLElement} meteogramElements.tooltip - Hover tooltip, positioned inside the chart container
+ */
+export function initMeteogramView(meteogramElements) {
+    els = meteogramElements;
+
+    els.chart.addEventListener('mousemove', (e) => {
+        const hit = e.target.closest('[data-hour-index]');
+        if (hit) {
+            showTooltip(Number(hit.dataset.hourIndex), e);
+        } else {
+            hideTooltip();
+        }
+    });
+    els.chart.addEventListener('mouseleave', hideTooltip);
+
+    store.subscribe('scoringInputs', renderMeteogram);
+    renderMeteogram();
+}
+
+/**
+ * Render the meteogram from the store.
+ */
+export function renderMeteogram() {
+    if (!els) return;
+
+    const weatherData = store.get('scoringInputs')?.weatherData;
+    meteogram = weatherData ? buildMeteogram(weatherData) : null;
+    hideTooltip();
+
+    // The tooltip lives in the same container, so only the SVG is swapped
+    els.chart.querySelector('svg')?.remove();
+    if (!meteogram || meteogram.hours.length === 0) return;
+
+    els.chart.insertAdjacentHTML('afterbegin', renderChart(meteogram));
+}
+
+function renderChart({ hours, nowIndex, fronts }) {
+    const plotWidth = hours.length * HOUR_WIDTH;
+    const width = LEFT + plotWidth + RIGHT;
+
+    // Stack the panels top to bottom
+    let y = TOP;
+    const layout = {};
+    Object.entries(PANELS).forEach(([name, height]) => {
+        layout[name] = { top: y, bottom: y + height, height };
+        y += height + (name === 'barbs' ? 0 : PANEL_GAP);
+    });
+    const plotBottom = y - PANEL_GAP;
+    const height = plotBottom + AXIS_HEIGHT;
+    const nowX = LEFT + nowIndex * HOUR_WIDTH;
+
+    return `
+        <svg class="meteogram__svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+             role="img" aria-label="Meteogram, past 24 hours and next 48 hours">
+            <rect x="${LEFT}" y="${TOP}" width="${nowX - LEFT}" height="${plotBottom - TOP}" class="meteogram__past"/>
+            ${renderDayLines(hours, TOP, plotBottom)}
+            ${renderTemperaturePressure(hours, layout.temperature)}
+            ${renderBarbs(hours, layout.barbs)}
+            ${renderWind(hours, layout.wind)}
+            ${renderVisibility(hours, layout.visibility)}
+            ${renderPrecipitation(hours, layout.precipitation)}
+            ${renderTimeAxis(hours, plotBottom)}
+            <line x1="${nowX}" y1="${TOP - 6}" x2="${nowX}" y2="${plotBottom}" class="meteogram__now"/>
+            <text x="${nowX}" y="${TOP - 10}" class="meteogram__now-label">Now</text>
+            ${fronts.map(front => renderFront(front, plotBottom)).join('')}
+            <line x1="0" y1="${TOP}" x2="0" y2="${plotBottom}" class="meteogram__cursor hidden" id="meteogram-cursor"/>
+            ${hours.map((_, i) => `
+                <rect x="${LEFT + i * HOUR_WIDTH}" y="${TOP}" width="${HOUR_WIDTH}" height="${plotBottom - TOP}"
+                      class="meteogram__hit" data-hour-index="${i}"/>
+            `).join('')}
+        </svg>
+    `;
+}
+
+function renderTemperaturePressure(hours, panel) {
+    const temps = hours.map(h => (Number.isFinite(h.temperature) ? convertTemperature(h.temperature) : null));
+    const pressures = hours.map(h => (Number.isFinite(h.pressure) ? convertPressure(h.pressure) : null));
+    const tempUnit = store.get('tempUnit') || 'F';
+    const pressureUnit = store.get('pressureUnit') || 'inHg';
+
+    const tempAxis = axisFor(temps);
+    const pressureAxis = axisFor(pressures);
+    const hasPressure = pressures.some(p => p !== null);
+    const pressureLine = hasPressure
+        ? `<path d="${linePath(pressures, pressureAxis, panel)}" class="meteogram__line meteogram__line--pressure"/>`
+        : '';
+
+    return `
+        ${renderGrid(tempAxis, panel)}
+        ${renderAxisLabels(tempAxis, panel, 'left', `°${tempUnit}`, 'meteogram__axis--temperature')}
+        ${hasPressure
+            ? renderAxisLabels(pressureAxis, panel, 'right', pressureUnit, 'meteogram__axis--pressure')
+            : ''}
+        <path d="${linePath(temps, tempAxis, panel)}" class="meteogram__line meteogram__line--temperature"/>
+        ${pressureLine}
+    `;
+}
+
+function renderBarbs(hours, panel) {
+    const centerY = panel.top + panel.height / 2;
+
+    return hours.map((hour, i) => {
+        if (i % BARBS_EVERY_HOURS !== 0 || !Number.isFinite(hour.windSpeed)) return '';
+        return `
+            <g transform="translate(${xAt(i)} ${centerY}) rotate(${hour.windDirection || 0})" class="meteogram__barb">
+                ${windBarb(hour.windSpeed)}
+            </g>
+        `;
+    }).join('');
+}
+
+function renderWind(hours, panel) {
+    const speeds = hours.map(h => (Number.isFinite(h.windSpeed) ? convertWindSpeed(h.windSpeed) : null));
+    const gusts = hours.map(h => (Number.isFinite(h.windGusts) ? convertWindSpeed(h.windGusts) : null));
+    const axis = axisFor([0, ...speeds, ...gusts], 2);
+    const unit = store.get('speedUnit') || 'mph';
+
+    return `
+        ${renderGrid(axis, panel)}
+        ${renderAxisLabels(axis, panel, 'left', unit, 'meteogram__axis--wind')}
+        <path d="${linePath(gusts, axis, panel)}" class="meteogram__line meteogram__line--gusts"/>
+        <path d="${linePath(speeds, axis, panel)}" class="meteogram__line meteogram__line--wind"/>
+    `;
+}
+
+function renderVisibility(hours, panel) {
+    const miles = hours.map(h => (Number.isFinite(h.visibility)
+        ? Math.min(convertVisibilityToMiles(h.visibility), MAX_VISIBILITY_MILES)
+        : null));
+    const axis = { min: 0, max: MAX_VISIBILITY_MILES, ticks: [0, MAX_VISIBILITY_MILES] };
+
+    if (miles.every(m => m === null)) {
+        return `<text x="${LEFT + 6}" y="${panel.top + panel.height / 2}" class="meteogram__empty">
+            No visibility forecast from this provider
+        </text>`;
+    }
+
+    return `
+        ${renderAxisLabels(axis, panel, 'left', 'mi', 'meteogram__axis--visibility')}
+        <path d="${areaPath(miles, axis, panel)}" class="meteogram__area meteogram__area--visibility"/>
+    `;
+}
+
+function renderPrecipitation(hours, panel) {
+    const amounts = hours.map(h => h.precipitation || 0);
+    const chances = hours.map(h => (Number.isFinite(h.precipProbability) ? h.precipProbability : null));
+    const axis = axisFor([0, 1, ...amounts], 2);
+    const chanceAxis = { min: 0, max: 100, ticks: [0, 50, 100] };
+
+    const bars = amounts.map((amount, i) => {
+        if (amount <= 0) return '';
+        const top = yAt(amount, axis, panel);
+        return `<rect x="${LEFT + i * HOUR_WIDTH + 1}" y="${top}" width="${HOUR_WIDTH - 2}"
+                      height="${panel.bottom - top}" class="meteogram__bar"/>`;
+    }).join('');
+
+    return `
+        ${renderGrid(axis, panel)}
+        ${renderAxisLabels(axis, panel, 'left', 'mm', 'meteogram__axis--precipitation')}
+        ${chances.some(c => c !== null)
+            ? renderAxisLabels(chanceAxis, panel, 'right', '%', 'meteogram__axis--chance')
+            : ''}
+        ${bars}
+        <path d="${linePath(chances, chanceAxis, panel)}" class="meteogram__line meteogram__line--chance"/>
+    `;
+}
+
+function renderFront(front, plotBottom) {
+    const x = xAt(front.index);
+    return `
+        <g class="meteogram__front meteogram__front--${front.type}">
+            <title>${front.message}</title>
+            <line x1="${x}" y1="${TOP}" x2="${x}" y2="${plotBottom}"/>
+            <polygon points="${x - 5},${TOP - 8} ${x + 5},${TOP - 8} ${x},${TOP}"/>
+            <text x="${x + 7}" y="${TOP - 10}">${FRONT_LABELS[front.type] || 'Front'}</text>
+        </g>
+    `;
+}
+
+function renderDayLines(hours, top, bottom) {
+    return hours.map((hour, i) => {
+        if (i === 0 || hour.time.getHours() !== 0) return '';
+        const x = LEFT + i * HOUR_WIDTH;
+        return `<line x1="${x}" y1="${top}" x2="${x}" y2="${bottom}" class="meteogram__day-line"/>`;
+    }).join('');
+}
+
+function renderTimeAxis(hours, plotBottom) {
+    return hours.map((hour, i) => {
+        const h = hour.time.getHours();
+        if (h % LABEL_EVERY_HOURS !== 0) return '';
+
+        const x = LEFT + i * HOUR_WIDTH;
+        const label = hour.time.toLocaleTimeString('en-US', { hour: 'numeric' });
+        const day = h === 0
+            ? `<text x="${x}" y="${plotBottom + 26}" class="meteogram__day-label">
+                ${hour.time.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+            </text>`
+            : '';
+        return `<text x="${x}" y="${plotBottom + 13}" class="meteogram__time-label">${label}</text>${day}`;
+    }).join('');
+}
+
+function renderGrid(axis, panel) {
+    return axis.ticks.map(tick => {
+        const y = yAt(tick, axis, panel);
+        return `<line x1="${LEFT}" y1="${y}" x2="${LEFT + gridWidth()}" y2="${y}" class="meteogram__grid"/>`;
+    }).join('');
+}
+
+function renderAxisLabels(axis, panel, side, unit, className) {
+    const x = side === 'left' ? LEFT - 6 : LEFT + gridWidth() + 6;
+    const anchor = side === 'left' ? 'end' : 'start';
+    const labels = axis.ticks.map(tick => `
+        <text x="${x}" y="${yAt(tick, axis, panel)}" text-anchor="${anchor}" class="meteogram__axis ${className}">
+            ${tick}
+        </text>
+    `).join('');
+    const unitLabel = `
+        <text x="${x}" y="${panel.top - 4}" text-anchor="${anchor}" class="meteogram__axis-unit ${className}">
+            ${unit}
+        </text>
+    `;
+    return labels + unitLabel;
+}
+
+// Standard barb: shaft points into the wind; 50 kt pennants, 10 kt barbs, 5 kt half barbs
+function windBarb(kmh) {
+    const knots = Math.round(kmh / KMH_PER_KNOT / 5) * 5;
+    if (knots === 0) {
+        return '<circle cx="0" cy="0" r="3" class="meteogram__barb-calm"/>';
+    }
+
+    const half = BARB_SHAFT / 2;
+    let remaining = knots;
+    let y = -half;
+    const parts = [`M 0 ${half} L 0 ${-half}`];
+    const pennants = [];
+
+    while (remaining >= 50) {
+        pennants.push(`${0},${y} ${BARB_LENGTH},${y + BARB_SPACING / 2} 0,${y + BARB_SPACING}`);
+        y += BARB_SPACING + 1;
+        remaining -= 50;
+    }
+    while (remaining >= 10) {
+        parts.push(`M 0 ${y} L ${BARB_LENGTH} ${y - 3}`);
+        y += BARB_SPACING;
+        remaining -= 10;
+    }
+    if (remaining >= 5) {
+        // A lone half barb sits a step in from the tip so it isn't mistaken for a full one
+        if (knots < 10) y += BARB_SPACING;
+        parts.push(`M 0 ${y} L ${BARB_LENGTH / 2} ${y - 1.5}`);
+    }
+
+    return `
+        <path d="${parts.join(' ')}" class="meteogram__barb-line"/>
+        ${pennants.map(points => `<polygon points="${points}" class="meteogram__barb-pennant"/>`).join('')}
+    `;
+}
+
+function showTooltip(index, event) {
+    const hour = meteogram?.hours[index];
+    if (!hour) return;
+
+    const front = meteogram.fronts.find(f => f.index === index);
+    const wind = Number.isFinite(hour.windDirection)
+        ? `${getWindDirectionLabel(hour.windDirection)} ${formatWindSpeed(hour.windSpeed)}`
+        : formatWindSpeed(hour.windSpeed);
+    const gusts = Number.isFinite(hour.windGusts) ? `, gusts ${formatWindSpeed(hour.windGusts)}` : '';
+    const chance = Number.isFinite(hour.precipProbability) ? ` (${hour.precipProbability}%)` : '';
+
+    els.tooltip.innerHTML = `
+        <div class="meteogram__tooltip-time">
+            ${formatTime(hour.time, true)}${index === meteogram.nowIndex ? ' · now' : ''}
+        </div>
+        <div>Temperature: ${formatTemperature(hour.temperature)}</div>
+        <div>Pressure: ${formatPressure(hour.pressure)}</div>
+        <div>Wind: ${wind}${gusts}</div>
+        <div>Visibility: ${Number.isFinite(hour.visibility) ? formatVisibility(hour.visibility) : '—'}</div>
+        <div>Precipitation: ${(hour.precipitation || 0).toFixed(1)} mm${chance}</div>
+        ${front ? `<div class="meteogram__tooltip-front">${front.message}</div>` : ''}
+    `;
+    els.tooltip.classList.remove('hidden');
+
+    // Keep the tooltip beside the cursor, flipping away from the container's edges
+    const bounds = els.chart.getBoundingClientRect();
+    const x = event.clientX - bounds.left + els.chart.scrollLeft;
+    const y = event.clientY - bounds.top;
+    const { offsetWidth, offsetHeight } = els.tooltip;
+    const flipX = x + offsetWidth + 16 > els.chart.scrollLeft + els.chart.clientWidth;
+    const flipY = y + offsetHeight + 16 > els.chart.clientHeight;
+    els.tooltip.style.left = `${flipX ? x - offsetWidth - 12 : x + 12}px`;
+    els.tooltip.style.top = `${flipY ? Math.max(0, y - offsetHeight - 12) : y + 12}px`;
+
+    const cursor = els.chart.querySelector('#meteogram-cursor');
+    if (cursor) {
+        cursor.setAttribute('x1', xAt(index));
+        cursor.setAttribute('x2', xAt(index));
+        cursor.classList.remove('hidden');
+    }
+}
+
+function hideTooltip() {
+    if (!els) return;
+    els.tooltip.classList.add('hidden');
+    els.chart.querySelector('#meteogram-cursor')?.classList.add('hidden');
+}
+
+// Scales and paths
+
+function axisFor(values, targetCount = 3) {
+    const finite = values.filter(v => v !== null && Number.isFinite(v));
+    return getAxisTicks(Math.min(...finite), Math.max(...finite), targetCount);
+}
+
+function gridWidth() {
+    return meteogram.hours.length * HOUR_WIDTH;
+}
+
+function xAt(index) {
+    return LEFT + (index + 0.5) * HOUR_WIDTH;
+}
+
+function yAt(value, axis, panel) {
+    const fraction = (value - axis.min) / (axis.max - axis.min || 1);
+    return (panel.bottom - fraction * panel.height).toFixed(1);
+}
+
+// Line through the non-null values, broken where data is missing
+function linePath(values, axis, panel) {
+    let path = '';
+    let penDown = false;
+    values.forEach((value, i) => {
+        if (value === null) {
+            penDown = false;
+            return;
+        }
+        path += `${penDown ? 'L' : 'M'} ${xAt(i)} ${yAt(value, axis, panel)} `;
+        penDown = true;
+    });
+    return path.trim();
+}
+
+// Filled area under each unbroken run of values
+function areaPath(values, axis, panel) {
+    const runs = [];
+    let run = [];
+    values.forEach((value, i) => {
+        if (value === null) {
+            if (run.length > 0) runs.push(run);
+            run = [];
+        } else {
+            run.push([xAt(i), yAt(value, axis, panel)]);
+        }
+    });
+    if (run.length > 0) runs.push(run);
+
+    return runs.map(points => {
+        const line = points.map(([x, y]) => `L ${x} ${y}`).join(' ');
+        return `M ${points[0][0]} ${panel.bottom} ${line} L ${points[points.length - 1][0]} ${panel.bottom} Z`;
+    }).join(' ');
+}
@@ -0,0 +1,59 @@
+/**
+ * Tonight's migration — per-hour flight bars plus the next-morning arrival call.
+ * Reads the `tonightMigration` forecast built by modules/nocturnalMigration.js.
+ */
+
+import store from '../state/store.js';
+import { formatTime, formatWindSpeed, getWindDirectionLabel } from '../utils/formatting.js';
+
+/**
+ * Render tonight's migration forecast into #tonight-migration.
+ */
+export function renderNocturnalMigration() {
+    const container = document.getElementById('tonight-migration');
+    if (!container) return;
+
+    const forecast = store.get('tonightMigration');
+    if (!forecast) {
+        container.innerHTML = `
+            <p class="tonight-migration__empty">
+                No nocturnal migration forecast - outside migration season or winds aloft unavailable.
+            </p>
+        `;
+        return;
+    }
+
+    const { hours, averageScore, peak, arrival } = forecast;
+
+    container.innerHTML = `
+        <div class="tonight-migration__summary">
+            <span class="tonight-migration__arrival tonight-migration__arrival--${arrival.level}">
+                ${arrival.level} arrival
+            </span>
+            <span class="tonight-migration__message">${arrival.message}</span>
+        </div>
+        <div class="tonight-migration__bars">
+            ${hours.map(renderHour).join('')}
+        </div>
+        <div class="tonight-migration__footer">
+            Night average ${averageScore} &middot; peak ${peak.score} at ${formatTime(peak.time)}
+        </div>
+    `;
+}
+
+function renderHour(hour) {
+    const title = [
+        `${formatTime(hour.time)}: ${hour.score} (${hour.rating})`,
+        `850 hPa wind ${getWindDirectionLabel(hour.windDirection850)} ${formatWindSpeed(hour.windSpeed850)}`,
+        hour.cloudCover !== null ? `Cloud ${Math.round(hour.cloudCover)}%` : null,
+        ...hour.details
+    ].filter(Boolean).join('\n');
+
+    return `
+        <div class="tonight-migration__hour" title="${title}">
+            <div class="tonight-migration__bar tonight-migration__bar--${hour.rating.toLowerCase()}"
+                 style="height: ${Math.max(hour.score, 4)}%"></div>
+            <span class="tonight-migration__label">${hour.time.getHours()}</span>
+        </div>
+    `;
+}
@@ -0,0 +1,90 @@
+/**
+ * "Best time to go" card — top outing windows for a chosen score.
+ * Re-renders whenever the score timeline or planner preferences change.
+ */
+
+import store from '../state/store.js';
+import { formatTime } from '../utils/formatting.js';
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { TIMELINE_SCORE_KEYS } from '../modules/birdingForecast.js';
+import { findOutingWindows } from '../modules/outingPlanner.js';
+
+let els = null;
+
+/**
+ * Initialize the planner card and wire up its controls.
+ * @param {Object} plannerElements
+ * @param {HTMLSelectElement} plannerElements.scoreSelect - Target score picker
+ * @param {HTMLInputElement} plannerElements.threshold - Minimum score input
+ * @param {HTMLElement} plannerElements.windows - Container for the ranked windows
+ */
+export function initOutingPlanner(plannerElements) {
+    els = plannerElements;
+
+    els.threshold.value = store.get('plannerThreshold');
+
+    els.scoreSelect.addEventListener('change', () => {
+        store.set('plannerScoreKey', els.scoreSelect.value);
+    });
+
+    els.threshold.addEventListener('change', () => {
+        const value = Math.max(0, Math.min(100, parseInt(els.threshold.value, 10) || 0));
+        els.threshold.value = value;
+        store.set('plannerThreshold', value);
+    });
+
+    store.subscribe('scoreTimeline', renderOutingPlanner);
+    store.subscribe('plannerScoreKey', renderOutingPlanner);
+    store.subscribe('plannerThreshold', renderOutingPlanner);
+}
+
+/**
+ * Render the top outing windows for the selected score.
+ */
+export function renderOutingPlanner() {
+    if (!els) return;
+
+    const timeline = store.get('scoreTimeline') || [];
+    const available = TIMELINE_SCORE_KEYS.filter(key => timeline.some(e => e.scores[key]));
+
+    // Fall back to the first available score (e.g. seabirds -> grassland inland)
+    let scoreKey = store.get('plannerScoreKey');
+    if (available.length > 0 && !available.includes(scoreKey)) {
+        scoreKey = available[0];
+    }
+
+    els.scoreSelect.innerHTML = available.map(key => `
+        <option value="${key}" ${key === scoreKey ? 'selected' : ''}>${SCORE_DISPLAY_NAMES[key]}</option>
+    `).join('');
+
+    if (timeline.length === 0) {
+        els.windows.innerHTML = '';
+        return;
+    }
+
+    const threshold = store.get('plannerThreshold');
+    const windows = findOutingWindows(timeline, scoreKey, { threshold });
+
+    if (windows.length === 0) {
+        els.windows.innerHTML = `
+            <p class="planner__empty">
+                No 2–4 hour window stays at ${threshold}+ for ${SCORE_DISPLAY_NAMES[scoreKey]} in the next 48 hours.
+            </p>
+        `;
+        return;
+    }
+
+    els.windows.innerHTML = windows.map((w, i) => `
+        <div class="planner-window">
+            <div class="planner-window__rank">${i + 1}</div>
+            <div class="planner-window__body">
+                <div class="planner-window__time">${formatTime(w.start, true)} – ${formatTime(w.end)}</div>
+                <div class="planner-window__reason">${w.reason}</div>
+            </div>
+            <div class="planner-window__score">
+                <span class="planner-window__value">${w.averageScore}</span>
+                <span class="gauge-rating gauge-rating--${w.rating.toLowerCase()}">avg · peak ${w.peakScore}</span>
+            </div>
+        </div>
+    `).join('');
+}
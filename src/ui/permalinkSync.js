@@ -0,0 +1,104 @@
+/**
+ * Keeps the URL in step with the view so it can be shared, and restores the
+ * view from it — on load and on browser back/forward.
+ * Moving to a new location adds a history entry; everything else (hotspot,
+ * score modal, units, a refined location name) replaces the current one.
+ */
+
+import store from '../state/store.js';
+import {
+    buildPermalinkQuery,
+    parsePermalinkQuery,
+    isSamePermalinkLocation,
+    applyPermalinkUnits
+} from '../modules/permalink.js';
+import { openScoreDetails, closeScoreDetails } from './scoreDetailsModal.js';
+import { openHotspotDetail, closeHotspotDetail } from './hotspotDetailView.js';
+import { debounce } from '../utils/timing.js';
+
+// Store keys encoded in the permalink
+const PERMALINK_KEYS = [
+    'userLat',
+    'userLon',
+    'locationName',
+    'selectedHotspot',
+    'activeScoreModal',
+    'tempUnit',
+    'speedUnit',
+    'pressureUnit'
+];
+
+/**
+ * Read the view from the current URL
+ * @returns {object} From parsePermalinkQuery()
+ */
+export function readPermalink() {
+    return parsePermalinkQuery(window.location.search);
+}
+
+/**
+ * Start writing the view to the URL and handling back/forward.
+ * Call once the initial view has been restored, so it isn't overwritten first.
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onLocationChange - (lat, lon, name) => Promise, for a location from history
+ * @param {Function} callbacks.onUnitsChange - Re-render after history changes the units
+ */
+export function initPermalinkSync(callbacks) {
+    const syncUrl = debounce(writePermalink, 50);
+    PERMALINK_KEYS.forEach(key => store.subscribe(key, syncUrl));
+
+    window.addEventListener('popstate', async () => {
+        const permalink = readPermalink();
+        const unitsChanged = applyPermalinkUnits(permalink.units);
+
+        const current = { lat: store.get('userLat'), lon: store.get('userLon') };
+        if (permalink.location && !isSamePermalinkLocation(permalink.location, current)) {
+            await callbacks.onLocationChange(permalink.location.lat, permalink.location.lon, permalink.location.name);
+        } else if (unitsChanged) {
+            await callbacks.onUnitsChange();
+        }
+
+        restorePermalinkView(permalink);
+    });
+
+    writePermalink();
+}
+
+/**
+ * Reopen the score modal and hotspot panel named in a permalink, closing any others
+ * The hotspot must be among the loaded nearby hotspots.
+ * @param {object} permalink - From readPermalink()
+ */
+export function restorePermalinkView(permalink) {
+    if (permalink.scoreType) {
+        openScoreDetails(permalink.scoreType);
+    } else {
+        closeScoreDetails();
+    }
+
+    const hotspot = permalink.hotspotId
+        ? store.get('nearbyHotspots').find(h => h.id === permalink.hotspotId)
+        : null;
+    if (hotspot) {
+        if (store.get('selectedHotspot')?.id !== hotspot.id) openHotspotDetail(hotspot);
+    } else if (store.get('selectedHotspot')) {
+        closeHotspotDetail();
+    }
+}
+
+// Helper functions
+
+function writePermalink() {
+    const query = buildPermalinkQuery(store.getState());
+    if (!query || query === window.location.search) return;
+
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    const shown = readPermalink().location;
+    const current = { lat: store.get('userLat'), lon: store.get('userLon') };
+
+    if (shown && !isSamePermalinkLocation(shown, current)) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * "Rarities nearby" panel — recent eBird notable observations around the current location.
+ * Filters (days back, radius) are stored preferences; changing one reloads the list.
+ */
+
+import store from '../state/store.js';
+import { formatTime } from '../utils/formatting.js';
+import {
+    RARITY_DAYS_OPTIONS,
+    RARITY_RADIUS_OPTIONS_KM,
+    parseObservationDate
+} from '../modules/rarities.js';
+
+let els = null;
+let onFiltersChange = null;
+let onRaritySelect = null;
+
+/**
+ * Initialize the rarities panel and wire up its filters.
+ * @param {Object} rarityElements
+ * @param {HTMLSelectElement} rarityElements.daysSelect - Days-back filter
+ * @param {HTMLSelectElement} rarityElements.radiusSelect - Radius filter
+ * @param {HTMLElement} rarityElements.list - Container for the observations
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onFiltersChange - Called after a filter changes
+ * @param {Function} callbacks.onRaritySelect - (lat, lon, name) => Promise
+ */
+export function initRaritiesView(rarityElements, callbacks) {
+    els = rarityElements;
+    onFiltersChange = callbacks.onFiltersChange;
+    onRaritySelect = callbacks.onRaritySelect;
+
+    els.daysSelect.innerHTML = RARITY_DAYS_OPTIONS
+        .map(days => `<option value="${days}">Last ${days === 1 ? 'day' : `${days} days`}</option>`)
+        .join('');
+    els.radiusSelect.innerHTML = RARITY_RADIUS_OPTIONS_KM
+        .map(km => `<option value="${km}">Within ${km} km</option>`)
+        .join('');
+
+    els.daysSelect.value = store.get('rarityDaysBack');
+    els.radiusSelect.value = store.get('rarityRadiusKm');
+
+    els.daysSelect.addEventListener('change', () => {
+        store.set('rarityDaysBack', Number(els.daysSelect.value));
+        if (onFiltersChange) onFiltersChange();
+    });
+
+    els.radiusSelect.addEventListener('change', () => {
+        store.set('rarityRadiusKm', Number(els.radiusSelect.value));
+        if (onFiltersChange) onFiltersChange();
+    });
+
+    els.list.addEventListener('click', (e) => {
+        const item = e.target.closest('.rarity');
+        if (item && onRaritySelect) {
+            onRaritySelect(parseFloat(item.dataset.lat), parseFloat(item.dataset.lon), item.dataset.name);
+        }
+    });
+}
+
+/**
+ * Render notable observations, or a message when there are none.
+ * @param {Array|null} observations - From summarizeNotableObservations()
+ * @param {string} message - Shown instead of the list (e.g. missing API key)
+ */
+export function renderRarities(observations, message = '') {
+    if (!els) return;
+
+    if (message || !observations || observations.length === 0) {
+        els.list.innerHTML = `
+            <p class="rarities__empty">${message || 'No notable observations reported nearby for these filters.'}</p>
+        `;
+        return;
+    }
+
+    els.list.innerHTML = observations.map(renderRarity).join('');
+}
+
+function renderRarity(obs) {
+    const escapedLocation = obs.locationName.replace(/"/g, '&quot;');
+    const reports = obs.reports > 1 ? ` &middot; ${obs.reports} reports` : '';
+
+    return `
+        <div class="rarity" data-lat="${obs.lat}" data-lon="${obs.lon}" data-name="${escapedLocation}"
+             title="Check the weather at ${escapedLocation}">
+            <div class="rarity__species">
+                ${obs.commonName}
+                ${obs.reviewed && obs.valid ? '<span class="rarity__badge">Confirmed</span>' : ''}
+            </div>
+            <div class="rarity__meta">
+                ${obs.count !== null ? `${obs.count} seen` : 'Present'} &middot;
+                ${formatTime(parseObservationDate(obs.date), true)} &middot;
+                ${obs.distanceKm.toFixed(1)} km away${reports}
+            </div>
+            <div class="rarity__location">${obs.locationName}</div>
+        </div>
+    `;
+}
@@ -0,0 +1,83 @@
+/**
+ * Replay controls — pick a past date to see the dashboard as it stood at 7am
+ * that day, and a banner to get back to live conditions.
+ */
+
+import store from '../state/store.js';
+import { parseReplayDate, toDateInputValue, formatReplayMoment, getLatestReplayDate } from '../modules/replay.js';
+
+let els = null;
+let onReplayChange = null;
+
+/**
+ * Initialize the replay controls and banner.
+ * @param {Object} replayElements
+ * @param {HTMLInputElement} replayElements.dateInput - Date picker in the header
+ * @param {HTMLButtonElement} replayElements.replayBtn
+ * @param {HTMLElement} replayElements.banner - Shown while replaying
+ * @param {HTMLElement} replayElements.message - Banner text
+ * @param {HTMLButtonElement} replayElements.liveBtn - Returns to live conditions
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onReplayChange - Called after `replayDate` changes, to reload the weather
+ */
+export function initReplayView(replayElements, callbacks) {
+    els = replayElements;
+    onReplayChange = callbacks.onReplayChange;
+
+    els.dateInput.max = toDateInputValue(getLatestReplayDate());
+
+    els.replayBtn.addEventListener('click', startReplay);
+    els.dateInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') startReplay();
+    });
+    els.dateInput.addEventListener('input', () => els.dateInput.setCustomValidity(''));
+    els.liveBtn.addEventListener('click', () => setReplayDate(null));
+
+    store.subscribe('replayDate', renderReplayBanner);
+    renderReplayBanner();
+}
+
+/**
+ * Back out of a replay the archive couldn't serve: return to live conditions
+ * and explain why on the date picker, keeping the rejected date for editing.
+ * @param {string} message - Why the date has no archived weather
+ */
+export function rejectReplayDate(message) {
+    const rejected = store.get('replayDate');
+    setReplayDate(null);
+
+    els.dateInput.value = toDateInputValue(rejected);
+    els.dateInput.setCustomValidity(message);
+    els.dateInput.reportValidity();
+}
+
+function startReplay() {
+    const { date, error } = parseReplayDate(els.dateInput.value);
+    if (error) {
+        els.dateInput.setCustomValidity(error);
+        els.dateInput.reportValidity();
+        return;
+    }
+    els.dateInput.setCustomValidity('');
+    setReplayDate(date);
+}
+
+function setReplayDate(date) {
+    store.set('replayDate', date);
+    onReplayChange();
+}
+
+function renderReplayBanner() {
+    const replayDate = store.get('replayDate');
+
+    if (!replayDate) {
+        els.banner.classList.add('hidden');
+        els.dateInput.value = '';
+        return;
+    }
+
+    els.message.textContent = `Replaying conditions as of ${formatReplayMoment(replayDate)} from archived weather. `
+        + 'Hotspot activity and rare sightings are still current.';
+    els.dateInput.value = toDateInputValue(replayDate);
+    els.banner.classList.remove('hidden');
+}
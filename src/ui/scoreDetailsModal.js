@@ -4,18 +4,8 @@
  */
 
 import store from '../state/store.js';
-
-const scoreDisplayNames = {
-    hawkWatchScore: 'Hawk Watch',
-    seabirdScore: 'Seabird/Coastal',
-    grasslandScore: 'Grassland Birds',
-    songbirdMigrationScore: 'Songbird Migration',
-    songbirdActivityScore: 'Songbird Activity',
-    shorebirdScore: 'Shorebirds',
-    woodlandScore: 'Woodland Birds',
-    waterfowlScore: 'Waterfowl',
-    owlingScore: 'Owling'
-};
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { getWindDirectionLabel } from '../utils/formatting.js';
 
 const scoreTips = {
     Excellent: "Perfect conditions! Head out now for the best birding.",
@@ -25,6 +15,13 @@ const scoreTips = {
     Unfavorable: "Not ideal for this type of birding today."
 };
 
+// Store key holding the shoreline each shore-based score was computed against
+const SHORE_INFO_KEYS = {
+    seabirdScore: 'coastInfo',
+    shorebirdScore: 'coastInfo',
+    lakewatchScore: 'lakeInfo'
+};
+
 let els = null;
 
 /**
@@ -49,29 +46,33 @@ export function initScoreDetailsModal(modalElements) {
     });
 
     if (els.closeBtn) {
-        els.closeBtn.addEventListener('click', closeModal);
+        els.closeBtn.addEventListener('click', closeScoreDetails);
     }
 
     if (els.modal) {
         els.modal.addEventListener('click', (e) => {
             if (e.target === els.modal) {
-                closeModal();
+                closeScoreDetails();
             }
         });
     }
 
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape' && els.modal && !els.modal.classList.contains('hidden')) {
-            closeModal();
+            closeScoreDetails();
         }
     });
 }
 
-function openScoreDetails(scoreType) {
+/**
+ * Open the modal for one score.
+ * @param {string} scoreType - Score store key, e.g. 'hawkWatchScore'
+ */
+export function openScoreDetails(scoreType) {
     const scoreData = store.get(scoreType);
-    if (!scoreData || !els.modal) return;
+    if (!els || !scoreData || !els.modal) return;
 
-    els.title.textContent = scoreDisplayNames[scoreType] || 'Score Details';
+    els.title.textContent = SCORE_DISPLAY_NAMES[scoreType] || 'Score Details';
     els.value.textContent = scoreData.score;
     els.rating.textContent = scoreData.rating;
     els.rating.className = `score-modal__rating gauge-rating--${scoreData.rating.toLowerCase()}`;
@@ -88,13 +89,33 @@ function openScoreDetails(scoreType) {
         })
         .join('');
 
-    els.tip.textContent = scoreTips[scoreData.rating] || '';
+    els.tip.textContent = [getShoreNote(scoreType), scoreTips[scoreData.rating]]
+        .filter(Boolean)
+        .join(' ');
 
     els.modal.classList.remove('hidden');
+    store.set('activeScoreModal', scoreType);
 }
 
-function closeModal() {
-    if (els.modal) {
+/**
+ * Describe which shore a coastal or lake score is based on
+ */
+function getShoreNote(scoreType) {
+    const shoreInfo = SHORE_INFO_KEYS[scoreType] ? store.get(SHORE_INFO_KEYS[scoreType]) : null;
+
+    if (!shoreInfo) return '';
+
+    const { min, max } = shoreInfo.onshoreSector;
+    return `${shoreInfo.name} shore faces ${getWindDirectionLabel(shoreInfo.seawardBearing)}; ` +
+        `onshore winds blow from ${getWindDirectionLabel(min)} to ${getWindDirectionLabel(max)}.`;
+}
+
+/**
+ * Close the modal.
+ */
+export function closeScoreDetails() {
+    if (els?.modal) {
         els.modal.classList.add('hidden');
     }
+    store.set('activeScoreModal', null);
 }
@@ -0,0 +1,116 @@
+/**
+ * Hour-by-hour score outlook — one heat strip per birding score, plus fallout risk.
+ * Reads the `scoreTimeline` built by modules/birdingForecast.js from the store.
+ */
+
+import store from '../state/store.js';
+import { formatTime } from '../utils/formatting.js';
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { TIMELINE_SCORE_KEYS, findScorePeaks, findFalloutPeak } from '../modules/birdingForecast.js';
+
+// Hour label spacing along the time axis
+const AXIS_LABEL_EVERY_HOURS = 6;
+
+/**
+ * Render the score timeline into the #score-timeline container.
+ */
+export function renderScoreTimeline() {
+    const container = document.getElementById('score-timeline');
+    if (!container) return;
+
+    const timeline = store.get('scoreTimeline') || [];
+    if (timeline.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const peaks = findScorePeaks(timeline);
+
+    // Skip scores that never apply here (e.g. seabirds inland, migration in winter)
+    const rows = TIMELINE_SCORE_KEYS
+        .filter(key => peaks[key])
+        .map(key => renderRow(key, timeline, peaks[key]))
+        .join('');
+
+    container.innerHTML = `
+        ${rows}
+        ${renderFalloutRow(timeline, findFalloutPeak(timeline))}
+        <div class="score-timeline__row score-timeline__row--axis">
+            <div class="score-timeline__label"></div>
+            <div class="score-timeline__cells">${renderAxis(timeline)}</div>
+        </div>
+    `;
+}
+
+function renderRow(key, timeline, peak) {
+    const cells = timeline.map(entry => {
+        const result = entry.scores[key];
+        const time = new Date(entry.time);
+        const isPeak = time.getTime() === new Date(peak.time).getTime();
+        const classes = [
+            'score-timeline__cell',
+            result ? `score-timeline__cell--${result.rating.toLowerCase()}` : 'score-timeline__cell--none',
+            time.getHours() === 0 ? 'score-timeline__cell--day-start' : '',
+            isPeak ? 'score-timeline__cell--peak' : ''
+        ].filter(Boolean).join(' ');
+        const title = result
+            ? `${formatTime(time, true)}: ${result.score} (${result.rating})`
+            : `${formatTime(time, true)}: not scored`;
+
+        return `<div class="${classes}" title="${title}"></div>`;
+    }).join('');
+
+    return `
+        <div class="score-timeline__row">
+            <div class="score-timeline__label">
+                <span class="score-timeline__name">${SCORE_DISPLAY_NAMES[key]}</span>
+                <span class="score-timeline__peak">Peak ${peak.score} · ${formatTime(peak.time, true)}</span>
+            </div>
+            <div class="score-timeline__cells">${cells}</div>
+        </div>
+    `;
+}
+
+// Cells are colored by risk level; the peak is the first hour at the highest level
+function renderFalloutRow(timeline, peak) {
+    if (!peak) return '';
+
+    const cells = timeline.map(entry => {
+        const risk = entry.scores.falloutRisk;
+        const time = new Date(entry.time);
+        const isPeak = peak.level !== 'low' && time.getTime() === new Date(peak.time).getTime();
+        const classes = [
+            'score-timeline__cell',
+            risk ? `score-timeline__cell--fallout-${risk.level}` : 'score-timeline__cell--none',
+            time.getHours() === 0 ? 'score-timeline__cell--day-start' : '',
+            isPeak ? 'score-timeline__cell--peak' : ''
+        ].filter(Boolean).join(' ');
+        const title = risk
+            ? `${formatTime(time, true)}: ${risk.level} fallout risk`
+            : `${formatTime(time, true)}: not scored`;
+
+        return `<div class="${classes}" title="${title}"></div>`;
+    }).join('');
+
+    const summary = peak.level === 'low'
+        ? 'Low throughout'
+        : `Peak ${peak.level} · ${formatTime(peak.time, true)}`;
+
+    return `
+        <div class="score-timeline__row">
+            <div class="score-timeline__label">
+                <span class="score-timeline__name">${SCORE_DISPLAY_NAMES.falloutRisk}</span>
+                <span class="score-timeline__peak">${summary}</span>
+            </div>
+            <div class="score-timeline__cells">${cells}</div>
+        </div>
+    `;
+}
+
+function renderAxis(timeline) {
+    return timeline.map((entry, i) => {
+        const time = new Date(entry.time);
+        const label = i % AXIS_LABEL_EVERY_HOURS === 0 ? formatTime(time) : '';
+        return `<div class="score-timeline__tick">${label}</div>`;
+    }).join('');
+}
@@ -0,0 +1,211 @@
+/**
+ * Scoring settings panel — edit the weights behind each birding score.
+ * Edits go into a draft and are previewed against the loaded forecast;
+ * saving stores only the values that differ from the defaults.
+ */
+
+import store from '../state/store.js';
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import {
+    SCORING_FIELDS,
+    FIELD_RANGES,
+    resolveScoringConfig,
+    cleanScoringOverrides,
+    exportScoringConfig,
+    importScoringConfig
+} from '../config/scoringConfig.js';
+import { computeBirdingConditions, buildScoreTimeline, findScorePeaks } from '../modules/birdingForecast.js';
+import { forecastNocturnalMigration } from '../modules/nocturnalMigration.js';
+import { getReferenceTime } from '../modules/replay.js';
+import { formatTime } from '../utils/formatting.js';
+
+let els = null;
+let draft = {};
+
+/**
+ * Initialize the scoring settings modal.
+ * @param {Object} scoringElements
+ * @param {HTMLButtonElement} scoringElements.openBtn - "Customize scoring" button in the settings modal
+ * @param {HTMLElement} scoringElements.modal - Overlay element
+ * @param {HTMLButtonElement} scoringElements.closeBtn
+ * @param {HTMLSelectElement} scoringElements.scoreSelect - Which score to edit
+ * @param {HTMLElement} scoringElements.fields - Container for the number inputs
+ * @param {HTMLElement} scoringElements.preview - Before/after scores for the loaded forecast
+ * @param {HTMLButtonElement} scoringElements.resetBtn - Restores the selected score's defaults
+ * @param {HTMLButtonElement} scoringElements.exportBtn
+ * @param {HTMLButtonElement} scoringElements.importBtn - Opens the file picker
+ * @param {HTMLInputElement} scoringElements.importInput - Hidden JSON file input
+ * @param {HTMLButtonElement} scoringElements.saveBtn
+ * @param {HTMLElement} scoringElements.status - Import/export messages
+ */
+export function initScoringSettings(scoringElements) {
+    els = scoringElements;
+
+    els.scoreSelect.innerHTML = Object.keys(SCORING_FIELDS)
+        .map(key => `<option value="${key}">${SCORE_DISPLAY_NAMES[key]}</option>`)
+        .join('');
+
+    els.openBtn.addEventListener('click', openScoringSettings);
+    els.closeBtn.addEventListener('click', closeScoringSettings);
+    els.modal.addEventListener('click', (e) => {
+        if (e.target === els.modal) {
+            closeScoringSettings();
+        }
+    });
+
+    els.scoreSelect.addEventListener('change', () => {
+        renderFields();
+        renderPreview();
+    });
+
+    // Single delegated handler for every weight input
+    els.fields.addEventListener('input', (e) => {
+        const field = e.target.dataset.field;
+        if (!field) return;
+        const scoreKey = els.scoreSelect.value;
+        draft = { ...draft, [scoreKey]: { ...draft[scoreKey], [field]: e.target.value } };
+        renderPreview();
+    });
+
+    els.resetBtn.addEventListener('click', () => {
+        const { [els.scoreSelect.value]: _reset, ...rest } = draft;
+        draft = rest;
+        renderFields();
+        renderPreview();
+    });
+
+    els.exportBtn.addEventListener('click', exportDraft);
+    els.importBtn.addEventListener('click', () => els.importInput.click());
+    els.importInput.addEventListener('change', importDraft);
+
+    els.saveBtn.addEventListener('click', () => {
+        store.set('scoringOverrides', cleanScoringOverrides(draft));
+        closeScoringSettings();
+    });
+}
+
+/**
+ * Open the panel with a fresh draft of the saved weights.
+ */
+export function openScoringSettings() {
+    if (!els) return;
+    draft = store.get('scoringOverrides') || {};
+    els.status.textContent = '';
+    renderFields();
+    renderPreview();
+    els.modal.classList.add('visible');
+}
+
+function closeScoringSettings() {
+    els.modal.classList.remove('visible');
+}
+
+function renderFields() {
+    const scoreKey = els.scoreSelect.value;
+    const config = resolveScoringConfig(draft)[scoreKey];
+
+    els.fields.innerHTML = SCORING_FIELDS[scoreKey].map(field => {
+        const { min, max, unit } = FIELD_RANGES[field.type];
+        const id = `scoring-${scoreKey}-${field.key}`;
+        return `
+            <div class="form-group scoring-field">
+                <label class="form-label" for="${id}">
+                    ${field.label}${unit ? ` (${unit})` : ''}
+                    <span class="scoring-field__default">default ${field.value}</span>
+                </label>
+                <input type="number" class="form-input" id="${id}" data-field="${field.key}"
+                       min="${min}" max="${max}" step="1" value="${config[field.key]}">
+            </div>
+        `;
+    }).join('');
+}
+
+function renderPreview() {
+    const inputs = store.get('scoringInputs');
+    if (!inputs) {
+        els.preview.innerHTML = '<p class="scoring-preview__empty">Load a forecast to preview your changes.</p>';
+        return;
+    }
+
+    const scoreKey = els.scoreSelect.value;
+    const before = scoreWith(inputs, store.get('scoringOverrides'), scoreKey);
+    const after = scoreWith(inputs, draft, scoreKey);
+
+    if (!after.current) {
+        els.preview.innerHTML = '<p class="scoring-preview__empty">Not scored at this location right now.</p>';
+        return;
+    }
+
+    const changed = (a, b) => a && b && (a.score !== b.score || a.rating !== b.rating);
+
+    els.preview.innerHTML = `
+        <div class="scoring-preview__row">
+            <span class="scoring-preview__label">${after.label || 'Now'}</span>
+            ${renderChange(before.current, after.current, changed(before.current, after.current))}
+        </div>
+        ${after.peak ? `
+            <div class="scoring-preview__row">
+                <span class="scoring-preview__label">48h peak &middot; ${formatTime(after.peak.time, true)}</span>
+                ${renderChange(before.peak, after.peak, changed(before.peak, after.peak))}
+            </div>
+        ` : ''}
+        <ul class="scoring-preview__details">
+            ${after.current.details.map(d => `<li>${d}</li>`).join('')}
+        </ul>
+    `;
+}
+
+function renderChange(before, after, changed) {
+    const badge = result => `
+        <span class="scoring-preview__score scoring-preview__score--${result.rating.toLowerCase()}">
+            ${result.score} ${result.rating}
+        </span>
+    `;
+    return changed ? `${badge(before)}<span class="scoring-preview__arrow">&rarr;</span>${badge(after)}` : badge(after);
+}
+
+function scoreWith({ weatherData, location }, overrides, scoreKey) {
+    const scored = { ...location, scoringConfig: resolveScoringConfig(overrides) };
+
+    // Night-only score: preview tonight's best hour instead of now
+    if (scoreKey === 'nocturnalMigration') {
+        const tonight = forecastNocturnalMigration(
+            weatherData.hourlyForecast, location, getReferenceTime(), scored.scoringConfig
+        );
+        const peak = tonight?.hours.find(h => h.time.getTime() === tonight.peak.time.getTime()) || null;
+        return { current: peak, peak: null, label: peak ? `Tonight's peak &middot; ${formatTime(peak.time)}` : null };
+    }
+
+    return {
+        current: computeBirdingConditions(weatherData, scored)[scoreKey],
+        peak: findScorePeaks(buildScoreTimeline(weatherData, scored))[scoreKey] || null
+    };
+}
+
+function exportDraft() {
+    const blob = new Blob([exportScoringConfig(draft)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'birding-scoring.json';
+    link.click();
+    URL.revokeObjectURL(url);
+    els.status.textContent = 'Exported your current edits.';
+}
+
+async function importDraft() {
+    const file = els.importInput.files[0];
+    els.importInput.value = '';
+    if (!file) return;
+
+    const { overrides, error } = importScoringConfig(await file.text());
+    if (error) {
+        els.status.textContent = error;
+        return;
+    }
+
+    draft = overrides;
+    renderFields();
+    renderPreview();
+    els.status.textContent = 'Imported. Review the preview, then save to apply.';
+}
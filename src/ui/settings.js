@@ -5,6 +5,15 @@
 
 import store from '../state/store.js';
 import { switchMapTileLayer, updateMapToggleIcon } from './mapView.js';
+import {
+    DEFAULT_HAWK_PROFILE,
+    getSavedLocation,
+    updateSavedLocation,
+    normalizeHawkProfile
+} from '../modules/locationProfiles.js';
+import { getMigrationWindows, formatMonthDay, parseMonthDay } from '../modules/season.js';
+import { WEATHER_PROVIDERS, DEFAULT_WEATHER_PROVIDER } from '../api/weatherProviders.js';
+import { normalizeRadiusKm } from '../modules/hotspotSearch.js';
 
 let els = null;
 let onSettingsSaved = null;
@@ -20,6 +29,9 @@ export function initSettings(settingsElements, callbacks) {
     onSettingsSaved = callbacks.onSettingsSaved;
 
     els.settingsBtn.addEventListener('click', () => {
+        // Profile fields belong to the current location, which may have changed
+        loadHawkProfileForm();
+        loadMigrationWindowsForm();
         els.modal.classList.add('visible');
     });
 
@@ -35,6 +47,13 @@ export function initSettings(settingsElements, callbacks) {
 
     els.saveBtn.addEventListener('click', saveSettings);
 
+    els.hawkLift.addEventListener('change', updateHawkProfileFields);
+    els.observationSource.addEventListener('change', updateObservationFields);
+
+    els.weatherProvider.innerHTML = Object.entries(WEATHER_PROVIDERS)
+        .map(([id, provider]) => `<option value="${id}">${provider.label}</option>`)
+        .join('');
+
     // Load current values into form
     loadSettingsForm();
 }
@@ -47,6 +66,98 @@ function loadSettingsForm() {
     const mapMode = store.get('mapTileMode') || 'dark';
     els.mapTileMode.value = mapMode;
     updateMapToggleIcon(mapMode);
+    els.weatherProvider.value = WEATHER_PROVIDERS[store.get('weatherProvider')]
+        ? store.get('weatherProvider')
+        : DEFAULT_WEATHER_PROVIDER;
+    els.observationSource.value = store.get('observationSource') || 'none';
+    els.pwsUrl.value = store.get('pwsUrl') || '';
+    els.hotspotRadius.value = store.get('hotspotRadiusKm');
+    updateObservationFields();
+    loadHawkProfileForm();
+    loadMigrationWindowsForm();
+}
+
+function updateObservationFields() {
+    els.pwsUrl.classList.toggle('hidden', els.observationSource.value !== 'pws');
+}
+
+function loadHawkProfileForm() {
+    const saved = getSavedLocation(store.get('locationName'));
+    const profile = saved?.hawkProfile || null;
+
+    els.hawkNote.textContent = saved
+        ? `Applies to ${saved.name}.`
+        : 'Save this location (⭐ in the location menu) to attach a hawk-watch profile.';
+
+    els.hawkLift.disabled = !saved;
+    els.hawkLift.value = profile ? profile.lift : '';
+    els.hawkBearing.value = (profile || DEFAULT_HAWK_PROFILE).bearing;
+    els.hawkSeason.value = (profile || DEFAULT_HAWK_PROFILE).season;
+    updateHawkProfileFields();
+}
+
+function updateHawkProfileFields() {
+    // Bearing and season only apply to a custom profile
+    const isCustom = !els.hawkLift.disabled && els.hawkLift.value !== '';
+    els.hawkBearing.disabled = !isCustom;
+    els.hawkSeason.disabled = !isCustom;
+}
+
+function saveHawkProfile() {
+    const name = store.get('locationName');
+    if (!getSavedLocation(name)) return;
+
+    const hawkProfile = els.hawkLift.value
+        ? normalizeHawkProfile({
+            bearing: els.hawkBearing.value,
+            season: els.hawkSeason.value,
+            lift: els.hawkLift.value
+        })
+        : null;
+
+    updateSavedLocation(name, { hawkProfile });
+}
+
+function loadMigrationWindowsForm() {
+    const saved = getSavedLocation(store.get('locationName'));
+    const custom = saved?.migrationWindows || null;
+    // Placeholders show the automatic windows for this latitude
+    const automatic = getMigrationWindows(store.get('userLat') || 0);
+
+    els.migrationNote.textContent = saved
+        ? 'Leave blank to use automatic windows for this latitude and hemisphere.'
+        : 'Save this location to set its own migration dates.';
+
+    ['spring', 'fall'].forEach(season => {
+        ['start', 'end'].forEach(edge => {
+            const input = els.migrationInputs[season][edge];
+            input.disabled = !saved;
+            input.value = custom?.[season]?.[edge] || '';
+            input.placeholder = formatMonthDay(automatic[season][edge]);
+        });
+    });
+}
+
+function saveMigrationWindows() {
+    const name = store.get('locationName');
+    if (!getSavedLocation(name)) return;
+
+    const migrationWindows = {};
+    ['spring', 'fall'].forEach(season => {
+        const start = els.migrationInputs[season].start.value.trim();
+        const end = els.migrationInputs[season].end.value.trim();
+        // Only keep complete, valid windows; anything else falls back to automatic
+        if (parseMonthDay(start) && parseMonthDay(end)) {
+            migrationWindows[season] = {
+                start: formatMonthDay(parseMonthDay(start)),
+                end: formatMonthDay(parseMonthDay(end))
+            };
+        }
+    });
+
+    updateSavedLocation(name, {
+        migrationWindows: Object.keys(migrationWindows).length > 0 ? migrationWindows : null
+    });
 }
 
 function saveSettings() {
@@ -57,9 +168,19 @@ function saveSettings() {
         tempUnit: els.tempUnit.value,
         speedUnit: els.speedUnit.value,
         pressureUnit: els.pressureUnit.value,
-        mapTileMode: newTileMode
+        mapTileMode: newTileMode,
+        weatherProvider: els.weatherProvider.value,
+        observationSource: els.observationSource.value,
+        pwsUrl: els.pwsUrl.value.trim(),
+        hotspotRadiusKm: normalizeRadiusKm(els.hotspotRadius.value)
     });
 
+    // Show the clamped value if the modal is reopened
+    els.hotspotRadius.value = store.get('hotspotRadiusKm');
+
+    saveHawkProfile();
+    saveMigrationWindows();
+
     switchMapTileLayer(newTileMode);
     updateMapToggleIcon(newTileMode);
 
@@ -0,0 +1,48 @@
+/**
+ * Stale data banner
+ * Shown while the dashboard is serving cached data because the network is down.
+ */
+
+import store from '../state/store.js';
+import { formatTime } from '../utils/formatting.js';
+import { getCacheAge } from '../modules/offlineCache.js';
+
+const AGE_UPDATE_INTERVAL_MS = 60 * 1000;
+
+let els = {};
+
+/**
+ * Initialize the stale data banner
+ * @param {object} elements - { banner, message }
+ */
+export function initStaleBanner(elements) {
+    els = elements;
+
+    store.subscribe('cachedDataTime', renderStaleBanner);
+    window.addEventListener('online', renderStaleBanner);
+    window.addEventListener('offline', renderStaleBanner);
+
+    // Keep the age current while we're stuck on cached data
+    setInterval(renderStaleBanner, AGE_UPDATE_INTERVAL_MS);
+}
+
+function renderStaleBanner() {
+    const savedAt = store.get('cachedDataTime');
+    if (!els.banner) return;
+
+    if (!savedAt) {
+        els.banner.classList.add('hidden');
+        return;
+    }
+
+    const { minutes, isStale } = getCacheAge(savedAt);
+    const age = minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} hr ${minutes % 60} min`;
+    const reason = navigator.onLine ? 'Could not reach the weather service' : 'You are offline';
+
+    els.message.textContent = isStale
+        ? `${reason} - showing data from ${formatTime(savedAt, true)} (${age} old). Conditions may have changed.`
+        : `${reason} - showing data saved ${age} ago.`;
+    els.banner.classList.toggle('alert--warning', isStale);
+    els.banner.classList.toggle('alert--info', !isStale);
+    els.banner.classList.remove('hidden');
+}
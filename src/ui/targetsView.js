@@ -0,0 +1,166 @@
+/**
+ * Target species cards — a gauge and hourly outlook for each chosen species.
+ * Profiles come from the starter library or a user's JSON import (modules/targets.js).
+ */
+
+import store from '../state/store.js';
+import { formatTime } from '../utils/formatting.js';
+import {
+    getTargetLibrary,
+    mergeCustomTargets,
+    parseTargetProfiles,
+    getNearbyHabitats,
+    buildTargetOutlook
+} from '../modules/targets.js';
+import { getReferenceTime } from '../modules/replay.js';
+
+// Circumference of the r=50 gauge circle
+const GAUGE_CIRCUMFERENCE = 314;
+
+let els = null;
+
+/**
+ * Initialize the target species section.
+ * @param {Object} targetElements
+ * @param {HTMLSelectElement} targetElements.picker - Profiles not yet shown
+ * @param {HTMLButtonElement} targetElements.addBtn
+ * @param {HTMLButtonElement} targetElements.importBtn - Opens the file picker
+ * @param {HTMLInputElement} targetElements.importInput - Hidden JSON file input
+ * @param {HTMLElement} targetElements.status - Import messages
+ * @param {HTMLElement} targetElements.list - Container for the target cards
+ */
+export function initTargetsView(targetElements) {
+    els = targetElements;
+
+    els.addBtn.addEventListener('click', () => {
+        if (!els.picker.value) return;
+        store.set('activeTargets', [...store.get('activeTargets'), els.picker.value]);
+    });
+
+    els.importBtn.addEventListener('click', () => els.importInput.click());
+    els.importInput.addEventListener('change', importProfiles);
+
+    // Single delegated handler for the remove buttons
+    els.list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-remove-target]');
+        if (btn) {
+            store.set('activeTargets', store.get('activeTargets').filter(id => id !== btn.dataset.removeTarget));
+        }
+    });
+
+    store.subscribe('activeTargets', renderTargets);
+    store.subscribe('customTargets', renderTargets);
+    store.subscribe('scoreTimeline', renderTargets);
+    store.subscribe('nearbyHotspots', renderTargets);
+
+    renderTargets();
+}
+
+/**
+ * Render the picker and one card per active target.
+ */
+export function renderTargets() {
+    if (!els) return;
+
+    const library = getTargetLibrary(store.get('customTargets'));
+    const active = store.get('activeTargets')
+        .map(id => library.find(p => p.id === id))
+        .filter(Boolean);
+
+    const available = library.filter(p => !active.includes(p));
+    els.picker.innerHTML = available.length > 0
+        ? available.map(p => `<option value="${p.id}">${p.name}</option>`).join('')
+        : '<option value="">All targets added</option>';
+    els.addBtn.disabled = available.length === 0;
+
+    if (active.length === 0) {
+        els.list.innerHTML = '<p class="targets__empty">Pick a species to see when conditions suit it.</p>';
+        return;
+    }
+
+    const hourlyForecast = store.get('hourlyForecast') || [];
+    if (hourlyForecast.length === 0) {
+        els.list.innerHTML = '<p class="targets__empty">Waiting for the forecast...</p>';
+        return;
+    }
+
+    const habitats = getNearbyHabitats({
+        isCoastal: store.get('isCoastalLocation'),
+        isLakeShore: store.get('isLakeShore'),
+        hotspots: store.get('nearbyHotspots') || []
+    });
+    const weather = { current: store.get('currentWeather'), hourlyForecast };
+
+    const now = getReferenceTime();
+
+    els.list.innerHTML = active
+        .map(profile => renderTargetCard(profile, buildTargetOutlook(profile, weather, habitats, now)))
+        .join('');
+}
+
+function renderTargetCard(profile, { current, outlook, peak }) {
+    const offset = current ? GAUGE_CIRCUMFERENCE - (current.score / 100) * GAUGE_CIRCUMFERENCE : GAUGE_CIRCUMFERENCE;
+    const rating = current ? current.rating.toLowerCase() : '';
+
+    const cells = outlook.map(({ time, result }) => {
+        const classes = [
+            'score-timeline__cell',
+            `score-timeline__cell--${result.rating.toLowerCase()}`,
+            time.getHours() === 0 ? 'score-timeline__cell--day-start' : '',
+            peak && time.getTime() === peak.time.getTime() ? 'score-timeline__cell--peak' : ''
+        ].filter(Boolean).join(' ');
+        return `<div class="${classes}" title="${formatTime(time, true)}: ${result.score} (${result.rating})"></div>`;
+    }).join('');
+
+    return `
+        <div class="widget target-card">
+            <div class="widget__header">
+                <span class="widget__title">${profile.name}</span>
+                <button class="modal__close target-card__remove" data-remove-target="${profile.id}"
+                        aria-label="Remove ${profile.name}">&times;</button>
+            </div>
+            <div class="target-card__body">
+                <div class="score-gauge">
+                    <svg viewBox="0 0 120 120" class="gauge-svg">
+                        <circle cx="60" cy="60" r="50" class="gauge-bg"/>
+                        <circle cx="60" cy="60" r="50" class="gauge-fill gauge-fill--${rating}"
+                                stroke-dasharray="${GAUGE_CIRCUMFERENCE}" style="stroke-dashoffset: ${offset}"/>
+                    </svg>
+                    <div class="gauge-center">
+                        <span class="gauge-value">${current ? current.score : '--'}</span>
+                        <span class="gauge-rating gauge-rating--${rating}">${current ? current.rating : ''}</span>
+                    </div>
+                </div>
+                <div class="target-card__info">
+                    ${profile.notes ? `<p class="target-card__notes">${profile.notes}</p>` : ''}
+                    <ul class="target-card__details">
+                        ${(current?.details || []).map(d => `<li>${d}</li>`).join('')}
+                    </ul>
+                </div>
+            </div>
+            ${peak ? `
+                <div class="target-card__peak">Peak ${peak.result.score} &middot; ${formatTime(peak.time, true)}</div>
+            ` : ''}
+            <div class="score-timeline__cells">${cells}</div>
+        </div>
+    `;
+}
+
+async function importProfiles() {
+    const file = els.importInput.files[0];
+    els.importInput.value = '';
+    if (!file) return;
+
+    const { profiles, errors } = parseTargetProfiles(await file.text());
+
+    if (profiles.length > 0) {
+        store.update({
+            customTargets: mergeCustomTargets(store.get('customTargets'), profiles),
+            // Show what was just imported
+            activeTargets: [...new Set([...store.get('activeTargets'), ...profiles.map(p => p.id)])]
+        });
+    }
+
+    const imported = profiles.length > 0 ? `Imported ${profiles.map(p => p.name).join(', ')}.` : 'No profiles imported.';
+    els.status.textContent = [imported, ...errors].join(' ');
+}
@@ -10,11 +10,13 @@ import {
     formatWindDirection,
     formatPressure,
     formatVisibility,
-    formatTime,
     formatRelativeTime,
     formatCountdown // kept for potential future use in this module
 } from '../utils/formatting.js';
 import { getWeatherDescription, getWeatherIcon } from '../config/weatherCodes.js';
+import { renderScoreTimeline } from './scoreTimelineView.js';
+import { renderNocturnalMigration } from './nocturnalMigrationView.js';
+import { formatReplayMoment } from '../modules/replay.js';
 
 // Cache frequently used DOM elements for this view
 const elements = {
@@ -22,6 +24,7 @@ const elements = {
     currentTemp: document.getElementById('current-temp'),
     currentConditions: document.getElementById('current-conditions'),
     currentHumidity: document.getElementById('current-humidity'),
+    observationSource: document.getElementById('observation-source-label'),
     weatherIcon: document.getElementById('weather-icon'),
 
     // Wind
@@ -38,10 +41,6 @@ const elements = {
     // Pressure
     pressureValue: document.getElementById('pressure-value'),
     pressureTrend: document.getElementById('pressure-trend'),
-    pressureChart: document.getElementById('pressure-chart'),
-
-    // Precipitation
-    precipTimeline: document.getElementById('precip-timeline'),
 
     // Alerts
     frontAlert: document.getElementById('front-alert'),
@@ -55,7 +54,7 @@ const elements = {
  * Toggle loading state on weather widgets
  */
 export function setWidgetsLoading(isLoading) {
-    const widgetIds = ['current-widget', 'wind-widget', 'visibility-widget', 'precip-widget', 'pressure-widget'];
+    const widgetIds = ['current-widget', 'wind-widget', 'visibility-widget', 'pressure-widget'];
     widgetIds.forEach(id => {
         const widget = document.getElementById(id);
         if (widget) {
@@ -68,7 +67,7 @@ export function setWidgetsLoading(isLoading) {
  * Render weather data to UI
  */
 export function renderWeatherData(weatherData) {
-    const { current, hourlyForecast } = weatherData;
+    const { current } = weatherData;
 
     // Remove loading state from widgets
     setWidgetsLoading(false);
@@ -84,6 +83,8 @@ export function renderWeatherData(weatherData) {
         elements.currentHumidity.textContent = `Humidity: ${current.humidity}%`;
     }
 
+    renderObservationSource(current);
+
     // Update weather icon
     updateWeatherIcon(current.weatherCode);
 
@@ -130,21 +131,22 @@ export function renderWeatherData(weatherData) {
         elements.pressureTrend.textContent = pressureTrend.description;
     }
 
-    // Render pressure chart
-    renderPressureChart();
-
-    // Render precipitation timeline
-    renderPrecipTimeline(hourlyForecast);
-
     // Render scores
     renderScores();
 
+    // Render hour-by-hour score outlook
+    renderScoreTimeline();
+    renderNocturnalMigration();
+
     // Front alert
     renderFrontAlert();
 
     // Last update with refresh indicator
     if (elements.lastUpdate) {
-        elements.lastUpdate.textContent = `Updated ${formatRelativeTime(new Date())}`;
+        const replayDate = store.get('replayDate');
+        elements.lastUpdate.textContent = replayDate
+            ? `Replay of ${formatReplayMoment(replayDate)}`
+            : `Updated ${formatRelativeTime(store.get('lastFetchTime') || new Date())}`;
         elements.lastUpdate.classList.remove('refresh-flash');
         // Trigger reflow to restart animation
         void elements.lastUpdate.offsetWidth;
@@ -152,6 +154,27 @@ export function renderWeatherData(weatherData) {
     }
 }
 
+/**
+ * Show where the current conditions came from: a station reading or the model
+ */
+function renderObservationSource(current) {
+    if (!elements.observationSource) return;
+
+    const { observation } = current;
+    if (!observation) {
+        elements.observationSource.textContent = 'Model forecast for this hour';
+        elements.observationSource.classList.remove('observation-source--observed');
+        elements.observationSource.removeAttribute('title');
+        return;
+    }
+
+    const distance = observation.distanceKm !== null ? ` · ${Math.round(observation.distanceKm)} km away` : '';
+    elements.observationSource.textContent =
+        `Observed: ${observation.source} ${observation.station}${distance} · ${formatRelativeTime(observation.time)}`;
+    elements.observationSource.classList.add('observation-source--observed');
+    elements.observationSource.title = `${observation.stationName}\nMeasured: ${observation.fields.join(', ')}`;
+}
+
 /**
  * Render birding scores with animated gauges
  */
@@ -165,6 +188,7 @@ export function renderScores() {
     const scoreTypes = [
         { type: 'hawk', storeKey: 'hawkWatchScore', detailsId: 'hawk-details' },
         { type: 'seabird', storeKey: isCoastal ? 'seabirdScore' : 'grasslandScore', detailsId: 'seabird-details' },
+        { type: 'lakewatch', storeKey: 'lakewatchScore', detailsId: 'lakewatch-details', widgetId: 'lakewatch-widget' },
         { type: 'songbird-migration', storeKey: 'songbirdMigrationScore', detailsId: 'songbird-migration-details', widgetId: 'songbird-migration-widget' },
         { type: 'songbird-activity', storeKey: 'songbirdActivityScore', detailsId: 'songbird-activity-details' },
         { type: 'shorebird', storeKey: isCoastal ? 'shorebirdScore' : 'woodlandScore', detailsId: 'shorebird-details' },
@@ -175,7 +199,7 @@ export function renderScores() {
     scoreTypes.forEach(({ type, storeKey, detailsId, widgetId }) => {
         const scoreData = store.get(storeKey);
 
-        // Handle migration widget visibility (hide when not in season)
+        // Hide conditional widgets (migration out of season, lakewatch away from large lakes)
         if (widgetId) {
             const widget = document.getElementById(widgetId);
             if (widget) {
@@ -269,75 +293,6 @@ export function updateScoreGauge(type, scoreData) {
     });
 }
 
-/**
- * Render pressure chart as smooth SVG curve
- */
-export function renderPressureChart() {
-    const history = store.get('pressureHistory') || [];
-    if (history.length === 0 || !elements.pressureChart) return;
-
-    const pressures = history.map(h => h.pressure);
-    const min = Math.min(...pressures);
-    const max = Math.max(...pressures);
-    const range = max - min || 1;
-
-    // Build SVG path points
-    const points = pressures.map((p, i) => {
-        const x = (i / (pressures.length - 1)) * 100;
-        const y = 100 - ((p - min) / range) * 80 - 10; // 10-90 range, inverted for SVG
-        return `${x},${y}`;
-    });
-
-    // Create smooth curve using the points
-    const pathPoints = points.join(' ');
-
-    // Get pressure trend for gradient color
-    const pressureTrend = store.get('pressureTrend');
-    const trendColor = pressureTrend?.trend === 'falling' || pressureTrend?.trend === 'falling_fast'
-        ? 'var(--accent-orange)'
-        : 'var(--accent-blue)';
-
-    elements.pressureChart.innerHTML = `
-        <svg viewBox="0 0 100 100" class="pressure-chart-svg" preserveAspectRatio="none">
-            <defs>
-                <linearGradient id="pressureGradient" x1="0" y1="0" x2="0" y2="1">
-                    <stop offset="0%" stop-color="${trendColor}" stop-opacity="0.4"/>
-                    <stop offset="100%" stop-color="${trendColor}" stop-opacity="0"/>
-                </linearGradient>
-            </defs>
-            <!-- Area fill -->
-            <polygon points="0,100 ${pathPoints} 100,100" fill="url(#pressureGradient)" class="pressure-area"/>
-            <!-- Line -->
-            <polyline points="${pathPoints}" class="pressure-line" style="stroke: ${trendColor}"/>
-            <!-- End dot -->
-            <circle cx="${points[points.length - 1].split(',')[0]}" cy="${points[points.length - 1].split(',')[1]}" r="3" class="pressure-dot" style="fill: ${trendColor}"/>
-        </svg>
-    `;
-}
-
-/**
- * Render precipitation timeline
- */
-export function renderPrecipTimeline(forecast) {
-    if (!elements.precipTimeline || !forecast || forecast.length === 0) return;
-
-    const next12 = forecast.slice(0, 12);
-
-    elements.precipTimeline.innerHTML = next12.map((hour, i) => {
-        const prob = hour.precipProbability || 0;
-        const height = Math.max(prob * 0.5, 2); // 2-50px based on probability
-        const time = new Date(hour.time);
-        const label = i % 3 === 0 ? formatTime(time) : '';
-
-        return `
-            <div class="precip-timeline__hour">
-                <div class="precip-timeline__bar" style="height: ${height}px;" title="${prob}%"></div>
-                <span class="precip-timeline__label">${label}</span>
-            </div>
-        `;
-    }).join('');
-}
-
 /**
  * Render front passage alert
  */
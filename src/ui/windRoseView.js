@@ -0,0 +1,207 @@
+/**
+ * Wind rose card — how often and how hard the forecast wind blows from each
+ * direction, with each score's favourable sector overlaid and a list of when
+ * the wind sits in it. Reads the last scoring run's `scoringInputs`.
+ */
+
+import store from '../state/store.js';
+import { SCORE_DISPLAY_NAMES } from '../config/constants.js';
+import { getFavorableWindSectors, isWindInRange } from '../config/birdingConditions.js';
+import {
+    buildWindRose,
+    findSectorHours,
+    WIND_ROSE_PERIODS_HOURS,
+    WIND_ROSE_SECTOR_COUNT,
+    WIND_SPEED_BANDS_KMH
+} from '../modules/windRose.js';
+import { convertWindSpeed, formatTime, getWindDirectionLabel } from '../utils/formatting.js';
+
+// SVG geometry: petals fill RADIUS around the centre; the overlay sits just outside
+const CENTER = 110;
+const RADIUS = 80;
+const OVERLAY_RADIUS = 88;
+const LABEL_RADIUS = 100;
+const PETAL_HALF_WIDTH = 360 / WIND_ROSE_SECTOR_COUNT / 2 - 1;
+
+let els = null;
+let periodHours = WIND_ROSE_PERIODS_HOURS[0];
+let selectedIndex = 0;
+
+/**
+ * Initialize the wind rose card.
+ * @param {Object} windRoseElements
+ * @param {HTMLSelectElement} windRoseElements.period - 24 / 48 hours
+ * @param {HTMLElement} windRoseElements.chart - SVG container
+ * @param {HTMLElement} windRoseElements.legend - Speed band legend
+ * @param {HTMLElement} windRoseElements.sectors - Favourable sector list; clicking one overlays it
+ */
+export function initWindRoseView(windRoseElements) {
+    els = windRoseElements;
+
+    els.period.innerHTML = WIND_ROSE_PERIODS_HOURS
+        .map(hours => `<option value="${hours}">Next ${hours}h</option>`)
+        .join('');
+    els.period.addEventListener('change', () => {
+        periodHours = Number(els.period.value);
+        renderWindRose();
+    });
+
+    els.sectors.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-sector-index]');
+        if (row) {
+            selectedIndex = Number(row.dataset.sectorIndex);
+            renderWindRose();
+        }
+    });
+
+    store.subscribe('scoringInputs', renderWindRose);
+    renderWindRose();
+}
+
+/**
+ * Render the rose, legend, and sector list from the store.
+ */
+export function renderWindRose() {
+    if (!els) return;
+
+    const inputs = store.get('scoringInputs');
+    const hourlyForecast = inputs?.weatherData?.hourlyForecast || [];
+    if (hourlyForecast.length === 0) {
+        els.chart.innerHTML = '';
+        els.legend.innerHTML = '';
+        els.sectors.innerHTML = '';
+        return;
+    }
+
+    const rose = buildWindRose(hourlyForecast, periodHours);
+    const favorable = getFavorableWindSectors(inputs.location);
+    if (selectedIndex >= favorable.length) selectedIndex = 0;
+    const overlay = favorable[selectedIndex] || null;
+
+    els.chart.innerHTML = renderChart(rose, overlay);
+    els.legend.innerHTML = renderLegend(rose);
+    els.sectors.innerHTML = favorable.map((sector, i) => renderSectorRow(sector, i, hourlyForecast)).join('');
+}
+
+function renderChart(rose, overlay) {
+    const rings = [0.25, 0.5, 0.75, 1]
+        .map(f => `<circle cx="${CENTER}" cy="${CENTER}" r="${RADIUS * f}" class="wind-rose__ring"/>`)
+        .join('');
+
+    const labels = ['N', 'E', 'S', 'W'].map((label, i) => {
+        const [x, y] = toPoint(i * 90, LABEL_RADIUS);
+        return `<text x="${x}" y="${y}" class="wind-rose__label">${label}</text>`;
+    }).join('');
+
+    const overlayPath = overlay
+        ? `<path d="${wedgePath(overlay.min, overlay.max, 0, OVERLAY_RADIUS)}" class="wind-rose__overlay"/>`
+        : '';
+
+    const petals = rose.maxCount === 0 ? '' : rose.sectors.map(sector => {
+        if (sector.count === 0) return '';
+
+        const start = sector.direction - PETAL_HALF_WIDTH;
+        const end = sector.direction + PETAL_HALF_WIDTH;
+        const inOverlay = overlay && isWindInRange(sector.direction, overlay.min, overlay.max);
+        const share = Math.round((sector.count / rose.total) * 100);
+
+        let cumulative = 0;
+        const segments = sector.bands.map((count, band) => {
+            if (count === 0) return '';
+            const inner = (cumulative / rose.maxCount) * RADIUS;
+            cumulative += count;
+            const outer = (cumulative / rose.maxCount) * RADIUS;
+            const path = wedgePath(start, end, inner, outer);
+            return `<path d="${path}" class="wind-rose__petal wind-rose__petal--band-${band}"/>`;
+        }).join('');
+
+        return `
+            <g class="wind-rose__sector-group${inOverlay ? ' wind-rose__sector-group--favorable' : ''}">
+                <title>${sector.label}: ${sector.count} h (${share}%)</title>
+                ${segments}
+            </g>
+        `;
+    }).join('');
+
+    const calm = rose.calm > 0
+        ? `<text x="${CENTER}" y="${CENTER + 4}" class="wind-rose__calm">${rose.calm} calm</text>`
+        : '';
+
+    return `
+        <svg viewBox="0 0 ${CENTER * 2} ${CENTER * 2}" class="wind-rose__svg" role="img"
+             aria-label="Wind rose for the next ${periodHours} hours">
+            ${overlayPath}
+            ${rings}
+            ${petals}
+            ${labels}
+            ${calm}
+        </svg>
+    `;
+}
+
+function renderLegend(rose) {
+    const unit = store.get('speedUnit') || 'mph';
+    const edges = WIND_SPEED_BANDS_KMH.map(kmh => convertWindSpeed(kmh));
+
+    const bands = edges.map((edge, i) => {
+        let label;
+        if (i === 0) label = `< ${edge}`;
+        else if (i === edges.length - 1) label = `${edges[i - 1]}+`;
+        else label = `${edges[i - 1]}–${edge}`;
+        return `
+            <span class="wind-rose__legend-item">
+                <span class="wind-rose__swatch wind-rose__petal--band-${i}"></span>${label} ${unit}
+            </span>
+        `;
+    }).join('');
+
+    return `${bands}<span class="wind-rose__legend-note">${rose.total} hours</span>`;
+}
+
+function renderSectorRow(sector, index, hourlyForecast) {
+    const { hours, runs } = findSectorHours(hourlyForecast, sector, periodHours);
+    const range = `${getWindDirectionLabel(sector.min)}–${getWindDirectionLabel(sector.max)} ` +
+        `(${Math.round(sector.min)}–${Math.round(sector.max)}°)`;
+
+    let when = `Not in the next ${periodHours}h`;
+    if (runs.length > 0) {
+        const [first] = runs;
+        const isNow = first.start.getTime() <= new Date(hourlyForecast[0].time).getTime();
+        when = isNow
+            ? `Now, until ${formatTime(first.end)}`
+            : `Swings in ${formatTime(first.start, true)}`;
+    }
+
+    return `
+        <button class="wind-rose__sector${index === selectedIndex ? ' wind-rose__sector--active' : ''}"
+                data-sector-index="${index}">
+            <span class="wind-rose__sector-name">${SCORE_DISPLAY_NAMES[sector.scoreKey]}</span>
+            <span class="wind-rose__sector-range">${sector.label} · ${range}</span>
+            <span class="wind-rose__sector-hours">${hours} of ${periodHours}h · ${when}</span>
+        </button>
+    `;
+}
+
+// Annular wedge clockwise from start to end (compass degrees)
+function wedgePath(start, end, inner, outer) {
+    const sweep = (((end - start) % 360) + 360) % 360 || 360;
+    // A full circle can't be one arc; stop just short of it
+    const span = Math.min(sweep, 359.9);
+    const largeArc = span > 180 ? 1 : 0;
+
+    const [x1, y1] = toPoint(start, outer);
+    const [x2, y2] = toPoint(start + span, outer);
+    const [x3, y3] = toPoint(start + span, inner);
+    const [x4, y4] = toPoint(start, inner);
+
+    return `M ${x1} ${y1} A ${outer} ${outer} 0 ${largeArc} 1 ${x2} ${y2} ` +
+        `L ${x3} ${y3} A ${inner} ${inner} 0 ${largeArc} 0 ${x4} ${y4} Z`;
+}
+
+function toPoint(degrees, radius) {
+    const radians = (degrees * Math.PI) / 180;
+    return [
+        (CENTER + radius * Math.sin(radians)).toFixed(1),
+        (CENTER - radius * Math.cos(radians)).toFixed(1)
+    ];
+}
@@ -86,6 +86,10 @@ export function convertPressure(hpa, unit = null) {
  * @returns {string}
  */
 export function formatPressure(hpa, unit = null) {
+    // Not every weather provider reports surface pressure
+    if (hpa === null || hpa === undefined) {
+        return '—';
+    }
     const targetUnit = unit || store.get('pressureUnit') || 'inHg';
     const value = convertPressure(hpa, targetUnit);
     return `${value} ${targetUnit}`;
@@ -4,7 +4,8 @@ export default defineConfig({
   test: {
     globals: true,
     environment: 'node',
-    include: ['src/**/*.test.{js,ts}']
+    include: ['src/**/*.test.{js,ts}'],
+    setupFiles: ['./vitest.setup.js']
   }
 });
 
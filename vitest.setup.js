@@ -0,0 +1,15 @@
+/**
+ * Test environment setup
+ * The store hydrates from localStorage on import, which the node environment lacks.
+ */
+
+if (typeof globalThis.localStorage === 'undefined') {
+    const entries = new Map();
+
+    globalThis.localStorage = {
+        getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+        setItem: (key, value) => entries.set(key, String(value)),
+        removeItem: (key) => entries.delete(key),
+        clear: () => entries.clear()
+    };
+}